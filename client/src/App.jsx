@@ -7,7 +7,7 @@
  * 3. SummaryViewer - Explorador de resultados estructurados
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import FileUploader from './components/FileUploader';
 import TerminalLog from './components/TerminalLog';
 import SummaryViewer from './components/SummaryViewer';
@@ -22,42 +22,57 @@ function App() {
   const [isProcessing, setIsProcessing] = useState(false);
 
   // Hook personalizado para manejo de SSE
-  const { connect, disconnect } = useProcessing();
+  const { connect, resume, disconnect } = useProcessing();
+
+  /**
+   * Callbacks de eventos del stream de procesamiento
+   */
+  const processingCallbacks = useCallback(() => ({
+    onLog: (log) => {
+      setLogs(prev => [...prev, log]);
+    },
+    onProgress: (percent) => {
+      setProgress(percent);
+    },
+    onComplete: (data) => {
+      setResult(data.result);
+      setProgress(100);
+      setIsProcessing(false);
+    },
+    onError: (error) => {
+      setLogs(prev => [...prev, {
+        type: 'log',
+        text: `Error: ${error.message}`,
+        color: 'red',
+        timestamp: new Date().toISOString()
+      }]);
+      setIsProcessing(false);
+    }
+  }), []);
+
+  // Reanudar un procesamiento en curso tras recargar la página
+  useEffect(() => {
+    const stopResume = resume(processingCallbacks());
+    if (!stopResume) return undefined;
+
+    setIsProcessing(true);
+    return stopResume;
+  }, [resume, processingCallbacks]);
 
   /**
    * Maneja el inicio del procesamiento
    * @param {File} file - Archivo PDF a procesar
+   * @param {Object} [options] - { segmentation } elegida en FileUploader
    */
-  const handleProcessStart = useCallback(async (file) => {
+  const handleProcessStart = useCallback(async (file, options = {}) => {
     setIsProcessing(true);
     setLogs([]);
     setProgress(0);
     setResult(null);
 
     // Conectar al stream SSE
-    connect(file, {
-      onLog: (log) => {
-        setLogs(prev => [...prev, log]);
-      },
-      onProgress: (percent) => {
-        setProgress(percent);
-      },
-      onComplete: (data) => {
-        setResult(data.result);
-        setProgress(100);
-        setIsProcessing(false);
-      },
-      onError: (error) => {
-        setLogs(prev => [...prev, {
-          type: 'log',
-          text: `Error: ${error.message}`,
-          color: 'red',
-          timestamp: new Date().toISOString()
-        }]);
-        setIsProcessing(false);
-      }
-    });
-  }, [connect]);
+    connect(file, processingCallbacks(), options);
+  }, [connect, processingCallbacks]);
 
   /**
    * Maneja la cancelación del procesamiento
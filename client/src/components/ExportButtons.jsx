@@ -2,10 +2,13 @@
  * ExportButtons Component
  *
  * Provides export functionality for processed summaries.
- * Supports Markdown, JSON, and HTML export formats.
+ * Supports Markdown, JSON, and HTML export formats, plus the article's
+ * citation and its references as BibTeX, RIS and CSL-JSON.
  */
 
-import { useCallback } from 'react';
+import { useCallback, useState } from 'react';
+
+const API_BASE_URL = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
 
 /**
  * Sanitize filename for safe usage
@@ -54,7 +57,113 @@ function markdownToHtml(markdown) {
     .replace(/\n/g, '<br>');
 }
 
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const APPRAISAL_STATUS = {
+  reported: '✅ Reportado',
+  not_reported: '❌ No reportado',
+  unclear: '❓ Incierto'
+};
+
+/**
+ * Render the critical appraisal checklist as an HTML table
+ * (markdownToHtml does not handle tables)
+ */
+function appraisalToHtml(appraisal) {
+  const { stats } = appraisal;
+  const rows = appraisal.items.map((item) => {
+    const pages = item.pages?.length > 0 ? ` (p. ${item.pages.join(', ')})` : '';
+    const evidence = item.evidence ? `"${escapeHtml(item.evidence)}"${pages}` : '—';
+    return `<tr><td>${escapeHtml(item.id)}</td><td>${escapeHtml(item.section)}</td>` +
+      `<td>${escapeHtml(item.requirement)}</td><td>${APPRAISAL_STATUS[item.status] || ''}</td><td>${evidence}</td></tr>`;
+  }).join('\n');
+
+  return `<h2>🧐 Evaluación crítica: ${escapeHtml(appraisal.name)}</h2>
+  <p><strong>Cumplimiento:</strong> ${stats.reported} de ${stats.total} ítems reportados (${Math.round(stats.adherence * 100)}%) • ${stats.notReported} no reportados • ${stats.unclear} inciertos</p>
+  <table>
+    <tr><th>Ítem</th><th>Sección</th><th>Requisito</th><th>Estado</th><th>Evidencia</th></tr>
+    ${rows}
+  </table>`;
+}
+
+// Traffic-light colours of the risk-of-bias judgements
+const RISK_OF_BIAS_COLORS = {
+  low: '#2e7d32',
+  good: '#2e7d32',
+  some_concerns: '#f9a825',
+  moderate: '#f9a825',
+  fair: '#f9a825',
+  high: '#c62828',
+  serious: '#c62828',
+  poor: '#c62828',
+  critical: '#6a1b1a',
+  no_information: '#9e9e9e'
+};
+
+/**
+ * Render the risk-of-bias assessment as a coloured traffic-light table
+ */
+function riskOfBiasToHtml(assessment) {
+  const cell = (judgement, text) =>
+    `<td style="background: ${RISK_OF_BIAS_COLORS[judgement] || '#9e9e9e'}; color: #fff; text-align: center;">${escapeHtml(text)}</td>`;
+  const rows = assessment.domains.map((domain) => {
+    const stars = domain.maxStars ? ` (${domain.stars}/${domain.maxStars} ★)` : '';
+    return `<tr><td>${escapeHtml(domain.id)} · ${escapeHtml(domain.name)}</td>${cell(domain.judgement, domain.label + stars)}` +
+      `<td>${escapeHtml(domain.rationale || '—')}</td></tr>`;
+  }).join('\n');
+
+  return `<h2>⚖️ Riesgo de sesgo: ${escapeHtml(assessment.name)}</h2>
+  <p><strong>Juicio global:</strong> ${escapeHtml(assessment.overallLabel)}</p>
+  <table>
+    <tr>${assessment.domains.map((domain) => `<th>${escapeHtml(domain.id)}</th>`).join('')}<th>Global</th></tr>
+    <tr>${assessment.domains.map((domain) => cell(domain.judgement, '●')).join('')}${cell(assessment.overall, '●')}</tr>
+  </table>
+  <table>
+    <tr><th>Dominio</th><th>Juicio</th><th>Justificación</th></tr>
+    ${rows}
+  </table>`;
+}
+
+/**
+ * Render the GRADE summary of findings as an HTML table
+ */
+function gradeToHtml(grade) {
+  const rows = grade.outcomes.map((row) => {
+    const ci = row.ci?.text ? ` (IC ${escapeHtml(row.ci.text)})` : '';
+    const page = row.page ? ` (p. ${row.page})` : '';
+    const reasons = [
+      ...row.downgrades.map((entry) => `↓ ${entry.label}: ${entry.reason}`),
+      ...row.upgrades.map((entry) => `↑ ${entry.label}: ${entry.reason}`)
+    ].map(escapeHtml).join('<br>');
+    return `<tr><td>${escapeHtml(row.outcome)}</td><td>${escapeHtml(row.effect || '—')}${ci}${page}</td>` +
+      `<td>${row.participants ?? '—'}</td><td>${escapeHtml(row.certaintyLabel)}</td><td>${reasons || '—'}</td></tr>`;
+  }).join('\n');
+
+  return `<h2>📈 Resumen de hallazgos (GRADE)</h2>
+  <table>
+    <tr><th>Desenlace</th><th>Efecto (IC 95%)</th><th>Participantes</th><th>Certeza</th><th>Motivos</th></tr>
+    ${rows}
+  </table>`;
+}
+
+// Citation formats (built by the server): file extension of each download
+const CITATION_EXTENSIONS = {
+  bibtex: 'bib',
+  ris: 'ris',
+  'csl-json': 'csl.json'
+};
+
 function ExportButtons({ result }) {
+  const [citationError, setCitationError] = useState(null);
   const timestamp = new Date().toISOString().split('T')[0];
   const safeTitle = sanitizeFilename(result?.title || 'documento');
 
@@ -75,9 +184,47 @@ function ExportButtons({ result }) {
       });
     }
 
+    if (result.pico) {
+      content += `\n${result.pico.markdown}`;
+    }
+
     content += '\n---\n\n';
     content += result.summary || '';
 
+    if (result.figureIndex?.length > 0) {
+      content += '\n\n## Índice de Figuras y Tablas\n\n';
+      result.figureIndex.forEach((entry) => {
+        const label = entry.type === 'figure' ? 'Figura' : 'Tabla';
+        content += `- **${label} ${entry.number}**${entry.caption ? `. ${entry.caption}` : ''} (p. ${entry.pageNumber})\n`;
+      });
+    }
+
+    if (result.tables?.length > 0) {
+      content += '\n\n## Tablas\n';
+      result.tables.forEach((table) => {
+        content += `\n### ${table.title} (p. ${table.pageNumber})\n\n${table.markdown}\n`;
+      });
+    }
+
+    if (result.references?.length > 0) {
+      content += '\n\n## Referencias\n\n';
+      result.references.forEach((reference, index) => {
+        content += `${reference.number || index + 1}. ${reference.raw}\n`;
+      });
+    }
+
+    if (result.appraisal) {
+      content += `\n\n${result.appraisal.markdown}`;
+    }
+
+    if (result.riskOfBias) {
+      content += `\n\n${result.riskOfBias.markdown}`;
+    }
+
+    if (result.grade) {
+      content += `\n\n${result.grade.markdown}`;
+    }
+
     content += '\n\n---\n\n';
     content += `> ⚠️ **Aviso:** Este resumen es informativo y no constituye consejo médico.\n`;
     content += `> Generado por Medical Article Summarizer • ${new Date().toISOString()}\n`;
@@ -100,10 +247,29 @@ function ExportButtons({ result }) {
         totalPages: result.totalPages,
         processedAt: result.processedAt,
         metadata: result.metadata,
-        documentHash: result.documentHash
+        documentHash: result.documentHash,
+        segmentation: result.segmentation || 'page',
+        // Study type that selected the summary template ({ type, label, confidence, source })
+        studyType: result.studyType || null
       },
       structure: result.structure,
       summary: result.summary,
+      // Structured IMRyD (USE_PROMPTS_V2) with its validation errors
+      imryd: result.imryd || null,
+      imrydValidation: result.imrydValidation || null,
+      // Tables rebuilt into rows/columns ({ number, caption, title, pageNumber, headers, rows, markdown })
+      tables: result.tables || [],
+      figureIndex: result.figureIndex || [],
+      // Parsed bibliography ({ number, authors, title, journal, year, volume, issue, pages, doi, pmid, pageNumber })
+      references: result.references || [],
+      // PICO(T/S) elements ({ population, intervention, ..., question }) with page evidence
+      pico: result.pico || null,
+      // Reporting checklist appraisal ({ checklist, name, items, stats, markdown })
+      appraisal: result.appraisal || null,
+      // Risk-of-bias assessment ({ tool, name, domains, overall, stats, markdown })
+      riskOfBias: result.riskOfBias || null,
+      // GRADE summary of findings ({ startingCertainty, outcomes, stats, markdown })
+      grade: result.grade || null,
       pageCount: result.pages?.length || 0,
       disclaimer: 'Este resumen es informativo y no constituye consejo médico.'
     };
@@ -133,6 +299,9 @@ function ExportButtons({ result }) {
     h3 { color: #34495e; }
     blockquote { border-left: 4px solid #e74c3c; padding-left: 15px; color: #7f8c8d; margin: 15px 0; }
     .metadata { background: #f5f5f5; padding: 15px; border-radius: 5px; margin-bottom: 20px; }
+    table { border-collapse: collapse; width: 100%; margin: 15px 0; font-size: 0.9em; }
+    th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+    th { background: #f5f5f5; }
     .disclaimer { background: #fff3cd; border: 1px solid #ffc107; padding: 15px; margin-top: 30px; border-radius: 5px; }
   </style>
 </head>
@@ -146,6 +315,12 @@ function ExportButtons({ result }) {
 
   <p>${markdownToHtml(result.summary)}</p>
 
+  ${result.appraisal ? appraisalToHtml(result.appraisal) : ''}
+
+  ${result.riskOfBias ? riskOfBiasToHtml(result.riskOfBias) : ''}
+
+  ${result.grade ? gradeToHtml(result.grade) : ''}
+
   <div class="disclaimer">
     <p><strong>⚠️ Aviso Importante:</strong></p>
     <p>Este resumen es informativo y no constituye consejo médico. 
@@ -160,6 +335,43 @@ function ExportButtons({ result }) {
     downloadFile(htmlContent, `${safeTitle}_${timestamp}.html`, 'text/html');
   }, [result, timestamp, safeTitle]);
 
+  /**
+   * Export the article citation and its references (Zotero, Mendeley)
+   * with POST /api/citations, built from the result on screen so it does
+   * not depend on the server job still being in memory
+   */
+  const handleExportCitations = useCallback(async (format) => {
+    if (!result) return;
+
+    setCitationError(null);
+    try {
+      const response = await fetch(
+        `${API_BASE_URL}/api/citations?format=${encodeURIComponent(format)}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            title: result.title,
+            metadata: result.metadata || {},
+            imryd: result.imryd?.metadata ? { metadata: result.imryd.metadata } : null,
+            references: result.references || []
+          })
+        }
+      );
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `Error ${response.status}`);
+      }
+      downloadFile(
+        await response.text(),
+        `${safeTitle}_${timestamp}.${CITATION_EXTENSIONS[format]}`,
+        response.headers.get('Content-Type') || 'text/plain'
+      );
+    } catch (error) {
+      setCitationError(`No se pudieron exportar las citas: ${error.message}`);
+    }
+  }, [result, timestamp, safeTitle]);
+
   if (!result) return null;
 
   return (
@@ -185,6 +397,28 @@ function ExportButtons({ result }) {
       >
         📝 HTML
       </button>
+      <button
+        className="export-btn export-btn--cite"
+        onClick={() => handleExportCitations('bibtex')}
+        title="Exportar la cita y las referencias como BibTeX"
+      >
+        📚 BibTeX
+      </button>
+      <button
+        className="export-btn export-btn--cite"
+        onClick={() => handleExportCitations('ris')}
+        title="Exportar la cita y las referencias como RIS (Zotero, Mendeley)"
+      >
+        📚 RIS
+      </button>
+      <button
+        className="export-btn export-btn--cite"
+        onClick={() => handleExportCitations('csl-json')}
+        title="Exportar la cita y las referencias como CSL-JSON"
+      >
+        📚 CSL-JSON
+      </button>
+      {citationError && <span className="export-error">{citationError}</span>}
     </div>
   );
 }
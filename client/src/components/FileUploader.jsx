@@ -10,10 +10,18 @@ import { useState, useRef, useCallback } from 'react';
 import clsx from 'clsx';
 import './FileUploader.css';
 
+// Unidad de análisis ('' = la del servidor, SEGMENTATION_MODE)
+const SEGMENTATION_OPTIONS = [
+  { value: '', label: 'Predeterminada del servidor' },
+  { value: 'page', label: 'Por página' },
+  { value: 'section', label: 'Por sección (Métodos, Resultados...)' }
+];
+
 function FileUploader({ onProcessStart, disabled }) {
   const [isDragging, setIsDragging] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [error, setError] = useState(null);
+  const [segmentation, setSegmentation] = useState('');
   const fileInputRef = useRef(null);
 
   /**
@@ -101,9 +109,9 @@ function FileUploader({ onProcessStart, disabled }) {
    */
   const handleProcess = useCallback(() => {
     if (selectedFile && onProcessStart) {
-      onProcessStart(selectedFile);
+      onProcessStart(selectedFile, { segmentation });
     }
-  }, [selectedFile, onProcessStart]);
+  }, [selectedFile, segmentation, onProcessStart]);
 
   /**
    * Limpia la selección de archivo
@@ -192,6 +200,24 @@ function FileUploader({ onProcessStart, disabled }) {
         </div>
       )}
 
+      {/* Unidad de análisis */}
+      {selectedFile && !error && (
+        <label className="segmentation-select">
+          <span>Analizar:</span>
+          <select
+            value={segmentation}
+            onChange={(e) => setSegmentation(e.target.value)}
+            disabled={disabled}
+          >
+            {SEGMENTATION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      )}
+
       {/* Botón de procesar */}
       {selectedFile && !error && (
         <button
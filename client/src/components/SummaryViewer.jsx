@@ -2,12 +2,14 @@
  * SummaryViewer Component - Explorador de Resultados Estructurados
  *
  * Este componente muestra el resultado del procesamiento:
- * - Árbol navegable de Parts/Chapters/Pages
+ * - Árbol navegable de Parts/Chapters/Pages (o de secciones, si el análisis
+ *   se segmentó por secciones) y carpeta "Figuras y Tablas"
  * - Visualización de contenido Markdown con react-markdown
  * - Resumen general en formato IMRyD
+ * - Referencias de página (p. X) enlazadas a su nodo en el árbol
  */
 
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import clsx from 'clsx';
@@ -33,9 +35,17 @@ function TreeNode({ node, level = 0, onSelect, selectedId }) {
       return isExpanded ? '📂' : '📁';
     }
     const iconMap = {
+      pico: '🎯',
       summary: '📋',
       metadata: '📄',
+      appraisal: '🧐',
+      risk_of_bias: '⚖️',
+      grade: '📈',
       page: '📝',
+      section: '📑',
+      table: '📊',
+      figure: '🖼️',
+      reference: '📖',
       folder: '📁'
     };
     return iconMap[node.type] || '📄';
@@ -73,17 +83,62 @@ function TreeNode({ node, level = 0, onSelect, selectedId }) {
 }
 
 /**
- * Función auxiliar para contar solo las páginas del árbol
- * Solo cuenta nodos de tipo 'page' que tienen contenido real
+ * Función auxiliar para contar los nodos de un tipo en el árbol
+ * ('page' en la segmentación por páginas, 'section' en la de secciones)
  */
-function countPages(nodes) {
+function countNodes(nodes, type) {
   if (!nodes || !Array.isArray(nodes)) return 0;
   return nodes.reduce((count, node) => {
-    const isPage = node.type === 'page';
-    return count + (isPage ? 1 : 0) + countPages(node.children);
+    const matches = node.type === type;
+    return count + (matches ? 1 : 0) + countNodes(node.children, type);
   }, 0);
 }
 
+// Referencias de página en el resumen: "(p. 4)", "(p.4)", "(pp. 6-8)", "(p. 3, 5)"
+const PAGE_REFERENCE_PATTERN = /\((pp?|p[áa]gs?)\.\s*(\d+(?:\s*[-–,y]\s*\d+)*)\)/gi;
+
+/**
+ * Convierte las referencias de página en enlaces Markdown a #page-N
+ * (un rango enlaza a su primera página)
+ */
+function linkPageReferences(markdown) {
+  return markdown.replace(PAGE_REFERENCE_PATTERN, (match, prefix, pages) => {
+    const linked = pages.replace(/\d+(?:\s*[-–]\s*\d+)?/g, (ref) => {
+      const firstPage = ref.match(/\d+/)[0];
+      return `[${ref}](#page-${firstPage})`;
+    });
+    return `(${prefix}. ${linked})`;
+  });
+}
+
+/**
+ * Busca un nodo del árbol por id (recursivo)
+ */
+function findNodeById(nodes, id) {
+  if (!nodes) return null;
+  for (const node of nodes) {
+    if (node.id === id) return node;
+    const found = findNodeById(node.children, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Sección más específica que contiene una página (segmentación por secciones)
+ */
+function findSectionForPage(nodes, pageNumber) {
+  if (!nodes) return null;
+  for (const node of nodes) {
+    if (node.type === 'section' && pageNumber >= node.startPage && pageNumber <= node.endPage) {
+      return findSectionForPage(node.children, pageNumber) || node;
+    }
+    const found = findSectionForPage(node.children, pageNumber);
+    if (found) return found;
+  }
+  return null;
+}
+
 /**
  * Componente principal del visualizador
  */
@@ -95,8 +150,9 @@ function SummaryViewer({ result, onReset }) {
   const [scrollState, setScrollState] = useState({ canScrollUp: false, canScrollDown: false });
   const treeContainerRef = useRef(null);
 
-  // Calcular el total de páginas en el árbol
-  const totalPages = countPages(result.fileTree);
+  // Calcular el total de páginas (o secciones) en el árbol
+  const bySection = result.segmentation === 'section';
+  const totalPages = countNodes(result.fileTree, bySection ? 'section' : 'page');
 
   // Detectar estado de scroll
   const updateScrollState = useCallback(() => {
@@ -126,11 +182,39 @@ function SummaryViewer({ result, onReset }) {
 
   const handleNodeSelect = useCallback((node) => {
     setSelectedNode(node);
-    if (node.type === 'summary' || node.type === 'metadata' || node.type === 'page') {
+    if (['pico', 'summary', 'metadata', 'appraisal', 'risk_of_bias', 'grade', 'page', 'section', 'table', 'figure', 'reference'].includes(node.type)) {
       setActiveTab('content');
     }
   }, []);
 
+  // Enlaces (p. X) del contenido: saltan al nodo de la página en el árbol
+  // (o a la sección que la contiene)
+  const markdownComponents = useMemo(() => ({
+    a({ href, children, ...props }) {
+      if (href && href.startsWith('#page-')) {
+        const pageNode = findNodeById(result.fileTree, href.slice(1)) ||
+          findSectionForPage(result.fileTree, Number(href.slice('#page-'.length)));
+        if (!pageNode) {
+          return <span className="page-ref is-missing" title="Página no disponible en el árbol">{children}</span>;
+        }
+        return (
+          <a
+            href={href}
+            className="page-ref"
+            title={`Ir a ${pageNode.name}`}
+            onClick={(event) => {
+              event.preventDefault();
+              handleNodeSelect(pageNode);
+            }}
+          >
+            {children}
+          </a>
+        );
+      }
+      return <a href={href} target="_blank" rel="noopener noreferrer" {...props}>{children}</a>;
+    }
+  }), [result.fileTree, handleNodeSelect]);
+
   return (
     <div className="summary-viewer">
       {/* Header */}
@@ -156,9 +240,67 @@ function SummaryViewer({ result, onReset }) {
         <span className="info-item">
           📁 {result.structure?.parts?.length || 0} partes
         </span>
+        {result.structure?.outline?.length > 0 && (
+          <span
+            className="info-item"
+            title={result.structure.source === 'heuristic' ?
+              'El índice del PDF no contiene secciones reconocibles; estructura detectada en el texto' :
+              'Secciones tomadas de los marcadores del PDF'}
+          >
+            📑 Índice del PDF ({result.structure.outline.length} marcadores)
+          </span>
+        )}
+        {result.studyType && (
+          <span
+            className="info-item"
+            title={result.studyType.llm?.reason || `Plantilla de resumen: ${result.studyType.label}`}
+          >
+            🧪 {result.studyType.label} ({Math.round(result.studyType.confidence * 100)}%)
+          </span>
+        )}
         <span className="info-item">
           ⏱️ {new Date(result.processedAt).toLocaleString()}
         </span>
+        {result.citations?.stats?.total > 0 && (
+          <span
+            className="info-item"
+            title="Afirmaciones cuyos valores aparecen en las páginas citadas"
+          >
+            🔗 {result.citations.stats.verified}/{result.citations.stats.total} citas verificadas
+          </span>
+        )}
+        {result.citations?.unreferenced?.length > 0 && (
+          <span
+            className="info-item"
+            title={result.citations.unreferenced.map(item => `• ${item.label} ${item.index}: ${item.text}`).join('\n')}
+          >
+            ⚠️ {result.citations.unreferenced.length} sin referencia de página
+          </span>
+        )}
+        {result.ocrPages?.length > 0 && (
+          <span
+            className="info-item"
+            title={result.ocrPages.map(page => `p. ${page.pageNumber}: ${Math.round(page.confidence * 100)}%`).join(', ')}
+          >
+            🔎 OCR en {result.ocrPages.length} páginas
+          </span>
+        )}
+        {result.headerFooter?.removedLines > 0 && (
+          <span
+            className="info-item"
+            title={`Encabezados y pies repetidos eliminados:\n${result.headerFooter.repeatedLines.map(line => `• ${line.text} (${line.pages} págs.)`).join('\n')}`}
+          >
+            ✂️ ~{result.headerFooter.tokensSaved} tokens ahorrados
+          </span>
+        )}
+        {result.numericVerification?.stats?.unverified > 0 && (
+          <span
+            className="info-item"
+            title="Cifras del resumen que no aparecen en el texto del documento"
+          >
+            🔢 {result.numericVerification.stats.unverified} cifras sin verificar
+          </span>
+        )}
       </div>
 
       {/* Export and disclaimer */}
@@ -175,7 +317,11 @@ function SummaryViewer({ result, onReset }) {
         <div className="viewer-sidebar">
           <div className="sidebar-header">
             <span>Estructura del Documento</span>
-            <span className="sidebar-count">{totalPages} {totalPages === 1 ? 'página' : 'páginas'}</span>
+            <span className="sidebar-count">
+              {totalPages} {bySection ?
+                (totalPages === 1 ? 'sección' : 'secciones') :
+                (totalPages === 1 ? 'página' : 'páginas')}
+            </span>
           </div>
           <div className="tree-wrapper">
             {scrollState.canScrollUp && (
@@ -217,8 +363,8 @@ function SummaryViewer({ result, onReset }) {
                 </span>
               </div>
               <div className="markdown-content">
-                <ReactMarkdown remarkPlugins={[remarkGfm]}>
-                  {selectedNode.content || '*No hay contenido disponible*'}
+                <ReactMarkdown remarkPlugins={[remarkGfm]} components={markdownComponents}>
+                  {selectedNode.content ? linkPageReferences(selectedNode.content) : '*No hay contenido disponible*'}
                 </ReactMarkdown>
               </div>
             </div>
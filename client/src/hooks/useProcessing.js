@@ -2,18 +2,26 @@
  * useProcessing Hook - Lógica de Conexión SSE
  *
  * Este hook encapsula toda la lógica de conexión Server-Sent Events:
- * - Conexión/desconexión del stream
- * - Manejo de eventos SSE (log, progress, complete, error)
- * - Upload del archivo PDF
+ * - Creación de un trabajo en segundo plano (POST /api/jobs)
+ * - Stream reanudable de eventos (log, progress, complete, error)
+ * - Reconexión automática y reanudación tras recargar la página
  *
  * Nota: Las API Keys NO están en el frontend. El archivo se sube
- * al backend y el backend se comunica con OpenRouter.
+ * al backend y el backend se comunica con el proveedor de IA.
  */
 
 import { useCallback, useRef } from 'react';
 
+// Trabajo activo, para reanudar el stream tras recargar la página
+const ACTIVE_JOB_KEY = 'medical-summarizer:activeJob';
+
+// Reintentos de reconexión si se corta el stream
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_DELAY_MS = 2000;
+
 /**
- * Lee un stream SSE línea por línea
+ * Lee un stream SSE evento por evento
+ * @returns {AsyncGenerator<{ id: number|null, data: Object }>}
  */
 async function* readSSEStream(reader) {
   const decoder = new TextDecoder();
@@ -25,48 +33,138 @@ async function* readSSEStream(reader) {
 
     buffer += decoder.decode(value, { stream: true });
     buffer = buffer.replace(/\r\n/g, '\n');
-    const lines = buffer.split('\n\n');
-    buffer = lines.pop();
-
-    for (const line of lines) {
-      if (line.startsWith('data: ')) {
-        try {
-          yield JSON.parse(line.slice(6));
-        } catch (e) {
-          // Ignorar errores de parsing
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+
+    for (const block of blocks) {
+      let id = null;
+      let payload = null;
+
+      for (const line of block.split('\n')) {
+        if (line.startsWith('id: ')) {
+          id = Number(line.slice(4));
+        } else if (line.startsWith('data: ')) {
+          payload = line.slice(6);
         }
       }
+
+      if (payload === null) continue;
+
+      try {
+        yield { id, data: JSON.parse(payload) };
+      } catch (e) {
+        // Ignorar errores de parsing
+      }
     }
   }
 }
 
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
  * Hook para manejar el procesamiento de PDFs via SSE
- * @returns {Object} - { connect, disconnect, isConnected }
+ * @returns {Object} - { connect, resume, disconnect, isConnected }
  */
 function useProcessing() {
   const abortControllerRef = useRef(null);
   const apiBaseUrl = (import.meta.env.VITE_API_URL || '').replace(/\/$/, '');
 
   /**
-   * Inicia el procesamiento de un PDF
-   * @param {File} file - Archivo PDF a procesar
+   * Sigue los eventos de un trabajo hasta que termina, reconectando si se corta
+   * @param {string} jobId - Id del trabajo
    * @param {Object} callbacks - Callbacks para eventos
+   * @param {AbortController} controller - Controlador de cancelación
    */
-  const connect = useCallback(async (file, callbacks) => {
+  const followJob = useCallback(async (jobId, callbacks, controller) => {
     const { onLog, onProgress, onComplete, onError } = callbacks;
+    let lastEventId = 0;
+    let attempts = 0;
+
+    while (attempts <= MAX_RECONNECT_ATTEMPTS) {
+      try {
+        const response = await fetch(
+          `${apiBaseUrl}/api/jobs/${jobId}/events?lastEventId=${lastEventId}`,
+          { signal: controller.signal }
+        );
+
+        if (response.status === 404) {
+          sessionStorage.removeItem(ACTIVE_JOB_KEY);
+          throw new Error('El trabajo ya no existe en el servidor (expirado o reiniciado)');
+        }
 
-    let controller = null;
+        if (!response.ok || !response.body) {
+          throw new Error(`Server error: ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+
+        for await (const { id, data } of readSSEStream(reader)) {
+          if (id !== null) lastEventId = id;
+          attempts = 0;
+
+          switch (data.type) {
+            case 'log':
+              onLog(data);
+              break;
+            case 'progress':
+              onProgress(data.percent);
+              break;
+            case 'complete':
+              sessionStorage.removeItem(ACTIVE_JOB_KEY);
+              onComplete(data);
+              return;
+            case 'error':
+              sessionStorage.removeItem(ACTIVE_JOB_KEY);
+              onError(new Error(data.message));
+              return;
+            default:
+              break;
+          }
+        }
+      } catch (error) {
+        if (error.name === 'AbortError') return;
+        if (!sessionStorage.getItem(ACTIVE_JOB_KEY)) {
+          onError(error);
+          return;
+        }
+      }
+
+      // Stream cortado antes de terminar: reconectar desde el último evento
+      attempts++;
+      await wait(RECONNECT_DELAY_MS);
+      if (controller.signal.aborted) return;
+    }
+
+    onError(new Error('Se perdió la conexión con el servidor. Recarga la página para reanudar.'));
+  }, [apiBaseUrl]);
+
+  /**
+   * Inicia el procesamiento de un PDF
+   * @param {File} file - Archivo PDF a procesar
+   * @param {Object} callbacks - Callbacks para eventos
+   * @param {Object} [options] - { provider, segmentation, studyType } proveedor de IA,
+   *   segmentación 'page' o 'section' y tipo de estudio ('auto' o forzado)
+   *   (por defecto, los del servidor)
+   */
+  const connect = useCallback(async (file, callbacks, options = {}) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
 
     try {
       // Crear FormData para upload del archivo
       const formData = new FormData();
+      if (options.provider) {
+        formData.append('provider', options.provider);
+      }
+      if (options.segmentation) {
+        formData.append('segmentation', options.segmentation);
+      }
+      if (options.studyType) {
+        formData.append('studyType', options.studyType);
+      }
       formData.append('pdf', file);
 
-      controller = new AbortController();
-      abortControllerRef.current = controller;
-
-      const response = await fetch(`${apiBaseUrl}/api/process`, {
+      const response = await fetch(`${apiBaseUrl}/api/jobs`, {
         method: 'POST',
         body: formData,
         signal: controller.signal
@@ -77,60 +175,63 @@ function useProcessing() {
         throw new Error(`Server error: ${response.status} - ${errorText}`);
       }
 
-      // El cuerpo es un stream SSE
-      if (!response.body) {
-        throw new Error('Empty response body from server');
-      }
+      const { jobId } = await response.json();
+      sessionStorage.setItem(ACTIVE_JOB_KEY, jobId);
 
-      const reader = response.body.getReader();
-
-      for await (const data of readSSEStream(reader)) {
-        switch (data.type) {
-          case 'log':
-            onLog(data);
-            break;
-          case 'progress':
-            onProgress(data.percent);
-            break;
-          case 'complete':
-            onComplete(data);
-            if (abortControllerRef.current === controller) {
-              abortControllerRef.current = null;
-            }
-            return;
-          case 'error':
-            onError(new Error(data.message));
-            if (abortControllerRef.current === controller) {
-              abortControllerRef.current = null;
-            }
-            return;
-          default:
-            break;
-        }
-      }
+      await followJob(jobId, callbacks, controller);
     } catch (error) {
       if (error.name !== 'AbortError') {
-        onError(error);
+        callbacks.onError(error);
       }
     } finally {
       if (abortControllerRef.current === controller) {
         abortControllerRef.current = null;
       }
     }
-  }, []);
+  }, [apiBaseUrl, followJob]);
+
+  /**
+   * Reanuda el trabajo activo (si lo hay) tras recargar la página
+   * @param {Object} callbacks - Callbacks para eventos
+   * @returns {Function|null} - Función para detener el seguimiento, o null si no hay trabajo
+   */
+  const resume = useCallback((callbacks) => {
+    const jobId = sessionStorage.getItem(ACTIVE_JOB_KEY);
+    if (!jobId) return null;
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    followJob(jobId, callbacks, controller).finally(() => {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
+    });
+
+    // Detiene el stream sin olvidar el trabajo (puede reanudarse de nuevo)
+    return () => controller.abort();
+  }, [followJob]);
 
   /**
-   * Desconecta el stream SSE
+   * Cancela el trabajo activo en el servidor, desconecta el stream SSE
+   * y olvida el trabajo
    */
   const disconnect = useCallback(() => {
+    const jobId = sessionStorage.getItem(ACTIVE_JOB_KEY);
+    sessionStorage.removeItem(ACTIVE_JOB_KEY);
+    if (jobId) {
+      // Sin await: la cancelación no debe bloquear la interfaz
+      fetch(`${apiBaseUrl}/api/jobs/${jobId}`, { method: 'DELETE' }).catch(() => {});
+    }
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
       abortControllerRef.current = null;
     }
-  }, []);
+  }, [apiBaseUrl]);
 
   return {
     connect,
+    resume,
     disconnect,
     isConnected: abortControllerRef.current !== null
   };
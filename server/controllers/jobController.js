@@ -0,0 +1,386 @@
+/**
+ * Job Controller - Procesamiento Asíncrono con Streams Reanudables
+ *
+ * Permite procesar PDFs en segundo plano:
+ * 1. POST /api/jobs crea el trabajo y responde de inmediato con su id
+ * 2. El pipeline corre desacoplado de la conexión HTTP
+ * 3. GET /api/jobs/:jobId/events reproduce todos los eventos desde el inicio
+ *    (o desde Last-Event-ID) y sigue transmitiendo los nuevos
+ * 4. DELETE /api/jobs/:jobId cancela el trabajo (el pipeline se detiene en
+ *    su siguiente punto de control)
+ *
+ * Una recarga del navegador o un corte de red no descarta el análisis.
+ */
+
+import {
+  createJob,
+  getJob,
+  updateJob,
+  setJobProgress,
+  completeJob,
+  failJob,
+  cancelJob,
+  isJobCancelled,
+  isJobFinished,
+  appendJobEvent,
+  getJobEvents,
+  subscribeToJob,
+  JOB_STATUS
+} from '../services/jobQueue.js';
+import {
+  runPipeline,
+  resolveRequestProvider,
+  resolveRequestSegmentation,
+  resolveRequestStudyType
+} from './pdfController.js';
+import {
+  openEventStream
+} from '../utils/sse.js';
+import {
+  CITATION_FORMATS
+} from '../services/exportService.js';
+
+// Keep-alive interval for idle job streams
+const HEARTBEAT_MS = 15000;
+
+/**
+ * Registra un evento del pipeline en el trabajo y actualiza su estado
+ * @param {string} jobId - Job ID
+ * @param {Object} data - Evento SSE (log, progress, complete, error)
+ */
+function recordJobEvent(jobId, data) {
+  if (data.type === 'progress') {
+    setJobProgress(jobId, data.percent);
+  } else if (data.type === 'complete') {
+    completeJob(jobId, data.result);
+  } else if (data.type === 'error') {
+    failJob(jobId, data.message);
+  }
+
+  appendJobEvent(jobId, data);
+}
+
+/**
+ * Ejecuta el pipeline de un trabajo en segundo plano
+ * @param {string} jobId - Job ID
+ * @param {Object} pdfFile - Archivo subido por multer
+ * @param {string} provider - Proveedor LLM
+ * @param {string} segmentation - 'page' o 'section'
+ * @param {string} studyType - 'auto' o un tipo de estudio forzado
+ */
+async function runJob(jobId, pdfFile, provider, segmentation, studyType) {
+  updateJob(jobId, {
+    status: JOB_STATUS.PROCESSING
+  });
+
+  try {
+    await runPipeline(pdfFile, {
+      sendEvent: (data) => recordJobEvent(jobId, data),
+      isCancelled: () => isJobCancelled(jobId),
+      provider,
+      segmentation,
+      studyType
+    });
+  } catch (error) {
+    console.error(`[Job ${jobId}] Unexpected pipeline error`, error);
+  }
+
+  // The pipeline ends with complete/error unless it was cancelled;
+  // guard against silent exits
+  const job = getJob(jobId);
+  if (job && !isJobFinished(job)) {
+    recordJobEvent(jobId, {
+      type: 'error',
+      message: job.cancelled ? 'Procesamiento cancelado por el usuario' : 'El procesamiento terminó sin resultado'
+    });
+  }
+}
+
+/**
+ * Crea un trabajo de procesamiento y responde inmediatamente
+ *
+ * @route POST /api/jobs
+ * @param {File} file - Archivo PDF subido
+ * @param {string} [provider] - Proveedor LLM (chutes, openai, ollama)
+ * @param {string} [segmentation] - 'page' (por defecto) o 'section'
+ * @param {string} [studyType] - 'auto' (por defecto) o un tipo de estudio forzado
+ * @returns {Object} - { jobId, status, provider, segmentation, studyType, eventsUrl }
+ */
+export function createProcessingJob(req, res) {
+  if (!req.file) {
+    return res.status(400).json({
+      error: 'No se subió ningún archivo'
+    });
+  }
+
+  const provider = resolveRequestProvider(req, res);
+  if (!provider) return;
+  const segmentation = resolveRequestSegmentation(req, res);
+  if (!segmentation) return;
+  const studyType = resolveRequestStudyType(req, res);
+  if (!studyType) return;
+
+  // Only non-sensitive data is stored (no server paths)
+  const jobId = createJob('pdf_process', {
+    fileName: req.file.originalname,
+    size: req.file.size,
+    provider,
+    segmentation,
+    studyType
+  });
+
+  res.status(202).json({
+    jobId,
+    status: JOB_STATUS.PENDING,
+    provider,
+    segmentation,
+    studyType,
+    eventsUrl: `/api/jobs/${jobId}/events`
+  });
+
+  runJob(jobId, req.file, provider, segmentation, studyType);
+}
+
+/**
+ * Transmite los eventos de un trabajo por SSE
+ * Reproduce el historial desde el inicio (o desde Last-Event-ID / ?lastEventId)
+ * y continúa con los eventos nuevos hasta que el trabajo termina.
+ *
+ * @route GET /api/jobs/:jobId/events
+ * @returns {SSE Stream} - Eventos log/progress/complete/error con id secuencial
+ */
+export function streamJobEvents(req, res) {
+  const {
+    jobId
+  } = req.params;
+
+  if (!getJob(jobId)) {
+    return res.status(404).json({
+      error: 'Trabajo no encontrado'
+    });
+  }
+
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId || '0', 10) || 0;
+  const stream = openEventStream(req, res);
+
+  // Replay history (synchronous, so no event can slip in before subscribing)
+  for (const entry of getJobEvents(jobId, lastEventId)) {
+    stream.send(entry.data, entry.id);
+  }
+
+  if (isJobFinished(getJob(jobId))) {
+    stream.end();
+    return;
+  }
+
+  const heartbeat = setInterval(() => stream.comment(), HEARTBEAT_MS);
+
+  const unsubscribe = subscribeToJob(jobId, (entry) => {
+    stream.send(entry.data, entry.id);
+    if (entry.data.type === 'complete' || entry.data.type === 'error') {
+      cleanup();
+      stream.end();
+    }
+  });
+
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+}
+
+/**
+ * Cancela un trabajo en curso
+ * Responde de inmediato; el trabajo termina con error cuando el pipeline
+ * llega a su siguiente punto de control.
+ *
+ * @route DELETE /api/jobs/:jobId
+ * @returns {Object} - { jobId, status, cancelled }
+ */
+export function cancelProcessingJob(req, res) {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: 'Trabajo no encontrado'
+    });
+  }
+
+  if (isJobFinished(job)) {
+    return res.status(409).json({
+      error: 'El trabajo ya ha terminado',
+      status: job.status
+    });
+  }
+
+  cancelJob(job.id);
+
+  res.status(202).json({
+    jobId: job.id,
+    status: job.status,
+    cancelled: true
+  });
+}
+
+/**
+ * Busca un trabajo terminado correctamente (responde 404/409 si no lo está)
+ * @param {Object} req - Request con params.jobId
+ * @param {Object} res - Response
+ * @returns {Object|null} - Trabajo, o null si ya se respondió con el error
+ */
+function findCompletedJob(req, res) {
+  const job = getJob(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({
+      error: 'Trabajo no encontrado'
+    });
+    return null;
+  }
+
+  if (job.status !== JOB_STATUS.COMPLETED) {
+    res.status(409).json({
+      error: 'El trabajo aún no ha terminado correctamente',
+      status: job.status
+    });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * Devuelve el resultado IMRyD estructurado de un trabajo terminado
+ *
+ * @route GET /api/jobs/:jobId/imryd
+ * @returns {Object} - { jobId, imryd, validation }
+ */
+export function getJobStructuredResult(req, res) {
+  const job = findCompletedJob(req, res);
+  if (!job) return;
+
+  if (!job.result || !job.result.imryd) {
+    return res.status(404).json({
+      error: 'El resultado no incluye datos IMRyD estructurados (requiere USE_PROMPTS_V2=true)'
+    });
+  }
+
+  res.json({
+    jobId: job.id,
+    imryd: job.result.imryd,
+    validation: job.result.imrydValidation
+  });
+}
+
+/**
+ * Exportador del formato de citas pedido (?format=, bibtex por defecto)
+ * Responde 400 si el formato no existe.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Function|null} - Exportador de exportService, o null si ya respondió
+ */
+function findCitationExporter(req, res) {
+  const format = req.query.format || 'bibtex';
+  const exporter = CITATION_FORMATS[format];
+  if (!exporter) {
+    res.status(400).json({
+      error: `Formato de citas no válido: ${format}`,
+      formats: Object.keys(CITATION_FORMATS)
+    });
+    return null;
+  }
+  return exporter;
+}
+
+/**
+ * Envía un archivo de citas como descarga
+ * @param {Object} res - Response
+ * @param {Object} file - { content, filename, mimeType } de exportService
+ */
+function sendCitationFile(res, file) {
+  res.setHeader('Content-Type', `${file.mimeType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  res.send(file.content);
+}
+
+/**
+ * Texto de un campo enviado por el cliente (null si no es texto ni número)
+ * @param {*} value
+ * @returns {string|null}
+ */
+function textField(value) {
+  return typeof value === 'string' || typeof value === 'number' ? String(value) : null;
+}
+
+/**
+ * Campos de un resultado enviados por el cliente con la forma que espera
+ * exportService (solo lo que usan las citas)
+ * @param {Object} body - { title, metadata, imryd: { metadata }, references }
+ * @returns {Object} - Resultado mínimo para CITATION_FORMATS
+ */
+function toCitationSource(body) {
+  const { title, metadata, imryd, references } = body || {};
+  const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  return {
+    title: textField(title),
+    metadata: isObject(metadata) ? metadata : {},
+    imryd: isObject(imryd) && isObject(imryd.metadata) ? { metadata: imryd.metadata } : null,
+    references: (Array.isArray(references) ? references : [])
+      .filter(isObject)
+      .map(reference => ({
+        authors: (Array.isArray(reference.authors) ? reference.authors : []).map(textField).filter(Boolean),
+        title: textField(reference.title),
+        journal: textField(reference.journal),
+        year: Number.isInteger(reference.year) ? reference.year : null,
+        volume: textField(reference.volume),
+        issue: textField(reference.issue),
+        pages: textField(reference.pages),
+        doi: textField(reference.doi),
+        pmid: textField(reference.pmid)
+      }))
+  };
+}
+
+/**
+ * Descarga la cita del artículo y sus referencias para gestores
+ * bibliográficos (Zotero, Mendeley)
+ *
+ * @route GET /api/jobs/:jobId/citations?format=bibtex|ris|csl-json
+ * @returns {string} - Archivo BibTeX, RIS o CSL-JSON (bibtex por defecto)
+ */
+export function exportJobCitations(req, res) {
+  const exporter = findCitationExporter(req, res);
+  if (!exporter) return;
+
+  const job = findCompletedJob(req, res);
+  if (!job) return;
+
+  sendCitationFile(res, exporter(job.result));
+}
+
+/**
+ * Igual que exportJobCitations, pero con los datos del resultado en el
+ * cuerpo: no depende de que el trabajo siga en memoria (JOB_TTL_MS, reinicios)
+ *
+ * @route POST /api/citations?format=bibtex|ris|csl-json
+ * @param {Object} req.body - { title, metadata, imryd: { metadata }, references } del resultado
+ * @returns {string} - Archivo BibTeX, RIS o CSL-JSON (bibtex por defecto)
+ */
+export function exportResultCitations(req, res) {
+  const exporter = findCitationExporter(req, res);
+  if (!exporter) return;
+
+  sendCitationFile(res, exporter(toCitationSource(req.body)));
+}
+
+export default {
+  createProcessingJob,
+  cancelProcessingJob,
+  getJobStructuredResult,
+  exportJobCitations,
+  exportResultCitations,
+  streamJobEvents
+};
@@ -26,19 +26,62 @@ import {
 import multer from 'multer';
 import '../config/env.js';
 import pdfService from '../services/pdfService.js';
+import ocrService from '../services/ocrService.js';
 import aiService from '../services/aiService.js';
+import llmProvider from '../services/llmProvider.js';
 import structureService from '../services/structureService.js';
 import pdfValidator from '../utils/pdfValidator.js';
 import referenceDetector from '../utils/referenceDetector.js';
+import citationVerifier from '../utils/citationVerifier.js';
+import numericVerifier from '../utils/numericVerifier.js';
+import tableExtractor from '../utils/tableExtractor.js';
+import pdfEnhancer from '../utils/pdfEnhancer.js';
+import studyClassifier from '../utils/studyClassifier.js';
+import criticalAppraisal from '../utils/criticalAppraisal.js';
+import picoExtractor from '../utils/picoExtractor.js';
+import riskOfBias from '../utils/riskOfBias.js';
+import gradeAssessment from '../utils/gradeAssessment.js';
+import {
+  mapWithConcurrency
+} from '../utils/concurrency.js';
+import {
+  openEventStream
+} from '../utils/sse.js';
+import {
+  getCachedPDFText,
+  cachePDFText,
+  getCachedSummary,
+  cacheSummary,
+  buildSummaryCacheKey
+} from '../services/cacheService.js';
 
 const __dirname = path.dirname(fileURLToPath(
   import.meta.url));
 const UPLOAD_DIR = path.join(__dirname, '../uploads');
-const CLIENT_URL = process.env.CLIENT_URL || process.env.SITE_URL || 'http://localhost:5173';
 
 // Configuration
 const MAX_PAGES = parseInt(process.env.MAX_PAGES || '100', 10);
 const PARSING_TIMEOUT_MS = parseInt(process.env.PARSING_TIMEOUT_MS || '60000', 10);
+const AI_CONCURRENCY = Math.max(1, parseInt(process.env.AI_CONCURRENCY || '3', 10) || 1);
+// Unit of AI analysis: physical pages, or sections cut at detected headings
+const SEGMENTATION_MODES = ['page', 'section'];
+const DEFAULT_SEGMENTATION = process.env.SEGMENTATION_MODE || 'page';
+// Study type: 'auto' classifies the document, any other value forces a template
+const STUDY_TYPE_OPTIONS = ['auto', ...Object.keys(studyClassifier.STUDY_TYPES)];
+const STUDY_TYPE_LLM_CHECK = process.env.STUDY_TYPE_LLM_CHECK !== 'false';
+// Pages sent to the study-type check (title page and abstract)
+const STUDY_TYPE_EXCERPT_PAGES = 2;
+// Reporting checklist appraisal (CONSORT, STROBE, PRISMA) of the study
+const APPRAISAL_ENABLED = process.env.APPRAISAL_ENABLED !== 'false';
+// PICO(T/S) extraction with page evidence
+const PICO_ENABLED = process.env.PICO_ENABLED !== 'false';
+// Risk-of-bias assessment (RoB 2, ROBINS-I, Newcastle-Ottawa) of the design
+const RISK_OF_BIAS_ENABLED = process.env.RISK_OF_BIAS_ENABLED !== 'false';
+// GRADE summary of findings built from the structured IMRyD (no AI call)
+const GRADE_ENABLED = process.env.GRADE_ENABLED !== 'false';
+// Absolute file paths in log lines (two or more segments after a space,
+// quote or line start) so units such as "mg/kg" and ratios like "3/5" survive
+const ABSOLUTE_PATH_PATTERN = /(^|[\s"'(=])(?:\/[\w.-]+){2,}\/?/g;
 
 // Asegurar que existe el directorio de uploads
 if (!fs.existsSync(UPLOAD_DIR)) {
@@ -79,41 +122,511 @@ function calculateFileHash(filePath) {
 }
 
 /**
- * Procesa un PDF y genera resúmenes estructurados
- * Implementa Server-Sent Events (SSE) para feedback en tiempo real
+ * Datos del proveedor que analizó una página (reintentos y respaldo incluidos)
+ * @param {Object} pageResult - Resultado de aiService.analyzePage
+ * @returns {Object} - { provider, model, attempts, fallbackUsed }
+ */
+function buildPageLLMInfo(pageResult) {
+  return {
+    provider: pageResult.provider,
+    model: pageResult.model,
+    attempts: pageResult.attempts,
+    fallbackUsed: pageResult.fallbackUsed
+  };
+}
+
+/**
+ * Analiza una página con IA (o la omite si no tiene contenido sustantivo)
+ * Nunca lanza: los errores quedan registrados en la página (hasError).
  *
- * @route POST /api/process
- * @param {File} file - Archivo PDF subido
- * @returns {SSE Stream} - Logs de progreso y resultado final
+ * @param {Object} page - Página extraída { pageNumber, text }
+ * @param {Object} handlers - { sendLog, llmOptions }
+ * @returns {Promise<Object>} - Página analizada
  */
-export async function processPDF(req, res) {
-  // Configurar headers para SSE
-  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
-  res.setHeader('Cache-Control', 'no-cache, no-transform');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('Access-Control-Allow-Origin', CLIENT_URL);
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
-  if (res.flushHeaders) res.flushHeaders();
-  res.write(':\n\n');
-
-  let clientClosed = false;
-  req.on('close', () => {
-    clientClosed = true;
+async function analyzeSinglePage(page, { sendLog, llmOptions }) {
+  try {
+    const trimmed = (page.text && page.text.trim) ? page.text.trim() : '';
+
+    // Check for empty or placeholder pages
+    if (!trimmed || trimmed.startsWith('[Página')) {
+      const entry = {
+        pageNumber: page.pageNumber,
+        analysis: '[Página omitida: sin texto extraíble]',
+        text: '',
+        isEmptyPage: true
+      };
+      sendLog(`⚠ Página ${page.pageNumber} omitida (sin texto extraíble)`, 'orange');
+      return entry;
+    }
+
+    // LAYER 1: Intelligent Content Analysis with Tripartite Classification
+    // Detects: PURE_REFERENCES, MIXED_CONTENT, or SUBSTANTIVE_CONTENT
+    const contentAnalysis = referenceDetector.analyzePageContent(trimmed, page.pageNumber);
+
+    // Handle based on classification
+    switch (contentAnalysis.classification) {
+      case referenceDetector.PAGE_CLASSIFICATION.PURE_REFERENCES: {
+        // Pure references page - skip AI entirely to prevent hallucination
+        const referenceResponse = referenceDetector.generateReferencePageResponse(
+          page.pageNumber,
+          contentAnalysis
+        );
+
+        const entry = {
+          pageNumber: page.pageNumber,
+          analysis: referenceResponse,
+          text: page.text.substring(0, 500),
+          isReferencePage: true,
+          contentClassification: contentAnalysis.classification,
+          referenceDetection: {
+            confidence: contentAnalysis.confidence,
+            reasons: contentAnalysis.reasons,
+            stats: contentAnalysis.refStats
+          }
+        };
+
+        sendLog(
+          `📚 Página ${page.pageNumber} detectada como referencias puras (${Math.round(contentAnalysis.confidence * 100)}% confianza) - omitiendo IA`,
+          'yellow'
+        );
+        return entry;
+      }
+
+      case referenceDetector.PAGE_CLASSIFICATION.MIXED_CONTENT: {
+        // Mixed content: has important sections (Conclusion, Limitations, etc.) + References
+        // Extract and process ONLY the substantive content, ignoring references section
+
+        const extractedText = contentAnalysis.extractableText;
+        const sectionsFound = contentAnalysis.importantSections.map(s => s.name).join(', ');
+
+        sendLog(
+          `🔀 Página ${page.pageNumber} tiene contenido mixto (${sectionsFound}) - extrayendo contenido sustantivo`,
+          'cyan'
+        );
+
+        // Verify extracted content is worth processing
+        if (extractedText.length < 100) {
+          const entry = {
+            pageNumber: page.pageNumber,
+            analysis: `[Página omitida: contenido extraído insuficiente (${extractedText.length} caracteres)]`,
+            text: page.text.substring(0, 500),
+            isLowContent: true,
+            contentClassification: contentAnalysis.classification
+          };
+          sendLog(`⚠ Página ${page.pageNumber} omitida (contenido extraído muy corto)`, 'orange');
+          return entry;
+        }
+
+        // Sanitize and process only the extracted substantive content
+        const sanitizedText = pdfValidator.sanitizeTextForPrompt(extractedText + tableExtractor.formatTablesForPrompt(page.tables));
+        const pageResult = await aiService.analyzePage(sanitizedText, page.pageNumber, sendLog, llmOptions);
+
+        // Add note about mixed content processing
+        const mixedContentNote = referenceDetector.generateMixedContentResponse(
+          page.pageNumber,
+          contentAnalysis
+        );
+
+        const entry = {
+          pageNumber: page.pageNumber,
+          analysis: pageResult.analysis,
+          text: extractedText.substring(0, 500),
+          contentClassification: contentAnalysis.classification,
+          llm: buildPageLLMInfo(pageResult),
+          mixedContentInfo: {
+            sectionsFound: contentAnalysis.importantSections,
+            originalLength: page.text.length,
+            extractedLength: extractedText.length,
+            note: mixedContentNote
+          }
+        };
+
+        sendLog(
+          `✓ Página ${page.pageNumber} procesada: ${extractedText.length}/${page.text.length} caracteres (referencias excluidas)`,
+          'green'
+        );
+        return entry;
+      }
+
+      case referenceDetector.PAGE_CLASSIFICATION.SUBSTANTIVE_CONTENT:
+      default: {
+        // Normal substantive content - process fully
+
+        // LAYER 2: Additional check for substantive content quality
+        const contentCheck = referenceDetector.hasSubstantiveContent(trimmed);
+
+        if (!contentCheck.hasContent) {
+          const entry = {
+            pageNumber: page.pageNumber,
+            analysis: `[Página omitida: ${contentCheck.reason}]`,
+            text: page.text.substring(0, 500),
+            isLowContent: true,
+            contentClassification: contentAnalysis.classification
+          };
+          sendLog(`⚠ Página ${page.pageNumber} omitida (${contentCheck.reason})`, 'orange');
+          return entry;
+        }
+
+        // Page has substantive content - send to AI for analysis
+        // Sanitize text before sending to AI (basic prompt injection protection)
+        const sanitizedText = pdfValidator.sanitizeTextForPrompt(page.text + tableExtractor.formatTablesForPrompt(page.tables));
+        const pageResult = await aiService.analyzePage(sanitizedText, page.pageNumber, sendLog, llmOptions);
+
+        return {
+          pageNumber: page.pageNumber,
+          analysis: pageResult.analysis,
+          text: page.text.substring(0, 500),
+          contentClassification: contentAnalysis.classification,
+          llm: buildPageLLMInfo(pageResult)
+        };
+      }
+    }
+  } catch (error) {
+    sendLog(`⚠ Omitiendo página ${page.pageNumber} debido a error`, 'orange');
+    return {
+      pageNumber: page.pageNumber,
+      analysis: `[Error analizando página: ${error.message}]`,
+      text: (page.text && page.text.substring) ? page.text.substring(0, 500) : '',
+      hasError: true,
+      llm: {
+        attempts: error.llmAttempts || []
+      }
+    };
+  }
+
+}
+
+/**
+ * Número de páginas a analizar en paralelo
+ * AI_CONCURRENCY, limitado por lo que admite el proveedor (Ollama: 1)
+ * @param {Object} llmOptions - { provider }
+ * @returns {number}
+ */
+function getPageConcurrency(llmOptions) {
+  const provider = llmProvider.getProvider(llmOptions.provider);
+  return Math.max(1, Math.min(AI_CONCURRENCY, provider.maxConcurrency || AI_CONCURRENCY));
+}
+
+/**
+ * Analiza todas las páginas con un pool de concurrencia limitada
+ * Mantiene el orden de las páginas y emite progreso por páginas completadas.
+ *
+ * @param {Array} pages - Páginas extraídas { pageNumber, text }
+ * @param {Object} handlers - { sendLog, sendEvent, isCancelled, llmOptions }
+ * @returns {Promise<Array|null>} - Páginas analizadas, o null si se canceló
+ */
+async function analyzePages(pages, { sendLog, sendEvent, isCancelled, llmOptions }) {
+  const progressStep = pages.length > 0 ? 50 / pages.length : 0;
+  const concurrency = getPageConcurrency(llmOptions);
+  let completed = 0;
+
+  if (concurrency > 1) {
+    sendLog(`⚡ Analizando hasta ${concurrency} páginas en paralelo`, 'gray');
+  }
+
+  const analyzedPages = await mapWithConcurrency(pages, concurrency, async (page, i) => {
+    sendLog(`Procesando página ${i + 1}/${pages.length}`, 'cyan');
+
+    const entry = await analyzeSinglePage(page, {
+      sendLog,
+      llmOptions
+    });
+    if (page.ocr) {
+      entry.ocr = page.ocr;
+    }
+    if (page.layout) {
+      entry.layout = page.layout;
+    }
+    if (page.tables && page.tables.length > 0) {
+      entry.tables = page.tables;
+    }
+
+    completed++;
+    sendEvent({
+      type: 'progress',
+      percent: Math.round(completed * progressStep)
+    });
+
+    return entry;
+  }, {
+    isCancelled
   });
 
-  const safeWrite = (payload) => {
-    if (clientClosed || res.writableEnded) return;
-    res.write(payload);
-  };
+  return isCancelled() ? null : analyzedPages;
+}
 
-  const sendEvent = (data) => {
-    safeWrite(`data: ${JSON.stringify(data)}\n\n`);
+/**
+ * Analiza una sección completa con IA (segmentación por secciones)
+ * Las referencias y las secciones sin cuerpo (solo el encabezado antes de sus
+ * subsecciones) no se envían a la IA. Nunca lanza: los errores quedan
+ * registrados en la sección (hasError).
+ *
+ * @param {Object} section - Sección de pdfService.splitIntoSections
+ * @param {Object} handlers - { sendLog, llmOptions }
+ * @returns {Promise<Object>} - Sección analizada
+ */
+async function analyzeSingleSection(section, { sendLog, llmOptions }) {
+  const entry = {
+    sectionId: section.id,
+    title: section.title,
+    number: section.number,
+    level: section.level,
+    imrydKey: section.imrydKey,
+    startPage: section.startPage,
+    endPage: section.endPage,
+    // First page of the section, for consumers that group by page
+    pageNumber: section.startPage,
+    text: section.text.substring(0, 500)
   };
+  if (section.tables.length > 0) {
+    entry.tables = section.tables;
+  }
+
+  if (section.imrydKey === 'references') {
+    sendLog(`📚 Sección "${section.title}" es de referencias bibliográficas - omitiendo IA`, 'yellow');
+    return {
+      ...entry,
+      analysis: '[Sección de referencias bibliográficas - sin contenido para resumir]',
+      isReferencePage: true
+    };
+  }
+
+  if (section.lowContent) {
+    return {
+      ...entry,
+      analysis: '[Sección sin contenido propio suficiente para analizar]',
+      isLowContent: true
+    };
+  }
+
+  try {
+    const sanitizedText = pdfValidator.sanitizeTextForPrompt(section.text + tableExtractor.formatTablesForPrompt(section.tables));
+    const sectionResult = await aiService.analyzeSection(sanitizedText, section, sendLog, llmOptions);
+    return {
+      ...entry,
+      analysis: sectionResult.analysis,
+      llm: buildPageLLMInfo(sectionResult)
+    };
+  } catch (error) {
+    sendLog(`⚠ Omitiendo sección "${section.title}" debido a error`, 'orange');
+    return {
+      ...entry,
+      analysis: `[Error analizando sección: ${error.message}]`,
+      hasError: true,
+      llm: {
+        attempts: error.llmAttempts || []
+      }
+    };
+  }
+}
+
+/**
+ * Analiza todas las secciones con un pool de concurrencia limitada
+ * @param {Array} sections - Secciones de pdfService.splitIntoSections
+ * @param {Object} handlers - { sendLog, sendEvent, isCancelled, llmOptions }
+ * @returns {Promise<Array|null>} - Secciones analizadas, o null si se canceló
+ */
+async function analyzeSections(sections, { sendLog, sendEvent, isCancelled, llmOptions }) {
+  const progressStep = sections.length > 0 ? 50 / sections.length : 0;
+  const concurrency = getPageConcurrency(llmOptions);
+  let completed = 0;
+
+  if (concurrency > 1) {
+    sendLog(`⚡ Analizando hasta ${concurrency} secciones en paralelo`, 'gray');
+  }
+
+  const analyzedSections = await mapWithConcurrency(sections, concurrency, async (section) => {
+    const entry = await analyzeSingleSection(section, {
+      sendLog,
+      llmOptions
+    });
+
+    completed++;
+    sendEvent({
+      type: 'progress',
+      percent: Math.round(completed * progressStep)
+    });
+
+    return entry;
+  }, {
+    isCancelled
+  });
+
+  return isCancelled() ? null : analyzedSections;
+}
+
+/**
+ * Reproduce los análisis de página guardados en caché
+ * Emite los mismos eventos log/progress que un análisis real
+ *
+ * @param {Array} cachedPages - Páginas analizadas recuperadas de la caché
+ * @param {Object} handlers - { sendLog, sendEvent }
+ * @returns {Array} - Páginas analizadas
+ */
+function replayCachedPages(cachedPages, { sendLog, sendEvent }) {
+  const progressStep = cachedPages.length > 0 ? 50 / cachedPages.length : 0;
+
+  cachedPages.forEach((page, i) => {
+    sendLog(page.sectionId ?
+      `♻️ Sección "${page.title}" recuperada de caché` :
+      `♻️ Página ${page.pageNumber} recuperada de caché`, 'green');
+    sendEvent({
+      type: 'progress',
+      percent: Math.round(progressStep * (i + 1))
+    });
+  });
+
+  return cachedPages;
+}
+
+/**
+ * Extrae los elementos PICO(T/S) del estudio con su evidencia
+ * Si la IA falla, los elementos salen del JSON IMRyD (modo v2) sin página.
+ *
+ * @param {Array} pages - Páginas { pageNumber, text } (texto completo)
+ * @param {Object|null} imryd - Resumen IMRyD estructurado (modo v2)
+ * @param {Function} sendLog - Callback de logs
+ * @param {Object} llmOptions - { provider }
+ * @returns {Promise<Object>} - { pico, llmFailed }: PICO con su Markdown (null si
+ *   no se encontró ningún elemento) y si la IA no respondió
+ */
+async function extractStudyPICO(pages, imryd, sendLog, llmOptions) {
+  sendLog('🎯 Extrayendo PICO (población, intervención, comparador, desenlaces)...', 'cyan');
+  const llmPico = await aiService.extractPICO(pages, sendLog, llmOptions);
+  const llmFailed = !llmPico;
+  const pico = picoExtractor.buildPICO(llmPico, pages, imryd);
+
+  const { stats } = pico;
+  if (stats.found === 0) {
+    sendLog('⚠ No se encontró ningún elemento PICO', 'orange');
+    return { pico: null, llmFailed };
+  }
+  pico.markdown = picoExtractor.buildPICOMarkdown(pico);
+  sendLog(
+    `🎯 PICO: ${stats.found} de ${stats.total} elementos, ${stats.verified} con la cita verificada en su página`,
+    stats.verified === stats.withEvidence ? 'green' : 'orange'
+  );
+  return { pico, llmFailed };
+}
+
+/**
+ * Evalúa el reporte del estudio con la lista de verificación de su tipo
+ * La IA evalúa ítem por ítem; si falla, queda la búsqueda en el texto.
+ *
+ * @param {Object} studyType - Resultado de resolveStudyType
+ * @param {Array} pages - Páginas { pageNumber, text } (texto completo)
+ * @param {Function} sendLog - Callback de logs
+ * @param {Object} llmOptions - { provider }
+ * @returns {Promise<Object|null>} - Evaluación con su Markdown, o null sin lista aplicable
+ */
+async function appraiseStudy(studyType, pages, sendLog, llmOptions) {
+  const checklist = criticalAppraisal.getChecklistForStudyType(studyType.type);
+  if (!checklist) {
+    sendLog(`🧐 Evaluación crítica: no hay lista de verificación para ${studyType.label}`, 'gray');
+    return null;
+  }
+
+  sendLog(`🧐 Evaluando el reporte con ${checklist.name} (${checklist.items.length} ítems)...`, 'cyan');
+  const llmItems = await aiService.appraiseChecklist(checklist, pages, sendLog, llmOptions);
+  const appraisal = criticalAppraisal.buildAppraisal(checklist, llmItems, pages);
+  appraisal.markdown = criticalAppraisal.buildAppraisalMarkdown(appraisal);
+
+  const { stats } = appraisal;
+  sendLog(
+    `🧐 ${checklist.name}: ${stats.reported} de ${stats.total} ítems reportados, ${stats.notReported} no reportados, ${stats.unclear} inciertos`,
+    'green'
+  );
+  return appraisal;
+}
+
+/**
+ * Valora el riesgo de sesgo con la herramienta del diseño del estudio
+ *
+ * @param {Object} studyType - Resultado de resolveStudyType
+ * @param {Array} pages - Páginas { pageNumber, text } (texto completo)
+ * @param {Function} sendLog - Callback de logs
+ * @param {Object} llmOptions - { provider }
+ * @returns {Promise<Object>} - { assessment, llmFailed }: valoración con su
+ *   Markdown (null sin herramienta aplicable o si la IA no respondió) y si la
+ *   IA no respondió
+ */
+async function assessStudyRiskOfBias(studyType, pages, sendLog, llmOptions) {
+  const tool = riskOfBias.selectRiskOfBiasTool(studyType.type, pages);
+  if (!tool) {
+    sendLog(`⚖️ Riesgo de sesgo: no hay herramienta para ${studyType.label}`, 'gray');
+    return { assessment: null, llmFailed: false };
+  }
+
+  sendLog(`⚖️ Valorando el riesgo de sesgo con ${tool.name} (${tool.domains.length} dominios)...`, 'cyan');
+  const llmAssessment = await aiService.assessRiskOfBias(tool, pages, sendLog, llmOptions);
+  if (!llmAssessment) return { assessment: null, llmFailed: true };
+
+  const assessment = riskOfBias.buildRiskOfBias(tool, llmAssessment, pages);
+  assessment.markdown = riskOfBias.buildRiskOfBiasMarkdown(assessment);
+
+  const overall = riskOfBias.JUDGEMENTS[assessment.overall];
+  sendLog(
+    `⚖️ ${tool.name}: riesgo global ${overall.emoji} ${overall.label} (${assessment.stats.answered} de ${assessment.stats.questions} preguntas respondidas)`,
+    'green'
+  );
+  return { assessment, llmFailed: false };
+}
+
+/**
+ * Resumen de hallazgos con la certeza GRADE de cada desenlace primario
+ * Se calcula sin IA a partir del JSON IMRyD (modo v2) y del riesgo de sesgo.
+ *
+ * @param {Object|null} imryd - Resumen IMRyD estructurado
+ * @param {Object} studyType - Resultado de resolveStudyType
+ * @param {Object|null} assessment - Valoración del riesgo de sesgo
+ * @param {Function} sendLog - Callback de logs
+ * @returns {Object|null} - Resumen con su Markdown, o null sin IMRyD,
+ *   diseño graduable o hallazgos
+ */
+function summariseGrade(imryd, studyType, assessment, sendLog) {
+  if (!imryd) {
+    sendLog('📈 GRADE: requiere el resumen estructurado (USE_PROMPTS_V2)', 'gray');
+    return null;
+  }
 
+  const grade = gradeAssessment.buildGradeSummary(imryd, studyType, assessment);
+  if (!grade) {
+    sendLog(`📈 GRADE: sin hallazgos graduables para ${studyType.label}`, 'gray');
+    return null;
+  }
+  grade.markdown = gradeAssessment.buildGradeMarkdown(grade);
+
+  const certainties = grade.outcomes
+    .filter(row => row.certainty)
+    .map(row => `${row.outcome}: ${row.certaintyLabel.toLowerCase()}`);
+  sendLog(
+    `📈 GRADE: ${grade.stats.graded} de ${grade.stats.outcomes} desenlaces graduados${certainties.length > 0 ? ` (${certainties.join('; ')})` : ''}`,
+    grade.stats.graded === grade.stats.outcomes ? 'green' : 'orange'
+  );
+  return grade;
+}
+
+/**
+ * Ejecuta el pipeline completo sobre un PDF subido
+ * No depende del transporte: lo usan el stream SSE de /api/process y los
+ * trabajos en segundo plano de /api/jobs. Siempre elimina el archivo temporal.
+ *
+ * @param {Object} pdfFile - Archivo subido por multer ({ path, originalname })
+ * @param {Object} handlers - { sendEvent, isCancelled, provider, segmentation, studyType }
+ *   studyType: 'auto' (clasificar) o un tipo de estudio forzado
+ * @returns {Promise<void>}
+ */
+export async function runPipeline(pdfFile, {
+  sendEvent,
+  isCancelled = () => false,
+  provider,
+  segmentation = DEFAULT_SEGMENTATION,
+  studyType: requestedStudyType = 'auto'
+}) {
   // Sanitized logging - don't expose internal paths to client
   const sendLog = (text, color = 'white') => {
     // Sanitize: remove file paths from logs
-    const sanitizedText = text.replace(/\/[\w\/\-\.]+/g, '[path]');
+    const sanitizedText = text.replace(ABSOLUTE_PATH_PATTERN, '$1[path]');
     sendEvent({
       type: 'log',
       text: sanitizedText,
@@ -126,7 +639,7 @@ export async function processPDF(req, res) {
 
   try {
     // Verificar que se subió un archivo
-    if (!req.file) {
+    if (!pdfFile) {
       sendLog('✗ No se subió ningún archivo PDF', 'red');
       sendEvent({
         type: 'error',
@@ -135,7 +648,6 @@ export async function processPDF(req, res) {
       return;
     }
 
-    const pdfFile = req.file;
     pdfPath = pdfFile.path;
     const fileName = pdfFile.originalname;
 
@@ -159,7 +671,7 @@ export async function processPDF(req, res) {
       return;
     }
 
-    // Calculate file hash for potential caching
+    // Calculate file hash (cache key for extracted text and analyses)
     const fileHash = calculateFileHash(pdfPath);
     sendLog(`📋 Hash del documento: ${fileHash.substring(0, 12)}...`, 'gray');
 
@@ -170,29 +682,42 @@ export async function processPDF(req, res) {
     sendLog('PASO 1: Extracción de texto del PDF', 'yellow');
     sendLog('='.repeat(50), 'gray');
 
-    // Wrap extraction with timeout
-    let pdfData;
-    try {
-      pdfData = await pdfValidator.withTimeout(
-        pdfService.extractTextFromPDF(pdfPath, sendLog),
-        PARSING_TIMEOUT_MS,
-        'PDF extraction'
-      );
-    } catch (error) {
-      if (error.message.includes('timed out')) {
-        sendLog(`✗ Extracción del PDF agotó el tiempo después de ${PARSING_TIMEOUT_MS / 1000}s`, 'red');
-        sendEvent({
-          type: 'error',
-          message: 'Tiempo de procesamiento del PDF agotado. El archivo puede ser muy complejo o estar corrupto.'
-        });
-      } else {
-        sendLog(`✗ Extracción del PDF falló: ${error.message}`, 'red');
-        sendEvent({
-          type: 'error',
-          message: `Error al extraer texto: ${error.message}`
-        });
+    // Reuse extracted text when the same document was uploaded recently
+    let pdfData = getCachedPDFText(fileHash);
+    if (pdfData) {
+      sendLog(`♻️ Texto recuperado de caché (${pdfData.numpages} páginas)`, 'green');
+    } else {
+      // Wrap extraction with timeout
+      try {
+        pdfData = await pdfValidator.withTimeout(
+          pdfService.extractTextFromPDF(pdfPath, sendLog),
+          PARSING_TIMEOUT_MS,
+          'PDF extraction'
+        );
+      } catch (error) {
+        if (error.message.includes('timed out')) {
+          sendLog(`✗ Extracción del PDF agotó el tiempo después de ${PARSING_TIMEOUT_MS / 1000}s`, 'red');
+          sendEvent({
+            type: 'error',
+            message: 'Tiempo de procesamiento del PDF agotado. El archivo puede ser muy complejo o estar corrupto.'
+          });
+        } else {
+          sendLog(`✗ Extracción del PDF falló: ${error.message}`, 'red');
+          sendEvent({
+            type: 'error',
+            message: `Error al extraer texto: ${error.message}`
+          });
+        }
+        return;
       }
-      return;
+
+      cachePDFText(fileHash, {
+        numpages: pdfData.numpages,
+        text: pdfData.text,
+        metadata: pdfData.metadata,
+        pages: pdfData.pages,
+        outline: pdfData.outline
+      });
     }
 
     // ========================================
@@ -202,7 +727,7 @@ export async function processPDF(req, res) {
     sendLog('PASO 2: Segmentación de páginas', 'yellow');
     sendLog('='.repeat(50), 'gray');
 
-    const pages = (pdfData.pages && pdfData.pages.length > 0) ?
+    let pages = (pdfData.pages && pdfData.pages.length > 0) ?
       pdfData.pages :
       pdfService.splitIntoPages(pdfData.text, pdfData.numpages);
 
@@ -228,6 +753,55 @@ export async function processPDF(req, res) {
       return;
     }
 
+    // OCR for scanned pages (no text layer or too little text)
+    const ocr = await ocrService.applyOCR(pdfPath, pages, {
+      onLog: sendLog
+    });
+    if (ocr.ocrPages.length > 0 || ocr.checkedPages.length > 0) {
+      pages = ocr.pages;
+      if (ocr.ocrPages.length > 0) {
+        sendLog(`✓ OCR aplicado en páginas: ${ocr.ocrPages.map(page => page.pageNumber).join(', ')}`, 'green');
+      }
+
+      // Keep the recognized text (and which pages OCR could not improve)
+      // for later uploads of the same document
+      cachePDFText(fileHash, {
+        numpages: pdfData.numpages,
+        text: pages.map(page => page.text).join('\n\n'),
+        metadata: pdfData.metadata,
+        pages,
+        outline: pdfData.outline
+      });
+    }
+    const ocrPages = pages
+      .filter(page => page.ocr)
+      .map(page => ({
+        pageNumber: page.pageNumber,
+        confidence: page.ocr.confidence
+      }));
+    if (ocrPages.length > 0 && ocr.ocrPages.length === 0) {
+      sendLog(`♻️ Texto OCR recuperado de caché (páginas ${ocrPages.map(page => page.pageNumber).join(', ')})`, 'green');
+    }
+
+    // Running heads/footers repeated across pages (journal name, authors,
+    // "Downloaded from…"): removed before analysis to save tokens
+    const stripping = pdfEnhancer.removeRepeatedLines(pages);
+    const headerFooter = {
+      repeatedLines: stripping.repeatedLines,
+      removedLines: stripping.removedLines,
+      charsSaved: stripping.charsSaved,
+      tokensSaved: pages.reduce((saved, page, index) => (
+        saved + aiService.estimateTokens(page.text) - aiService.estimateTokens(stripping.pages[index].text)
+      ), 0)
+    };
+    if (stripping.removedLines > 0) {
+      pages = stripping.pages;
+      sendLog(
+        `✂️ Encabezados y pies de página repetidos: ${stripping.removedLines} líneas eliminadas (${stripping.repeatedLines.length} patrones, ${stripping.charsSaved} caracteres, ~${headerFooter.tokensSaved} tokens ahorrados)`,
+        'green'
+      );
+    }
+
     // ========================================
     // PASO 3: Detección de estructura
     // ========================================
@@ -235,180 +809,89 @@ export async function processPDF(req, res) {
     sendLog('PASO 3: Detección de estructura (IMRyD)', 'yellow');
     sendLog('='.repeat(50), 'gray');
 
-    const structure = pdfService.detectStructure(pages, sendLog);
+    const structure = pdfService.detectStructure(pages, sendLog, {
+      outline: pdfData.outline
+    });
+
+    // Study type from text signals; the AI check comes before the summary
+    const title = (pdfData.metadata && pdfData.metadata.Title) ? pdfData.metadata.Title : fileName.replace('.pdf', '');
+    const studyHeuristic = studyClassifier.classifyStudyType(pages, structure, { title });
+    sendLog(
+      `🧪 Tipo de estudio (heurística): ${studyHeuristic.label} (${Math.round(studyHeuristic.confidence * 100)}%${studyHeuristic.signals.length > 0 ? `; señales: ${studyHeuristic.signals.join(', ')}` : ''})`,
+      'cyan'
+    );
+
+    // Figure/table index (captions + reconstructed tables)
+    const tables = pages.flatMap(page => page.tables || []);
+    const figureIndex = pdfEnhancer.buildFigureIndex(pages, tables);
+    if (figureIndex.length > 0) {
+      const figureCount = figureIndex.filter(entry => entry.type === 'figure').length;
+      sendLog(`🖼️ Índice: ${figureCount} figura(s) y ${figureIndex.length - figureCount} tabla(s)`, 'green');
+    }
+
+    // Bibliography: reference pages skip the AI but their citations are kept
+    const references = referenceDetector.parseBibliography(pages);
+    if (references.length > 0) {
+      const withDOI = references.filter(reference => reference.doi).length;
+      const withPMID = references.filter(reference => reference.pmid).length;
+      sendLog(`📚 Bibliografía: ${references.length} referencias (${withDOI} con DOI, ${withPMID} con PMID)`, 'green');
+    }
+
+    // Section mode: the text is cut at headings instead of page breaks
+    const bySection = segmentation === 'section';
+    const sections = bySection ? pdfService.splitIntoSections(pages) : null;
+    if (bySection) {
+      sendLog(`📑 Segmentación por secciones: ${sections.length} secciones`, 'green');
+    }
 
     // ========================================
     // PASO 4: Análisis de páginas con IA
     // ========================================
     sendLog('='.repeat(50), 'gray');
-    sendLog('PASO 4: Análisis de páginas con IA', 'yellow');
+    sendLog(bySection ? 'PASO 4: Análisis de secciones con IA' : 'PASO 4: Análisis de páginas con IA', 'yellow');
     sendLog('='.repeat(50), 'gray');
 
-    const analyzedPages = [];
-    let progress = 0;
-    const progressStep = pages.length > 0 ? 50 / pages.length : 0;
-
-    for (let i = 0; i < pages.length; i++) {
-      if (clientClosed) {
-        return;
-      }
-
-      const page = pages[i];
-      sendLog(`Procesando página ${i + 1}/${pages.length}`, 'cyan');
-
-      try {
-        const trimmed = (page.text && page.text.trim) ? page.text.trim() : '';
-
-        // Check for empty or placeholder pages
-        if (!trimmed || trimmed.startsWith('[Página')) {
-          analyzedPages.push({
-            pageNumber: page.pageNumber,
-            analysis: '[Página omitida: sin texto extraíble]',
-            text: '',
-            isEmptyPage: true
-          });
-          sendLog(`⚠ Página ${page.pageNumber} omitida (sin texto extraíble)`, 'orange');
-          continue;
-        }
-
-        // LAYER 1: Intelligent Content Analysis with Tripartite Classification
-        // Detects: PURE_REFERENCES, MIXED_CONTENT, or SUBSTANTIVE_CONTENT
-        const contentAnalysis = referenceDetector.analyzePageContent(trimmed, page.pageNumber);
-
-        // Handle based on classification
-        switch (contentAnalysis.classification) {
-          case referenceDetector.PAGE_CLASSIFICATION.PURE_REFERENCES: {
-            // Pure references page - skip AI entirely to prevent hallucination
-            const referenceResponse = referenceDetector.generateReferencePageResponse(
-              page.pageNumber,
-              contentAnalysis
-            );
-
-            analyzedPages.push({
-              pageNumber: page.pageNumber,
-              analysis: referenceResponse,
-              text: page.text.substring(0, 500),
-              isReferencePage: true,
-              contentClassification: contentAnalysis.classification,
-              referenceDetection: {
-                confidence: contentAnalysis.confidence,
-                reasons: contentAnalysis.reasons,
-                stats: contentAnalysis.refStats
-              }
-            });
-
-            sendLog(
-              `📚 Página ${page.pageNumber} detectada como referencias puras (${Math.round(contentAnalysis.confidence * 100)}% confianza) - omitiendo IA`,
-              'yellow'
-            );
-            continue;
-          }
-
-          case referenceDetector.PAGE_CLASSIFICATION.MIXED_CONTENT: {
-            // Mixed content: has important sections (Conclusion, Limitations, etc.) + References
-            // Extract and process ONLY the substantive content, ignoring references section
-
-            const extractedText = contentAnalysis.extractableText;
-            const sectionsFound = contentAnalysis.importantSections.map(s => s.name).join(', ');
-
-            sendLog(
-              `🔀 Página ${page.pageNumber} tiene contenido mixto (${sectionsFound}) - extrayendo contenido sustantivo`,
-              'cyan'
-            );
-
-            // Verify extracted content is worth processing
-            if (extractedText.length < 100) {
-              analyzedPages.push({
-                pageNumber: page.pageNumber,
-                analysis: `[Página omitida: contenido extraído insuficiente (${extractedText.length} caracteres)]`,
-                text: page.text.substring(0, 500),
-                isLowContent: true,
-                contentClassification: contentAnalysis.classification
-              });
-              sendLog(`⚠ Página ${page.pageNumber} omitida (contenido extraído muy corto)`, 'orange');
-              continue;
-            }
-
-            // Sanitize and process only the extracted substantive content
-            const sanitizedText = pdfValidator.sanitizeTextForPrompt(extractedText);
-            const analysis = await aiService.analyzePage(sanitizedText, page.pageNumber, sendLog);
-
-            // Add note about mixed content processing
-            const mixedContentNote = referenceDetector.generateMixedContentResponse(
-              page.pageNumber,
-              contentAnalysis
-            );
-
-            analyzedPages.push({
-              pageNumber: page.pageNumber,
-              analysis: analysis,
-              text: extractedText.substring(0, 500),
-              contentClassification: contentAnalysis.classification,
-              mixedContentInfo: {
-                sectionsFound: contentAnalysis.importantSections,
-                originalLength: page.text.length,
-                extractedLength: extractedText.length,
-                note: mixedContentNote
-              }
-            });
-
-            sendLog(
-              `✓ Página ${page.pageNumber} procesada: ${extractedText.length}/${page.text.length} caracteres (referencias excluidas)`,
-              'green'
-            );
-            continue;
-          }
-
-          case referenceDetector.PAGE_CLASSIFICATION.SUBSTANTIVE_CONTENT:
-          default: {
-            // Normal substantive content - process fully
-
-            // LAYER 2: Additional check for substantive content quality
-            const contentCheck = referenceDetector.hasSubstantiveContent(trimmed);
-
-            if (!contentCheck.hasContent) {
-              analyzedPages.push({
-                pageNumber: page.pageNumber,
-                analysis: `[Página omitida: ${contentCheck.reason}]`,
-                text: page.text.substring(0, 500),
-                isLowContent: true,
-                contentClassification: contentAnalysis.classification
-              });
-              sendLog(`⚠ Página ${page.pageNumber} omitida (${contentCheck.reason})`, 'orange');
-              continue;
-            }
-
-            // Page has substantive content - send to AI for analysis
-            // Sanitize text before sending to AI (basic prompt injection protection)
-            const sanitizedText = pdfValidator.sanitizeTextForPrompt(page.text);
-            const analysis = await aiService.analyzePage(sanitizedText, page.pageNumber, sendLog);
-
-            analyzedPages.push({
-              pageNumber: page.pageNumber,
-              analysis,
-              text: page.text.substring(0, 500),
-              contentClassification: contentAnalysis.classification
-            });
-          }
-        }
-
-      } catch (error) {
-        sendLog(`⚠ Omitiendo página ${page.pageNumber} debido a error`, 'orange');
-        analyzedPages.push({
-          pageNumber: page.pageNumber,
-          analysis: `[Error analizando página: ${error.message}]`,
-          text: (page.text && page.text.substring) ? page.text.substring(0, 500) : ''
-        });
-      }
-
-      progress += progressStep;
-      sendEvent({
-        type: 'progress',
-        percent: Math.round(progress)
+    const llmOptions = {
+      provider
+    };
+    const modelConfig = aiService.getModelConfig(provider);
+    sendLog(`🤖 Proveedor de IA: ${modelConfig.provider} (${modelConfig.model})`, 'gray');
+
+    const summaryCacheKey = buildSummaryCacheKey(fileHash, {
+      ...modelConfig,
+      segmentation,
+      studyType: requestedStudyType,
+      studyTypeCheck: STUDY_TYPE_LLM_CHECK,
+      appraisal: APPRAISAL_ENABLED,
+      pico: PICO_ENABLED,
+      riskOfBias: RISK_OF_BIAS_ENABLED
+    });
+    const cachedAnalysis = getCachedSummary(summaryCacheKey);
+
+    let analyzedPages;
+    if (cachedAnalysis) {
+      sendLog('♻️ Análisis encontrado en caché para este documento y modelo - omitiendo IA', 'green');
+      analyzedPages = replayCachedPages(cachedAnalysis.pages, {
+        sendLog,
+        sendEvent
+      });
+    } else if (bySection) {
+      analyzedPages = await analyzeSections(sections, {
+        sendLog,
+        sendEvent,
+        isCancelled,
+        llmOptions
+      });
+    } else {
+      analyzedPages = await analyzePages(pages, {
+        sendLog,
+        sendEvent,
+        isCancelled,
+        llmOptions
       });
     }
 
-    if (clientClosed) {
+    if (!analyzedPages || isCancelled()) {
       return;
     }
 
@@ -419,9 +902,136 @@ export async function processPDF(req, res) {
     sendLog('PASO 5: Generar resumen IMRyD', 'yellow');
     sendLog('='.repeat(50), 'gray');
 
-    const title = (pdfData.metadata && pdfData.metadata.Title) ? pdfData.metadata.Title : fileName.replace('.pdf', '');
-    const groupedAnalysis = structureService.groupAnalysisByStructure(analyzedPages, structure);
-    const summaryMarkdown = await aiService.generateSummary(title, analyzedPages, sendLog);
+    // Section mode builds its own tree (sections already carry their page span)
+    const groupedAnalysis = bySection ? null : structureService.groupAnalysisByStructure(analyzedPages, structure);
+    let summaryMarkdown;
+    let imryd = null;
+    let imrydValidation = null;
+    let studyType;
+    let appraisal = null;
+    let pico = null;
+    let riskOfBiasAssessment = null;
+    if (cachedAnalysis) {
+      summaryMarkdown = cachedAnalysis.summary;
+      imryd = cachedAnalysis.imryd || null;
+      imrydValidation = cachedAnalysis.imrydValidation || null;
+      studyType = cachedAnalysis.studyType ||
+        studyClassifier.resolveStudyType(studyHeuristic, null, requestedStudyType);
+      appraisal = cachedAnalysis.appraisal || null;
+      pico = cachedAnalysis.pico || null;
+      riskOfBiasAssessment = cachedAnalysis.riskOfBias || null;
+      sendLog('♻️ Resumen recuperado de caché', 'green');
+    } else {
+      const studyCheck = requestedStudyType === 'auto' && STUDY_TYPE_LLM_CHECK ?
+        await aiService.checkStudyType(
+          title,
+          pages.slice(0, STUDY_TYPE_EXCERPT_PAGES).map(page => page.text).join('\n\n'),
+          sendLog,
+          llmOptions
+        ) :
+        null;
+      studyType = studyClassifier.resolveStudyType(studyHeuristic, studyCheck, requestedStudyType);
+      sendLog(`🧪 Tipo de estudio: ${studyClassifier.describeStudyType(studyType)}`, 'green');
+      if (isCancelled()) {
+        return;
+      }
+
+      const generated = await aiService.generateSummary(title, analyzedPages, sendLog, {
+        ...llmOptions,
+        structure,
+        studyType: studyType.type
+      });
+      summaryMarkdown = generated.summary;
+      imryd = generated.imryd;
+      imrydValidation = generated.validation;
+
+      if (isCancelled()) {
+        return;
+      }
+      let picoFailed = false;
+      if (PICO_ENABLED) {
+        ({ pico, llmFailed: picoFailed } = await extractStudyPICO(pages, imryd, sendLog, llmOptions));
+      }
+      if (isCancelled()) {
+        return;
+      }
+      if (APPRAISAL_ENABLED) {
+        appraisal = await appraiseStudy(studyType, pages, sendLog, llmOptions);
+      }
+      if (isCancelled()) {
+        return;
+      }
+      let riskOfBiasFailed = false;
+      if (RISK_OF_BIAS_ENABLED) {
+        ({ assessment: riskOfBiasAssessment, llmFailed: riskOfBiasFailed } =
+          await assessStudyRiskOfBias(studyType, pages, sendLog, llmOptions));
+      }
+
+      // Degraded results (failed pages, pages analyzed by a fallback
+      // provider, or a PICO, appraisal or risk of bias the AI never answered)
+      // are not cached under the requested provider's key
+      const degraded = analyzedPages.some(page => page.hasError || (page.llm && page.llm.fallbackUsed)) ||
+        picoFailed ||
+        Boolean(appraisal && appraisal.stats.evaluatedByLLM === 0) ||
+        riskOfBiasFailed;
+      if (!degraded) {
+        cacheSummary(summaryCacheKey, {
+          pages: analyzedPages,
+          summary: summaryMarkdown,
+          imryd,
+          imrydValidation,
+          studyType,
+          appraisal,
+          pico,
+          riskOfBias: riskOfBiasAssessment
+        });
+      }
+    }
+
+    const grade = GRADE_ENABLED ? summariseGrade(imryd, studyType, riskOfBiasAssessment, sendLog) : null;
+
+    // Verify that cited values occur in the pages each claim references
+    const citations = citationVerifier.verifySummaryCitations(summaryMarkdown, pages, { imryd });
+    if (citations.stats.total === 0) {
+      sendLog('⚠ El resumen no contiene referencias de página (p. X)', 'orange');
+    } else {
+      sendLog(
+        `🔗 Referencias verificadas: ${citations.stats.verified}/${citations.stats.total} afirmaciones respaldadas por sus páginas`,
+        citations.stats.unverified === 0 ? 'green' : 'orange'
+      );
+      citations.claims
+        .filter(claim => !claim.verified)
+        .forEach(claim => {
+          const problems = [
+            ...claim.missingValues.map(value => `"${value}" no aparece`),
+            ...claim.invalidPages.map(page => `la página ${page} no existe`)
+          ];
+          sendLog(`  ⚠ (p. ${claim.pages.join(', ')}): ${problems.join('; ')}`, 'orange');
+        });
+    }
+    if (citations.unreferenced.length > 0) {
+      sendLog(`⚠ ${citations.unreferenced.length} puntos clave o limitaciones sin referencia de página (p. X)`, 'orange');
+      citations.unreferenced.forEach(item => {
+        sendLog(`  ⚠ ${item.label} ${item.index}: ${item.text.slice(0, 80)}`, 'orange');
+      });
+    }
+
+    // Check every number of the summary against the full page texts
+    // (analyzedPages only keep the first 500 characters of each page)
+    const numericVerification = numericVerifier.verifyNumbers(summaryMarkdown, pages, { imryd });
+    if (numericVerification.stats.total === 0) {
+      sendLog('🔢 El resumen no contiene cifras que verificar', 'gray');
+    } else if (numericVerification.stats.unverified === 0) {
+      sendLog(`🔢 Cifras verificadas: las ${numericVerification.stats.total} cifras del resumen aparecen en el documento`, 'green');
+    } else {
+      sendLog(
+        `⚠ ${numericVerification.stats.unverified} de ${numericVerification.stats.total} cifras del resumen no aparecen en el documento`,
+        'orange'
+      );
+      numericVerification.unverified.forEach(number => {
+        sendLog(`  ⚠ ${numericVerifier.describeUnverifiedNumber(number)}`, 'orange');
+      });
+    }
 
     sendEvent({
       type: 'progress',
@@ -456,12 +1066,44 @@ export async function processPDF(req, res) {
       fileName,
       totalPages: pages.length,
       structure,
+      // 'page' or 'section'; in section mode `pages` holds the analysed sections
+      segmentation,
+      // Study type that selected the summary template, with how it was decided
+      studyType,
+      // Reporting checklist appraisal (null when the study type has no checklist)
+      appraisal,
+      // PICO(T/S) elements with page evidence (null when none was found)
+      pico,
+      // Risk-of-bias assessment with its traffic-light table (null without a tool)
+      riskOfBias: riskOfBiasAssessment,
+      // GRADE summary of findings per primary outcome (null without IMRyD or findings)
+      grade,
       pages: analyzedPages,
-      summary: summaryMarkdown + disclaimerSection,
+      summary: summaryMarkdown + numericVerifier.buildNumericWarningsSection(numericVerification) + disclaimerSection,
       groupedContent: groupedAnalysis,
       metadata: pdfData.metadata,
       processedAt: new Date().toISOString(),
       documentHash: fileHash.substring(0, 16),
+      fromCache: Boolean(cachedAnalysis),
+      // Structured IMRyD object (USE_PROMPTS_V2) and its validation errors
+      imryd,
+      imrydValidation,
+      // Pages whose text comes from OCR, with the engine's mean confidence (0-1)
+      ocrPages,
+      // Captioned tables rebuilt into rows/columns (Markdown in table.markdown)
+      tables,
+      // Figure/table index: [{ id, type, number, caption, pageNumber, tableId }]
+      figureIndex,
+      // Parsed bibliography: [{ number, authors, title, journal, year, volume, issue, pages, doi, pmid, pageNumber }]
+      references,
+      // Repeated running heads/footers removed before analysis
+      headerFooter,
+      citations,
+      numericVerification,
+      llm: {
+        provider: modelConfig.provider,
+        model: modelConfig.model
+      },
       disclaimer: 'Este resumen es informativo y no constituye consejo médico. Consulte siempre con un profesional de la salud.'
     };
 
@@ -497,12 +1139,122 @@ export async function processPDF(req, res) {
         }
       });
     }
+  }
+}
+
+/**
+ * Resuelve el proveedor de IA pedido en el formulario (campo `provider`)
+ * Si no es válido responde 400 y elimina el archivo subido.
+ *
+ * @param {Object} req - Request (tras multer)
+ * @param {Object} res - Response
+ * @returns {string|null} - Nombre del proveedor, o null si ya se respondió
+ */
+export function resolveRequestProvider(req, res) {
+  try {
+    return llmProvider.resolveProviderName(req.body && req.body.provider);
+  } catch (error) {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+    res.status(400).json({
+      error: error.message,
+      providers: llmProvider.listProviders()
+    });
+    return null;
+  }
+}
+
+/**
+ * Resuelve la segmentación pedida en el formulario (campo `segmentation`)
+ * Sin campo se usa SEGMENTATION_MODE. Si no es válida responde 400 y elimina
+ * el archivo subido.
+ *
+ * @param {Object} req - Request (tras multer)
+ * @param {Object} res - Response
+ * @returns {string|null} - 'page' o 'section', o null si ya se respondió
+ */
+export function resolveRequestSegmentation(req, res) {
+  const requested = (req.body && req.body.segmentation) || DEFAULT_SEGMENTATION;
+  if (SEGMENTATION_MODES.includes(requested)) {
+    return requested;
+  }
+
+  if (req.file) {
+    fs.unlink(req.file.path, () => {});
+  }
+  res.status(400).json({
+    error: `Segmentación desconocida: ${requested}`,
+    segmentations: SEGMENTATION_MODES
+  });
+  return null;
+}
+
+/**
+ * Resuelve el tipo de estudio pedido en el formulario (campo `studyType`)
+ * Sin campo (o 'auto') el documento se clasifica. Si no es válido responde
+ * 400 y elimina el archivo subido.
+ *
+ * @param {Object} req - Request (tras multer)
+ * @param {Object} res - Response
+ * @returns {string|null} - 'auto' o un tipo de estudio, o null si ya se respondió
+ */
+export function resolveRequestStudyType(req, res) {
+  const requested = (req.body && req.body.studyType) || 'auto';
+  if (STUDY_TYPE_OPTIONS.includes(requested)) {
+    return requested;
+  }
+
+  if (req.file) {
+    fs.unlink(req.file.path, () => {});
+  }
+  res.status(400).json({
+    error: `Tipo de estudio desconocido: ${requested}`,
+    studyTypes: STUDY_TYPE_OPTIONS
+  });
+  return null;
+}
+
+/**
+ * Procesa un PDF y genera resúmenes estructurados
+ * Implementa Server-Sent Events (SSE) para feedback en tiempo real.
+ * Si el cliente se desconecta, el procesamiento se cancela
+ * (usar /api/jobs para procesamiento que sobrevive a desconexiones).
+ *
+ * @route POST /api/process
+ * @param {File} file - Archivo PDF subido
+ * @param {string} [segmentation] - 'page' (por defecto) o 'section'
+ * @param {string} [studyType] - 'auto' (por defecto) o un tipo de estudio forzado
+ * @returns {SSE Stream} - Logs de progreso y resultado final
+ */
+export async function processPDF(req, res) {
+  const provider = resolveRequestProvider(req, res);
+  if (!provider) return;
+  const segmentation = resolveRequestSegmentation(req, res);
+  if (!segmentation) return;
+  const studyType = resolveRequestStudyType(req, res);
+  if (!studyType) return;
 
-    if (!res.writableEnded) res.end();
+  const stream = openEventStream(req, res);
+
+  try {
+    await runPipeline(req.file, {
+      sendEvent: (data) => stream.send(data),
+      isCancelled: stream.isClosed,
+      provider,
+      segmentation,
+      studyType
+    });
+  } finally {
+    stream.end();
   }
 }
 
 export default {
   processPDF,
+  runPipeline,
+  resolveRequestProvider,
+  resolveRequestSegmentation,
+  resolveRequestStudyType,
   upload
 };
\ No newline at end of file
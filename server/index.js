@@ -18,10 +18,12 @@ import express from 'express';
 import cors from 'cors';
 import './config/env.js';
 import pdfController from './controllers/pdfController.js';
+import jobController from './controllers/jobController.js';
 import {
   apiLimiter,
   uploadLimiter
 } from './middleware/rateLimiter.js';
+import llmProvider from './services/llmProvider.js';
 import {
   getCacheStats,
   clearAllCaches
@@ -29,6 +31,12 @@ import {
 import {
   requestLogger
 } from './utils/logger.js';
+import {
+  getIMRyDSchema
+} from './utils/prompts.js';
+import {
+  STUDY_TYPES
+} from './utils/studyClassifier.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -63,8 +71,8 @@ app.use((req, res, next) => {
 app.use(cors({
   origin: CLIENT_URL,
   credentials: true,
-  methods: ['GET', 'POST'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID']
 }));
 
 // Body parsing
@@ -97,34 +105,53 @@ app.post('/api/process',
   pdfController.processPDF
 );
 
+// Background processing: returns a job id immediately
+app.post('/api/jobs',
+  uploadLimiter,
+  pdfController.upload.single('pdf'),
+  jobController.createProcessingJob
+);
+
+// Resumable event stream for a job (replays from the start or Last-Event-ID)
+app.get('/api/jobs/:jobId/events', jobController.streamJobEvents);
+
+// Validated IMRyD object of a finished job (USE_PROMPTS_V2)
+app.get('/api/jobs/:jobId/imryd', jobController.getJobStructuredResult);
+
+// Citation of the article and its references (BibTeX, RIS or CSL-JSON)
+app.get('/api/jobs/:jobId/citations', jobController.exportJobCitations);
+
+// Same citation files built from a result sent by the client (no job needed)
+app.post('/api/citations', jobController.exportResultCitations);
+
+// Cancel a running job (the pipeline stops at its next checkpoint)
+app.delete('/api/jobs/:jobId', jobController.cancelProcessingJob);
+
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
-  // Check Ollama if configured
-  let ollamaStatus = 'not_configured';
-  if (process.env.USE_OLLAMA === 'true') {
-    try {
-      const {
-        isOllamaAvailable
-      } = await import('./services/ollamaService.js');
-      ollamaStatus = (await isOllamaAvailable()) ? 'available' : 'unavailable';
-    } catch {
-      ollamaStatus = 'error';
-    }
-  }
+  const providers = await llmProvider.getProvidersHealth();
+  // Same resolution as the pipeline (LLM_PROVIDER, then legacy USE_OLLAMA)
+  const provider = llmProvider.getProvider();
 
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
-    services: {
-      chutes: process.env.CHUTES_API_KEY ? 'configured' : 'not_configured',
-      ollama: ollamaStatus
-    }
+    llm: {
+      provider: provider.name,
+      label: provider.label,
+      ...providers[provider.name]
+    },
+    services: Object.fromEntries(
+      Object.entries(providers).map(([name, health]) => [name, health.status])
+    )
   });
 });
 
 // API info endpoint
 app.get('/api/info', (req, res) => {
+  const provider = llmProvider.getProvider();
+
   res.json({
     name: 'Medical Article Summarizer',
     version: '1.0.0',
@@ -140,11 +167,32 @@ app.get('/api/info', (req, res) => {
       antiHallucinationPrompts: process.env.USE_PROMPTS_V2 === 'true',
       caching: true,
       exportFormats: ['markdown', 'json', 'html'],
-      localLLM: process.env.USE_OLLAMA === 'true'
+      localLLM: provider.name === 'ollama',
+      segmentation: process.env.SEGMENTATION_MODE || 'page',
+      studyTypes: Object.keys(STUDY_TYPES)
+    },
+    llm: {
+      provider: provider.name,
+      label: provider.label,
+      model: provider.model,
+      availableProviders: llmProvider.listProviders()
     }
   });
 });
 
+// JSON Schema of the structured IMRyD result (for validating exports);
+// ?studyType=rct|guideline|... adds the fields of that study type template
+app.get('/api/schema/imryd', (req, res) => {
+  const studyType = req.query.studyType;
+  if (studyType && !STUDY_TYPES[studyType]) {
+    return res.status(400).json({
+      error: `Tipo de estudio desconocido: ${studyType}`,
+      studyTypes: Object.keys(STUDY_TYPES)
+    });
+  }
+  res.type('application/schema+json').send(JSON.stringify(getIMRyDSchema(studyType), null, 2));
+});
+
 // Cache stats endpoint (development only)
 if (!IS_PRODUCTION) {
   app.get('/api/cache/stats', (req, res) => {
@@ -177,9 +225,9 @@ if (!IS_PRODUCTION) {
   app.get('/api/jobs/:jobId', async (req, res) => {
     try {
       const {
-        getJob
+        getJobSummary
       } = await import('./services/jobQueue.js');
-      const job = getJob(req.params.jobId);
+      const job = getJobSummary(req.params.jobId);
       if (!job) {
         return res.status(404).json({
           error: 'Trabajo no encontrado'
@@ -271,12 +319,14 @@ app.listen(PORT, () => {
   console.log('='.repeat(50));
   console.log(`📍 URL: http://localhost:${PORT}`);
   console.log(`🌍 Environment: ${IS_PRODUCTION ? 'production' : 'development'}`);
-  console.log(`🤖 Model: ${process.env.MODEL || 'zai-org/GLM-4.7-TEE'}`);
+  const provider = llmProvider.getProvider();
+  console.log(`🤖 Provider: ${provider.label} (${provider.name})`);
+  console.log(`🤖 Model: ${provider.model}`);
 
-  if (!process.env.CHUTES_API_KEY) {
-    console.warn('⚠️  Missing CHUTES_API_KEY. The API will fail until it is set.');
+  if (!provider.isConfigured()) {
+    console.warn(`⚠️  Provider ${provider.name} is not configured. The API will fail until it is set.`);
   } else {
-    console.log('✅ Chutes AI Key configured');
+    console.log(`✅ ${provider.label} configured`);
   }
 
   console.log('='.repeat(50));
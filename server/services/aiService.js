@@ -1,48 +1,69 @@
 /**
- * AI Service - Chutes AI Integration (v2 - Anti-Hallucination)
+ * AI Service - LLM Integration (v2 - Anti-Hallucination)
  *
- * Este servicio encapsula toda la lógica de comunicación con Chutes AI.
+ * Este servicio encapsula los prompts y el análisis con IA. La llamada al
+ * modelo se delega al proveedor elegido (services/llmProvider.js): Chutes AI,
+ * cualquier API compatible con OpenAI u Ollama.
  * Implementa:
  * - Prompts anti-alucinación con formato JSON estructurado
  * - Validación de respuestas
  * - Tracking de tokens para control de costos
  */
 
-import OpenAI from 'openai';
 import '../config/env.js';
+import llmProvider from './llmProvider.js';
+import structureService from './structureService.js';
+import {
+  withRetry,
+  DEFAULT_MAX_RETRIES
+} from '../utils/retry.js';
+import {
+  formatPointerForDisplay
+} from '../utils/schemaValidator.js';
+import {
+  STUDY_TYPES
+} from '../utils/studyClassifier.js';
+import {
+  escapeCell
+} from '../utils/tableExtractor.js';
 
 // Import all prompts from consolidated module
 import {
   PAGE_ANALYSIS_PROMPT,
-  SUMMARY_GENERATION_PROMPT,
+  SECTION_ANALYSIS_PROMPT,
+  SECTION_SUMMARY_PROMPT,
   PAGE_ANALYSIS_PROMPT_V2,
-  IMRYD_EXTRACTION_PROMPT,
-  validateIMRyDResponse
+  SECTION_ANALYSIS_PROMPT_V2,
+  IMRYD_REPAIR_PROMPT,
+  STUDY_TYPE_PROMPT,
+  APPRAISAL_PROMPT,
+  PICO_PROMPT,
+  RISK_OF_BIAS_PROMPT,
+  getSummaryPrompt,
+  getExtractionPrompt,
+  validateIMRyDResponse,
+  NOT_SPECIFIED
 } from '../utils/prompts.js';
 
 // Use v2 prompts if USE_PROMPTS_V2 is set
 const USE_V2_PROMPTS = process.env.USE_PROMPTS_V2 === 'true';
+const PROMPT_VERSION = USE_V2_PROMPTS ? 'v2' : 'v1';
 
-// Configuración del cliente Chutes AI (lazy initialization)
-let _client = null;
-
-function getClient() {
-  if (!_client) {
-    if (!process.env.CHUTES_API_KEY) {
-      throw new Error('Missing CHUTES_API_KEY. Configure it in environment variables.');
-    }
-    _client = new OpenAI({
-      baseURL: 'https://llm.chutes.ai/v1',
-      apiKey: process.env.CHUTES_API_KEY,
-      defaultHeaders: {
-        'HTTP-Referer': process.env.SITE_URL || 'http://localhost:5173',
-        'X-Title': process.env.SITE_NAME || 'Medical Summarizer'
-      }
-    });
-  }
-  return _client;
-}
-
+// Token budget for the material sent in a single summary call; larger
+// documents are summarised per IMRyD section first (map-reduce)
+const SUMMARY_TOKEN_BUDGET = parseInt(process.env.SUMMARY_TOKEN_BUDGET || '12000', 10);
+const MAX_REDUCE_DEPTH = 4;
+// Re-asks allowed when the v2 JSON does not parse or fails validation
+const IMRYD_REPAIR_ATTEMPTS = parseInt(process.env.IMRYD_REPAIR_ATTEMPTS || '2', 10);
+// Document text sent to the study-type check (title page and abstract)
+const STUDY_TYPE_EXCERPT_CHARS = 6000;
+// Token budget for the article text sent to the checklist appraisal
+const APPRAISAL_TOKEN_BUDGET = parseInt(process.env.APPRAISAL_TOKEN_BUDGET || '12000', 10);
+// Token budget for the article text sent to the PICO extraction (the
+// elements are in the abstract and methods, near the start)
+const PICO_TOKEN_BUDGET = parseInt(process.env.PICO_TOKEN_BUDGET || '8000', 10);
+// Token budget for the article text sent to the risk-of-bias assessment
+const RISK_OF_BIAS_TOKEN_BUDGET = parseInt(process.env.RISK_OF_BIAS_TOKEN_BUDGET || '12000', 10);
 // Token tracking for cost estimation
 let sessionTokens = {
   prompt: 0,
@@ -55,22 +76,120 @@ let sessionTokens = {
  * @param {string} text - Text to estimate
  * @returns {number} - Estimated token count
  */
-function estimateTokens(text) {
+export function estimateTokens(text) {
   if (!text) return 0;
   // Rough estimate: ~4 characters per token for English/Spanish
   return Math.ceil(text.length / 4);
 }
 
 /**
- * Update token tracking from API response
- * @param {Object} usage - Usage object from API response
+ * Update token tracking from a provider response
+ * @param {Object} usage - Normalized usage { prompt, completion, total }
  */
 function trackTokenUsage(usage) {
   if (usage) {
-    sessionTokens.prompt += usage.prompt_tokens || 0;
-    sessionTokens.completion += usage.completion_tokens || 0;
-    sessionTokens.total += usage.total_tokens || 0;
+    sessionTokens.prompt += usage.prompt || 0;
+    sessionTokens.completion += usage.completion || 0;
+    sessionTokens.total += usage.total || 0;
+  }
+}
+
+/**
+ * Send a chat request through the provider chain
+ * Each provider is retried with exponential backoff on transient errors
+ * (429, 5xx, empty content, network); when it gives up, the next provider
+ * in LLM_FALLBACK_CHAIN is tried.
+ *
+ * @param {Array} messages - Chat messages [{ role, content }]
+ * @param {Object} chatOptions - { temperature, maxTokens }
+ * @param {Object} context - { provider, label, log }
+ * @returns {Promise<Object>} - { content, provider, model, attempts, fallbackUsed }
+ * @throws {Error} - When every provider failed; `llmAttempts` lists the attempts
+ */
+async function completeWithFallback(messages, chatOptions, { provider, label, log }) {
+  const chain = llmProvider.getFallbackChain(provider);
+  const attempts = [];
+  let lastError = null;
+
+  for (let index = 0; index < chain.length; index++) {
+    const current = llmProvider.getProvider(chain[index]);
+
+    if (!current.isConfigured()) {
+      lastError = new Error(`El proveedor ${current.label} no está configurado. Revisa las variables de entorno.`);
+      attempts.push({
+        provider: current.name,
+        attempt: 0,
+        ok: false,
+        error: lastError.message
+      });
+      if (chain.length > 1) log(`⚠ ${current.label} no está configurado, se omite`, 'orange');
+      continue;
+    }
+
+    if (index > 0) {
+      log(`↪ Usando proveedor de respaldo ${current.label} para ${label}`, 'orange');
+    }
+
+    try {
+      const { result, attempts: attemptCount } = await withRetry(async () => {
+        const response = await current.chat(messages, chatOptions);
+
+        // Handle null or empty content from API (often transient filtering/rate limits)
+        if (response.content === null || response.content === undefined || !String(response.content).trim()) {
+          const error = new Error('La API devolvió respuesta vacía');
+          error.retryable = true;
+          throw error;
+        }
+
+        return response;
+      }, {
+        onRetry: (error, attempt, delayMs) => {
+          attempts.push({
+            provider: current.name,
+            attempt,
+            ok: false,
+            error: error.message
+          });
+          log(
+            `↻ ${label}: ${error.message} - reintento ${attempt}/${DEFAULT_MAX_RETRIES} con ${current.label} en ${(delayMs / 1000).toFixed(1)}s`,
+            'orange'
+          );
+        }
+      });
+
+      // Track token usage
+      trackTokenUsage(result.usage);
+
+      attempts.push({
+        provider: current.name,
+        attempt: attemptCount,
+        ok: true
+      });
+
+      return {
+        content: result.content,
+        provider: current.name,
+        model: current.model,
+        attempts,
+        fallbackUsed: index > 0
+      };
+    } catch (error) {
+      lastError = error;
+      attempts.push({
+        provider: current.name,
+        attempt: error.attempts || 1,
+        ok: false,
+        error: error.message
+      });
+      if (index < chain.length - 1) {
+        log(`✗ ${current.label} falló para ${label}: ${error.message}`, 'red');
+      }
+    }
   }
+
+  const error = new Error(lastError ? lastError.message : 'No hay proveedores de IA disponibles');
+  error.llmAttempts = attempts;
+  throw error;
 }
 
 /**
@@ -94,165 +213,625 @@ export function resetTokenUsage() {
   };
 }
 
+/**
+ * Get the provider/model/prompt configuration that produces analyses
+ * Used to tag cached results so a config change invalidates them
+ * @param {string} [providerName] - Provider requested (defaults to env)
+ * @returns {Object} - { provider, model, promptVersion }
+ */
+export function getModelConfig(providerName) {
+  const provider = llmProvider.getProvider(providerName);
+  return {
+    provider: provider.name,
+    model: provider.model,
+    promptVersion: PROMPT_VERSION
+  };
+}
+
+/**
+ * Envía una unidad de análisis (página o sección) a la IA
+ * @param {string} systemPrompt - Prompt de la unidad (página o sección)
+ * @param {string} content - Mensaje de usuario (encabezado + texto)
+ * @param {string} label - Nombre de la unidad en los logs ("página 3")
+ * @param {Function} onLog - Callback para logs de progreso
+ * @param {Object} options - { provider }
+ * @returns {Promise<Object>} - { analysis, provider, model, attempts, fallbackUsed }
+ */
+async function requestAnalysis(systemPrompt, content, label, onLog, options) {
+  const log = (message, color = 'white') => {
+    if (onLog) onLog(message, color);
+  };
+
+  const provider = llmProvider.getProvider(options.provider);
+
+  try {
+    const estimatedInputTokens = estimateTokens(systemPrompt) + estimateTokens(content);
+    log(`🤖 Analizando ${label} con ${provider.label} (~${estimatedInputTokens} tokens)...`, 'cyan');
+
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content
+      }
+    ];
+
+    const response = await completeWithFallback(messages, {
+      temperature: 0.3,
+      maxTokens: 4000
+    }, {
+      provider: provider.name,
+      label,
+      log
+    });
+
+    const analysis = response.content;
+
+    log(`✓ ${label.charAt(0).toUpperCase()}${label.slice(1)} analizada (${analysis.length} caracteres)`, 'green');
+
+    return {
+      analysis,
+      provider: response.provider,
+      model: response.model,
+      attempts: response.attempts,
+      fallbackUsed: response.fallbackUsed
+    };
+  } catch (error) {
+    log(`✗ Error analizando ${label}: ${error.message}`, 'red');
+    throw error;
+  }
+}
+
 /**
  * Envía un análisis de página a la IA
  * @param {string} pageText - Texto extraído de la página
  * @param {number} pageNumber - Número de página
  * @param {Function} onLog - Callback para logs de progreso
- * @returns {Promise<string>} - Análisis de la página
+ * @param {Object} [options] - { provider } proveedor LLM a usar
+ * @returns {Promise<Object>} - { analysis, provider, model, attempts, fallbackUsed }
  */
-export async function analyzePage(pageText, pageNumber, onLog) {
-  const model = process.env.MODEL || 'nvidia/nemotron-3-nano-30b-a3b:free';
+export async function analyzePage(pageText, pageNumber, onLog, options = {}) {
+  return requestAnalysis(
+    USE_V2_PROMPTS ? PAGE_ANALYSIS_PROMPT_V2 : PAGE_ANALYSIS_PROMPT,
+    `=== PÁGINA ${pageNumber} ===\n\n${pageText}`,
+    `página ${pageNumber}`,
+    onLog,
+    options
+  );
+}
+
+/**
+ * Envía el análisis de una sección completa a la IA (segmentación por secciones)
+ * @param {string} sectionText - Texto de la sección (saneado)
+ * @param {Object} section - { title, startPage, endPage }
+ * @param {Function} onLog - Callback para logs de progreso
+ * @param {Object} [options] - { provider } proveedor LLM a usar
+ * @returns {Promise<Object>} - { analysis, provider, model, attempts, fallbackUsed }
+ */
+export async function analyzeSection(sectionText, section, onLog, options = {}) {
+  const span = formatPageSpan(section);
+  return requestAnalysis(
+    USE_V2_PROMPTS ? SECTION_ANALYSIS_PROMPT_V2 : SECTION_ANALYSIS_PROMPT,
+    `=== SECCIÓN "${section.title}" (${span}) ===\n\n${sectionText}`,
+    `sección "${section.title}" (${span})`,
+    onLog,
+    options
+  );
+}
+
+/**
+ * Comprueba con la IA el tipo de estudio del documento
+ * Un fallo (red, JSON inválido o tipo desconocido) no detiene el
+ * procesamiento: se devuelve null y se usa la clasificación heurística.
+ *
+ * @param {string} title - Título del documento
+ * @param {string} excerpt - Texto de las primeras páginas
+ * @param {Function} onLog - Callback para logs de progreso
+ * @param {Object} [options] - { provider } proveedor LLM a usar
+ * @returns {Promise<Object|null>} - { type, confidence, reason } o null
+ */
+export async function checkStudyType(title, excerpt, onLog, options = {}) {
   const log = (message, color = 'white') => {
     if (onLog) onLog(message, color);
   };
 
-  if (!process.env.CHUTES_API_KEY) {
-    throw new Error('Missing CHUTES_API_KEY. Configure it in .env.');
+  const provider = llmProvider.getProvider(options.provider);
+  const messages = [
+    {
+      role: 'system',
+      content: STUDY_TYPE_PROMPT
+    },
+    {
+      role: 'user',
+      content: `TÍTULO: ${title}\n\n${excerpt.slice(0, STUDY_TYPE_EXCERPT_CHARS)}`
+    }
+  ];
+
+  try {
+    const response = await completeWithFallback(messages, {
+      temperature: 0,
+      maxTokens: 300
+    }, {
+      provider: provider.name,
+      label: 'la clasificación del estudio',
+      log
+    });
+
+    const parsed = parseJSONResponse(response.content);
+    if (!STUDY_TYPES[parsed.tipo]) {
+      log(`⚠ Tipo de estudio desconocido en la respuesta de la IA: ${parsed.tipo}`, 'orange');
+      return null;
+    }
+    const confidence = Number(parsed.confianza);
+    return {
+      type: parsed.tipo,
+      confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.5,
+      reason: typeof parsed.justificacion === 'string' ? parsed.justificacion : ''
+    };
+  } catch (error) {
+    log(`⚠ No se pudo comprobar el tipo de estudio con la IA: ${error.message}`, 'orange');
+    return null;
   }
+}
 
-  // Select prompt based on configuration
-  const systemPrompt = USE_V2_PROMPTS ? PAGE_ANALYSIS_PROMPT_V2 : PAGE_ANALYSIS_PROMPT;
+/**
+ * Texto completo del artículo por páginas, recortado al presupuesto
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @param {number} budget - Presupuesto de tokens
+ * @returns {string} - Bloques "=== PÁGINA N ==="
+ */
+function formatArticleText(pages, budget) {
+  const text = pages
+    .map(page => `=== PÁGINA ${page.pageNumber} ===\n${page.text || ''}`)
+    .join('\n\n');
+  return clampToTokenBudget(text, budget);
+}
+
+/**
+ * Evalúa con la IA cada ítem de una lista de verificación del reporte
+ * Como la comprobación del tipo de estudio, un fallo no detiene el
+ * procesamiento: se devuelve null y la evaluación usa solo la búsqueda en
+ * el texto (utils/criticalAppraisal.js).
+ *
+ * @param {Object} checklist - Lista de getChecklistForStudyType
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @param {Function} onLog - Callback para logs de progreso
+ * @param {Object} [options] - { provider } proveedor LLM a usar
+ * @returns {Promise<Array|null>} - [{ id, estado, evidencia, paginas }] o null
+ */
+export async function appraiseChecklist(checklist, pages, onLog, options = {}) {
+  const log = (message, color = 'white') => {
+    if (onLog) onLog(message, color);
+  };
+
+  const provider = llmProvider.getProvider(options.provider);
+  const items = checklist.items
+    .map(item => `${item.id}. [${item.section}] ${item.requirement}`)
+    .join('\n');
+  const messages = [
+    {
+      role: 'system',
+      content: APPRAISAL_PROMPT
+    },
+    {
+      role: 'user',
+      content: `LISTA DE VERIFICACIÓN: ${checklist.name}\n${items}\n\nARTÍCULO:\n${formatArticleText(pages, APPRAISAL_TOKEN_BUDGET)}`
+    }
+  ];
 
   try {
-    const estimatedInputTokens = estimateTokens(systemPrompt) + estimateTokens(pageText);
-    log(`🤖 Analizando página ${pageNumber} (~${estimatedInputTokens} tokens)...`, 'cyan');
-
-    const response = await getClient().chat.completions.create({
-      model: model,
-      messages: [{
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: `=== PÁGINA ${pageNumber} ===\n\n${pageText}`
-        }
-      ],
-      temperature: 0.3,
-      max_tokens: 4000
+    const response = await completeWithFallback(messages, {
+      temperature: 0,
+      maxTokens: 3000
+    }, {
+      provider: provider.name,
+      label: 'la evaluación crítica',
+      log
     });
 
-    // Track token usage
-    trackTokenUsage(response.usage);
-
-    // Validate API response structure
-    if (!response.choices || !response.choices[0] || !response.choices[0].message) {
-      throw new Error('Estructura de respuesta de API inválida: faltan choices o message');
+    const parsed = parseJSONResponse(response.content);
+    if (!Array.isArray(parsed.items)) {
+      log('⚠ La evaluación crítica de la IA no contiene la lista de ítems', 'orange');
+      return null;
     }
+    return parsed.items.filter(item => item && item.id !== undefined);
+  } catch (error) {
+    log(`⚠ No se pudo completar la evaluación crítica con la IA: ${error.message}`, 'orange');
+    return null;
+  }
+}
 
-    const analysis = response.choices[0].message.content;
+/**
+ * Extrae con la IA los elementos PICO(T/S) con su evidencia
+ * Un fallo devuelve null: la normalización (utils/picoExtractor.js) recurre
+ * al JSON IMRyD si lo hay.
+ *
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @param {Function} onLog - Callback para logs de progreso
+ * @param {Object} [options] - { provider } proveedor LLM a usar
+ * @returns {Promise<Object|null>} - Respuesta de PICO_PROMPT o null
+ */
+export async function extractPICO(pages, onLog, options = {}) {
+  const log = (message, color = 'white') => {
+    if (onLog) onLog(message, color);
+  };
 
-    // Handle null or empty content from API
-    if (analysis === null || analysis === undefined) {
-      throw new Error(`La API devolvió respuesta vacía para página ${pageNumber}. Por favor intenta de nuevo.`);
+  const provider = llmProvider.getProvider(options.provider);
+  const messages = [
+    {
+      role: 'system',
+      content: PICO_PROMPT
+    },
+    {
+      role: 'user',
+      content: `ARTÍCULO:\n${formatArticleText(pages, PICO_TOKEN_BUDGET)}`
     }
+  ];
 
-    log(`✓ Página ${pageNumber} analizada (${analysis.length} caracteres)`, 'green');
+  try {
+    const response = await completeWithFallback(messages, {
+      temperature: 0,
+      maxTokens: 1500
+    }, {
+      provider: provider.name,
+      label: 'la extracción PICO',
+      log
+    });
 
-    return analysis;
+    const parsed = parseJSONResponse(response.content);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      log('⚠ La extracción PICO de la IA no es un objeto JSON', 'orange');
+      return null;
+    }
+    return parsed;
   } catch (error) {
-    log(`✗ Error analizando página ${pageNumber}: ${error.message}`, 'red');
-    throw error;
+    log(`⚠ No se pudo extraer el PICO con la IA: ${error.message}`, 'orange');
+    return null;
   }
 }
 
 /**
- * Genera el resumen final en formato IMRyD
- * @param {string} title - Título del documento
- * @param {Array} analyzedPages - Array de objetos { pageNumber, analysis, text }
+ * Responde con la IA las preguntas orientadoras de una herramienta de
+ * riesgo de sesgo y propone el juicio de cada dominio
+ * Un fallo devuelve null: sin respuestas no hay valoración.
+ *
+ * @param {Object} tool - Herramienta de selectRiskOfBiasTool (utils/riskOfBias.js)
+ * @param {Array} pages - Páginas { pageNumber, text }
  * @param {Function} onLog - Callback para logs de progreso
- * @returns {Promise<string>} - Resumen estructurado en Markdown
+ * @param {Object} [options] - { provider } proveedor LLM a usar
+ * @returns {Promise<Object|null>} - { preguntas, dominios } o null
  */
-export async function generateSummary(title, analyzedPages, onLog) {
-  const model = process.env.MODEL || 'nvidia/nemotron-3-nano-30b-a3b:free';
+export async function assessRiskOfBias(tool, pages, onLog, options = {}) {
   const log = (message, color = 'white') => {
     if (onLog) onLog(message, color);
   };
 
-  if (!process.env.CHUTES_API_KEY) {
-    throw new Error('Missing CHUTES_API_KEY. Configure it in .env.');
+  const provider = llmProvider.getProvider(options.provider);
+  const domains = tool.domains
+    .map(domain => `${domain.id}. ${domain.name}\n${domain.questions.map(question => `  ${question.id} ${question.text}`).join('\n')}`)
+    .join('\n');
+  const messages = [
+    {
+      role: 'system',
+      content: RISK_OF_BIAS_PROMPT
+    },
+    {
+      role: 'user',
+      content: `HERRAMIENTA: ${tool.name} (${tool.description})\nJUICIOS PERMITIDOS POR DOMINIO: ${tool.judgements.join(', ')}\n\n` +
+        `DOMINIOS Y PREGUNTAS:\n${domains}\n\nARTÍCULO:\n${formatArticleText(pages, RISK_OF_BIAS_TOKEN_BUDGET)}`
+    }
+  ];
+
+  try {
+    const response = await completeWithFallback(messages, {
+      temperature: 0,
+      maxTokens: 3000
+    }, {
+      provider: provider.name,
+      label: 'la valoración del riesgo de sesgo',
+      log
+    });
+
+    const parsed = parseJSONResponse(response.content);
+    if (!parsed || !Array.isArray(parsed.preguntas)) {
+      log('⚠ La valoración del riesgo de sesgo de la IA no contiene las preguntas', 'orange');
+      return null;
+    }
+    return parsed;
+  } catch (error) {
+    log(`⚠ No se pudo valorar el riesgo de sesgo con la IA: ${error.message}`, 'orange');
+    return null;
   }
+}
 
-  // Select prompt based on configuration
-  const systemPrompt = USE_V2_PROMPTS ?
-    IMRYD_EXTRACTION_PROMPT :
-    SUMMARY_GENERATION_PROMPT.replace('{title}', title);
+/**
+ * Intervalo de páginas de una sección ("p. 3", "págs. 3-4")
+ * @param {Object} section - { startPage, endPage }
+ * @returns {string}
+ */
+function formatPageSpan(section) {
+  return section.startPage === section.endPage ?
+    `p. ${section.startPage}` :
+    `págs. ${section.startPage}-${section.endPage}`;
+}
 
-  try {
-    log('📝 Generando resumen estructurado (formato IMRyD)...', 'yellow');
+/**
+ * Encabezado de una unidad analizada en el material del resumen
+ * @param {Object} unit - Página { pageNumber } o sección { sectionId, title, startPage, endPage }
+ * @returns {string} - "PÁGINA 3" o 'SECCIÓN "Methods" (págs. 3-4)'
+ */
+function formatUnitLabel(unit) {
+  return unit.sectionId ?
+    `SECCIÓN "${unit.title}" (${formatPageSpan(unit)})` :
+    `PÁGINA ${unit.pageNumber}`;
+}
 
-    // Combine page analyses
-    const combinedAnalysis = analyzedPages
-      .map(page => `--- PÁGINA ${page.pageNumber} ---\n${page.analysis}`)
-      .join('\n\n');
+/**
+ * Format one analysed page as input material for a summary call
+ * @param {Object} page - { pageNumber, analysis, text }
+ * @returns {string}
+ */
+function formatPageBlock(page) {
+  return `=== ${formatUnitLabel(page)} ===\nANÁLISIS:\n${page.analysis}\n\nTEXTO ORIGINAL:\n${page.text || ''}`;
+}
 
-    // Include original text as reference (limited to avoid token overflow)
-    const combinedText = analyzedPages
-      .map(page => `=== PÁGINA ${page.pageNumber} ===\n${page.text}`)
-      .join('\n\n---\n\n');
+/**
+ * Cut a single block that on its own exceeds the budget
+ * @param {string} text - Block text
+ * @param {number} budget - Token budget
+ * @returns {string}
+ */
+function clampToTokenBudget(text, budget) {
+  if (estimateTokens(text) <= budget) return text;
+  return text.substring(0, budget * 4) + '\n[... recortado al presupuesto de tokens ...]';
+}
 
-    // Limit text to avoid token limits
-    const maxTextLength = 15000;
-    const truncatedText = combinedText.length > maxTextLength ?
-      combinedText.substring(0, maxTextLength) + '\n\n[... texto truncado por límite de tokens ...]' :
-      combinedText;
+/**
+ * Group blocks into batches whose estimated size fits the token budget
+ * @param {string[]} blocks - Text blocks, in order
+ * @param {number} budget - Token budget per batch
+ * @returns {string[][]} - Batches of blocks
+ */
+function packByTokenBudget(blocks, budget) {
+  const batches = [];
+  let current = [];
+  let currentTokens = 0;
 
-    const estimatedInputTokens = estimateTokens(systemPrompt) + estimateTokens(combinedAnalysis) + estimateTokens(truncatedText);
-    log(`📊 Entrada estimada: ~${estimatedInputTokens} tokens`, 'gray');
+  for (const block of blocks) {
+    const tokens = estimateTokens(block);
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
+    }
+    current.push(block);
+    currentTokens += tokens;
+  }
 
-    const response = await getClient().chat.completions.create({
-      model: model,
-      messages: [{
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: USE_V2_PROMPTS ?
-            `TÍTULO DEL DOCUMENTO: ${title}\n\n=== ANÁLISIS DEL DOCUMENTO ===\n\n${combinedAnalysis}\n\n\n=== TEXTO ORIGINAL DEL DOCUMENTO ===\n\n${truncatedText}` : `=== ANÁLISIS DEL DOCUMENTO ===\n\n${combinedAnalysis}\n\n\n=== TEXTO ORIGINAL DEL DOCUMENTO ===\n\n${truncatedText}`
-        }
-      ],
-      temperature: 0.5,
-      max_tokens: 8000
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
+
+/**
+ * Condense the material of one section until it fits the token budget
+ * Oversized sections are split into page batches, each batch is summarised,
+ * and the partial summaries are reduced again (hierarchically).
+ *
+ * @param {Object} section - { label, startPage, endPage }
+ * @param {string[]} blocks - Page blocks of the section
+ * @param {Object} context - { provider, log }
+ * @returns {Promise<string>} - Section summary
+ */
+async function summarizeSection(section, blocks, { provider, log }) {
+  const systemPrompt = SECTION_SUMMARY_PROMPT.replace('{section}', section.label);
+  const summarizeBatch = async (material, label) => {
+    const response = await completeWithFallback([
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content: material
+      }
+    ], {
+      temperature: 0.2,
+      maxTokens: 3000
+    }, {
+      provider,
+      label,
+      log
     });
+    return response.content;
+  };
 
-    // Track token usage
-    trackTokenUsage(response.usage);
+  let current = blocks.map(block => clampToTokenBudget(block, SUMMARY_TOKEN_BUDGET));
 
-    // Validate API response structure
-    if (!response.choices || !response.choices[0] || !response.choices[0].message) {
-      throw new Error('Estructura de respuesta de API inválida: faltan choices o message');
+  for (let depth = 0; depth < MAX_REDUCE_DEPTH; depth++) {
+    const batches = packByTokenBudget(current, SUMMARY_TOKEN_BUDGET);
+    if (batches.length <= 1) break;
+
+    log(`  🧩 ${section.label}: ${batches.length} fragmentos (nivel ${depth + 1})`, 'gray');
+    const partials = [];
+    for (let i = 0; i < batches.length; i++) {
+      partials.push(await summarizeBatch(
+        batches[i].join('\n\n'),
+        `sección ${section.label} (fragmento ${i + 1}/${batches.length})`
+      ));
     }
+    current = partials.map((partial, i) => `--- FRAGMENTO ${i + 1} ---\n${partial}`);
+  }
+
+  return summarizeBatch(
+    clampToTokenBudget(current.join('\n\n'), SUMMARY_TOKEN_BUDGET),
+    `sección ${section.label}`
+  );
+}
+
+/**
+ * Build the material for the final summary call
+ * Short documents go in whole; longer ones are summarised per IMRyD section
+ * (map) and the section summaries are combined (reduce).
+ *
+ * @param {Array} analyzedPages - Páginas analizadas
+ * @param {Object} structure - Estructura detectada (para los rangos IMRyD)
+ * @param {Object} context - { provider, log }
+ * @returns {Promise<string>} - Material para el prompt final
+ */
+async function buildSummaryMaterial(analyzedPages, structure, { provider, log }) {
+  const combinedAnalysis = analyzedPages
+    .map(page => `--- ${formatUnitLabel(page)} ---\n${page.analysis}`)
+    .join('\n\n');
+  const combinedText = analyzedPages
+    .map(page => `=== ${formatUnitLabel(page)} ===\n${page.text}`)
+    .join('\n\n---\n\n');
+  const directMaterial = `=== ANÁLISIS DEL DOCUMENTO ===\n\n${combinedAnalysis}\n\n\n=== TEXTO ORIGINAL DEL DOCUMENTO ===\n\n${combinedText}`;
+
+  if (estimateTokens(directMaterial) <= SUMMARY_TOKEN_BUDGET) {
+    return directMaterial;
+  }
+
+  // Pages without content worth summarising are left out of the map step
+  const usefulPages = analyzedPages.filter(page =>
+    !page.isEmptyPage && !page.isReferencePage && !page.isLowContent && !page.hasError
+  );
+  const totalPages = analyzedPages.reduce((max, page) => Math.max(max, page.pageNumber), 0);
+  const sections = structureService.getIMRyDSectionRanges(structure, totalPages)
+    .filter(section => !section.keys.includes('references'));
+
+  log(
+    `🧩 Documento extenso (~${estimateTokens(directMaterial)} tokens > ${SUMMARY_TOKEN_BUDGET}): resumen jerárquico por ${sections.length} secciones`,
+    'cyan'
+  );
+
+  const sectionSummaries = [];
+  for (const section of sections) {
+    const pages = usefulPages.filter(page =>
+      page.pageNumber >= section.startPage && page.pageNumber <= section.endPage
+    );
+    if (pages.length === 0) continue;
+
+    log(`  📑 Resumiendo ${section.label} (págs. ${section.startPage}-${section.endPage})...`, 'cyan');
+    const summary = await summarizeSection(section, pages.map(formatPageBlock), {
+      provider,
+      log
+    });
+    sectionSummaries.push(`## ${section.label} (págs. ${section.startPage}-${section.endPage})\n\n${summary}`);
+  }
 
-    let summary = response.choices[0].message.content;
+  // No section had useful pages (e.g. every page failed or has little text):
+  // send the page material itself, trimmed to the budget
+  if (sectionSummaries.length === 0) {
+    log('  ⚠ Ninguna sección con contenido útil: se usa el material de las páginas recortado', 'orange');
+    return clampToTokenBudget(directMaterial, SUMMARY_TOKEN_BUDGET);
+  }
 
-    // Handle null or empty content from API
-    if (summary === null || summary === undefined) {
-      log('⚠ La API devolvió contenido nulo, intentando de nuevo...', 'orange');
-      throw new Error('La API devolvió respuesta vacía. Esto puede deberse a filtrado de contenido o límite de solicitudes. Por favor intenta de nuevo.');
+  // Reduce: if the section summaries are still too large, condense them again
+  let combined = sectionSummaries;
+  for (let depth = 0; depth < MAX_REDUCE_DEPTH; depth++) {
+    const batches = packByTokenBudget(combined, SUMMARY_TOKEN_BUDGET);
+    if (batches.length <= 1) break;
+
+    log(`  🧩 Condensando ${combined.length} resúmenes de sección (nivel ${depth + 1})`, 'gray');
+    combined = [];
+    for (let i = 0; i < batches.length; i++) {
+      combined.push(await summarizeSection({
+        label: `bloque ${i + 1}/${batches.length} de secciones`
+      }, batches[i], {
+        provider,
+        log
+      }));
     }
+  }
 
-    // If using v2 prompts, try to parse and validate JSON
-    if (USE_V2_PROMPTS) {
-      try {
-        // Extract JSON from response if wrapped in code blocks
-        const jsonMatch = summary.match(/```json\s*([\s\S]*?)\s*```/) ||
-          summary.match(/```\s*([\s\S]*?)\s*```/);
-        const jsonStr = jsonMatch ? jsonMatch[1] : summary;
+  return `=== RESÚMENES POR SECCIÓN ===\n\n${clampToTokenBudget(combined.join('\n\n'), SUMMARY_TOKEN_BUDGET)}`;
+}
+
+/**
+ * Genera el resumen final en formato IMRyD
+ * Documentos cortos: una sola llamada. Documentos largos: resumen jerárquico
+ * por secciones IMRyD con presupuesto de tokens (SUMMARY_TOKEN_BUDGET).
+ *
+ * @param {string} title - Título del documento
+ * @param {Array} analyzedPages - Array de objetos { pageNumber, analysis, text }
+ *   (o secciones analizadas { sectionId, title, startPage, endPage, ... })
+ * @param {Function} onLog - Callback para logs de progreso
+ * @param {Object} [options] - { provider, structure, studyType } proveedor LLM, estructura
+ *   detectada y tipo de estudio (plantilla del resumen y del schema)
+ * @returns {Promise<Object>} - { summary, imryd, validation } Markdown, objeto IMRyD y
+ *   resultado de su validación (v2; null si no hay)
+ */
+export async function generateSummary(title, analyzedPages, onLog, options = {}) {
+  const log = (message, color = 'white') => {
+    if (onLog) onLog(message, color);
+  };
 
-        const parsed = JSON.parse(jsonStr);
-        const validation = validateIMRyDResponse(parsed);
+  const provider = llmProvider.getProvider(options.provider);
+  const studyType = options.studyType || 'other';
 
-        if (!validation.valid) {
-          log(`⚠ Advertencias de validación JSON: ${validation.errors.join(', ')}`, 'orange');
-        }
+  // Select prompt based on configuration (with the study type template)
+  const systemPrompt = USE_V2_PROMPTS ?
+    getExtractionPrompt(studyType) :
+    getSummaryPrompt(title, studyType);
+
+  try {
+    log(`📝 Generando resumen estructurado (formato IMRyD) con ${provider.label}...`, 'yellow');
+
+    const material = await buildSummaryMaterial(analyzedPages, options.structure, {
+      provider: provider.name,
+      log
+    });
+
+    const estimatedInputTokens = estimateTokens(systemPrompt) + estimateTokens(material);
+    log(`📊 Entrada estimada: ~${estimatedInputTokens} tokens`, 'gray');
 
+    const messages = [
+      {
+        role: 'system',
+        content: systemPrompt
+      },
+      {
+        role: 'user',
+        content: USE_V2_PROMPTS ? `TÍTULO DEL DOCUMENTO: ${title}\n\n${material}` : material
+      }
+    ];
+
+    const response = await completeWithFallback(messages, {
+      temperature: 0.5,
+      maxTokens: 8000
+    }, {
+      provider: provider.name,
+      label: 'el resumen',
+      log
+    });
+
+    let summary = response.content;
+    let imryd = null;
+    let validation = null;
+
+    // If using v2 prompts, parse and validate the JSON (re-asking the model to repair it)
+    if (USE_V2_PROMPTS) {
+      const structured = await extractStructuredSummary(messages, response.content, {
+        provider: provider.name,
+        studyType,
+        log
+      });
+      imryd = structured.imryd;
+      validation = structured.validation;
+
+      if (imryd) {
+        if (validation.valid) {
+          log('✓ Resumen estructurado validado', 'green');
+        } else {
+          log(`⚠ Advertencias de validación JSON: ${describeViolations(validation.violations)}`, 'orange');
+        }
         // Convert JSON back to Markdown for display
-        summary = convertIMRyDToMarkdown(parsed);
-        log('✓ Resumen estructurado validado', 'green');
-      } catch (parseError) {
-        // If JSON parsing fails, fall back to raw response
+        summary = convertIMRyDToMarkdown(imryd);
+      } else {
+        // Last resort: no attempt produced parseable JSON
         log('⚠ No se pudo parsear la respuesta estructurada, usando salida sin procesar', 'orange');
       }
     }
@@ -263,13 +842,136 @@ export async function generateSummary(title, analyzedPages, onLog) {
     const usage = getTokenUsage();
     log(`📊 Tokens de sesión: ${usage.total} total (${usage.prompt} entrada, ${usage.completion} salida)`, 'gray');
 
-    return summary;
+    return {
+      summary,
+      imryd,
+      validation
+    };
   } catch (error) {
     log(`✗ Error generando resumen: ${error.message}`, 'red');
     throw error;
   }
 }
 
+/**
+ * Schema violations as log text (dotted paths: the log sanitizer masks "/a/b")
+ * @param {Array} violations - [{ path, message }]
+ * @returns {string}
+ */
+function describeViolations(violations) {
+  return violations.map(violation => `${formatPointerForDisplay(violation.path)}: ${violation.message}`).join('; ');
+}
+
+/**
+ * Parse the JSON object of a model response
+ * Accepts ```json fences and stray text around the object.
+ * @param {string} content - Model response
+ * @returns {Object} - Parsed JSON
+ * @throws {SyntaxError} - If no valid JSON is found
+ */
+function parseJSONResponse(content) {
+  const text = String(content || '');
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  if (fenced) return JSON.parse(fenced[1]);
+
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return JSON.parse(start !== -1 && end > start ? text.slice(start, end + 1) : text);
+}
+
+/**
+ * Parse and validate the IMRyD JSON, asking the model to repair it when it
+ * does not parse or fails validation (up to IMRYD_REPAIR_ATTEMPTS times)
+ *
+ * @param {Array} messages - Messages of the original summary request
+ * @param {string} content - Model response to those messages
+ * @param {Object} context - { provider, studyType, log }
+ * @returns {Promise<Object>} - { imryd, validation: { valid, errors, violations, coercions, repairAttempts } }
+ *   imryd is the valid object, or the parsed one with fewest errors, or null
+ */
+async function extractStructuredSummary(messages, content, { provider, studyType, log }) {
+  let best = null;
+  let lastErrors = [];
+  let lastProblems = '';
+  let repairAttempts = 0;
+
+  for (;;) {
+    try {
+      const parsed = parseJSONResponse(content);
+      const {
+        value,
+        ...validation
+      } = validateIMRyDResponse(parsed, studyType);
+      if (!best || validation.errors.length <= best.validation.errors.length) {
+        // Keep the normalized object (tolerable variants coerced by the schema)
+        best = {
+          imryd: value,
+          validation
+        };
+      }
+      lastErrors = validation.errors;
+      lastProblems = describeViolations(validation.violations);
+      if (validation.valid) break;
+    } catch (parseError) {
+      lastErrors = [`JSON inválido: ${parseError.message}`];
+      lastProblems = lastErrors[0];
+    }
+
+    if (repairAttempts >= IMRYD_REPAIR_ATTEMPTS) break;
+    repairAttempts++;
+
+    log(`🔧 Respuesta estructurada inválida (${lastProblems}) - solicitando corrección, intento ${repairAttempts} de ${IMRYD_REPAIR_ATTEMPTS}`, 'orange');
+
+    const repairMessages = [
+      ...messages,
+      {
+        role: 'assistant',
+        content
+      },
+      {
+        role: 'user',
+        content: IMRYD_REPAIR_PROMPT.replace('{errors}', lastErrors.map(error => `- ${error}`).join('\n'))
+      }
+    ];
+
+    try {
+      const response = await completeWithFallback(repairMessages, {
+        temperature: 0.2,
+        maxTokens: 8000
+      }, {
+        provider,
+        label: 'la corrección del JSON',
+        log
+      });
+      content = response.content;
+    } catch (error) {
+      log(`✗ No se pudo solicitar la corrección: ${error.message}`, 'red');
+      break;
+    }
+  }
+
+  if (!best) {
+    return {
+      imryd: null,
+      validation: {
+        valid: false,
+        errors: lastErrors,
+        violations: [],
+        coercions: [],
+        repairAttempts
+      }
+    };
+  }
+
+  return {
+    imryd: best.imryd,
+    validation: {
+      ...best.validation,
+      repairAttempts
+    }
+  };
+}
+
 /**
  * Convert structured IMRyD JSON to Markdown format
  * @param {Object} imryd - Parsed IMRyD JSON object
@@ -328,10 +1030,13 @@ function convertIMRyDToMarkdown(imryd) {
     md += '## 📊 Resultados\n\n';
     if (imryd.resultados.hallazgos_principales && Array.isArray(imryd.resultados.hallazgos_principales)) {
       imryd.resultados.hallazgos_principales.forEach((hallazgo, i) => {
+        // Page reference as "(p. X)" so it can be verified and linked
+        const pageRef = hallazgo.pagina_referencia ? ` (p. ${hallazgo.pagina_referencia})` : '';
         md += `### Hallazgo ${i + 1}\n`;
-        md += `${hallazgo.descripcion || hallazgo}\n`;
-        if (hallazgo.valor) md += `- **Valor:** ${hallazgo.valor}\n`;
-        if (hallazgo.valor_p) md += `- **p-valor:** ${hallazgo.valor_p}\n`;
+        md += `${hallazgo.descripcion || hallazgo}${pageRef}\n`;
+        if (hallazgo.valor) md += `- **Valor:** ${hallazgo.valor}${pageRef}\n`;
+        if (hallazgo.intervalo_confianza) md += `- **IC:** ${hallazgo.intervalo_confianza}${pageRef}\n`;
+        if (hallazgo.valor_p) md += `- **p-valor:** ${hallazgo.valor_p}${pageRef}\n`;
         md += '\n';
       });
     }
@@ -352,6 +1057,9 @@ function convertIMRyDToMarkdown(imryd) {
     }
   }
 
+  // Fields of the study type template (trial, review, case, guideline)
+  md += convertStudyTypeFieldsToMarkdown(imryd);
+
   // Key points
   if (imryd.puntos_clave && Array.isArray(imryd.puntos_clave)) {
     md += '## 💡 Puntos Clave\n\n';
@@ -377,9 +1085,132 @@ function convertIMRyDToMarkdown(imryd) {
   return md;
 }
 
+/**
+ * Markdown de los campos propios del tipo de estudio (JSON v2)
+ * Los campos "No especificado en el documento" se omiten.
+ * @param {Object} imryd - Objeto IMRyD con el campo de su plantilla
+ * @returns {string} - Markdown (vacío si no hay campo de plantilla)
+ */
+function convertStudyTypeFieldsToMarkdown(imryd) {
+  const isSpecified = value => value && value !== NOT_SPECIFIED;
+  const pageRef = item => item.pagina_referencia ? ` (p. ${item.pagina_referencia})` : '';
+  const cell = value => (isSpecified(value) ? escapeCell(value) : '—');
+  const fields = (entries) => entries
+    .filter(([, value]) => isSpecified(value))
+    .map(([label, value]) => `- **${label}:** ${Array.isArray(value) ? value.join(', ') : value}\n`)
+    .join('');
+
+  let md = '';
+
+  const trial = imryd.ensayo_clinico;
+  if (trial) {
+    md += '## 🎲 Diseño del Ensayo\n\n';
+    md += fields([
+      ['Registro', trial.registro],
+      ['Aleatorización', trial.aleatorizacion],
+      ['Ocultación de la asignación', trial.ocultacion_asignacion],
+      ['Cegamiento', trial.cegamiento],
+      ['Análisis', trial.analisis],
+      ['Aleatorizados', trial.flujo_participantes?.aleatorizados],
+      ['Analizados', trial.flujo_participantes?.analizados],
+      ['Pérdidas', trial.flujo_participantes?.perdidas]
+    ]);
+    md += '\n';
+  }
+
+  const review = imryd.revision_sistematica;
+  if (review) {
+    md += '## 🔎 Revisión Sistemática\n\n';
+    md += fields([
+      ['Pregunta', review.pregunta],
+      ['Bases de datos', review.bases_datos],
+      ['Fecha de búsqueda', review.fecha_busqueda]
+    ]);
+    const flow = review.flujo_prisma || {};
+    const flowSteps = [
+      ['Identificados', flow.identificados],
+      ['Cribados', flow.cribados],
+      ['Texto completo', flow.texto_completo],
+      ['Incluidos', flow.incluidos]
+    ].filter(([, value]) => isSpecified(value));
+    if (flowSteps.length > 0) {
+      md += `- **Flujo PRISMA:** ${flowSteps.map(([label, value]) => `${label} ${value}`).join(' → ')}\n`;
+    }
+    md += fields([
+      ['Participantes', review.participantes_totales],
+      ['Síntesis', review.modelo_sintesis],
+      ['Heterogeneidad', review.heterogeneidad],
+      ['Riesgo de sesgo', review.riesgo_sesgo],
+      ['Certeza de la evidencia', review.certeza_evidencia]
+    ]);
+    md += '\n';
+  }
+
+  const caseReport = imryd.caso_clinico;
+  if (caseReport) {
+    md += '## 🧑‍⚕️ Caso Clínico\n\n';
+    md += fields([
+      ['Paciente', caseReport.paciente],
+      ['Motivo de consulta', caseReport.motivo_consulta],
+      ['Diagnóstico final', caseReport.diagnostico_final],
+      ['Desenlace', caseReport.desenlace]
+    ]);
+    if (Array.isArray(caseReport.cronologia) && caseReport.cronologia.length > 0) {
+      md += '\n### 🕒 Cronología\n\n| Momento | Evento |\n|---|---|\n';
+      caseReport.cronologia.forEach(event => {
+        md += `| ${cell(event.momento)} | ${cell(event.evento)}${pageRef(event)} |\n`;
+      });
+    }
+    if (Array.isArray(caseReport.lecciones) && caseReport.lecciones.length > 0) {
+      md += '\n### 🎓 Lecciones Clínicas\n';
+      caseReport.lecciones.forEach(lesson => md += `- ${lesson}\n`);
+    }
+    md += '\n';
+  }
+
+  const guideline = imryd.guia_clinica;
+  if (guideline) {
+    md += '## 🏛️ Guía de Práctica Clínica\n\n';
+    md += fields([
+      ['Organismo', guideline.organismo],
+      ['Población', guideline.poblacion_objetivo],
+      ['Sistema de gradación', guideline.sistema_gradacion]
+    ]);
+    if (Array.isArray(guideline.recomendaciones) && guideline.recomendaciones.length > 0) {
+      md += '\n### ✅ Recomendaciones\n\n| Recomendación | Fuerza | Nivel de evidencia |\n|---|---|---|\n';
+      guideline.recomendaciones.forEach(item => {
+        md += `| ${cell(item.recomendacion)}${pageRef(item)} | ${cell(item.fuerza)} | ${cell(item.nivel_evidencia)} |\n`;
+      });
+    }
+    md += '\n';
+  }
+
+  const narrative = imryd.revision_narrativa;
+  if (narrative) {
+    md += '## 🗂️ Temas Principales\n\n';
+    (Array.isArray(narrative.temas) ? narrative.temas : []).forEach(topic => {
+      md += `### ${topic.tema}\n${topic.resumen || ''}${pageRef(topic)}\n\n`;
+    });
+    if (Array.isArray(narrative.vacios_conocimiento) && narrative.vacios_conocimiento.length > 0) {
+      md += '### ❓ Vacíos de Conocimiento\n';
+      narrative.vacios_conocimiento.forEach(gap => md += `- ${gap}\n`);
+      md += '\n';
+    }
+  }
+
+  return md;
+}
+
 export default {
   analyzePage,
+  analyzeSection,
+  checkStudyType,
+  appraiseChecklist,
+  extractPICO,
+  assessRiskOfBias,
   generateSummary,
+  getModelConfig,
+  estimateTokens,
   getTokenUsage,
   resetTokenUsage
 };
\ No newline at end of file
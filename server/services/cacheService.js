@@ -229,6 +229,39 @@ export function cacheSummary(hash, summary) {
   summariesCache.set(hash, summary);
 }
 
+/**
+ * Build the cache key for page analyses and summaries
+ * The key includes the provider, model and prompt version so that switching
+ * provider, MODEL or USE_PROMPTS_V2 never serves results produced by another config.
+ * Section-level analyses, summaries with a forced study type and summaries
+ * without the AI study type check, critical appraisal, PICO or risk of bias
+ * get their own key (the default configuration keeps the existing key).
+ * @param {string} hash - Document hash
+ * @param {Object} config - { provider, model, promptVersion, segmentation, studyType,
+ *   studyTypeCheck, appraisal, pico, riskOfBias }
+ * @returns {string} - Cache key
+ */
+export function buildSummaryCacheKey(hash, {
+  provider = 'default',
+  model,
+  promptVersion,
+  segmentation = 'page',
+  studyType = 'auto',
+  studyTypeCheck = true,
+  appraisal = true,
+  pico = true,
+  riskOfBias = true
+}) {
+  let key = `${hash}:${provider}:${model}:${promptVersion}`;
+  if (segmentation !== 'page') key += `:${segmentation}`;
+  if (studyType !== 'auto') key += `:type-${studyType}`;
+  if (!studyTypeCheck) key += ':no-type-check';
+  if (!appraisal) key += ':no-appraisal';
+  if (!pico) key += ':no-pico';
+  if (!riskOfBias) key += ':no-rob';
+  return key;
+}
+
 /**
  * Clear all caches
  */
@@ -256,8 +289,8 @@ export function runCacheCleanup() {
   summariesCache.cleanup();
 }
 
-// Run cleanup every 5 minutes
-setInterval(runCacheCleanup, 5 * 60 * 1000);
+// Run cleanup every 5 minutes (unref'd so it never keeps the process alive)
+setInterval(runCacheCleanup, 5 * 60 * 1000).unref();
 
 export {
   Cache
@@ -268,6 +301,7 @@ export default {
   cachePDFText,
   getCachedSummary,
   cacheSummary,
+  buildSummaryCacheKey,
   clearAllCaches,
   getCacheStats,
   runCacheCleanup
@@ -4,8 +4,14 @@
  * Provides functionality to export summaries in various formats:
  * - Markdown (.md)
  * - JSON (.json)
+ * - Citations of the article and its parsed references for reference
+ *   managers (Zotero, Mendeley): BibTeX (.bib), RIS (.ris) and CSL-JSON
  */
 
+import {
+  NOT_SPECIFIED
+} from '../utils/prompts.js';
+
 /**
  * Export summary as Markdown
  * @param {Object} result - Processing result object
@@ -75,6 +81,268 @@ export function exportAsJSON(result) {
   };
 }
 
+// Words that mark a corporate author ("World Health Organization")
+const CORPORATE_AUTHOR = /\b(?:organi[sz]ation|group|society|association|committee|collaborat\w*|investigators|consortium|council|institute|ministry|department|foundation|task force|working party|who|grupo|sociedad|comit[ée]|ministerio)\b/i;
+
+const MONTHS = {
+  jan: 1, ene: 1, feb: 2, mar: 3, apr: 4, abr: 4, may: 5, jun: 6, jul: 7,
+  aug: 8, ago: 8, sep: 9, oct: 10, nov: 11, dec: 12, dic: 12
+};
+
+/**
+ * Useful text of a field (null when empty or "No especificado")
+ * @param {*} value
+ * @returns {string|null}
+ */
+function cleanField(value) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text && text !== NOT_SPECIFIED ? text : null;
+}
+
+/**
+ * Splits an author string into a CSL name
+ * "Shaw JE" (Vancouver), "Shaw, John E.", "John E. Shaw" or a corporate author
+ * @param {string} name
+ * @returns {Object} - { family, given } or { literal }
+ */
+export function parseAuthorName(name) {
+  const text = name.replace(/\s+/g, ' ').trim();
+  if (CORPORATE_AUTHOR.test(text)) return { literal: text };
+
+  const comma = text.match(/^([^,]+),\s*(.+)$/);
+  if (comma) return { family: comma[1], given: comma[2] };
+
+  const vancouver = text.match(/^(.+?)\s+([A-Z]{1,3})$/);
+  if (vancouver) return { family: vancouver[1], given: vancouver[2].split('').map(initial => `${initial}.`).join(' ') };
+
+  const words = text.split(' ');
+  if (words.length === 1) return { literal: text };
+  return { family: words[words.length - 1], given: words.slice(0, -1).join(' ') };
+}
+
+/**
+ * Year, month and day of a free-text date ("2019-11-21", "Nov 2019",
+ * "21 de noviembre de 2019") or of a PDF date ("D:20191121...")
+ * @param {string|null} text
+ * @returns {number[]|null} - CSL date-parts [year, month?, day?]
+ */
+function parseDateParts(text) {
+  if (!text) return null;
+  const pdfDate = text.match(/^D:((?:19|20)\d{2})(\d{2})?(\d{2})?/);
+  const iso = text.match(/\b((?:19|20)\d{2})-(\d{1,2})(?:-(\d{1,2}))?\b/);
+  const parts = pdfDate || iso;
+  if (parts) {
+    return parts.slice(1).filter(Boolean).map(Number);
+  }
+
+  const year = text.match(/\b(?:19|20)\d{2}\b/);
+  if (!year) return null;
+  const monthName = text.toLowerCase().match(/\b(jan|ene|feb|mar|apr|abr|may|jun|jul|aug|ago|sep|oct|nov|dec|dic)[a-z]*\b/);
+  return monthName ? [Number(year[0]), MONTHS[monthName[1]]] : [Number(year[0])];
+}
+
+/**
+ * Full page range from an abbreviated one ("1413-24" → "1413-1424")
+ * @param {string|null} pages
+ * @returns {string|null}
+ */
+function expandPageRange(pages) {
+  const range = pages && pages.match(/^(\w+)\s*[-–]\s*(\w+)$/);
+  if (!range) return pages || null;
+  const [, first, last] = range;
+  const end = /^\d+$/.test(first) && /^\d+$/.test(last) && last.length < first.length ?
+    first.slice(0, first.length - last.length) + last :
+    last;
+  return `${first}-${end}`;
+}
+
+/**
+ * Citation of the analysed article from the PDF metadata and the v2
+ * IMRyD metadata block (the AI reading wins over the PDF properties)
+ * @param {Object} result - Processing result object
+ * @returns {Object} - Citation { title, authors, journal, date, doi, volume, issue, pages, pmid }
+ */
+export function buildArticleCitation(result) {
+  const pdfMeta = result.metadata || {};
+  const imrydMeta = (result.imryd && result.imryd.metadata) || {};
+
+  const authorField = Array.isArray(imrydMeta.autores) ?
+    imrydMeta.autores.map(cleanField).filter(Boolean) :
+    (cleanField(imrydMeta.autores) || cleanField(pdfMeta.Author) || '').split(/\s*;\s*|\s*,\s+(?=\S+\s+\S)|\s+(?:and|y|&)\s+/);
+  const doi = cleanField(imrydMeta.doi) ||
+    [pdfMeta.doi, pdfMeta.Subject, pdfMeta.Keywords].map(cleanField).filter(Boolean).join(' ');
+
+  return {
+    title: cleanField(imrydMeta.titulo) || cleanField(pdfMeta.Title) || result.title,
+    authors: authorField.map(cleanField).filter(Boolean).map(parseAuthorName),
+    journal: cleanField(imrydMeta.revista),
+    date: parseDateParts(cleanField(imrydMeta.fecha_publicacion)) || parseDateParts(cleanField(pdfMeta.CreationDate)),
+    doi: (doi.match(/10\.\d{4,}\/[^\s"<>]+/) || [])[0]?.replace(/[.,;]+$/, '') || null,
+    volume: null,
+    issue: null,
+    pages: null,
+    pmid: null
+  };
+}
+
+/**
+ * Citation of a parsed reference (referenceDetector.parseBibliography)
+ * @param {Object} reference
+ * @returns {Object} - Citation with the shape of buildArticleCitation
+ */
+function referenceToCitation(reference) {
+  return {
+    title: reference.title,
+    authors: reference.authors.map(parseAuthorName),
+    journal: reference.journal,
+    date: reference.year ? [reference.year] : null,
+    doi: reference.doi,
+    volume: reference.volume,
+    issue: reference.issue,
+    pages: expandPageRange(reference.pages),
+    pmid: reference.pmid
+  };
+}
+
+/**
+ * Article citation followed by its reference list, each with a unique key
+ * ("shaw2010global")
+ * @param {Object} result - Processing result object
+ * @returns {Array} - Citations with { key }
+ */
+export function collectCitations(result) {
+  const citations = [buildArticleCitation(result), ...(result.references || []).map(referenceToCitation)];
+  const used = new Map();
+
+  return citations.map(citation => {
+    const author = citation.authors[0] || {};
+    const stem = [author.family || author.literal || 'anon', citation.date ? citation.date[0] : '', (citation.title || '').split(/\s+/).find(word => word.length > 3) || '']
+      .join('')
+      .normalize('NFD')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .toLowerCase();
+    const count = used.get(stem) || 0;
+    used.set(stem, count + 1);
+    return { key: count === 0 ? stem : `${stem}${String.fromCharCode(96 + count)}`, ...citation };
+  });
+}
+
+/**
+ * Escape BibTeX special characters
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeBibTeX(text) {
+  return String(text).replace(/\\/g, '\\textbackslash{}').replace(/([{}&%$#_])/g, '\\$1');
+}
+
+/**
+ * Export the article and its references as BibTeX
+ * @param {Object} result - Processing result object
+ * @returns {Object} - { content: string, filename: string, mimeType: string }
+ */
+export function exportAsBibTeX(result) {
+  const entries = collectCitations(result).map(citation => {
+    const fields = [
+      ['author', citation.authors.map(name => name.literal ? `{${escapeBibTeX(name.literal)}}` : escapeBibTeX(`${name.family}, ${name.given}`)).join(' and ')],
+      ['title', citation.title && escapeBibTeX(citation.title)],
+      ['journal', citation.journal && escapeBibTeX(citation.journal)],
+      ['year', citation.date && citation.date[0]],
+      ['month', citation.date && citation.date[1]],
+      ['volume', citation.volume],
+      ['number', citation.issue],
+      ['pages', citation.pages && citation.pages.replace('-', '--')],
+      ['doi', citation.doi],
+      ['pmid', citation.pmid]
+    ].filter(([, value]) => value);
+    const type = citation.journal ? 'article' : 'misc';
+    return `@${type}{${citation.key},\n${fields.map(([name, value]) => `  ${name} = {${value}}`).join(',\n')}\n}`;
+  });
+
+  return citationExport(result, entries.join('\n\n') + '\n', 'bib', 'application/x-bibtex');
+}
+
+/**
+ * Export the article and its references as RIS
+ * @param {Object} result - Processing result object
+ * @returns {Object} - { content: string, filename: string, mimeType: string }
+ */
+export function exportAsRIS(result) {
+  const records = collectCitations(result).map(citation => {
+    const [startPage, endPage] = (citation.pages || '').split('-');
+    const tags = [
+      ['TY', citation.journal ? 'JOUR' : 'GEN'],
+      ['ID', citation.key],
+      ...citation.authors.map(name => ['AU', name.literal || `${name.family}, ${name.given}`]),
+      ['TI', citation.title],
+      ['T2', citation.journal],
+      ['PY', citation.date && citation.date[0]],
+      ['DA', citation.date && citation.date.length > 1 && citation.date.map(part => String(part).padStart(2, '0')).join('/')],
+      ['VL', citation.volume],
+      ['IS', citation.issue],
+      ['SP', startPage],
+      ['EP', endPage],
+      ['DO', citation.doi],
+      ['AN', citation.pmid && `PMID: ${citation.pmid}`],
+      ['ER', '']
+    ].filter(([tag, value]) => value || tag === 'ER');
+    return tags.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n');
+  });
+
+  return citationExport(result, records.join('\r\n\r\n') + '\r\n', 'ris', 'application/x-research-info-systems');
+}
+
+/**
+ * Export the article and its references as CSL-JSON
+ * @param {Object} result - Processing result object
+ * @returns {Object} - { content: string, filename: string, mimeType: string }
+ */
+export function exportAsCSLJSON(result) {
+  const items = collectCitations(result).map(citation => {
+    const item = {
+      id: citation.key,
+      type: citation.journal ? 'article-journal' : 'document',
+      title: citation.title || undefined,
+      author: citation.authors,
+      'container-title': citation.journal || undefined,
+      issued: citation.date ? { 'date-parts': [citation.date] } : undefined,
+      volume: citation.volume || undefined,
+      issue: citation.issue || undefined,
+      page: citation.pages || undefined,
+      DOI: citation.doi || undefined,
+      PMID: citation.pmid || undefined
+    };
+    return JSON.parse(JSON.stringify(item));
+  });
+
+  return citationExport(result, JSON.stringify(items, null, 2), 'csl.json', 'application/vnd.citationstyles.csl+json');
+}
+
+/**
+ * Wraps citation content as an export file
+ * @param {Object} result - Processing result object
+ * @param {string} content - File content
+ * @param {string} extension - File extension
+ * @param {string} mimeType - File MIME type
+ * @returns {Object} - { content: string, filename: string, mimeType: string }
+ */
+function citationExport(result, content, extension, mimeType) {
+  const timestamp = new Date().toISOString().split('T')[0];
+  const safeTitle = sanitizeFilename(result.title || 'documento');
+  return {
+    content,
+    filename: `${safeTitle}_${timestamp}.${extension}`,
+    mimeType
+  };
+}
+
+// Citation exporters by the `format` of the citations route
+export const CITATION_FORMATS = {
+  bibtex: exportAsBibTeX,
+  ris: exportAsRIS,
+  'csl-json': exportAsCSLJSON
+};
+
 /**
  * Sanitize filename for safe file system usage
  * @param {string} filename - Original filename
@@ -89,5 +357,12 @@ function sanitizeFilename(filename) {
 
 export default {
   exportAsMarkdown,
-  exportAsJSON
+  exportAsJSON,
+  exportAsBibTeX,
+  exportAsRIS,
+  exportAsCSLJSON,
+  buildArticleCitation,
+  collectCitations,
+  parseAuthorName,
+  CITATION_FORMATS
 };
\ No newline at end of file
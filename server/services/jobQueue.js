@@ -9,6 +9,9 @@
 import {
   randomUUID
 } from 'crypto';
+import {
+  EventEmitter
+} from 'events';
 
 // Job statuses
 const JOB_STATUS = {
@@ -24,6 +27,10 @@ const jobs = new Map();
 // Job expiration (1 hour)
 const JOB_TTL_MS = 60 * 60 * 1000;
 
+// Live event notifications (one channel per job id)
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
 /**
  * Create a new job
  * @param {string} type - Job type (e.g., 'pdf_process')
@@ -41,6 +48,8 @@ export function createJob(type, data) {
     progress: 0,
     result: null,
     error: null,
+    cancelled: false,
+    events: [],
     createdAt: new Date().toISOString(),
     updatedAt: new Date().toISOString(),
     completedAt: null
@@ -51,7 +60,8 @@ export function createJob(type, data) {
   // Schedule cleanup
   setTimeout(() => {
     jobs.delete(jobId);
-  }, JOB_TTL_MS);
+    jobEvents.removeAllListeners(jobId);
+  }, JOB_TTL_MS).unref();
 
   return jobId;
 }
@@ -124,6 +134,100 @@ export function failJob(jobId, error) {
   });
 }
 
+/**
+ * Request cancellation of a running job
+ * The pipeline polls isJobCancelled() and stops at its next checkpoint.
+ * @param {string} jobId - Job ID
+ */
+export function cancelJob(jobId) {
+  return updateJob(jobId, {
+    cancelled: true
+  });
+}
+
+/**
+ * Check whether cancellation was requested for a job
+ * @param {string} jobId - Job ID
+ * @returns {boolean}
+ */
+export function isJobCancelled(jobId) {
+  const job = jobs.get(jobId);
+  return Boolean(job && job.cancelled);
+}
+
+/**
+ * Check whether a job reached a terminal state
+ * @param {Object} job - Job object
+ * @returns {boolean}
+ */
+export function isJobFinished(job) {
+  return job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED;
+}
+
+/**
+ * Append an event to the job log and notify live subscribers
+ * Events get sequential ids so streams can resume after a reconnect.
+ * @param {string} jobId - Job ID
+ * @param {Object} data - Event payload (log, progress, complete, error)
+ * @returns {Object|null} - Stored entry { id, data } or null if job not found
+ */
+export function appendJobEvent(jobId, data) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  const entry = {
+    id: job.events.length + 1,
+    data
+  };
+  job.events.push(entry);
+  jobEvents.emit(jobId, entry);
+
+  return entry;
+}
+
+/**
+ * Get job events after a given event id
+ * @param {string} jobId - Job ID
+ * @param {number} [afterId=0] - Last event id already received
+ * @returns {Object[]} - Event entries
+ */
+export function getJobEvents(jobId, afterId = 0) {
+  const job = jobs.get(jobId);
+  if (!job) return [];
+  return job.events.filter(entry => entry.id > afterId);
+}
+
+/**
+ * Subscribe to new events of a job
+ * @param {string} jobId - Job ID
+ * @param {Function} listener - Called with each new entry { id, data }
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToJob(jobId, listener) {
+  jobEvents.on(jobId, listener);
+  return () => jobEvents.off(jobId, listener);
+}
+
+/**
+ * Get a job without its event log (for status endpoints)
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - Job summary or null
+ */
+export function getJobSummary(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  const {
+    events,
+    ...summary
+  } = job;
+
+  return {
+    ...summary,
+    eventCount: events.length
+  };
+}
+
 /**
  * Get all jobs (for debugging)
  * @returns {Object[]} - Array of jobs
@@ -153,6 +257,7 @@ export function getJobStats() {
  */
 export function clearJobs() {
   jobs.clear();
+  jobEvents.removeAllListeners();
 }
 
 export {
@@ -166,6 +271,13 @@ export default {
   setJobProgress,
   completeJob,
   failJob,
+  cancelJob,
+  isJobCancelled,
+  isJobFinished,
+  appendJobEvent,
+  getJobEvents,
+  subscribeToJob,
+  getJobSummary,
   getAllJobs,
   getJobStats,
   clearJobs,
@@ -0,0 +1,250 @@
+/**
+ * LLM Provider Registry
+ *
+ * Capa común para los proveedores de modelos de lenguaje:
+ * - chutes: Chutes AI (API compatible con OpenAI)
+ * - openai: cualquier endpoint compatible con OpenAI (OpenAI, vLLM, LM Studio...)
+ * - ollama: LLM local via Ollama
+ *
+ * Todos exponen la misma interfaz:
+ *   chat(messages, options) → { content, usage }
+ *   healthCheck()           → { status, ... }
+ *   isConfigured()          → boolean
+ *   maxConcurrency          → peticiones simultáneas admitidas (opcional)
+ *
+ * El proveedor se elige por petición (campo `provider`) o por entorno
+ * (LLM_PROVIDER; USE_OLLAMA=true se mantiene por compatibilidad).
+ */
+
+import OpenAI from 'openai';
+import '../config/env.js';
+import ollamaService from './ollamaService.js';
+
+const CHUTES_BASE_URL = 'https://llm.chutes.ai/v1';
+const CHUTES_DEFAULT_MODEL = 'nvidia/nemotron-3-nano-30b-a3b:free';
+
+/**
+ * Crea un proveedor para una API compatible con OpenAI
+ * @param {Object} config - { name, label, baseURL, getApiKey, getModel, missingKeyMessage }
+ * @returns {Object} - Proveedor LLM
+ */
+function createOpenAICompatibleProvider(config) {
+  let client = null;
+
+  function getClient() {
+    if (!client) {
+      client = new OpenAI({
+        baseURL: config.baseURL(),
+        apiKey: config.getApiKey(),
+        // Retries are handled by aiService (backoff + provider fallback)
+        maxRetries: 0,
+        defaultHeaders: {
+          'HTTP-Referer': process.env.SITE_URL || 'http://localhost:5173',
+          'X-Title': process.env.SITE_NAME || 'Medical Summarizer'
+        }
+      });
+    }
+    return client;
+  }
+
+  return {
+    name: config.name,
+    label: config.label,
+
+    get model() {
+      return config.getModel();
+    },
+
+    isConfigured() {
+      return Boolean(config.getApiKey() && config.baseURL());
+    },
+
+    async chat(messages, options = {}) {
+      if (!this.isConfigured()) {
+        throw new Error(config.missingKeyMessage);
+      }
+
+      const response = await getClient().chat.completions.create({
+        model: options.model || this.model,
+        messages,
+        temperature: options.temperature ?? 0.3,
+        max_tokens: options.maxTokens || 4000
+      });
+
+      // Validate API response structure
+      if (!response.choices || !response.choices[0] || !response.choices[0].message) {
+        throw new Error('Estructura de respuesta de API inválida: faltan choices o message');
+      }
+
+      const usage = response.usage || {};
+      return {
+        content: response.choices[0].message.content,
+        usage: {
+          prompt: usage.prompt_tokens || 0,
+          completion: usage.completion_tokens || 0,
+          total: usage.total_tokens || 0
+        }
+      };
+    },
+
+    async healthCheck() {
+      // No network call: remote providers bill per request
+      return {
+        status: this.isConfigured() ? 'configured' : 'not_configured',
+        model: this.model
+      };
+    }
+  };
+}
+
+const chutesProvider = createOpenAICompatibleProvider({
+  name: 'chutes',
+  label: 'Chutes AI',
+  baseURL: () => CHUTES_BASE_URL,
+  getApiKey: () => process.env.CHUTES_API_KEY,
+  getModel: () => process.env.MODEL || CHUTES_DEFAULT_MODEL,
+  missingKeyMessage: 'Missing CHUTES_API_KEY. Configure it in .env.'
+});
+
+const openaiProvider = createOpenAICompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  baseURL: () => process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  getApiKey: () => process.env.OPENAI_API_KEY,
+  getModel: () => process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  missingKeyMessage: 'Missing OPENAI_API_KEY. Configure it in .env.'
+});
+
+const ollamaProvider = {
+  name: 'ollama',
+  label: 'Ollama (local)',
+  // A local model usually serves one request at a time
+  maxConcurrency: parseInt(process.env.OLLAMA_MAX_CONCURRENCY || '1', 10) || 1,
+
+  get model() {
+    return ollamaService.OLLAMA_MODEL;
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  async chat(messages, options = {}) {
+    if (!(await ollamaService.isOllamaAvailable())) {
+      throw new Error('Ollama no está ejecutándose. Inícialo con: ollama serve');
+    }
+    return ollamaService.chatCompletion(messages, options);
+  },
+
+  async healthCheck() {
+    const status = await ollamaService.getStatus();
+    return {
+      status: status.available ? 'available' : 'unavailable',
+      model: status.configuredModel,
+      modelInstalled: status.modelInstalled
+    };
+  }
+};
+
+const PROVIDERS = {
+  chutes: chutesProvider,
+  openai: openaiProvider,
+  ollama: ollamaProvider
+};
+
+/**
+ * Nombres de proveedores registrados
+ * @returns {string[]}
+ */
+export function listProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+/**
+ * Comprueba si un nombre corresponde a un proveedor registrado
+ * @param {string} name - Nombre del proveedor
+ * @returns {boolean}
+ */
+export function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+/**
+ * Proveedor por defecto según el entorno
+ * @returns {string} - Nombre del proveedor
+ */
+export function getDefaultProviderName() {
+  const configured = (process.env.LLM_PROVIDER || '').trim().toLowerCase();
+  if (configured && isKnownProvider(configured)) {
+    return configured;
+  }
+  return process.env.USE_OLLAMA === 'true' ? 'ollama' : 'chutes';
+}
+
+/**
+ * Resuelve el nombre del proveedor a usar (petición > entorno)
+ * @param {string} [requested] - Proveedor pedido por el cliente
+ * @returns {string} - Nombre del proveedor
+ * @throws {Error} - Si el proveedor pedido no existe
+ */
+export function resolveProviderName(requested) {
+  if (!requested) {
+    return getDefaultProviderName();
+  }
+
+  const name = String(requested).trim().toLowerCase();
+  if (!isKnownProvider(name)) {
+    throw new Error(`Proveedor de IA desconocido: ${requested}. Opciones: ${listProviders().join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Cadena de proveedores a intentar, en orden: el elegido y después los de
+ * respaldo de LLM_FALLBACK_CHAIN (p. ej. "ollama,openai"), sin repetir
+ * @param {string} [name] - Proveedor principal
+ * @returns {string[]} - Nombres de proveedores
+ */
+export function getFallbackChain(name) {
+  const primary = resolveProviderName(name);
+  const fallbacks = (process.env.LLM_FALLBACK_CHAIN || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(entry => entry && isKnownProvider(entry));
+
+  return [...new Set([primary, ...fallbacks])];
+}
+
+/**
+ * Obtiene un proveedor del registro
+ * @param {string} [name] - Nombre del proveedor (por defecto, el del entorno)
+ * @returns {Object} - Proveedor LLM
+ */
+export function getProvider(name) {
+  return PROVIDERS[resolveProviderName(name)];
+}
+
+/**
+ * Estado de todos los proveedores (para /api/health)
+ * @returns {Promise<Object>} - { [name]: { status, model, ... } }
+ */
+export async function getProvidersHealth() {
+  const entries = await Promise.all(listProviders().map(async (name) => {
+    try {
+      return [name, await PROVIDERS[name].healthCheck()];
+    } catch {
+      return [name, { status: 'error' }];
+    }
+  }));
+  return Object.fromEntries(entries);
+}
+
+export default {
+  listProviders,
+  isKnownProvider,
+  getDefaultProviderName,
+  resolveProviderName,
+  getFallbackChain,
+  getProvider,
+  getProvidersHealth
+};
@@ -0,0 +1,246 @@
+/**
+ * OCR Service - Reconocimiento Óptico para Páginas Escaneadas
+ *
+ * Los PDFs escaneados (ensayos antiguos, copias) no tienen capa de texto:
+ * pdf-parse devuelve páginas vacías. Este servicio, 100% local y offline:
+ * - Detecta las páginas sin texto o con muy poco texto (densidad mínima)
+ * - Renderiza cada una a imagen con `pdftoppm` (poppler-utils)
+ * - La reconoce con `tesseract` y calcula la confianza media por página
+ *
+ * Si las herramientas no están instaladas, el pipeline continúa sin OCR.
+ * Instalación: apt install poppler-utils tesseract-ocr tesseract-ocr-spa
+ */
+
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import '../config/env.js';
+
+const execFileAsync = promisify(execFile);
+
+// Configuration
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'spa+eng';
+const OCR_DPI = parseInt(process.env.OCR_DPI || '300', 10);
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS || '60000', 10);
+// Pages with fewer non-whitespace characters than this are OCR'd
+export const OCR_MIN_TEXT_CHARS = parseInt(process.env.OCR_MIN_TEXT_CHARS || '100', 10);
+// Below this confidence the page is flagged in the logs
+const LOW_CONFIDENCE = 0.6;
+
+let availability = null;
+
+/**
+ * Comprueba si una página necesita OCR
+ * @param {Object} page - { text, ocr, ocrChecked }
+ * @param {number} [minChars] - Densidad mínima de texto
+ * @returns {boolean}
+ */
+export function needsOCR(page, minChars = OCR_MIN_TEXT_CHARS) {
+  // Already OCR'd, or OCR found nothing better (e.g. page recovered from cache)
+  if (page.ocr || page.ocrChecked) return false;
+
+  const text = String(page.text || '').trim();
+  if (!text || text.startsWith('[Página')) return true;
+  return text.replace(/\s/g, '').length < minChars;
+}
+
+/**
+ * Convierte la salida TSV de tesseract en texto y confianza media
+ * Solo se usan las filas de palabra (level 5) con confianza válida.
+ *
+ * @param {string} tsv - Salida de `tesseract ... tsv`
+ * @returns {Object} - { text, confidence (0-1), words }
+ */
+export function parseTesseractTSV(tsv) {
+  const lines = String(tsv || '').split('\n');
+  const header = lines.shift().split('\t');
+  const column = (name) => header.indexOf(name);
+  const idx = {
+    level: column('level'),
+    block: column('block_num'),
+    par: column('par_num'),
+    line: column('line_num'),
+    conf: column('conf'),
+    text: column('text')
+  };
+
+  const textLines = [];
+  let currentKey = null;
+  let confidenceSum = 0;
+  let words = 0;
+
+  for (const row of lines) {
+    const cells = row.split('\t');
+    if (cells[idx.level] !== '5') continue;
+
+    const word = (cells[idx.text] || '').trim();
+    const confidence = parseFloat(cells[idx.conf]);
+    if (!word || !(confidence >= 0)) continue;
+
+    const key = `${cells[idx.block]}:${cells[idx.par]}:${cells[idx.line]}`;
+    if (key !== currentKey) {
+      textLines.push([]);
+      currentKey = key;
+    }
+    textLines[textLines.length - 1].push(word);
+
+    confidenceSum += confidence;
+    words++;
+  }
+
+  return {
+    text: textLines.map(wordsInLine => wordsInLine.join(' ')).join('\n'),
+    confidence: words > 0 ? Math.round(confidenceSum / words) / 100 : 0,
+    words
+  };
+}
+
+/**
+ * Comprueba (una vez) si pdftoppm y tesseract están instalados
+ * @returns {Promise<boolean>}
+ */
+export function isOCRAvailable() {
+  if (!OCR_ENABLED) return Promise.resolve(false);
+
+  if (!availability) {
+    availability = Promise.all([
+      execFileAsync('pdftoppm', ['-v'], { timeout: 5000 }),
+      execFileAsync('tesseract', ['--version'], { timeout: 5000 })
+    ]).then(() => true, () => false);
+  }
+  return availability;
+}
+
+/**
+ * Reconoce el texto de una página del PDF
+ * @param {string} pdfPath - Ruta al PDF
+ * @param {number} pageNumber - Página (1-based)
+ * @returns {Promise<Object>} - { text, confidence, words }
+ */
+export async function ocrPage(pdfPath, pageNumber) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'medsum-ocr-'));
+  const imagePrefix = path.join(workDir, 'page');
+
+  try {
+    await execFileAsync('pdftoppm', [
+      '-f', String(pageNumber),
+      '-l', String(pageNumber),
+      '-r', String(OCR_DPI),
+      '-gray',
+      '-png',
+      '-singlefile',
+      pdfPath,
+      imagePrefix
+    ], { timeout: OCR_TIMEOUT_MS });
+
+    const { stdout } = await execFileAsync('tesseract', [
+      `${imagePrefix}.png`,
+      'stdout',
+      '-l', OCR_LANGUAGES,
+      'tsv'
+    ], {
+      timeout: OCR_TIMEOUT_MS,
+      maxBuffer: 20 * 1024 * 1024
+    });
+
+    return parseTesseractTSV(stdout);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Aplica OCR a las páginas sin texto suficiente
+ * Sustituye el texto de la página cuando el OCR obtiene más contenido y
+ * guarda `page.ocr = { engine, confidence, words }`; si no lo mejora, marca
+ * `page.ocrChecked` para no repetir el OCR cuando la página sale de caché.
+ *
+ * @param {string} pdfPath - Ruta al PDF
+ * @param {Array} pages - Páginas [{ pageNumber, text }]
+ * @param {Object} [options] - { onLog, minChars }
+ * @returns {Promise<Object>} - { pages, ocrPages: [{ pageNumber, confidence }], checkedPages, available }
+ */
+export async function applyOCR(pdfPath, pages, options = {}) {
+  const log = (message, color = 'white') => {
+    if (options.onLog) options.onLog(message, color);
+  };
+
+  const candidates = pages.filter(page => needsOCR(page, options.minChars));
+  if (candidates.length === 0) {
+    return { pages, ocrPages: [], checkedPages: [], available: true };
+  }
+
+  if (!(await isOCRAvailable())) {
+    log(
+      `⚠ ${candidates.length} página(s) sin texto suficiente, pero el OCR no está disponible (instale poppler-utils y tesseract-ocr)`,
+      'orange'
+    );
+    return { pages, ocrPages: [], checkedPages: [], available: false };
+  }
+
+  log(`🔎 Aplicando OCR a ${candidates.length} página(s) escaneada(s) o con poco texto...`, 'cyan');
+
+  const ocrPages = [];
+  const checkedPages = [];
+  const updated = [...pages];
+
+  for (const page of candidates) {
+    try {
+      const result = await ocrPage(pdfPath, page.pageNumber);
+      const currentText = String(page.text || '').trim();
+      const currentChars = currentText.startsWith('[Página') ? 0 : currentText.length;
+
+      const index = updated.indexOf(page);
+
+      if (result.text.trim().length <= currentChars) {
+        updated[index] = {
+          ...page,
+          ocrChecked: true
+        };
+        checkedPages.push(page.pageNumber);
+        log(`⚠ OCR página ${page.pageNumber}: sin texto adicional reconocido`, 'orange');
+        continue;
+      }
+
+      updated[index] = {
+        ...page,
+        text: result.text.trim(),
+        ocr: {
+          engine: 'tesseract',
+          confidence: result.confidence,
+          words: result.words
+        }
+      };
+      ocrPages.push({
+        pageNumber: page.pageNumber,
+        confidence: result.confidence
+      });
+
+      log(
+        `🔎 OCR página ${page.pageNumber}: ${result.words} palabras (confianza ${Math.round(result.confidence * 100)}%)`,
+        result.confidence < LOW_CONFIDENCE ? 'orange' : 'green'
+      );
+    } catch (error) {
+      log(`⚠ OCR página ${page.pageNumber} falló: ${error.message}`, 'orange');
+    }
+  }
+
+  return {
+    pages: updated,
+    ocrPages,
+    checkedPages,
+    available: true
+  };
+}
+
+export default {
+  needsOCR,
+  parseTesseractTSV,
+  isOCRAvailable,
+  ocrPage,
+  applyOCR,
+  OCR_MIN_TEXT_CHARS
+};
@@ -7,11 +7,17 @@
  * - Cost savings
  *
  * Requires Ollama running locally: https://ollama.ai
+ *
+ * The summarization pipeline uses it through the provider registry
+ * (services/llmProvider.js), so prompts stay shared with other providers.
  */
 
+import '../config/env.js';
+
 // Ollama default configuration
 const OLLAMA_BASE_URL = process.env.OLLAMA_URL || 'http://localhost:11434';
 const OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.2';
+const AVAILABILITY_TIMEOUT_MS = 3000;
 
 /**
  * Check if Ollama is available
@@ -23,7 +29,8 @@ export async function isOllamaAvailable() {
       method: 'GET',
       headers: {
         'Content-Type': 'application/json'
-      }
+      },
+      signal: AbortSignal.timeout(AVAILABILITY_TIMEOUT_MS)
     });
     return response.ok;
   } catch (error) {
@@ -89,12 +96,12 @@ export async function generate(prompt, options = {}) {
 }
 
 /**
- * Chat completion with Ollama
+ * Chat completion with Ollama, including token usage
  * @param {Array} messages - Chat messages [{ role, content }]
  * @param {Object} options - Generation options
- * @returns {Promise<string>} - Assistant response
+ * @returns {Promise<Object>} - { content, usage: { prompt, completion, total } }
  */
-export async function chat(messages, options = {}) {
+export async function chatCompletion(messages, options = {}) {
   const {
     model = OLLAMA_MODEL,
       temperature = 0.3,
@@ -118,102 +125,34 @@ export async function chat(messages, options = {}) {
   });
 
   if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Ollama chat error: ${error}`);
+    const error = new Error(`Ollama chat error: ${await response.text()}`);
+    error.status = response.status;
+    throw error;
   }
 
   const data = await response.json();
-  return (data.message && data.message.content) ? data.message.content : '';
-}
-
-/**
- * Analyze page with Ollama (drop-in replacement for aiService)
- * @param {string} pageText - Page text
- * @param {number} pageNumber - Page number
- * @param {Function} onLog - Log callback
- * @returns {Promise<string>} - Analysis
- */
-export async function analyzePage(pageText, pageNumber, onLog) {
-  const log = (msg, color) => onLog && onLog(msg, color);
+  const prompt = data.prompt_eval_count || 0;
+  const completion = data.eval_count || 0;
 
-  const available = await isOllamaAvailable();
-  if (!available) {
-    throw new Error('Ollama no está ejecutándose. Inícialo con: ollama serve');
-  }
-
-  log(`🦙 Analizando página ${pageNumber} con Ollama (${OLLAMA_MODEL})...`, 'cyan');
-
-  const systemPrompt = `Eres un asistente médico experto. Analiza el siguiente texto de un artículo médico y extrae los puntos clave.
-Sé preciso y cita solo lo que aparece en el texto. Si algo no está claro, indícalo.
-Responde en español.`;
-
-  const analysis = await chat([{
-      role: 'system',
-      content: systemPrompt
-    },
-    {
-      role: 'user',
-      content: `=== PÁGINA ${pageNumber} ===\n\n${pageText}`
+  return {
+    content: (data.message && data.message.content) ? data.message.content : '',
+    usage: {
+      prompt,
+      completion,
+      total: prompt + completion
     }
-  ]);
-
-  log(`✓ Página ${pageNumber} analizada con Ollama (${analysis.length} caracteres)`, 'green');
-  return analysis;
+  };
 }
 
 /**
- * Generate summary with Ollama (drop-in replacement for aiService)
- * @param {string} title - Document title
- * @param {Array} analyzedPages - Analyzed pages
- * @param {Function} onLog - Log callback
- * @returns {Promise<string>} - Summary markdown
+ * Chat completion with Ollama
+ * @param {Array} messages - Chat messages [{ role, content }]
+ * @param {Object} options - Generation options
+ * @returns {Promise<string>} - Assistant response
  */
-export async function generateSummary(title, analyzedPages, onLog) {
-  const log = (msg, color) => onLog && onLog(msg, color);
-
-  const available = await isOllamaAvailable();
-  if (!available) {
-    throw new Error('Ollama is not running. Start it with: ollama serve');
-  }
-
-  log(`🦙 Generating summary with Ollama (${OLLAMA_MODEL})...`, 'yellow');
-
-  const combinedAnalysis = analyzedPages
-    .map(p => `--- PÁGINA ${p.pageNumber} ---\n${p.analysis}`)
-    .join('\n\n');
-
-  const systemPrompt = `Eres un experto en síntesis de literatura médica. Genera un resumen estructurado en formato IMRyD (Introducción, Métodos, Resultados, Discusión) basado en el análisis proporcionado.
-
-IMPORTANTE:
-- Solo incluye información que aparece explícitamente en el documento
-- Si algo no está claro, indícalo con "No especificado en el documento"
-- Incluye una sección de advertencias al final
-- Responde en español
-- Usa formato Markdown`;
-
-  const summary = await chat([{
-      role: 'system',
-      content: systemPrompt
-    },
-    {
-      role: 'user',
-      content: `TÍTULO: ${title}\n\n${combinedAnalysis}`
-    }
-  ]);
-
-  log(`✓ Resumen generado con Ollama (${summary.length} caracteres)`, 'green');
-
-  // Add disclaimer
-  return summary + `
-
----
-
-## ⚠️ Aviso Importante
-
-> **Este resumen es informativo y no constituye consejo médico.**
-> Generado localmente con Ollama (${OLLAMA_MODEL}).
-> Verifique siempre con el documento original.
-`;
+export async function chat(messages, options = {}) {
+  const { content } = await chatCompletion(messages, options);
+  return content;
 }
 
 /**
@@ -238,7 +177,7 @@ export default {
   getAvailableModels,
   generate,
   chat,
-  analyzePage,
-  generateSummary,
-  getStatus
-};
\ No newline at end of file
+  chatCompletion,
+  getStatus,
+  OLLAMA_MODEL
+};
@@ -2,11 +2,36 @@
  * PDF Service - Extracción de Texto y Detección de Estructura
  *
  * Este servicio extrae texto de PDFs y lo divide en páginas reales con pagerender.
+ * El texto de cada página se ordena según su maquetación (columnas, recuadros,
+ * notas al pie) con utils/layoutAnalyzer.js, y sus tablas con título se
+ * reconstruyen en filas y columnas con utils/tableExtractor.js.
  * Si la extracción por página es incompleta, usa un fallback de distribución uniforme.
+ * Si el PDF tiene índice (marcadores), la estructura se toma de él y las
+ * heurísticas de texto solo completan lo que falte.
  */
 
 import fs from 'fs';
+import { createRequire } from 'module';
 import pdf from 'pdf-parse';
+import layoutAnalyzer from '../utils/layoutAnalyzer.js';
+import tableExtractor from '../utils/tableExtractor.js';
+
+// pdf.js bundled with pdf-parse (same build, so the module is shared)
+const require = createRequire(import.meta.url);
+const PDFJS_BUILD = 'pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js';
+
+// Confidence of a section depending on where it was detected
+const OUTLINE_CONFIDENCE = 0.95;
+const HEURISTIC_CONFIDENCE = 0.6;
+// Subsections: confidence by the signal that identified the heading
+const SUBSECTION_CONFIDENCE = {
+  outline: OUTLINE_CONFIDENCE,
+  numbered: 0.8,
+  styled: 0.6,
+  caps: 0.5
+};
+// Unnumbered headings are short ("Statistical analysis", "STUDY DESIGN")
+const MAX_SUBSECTION_WORDS = 8;
 
 /**
  * Lee un PDF y extrae todo el texto
@@ -24,29 +49,22 @@ export async function extractTextFromPDF(pdfPath, onLog) {
 
     const dataBuffer = fs.readFileSync(pdfPath);
     const pageTexts = [];
+    const pageLayouts = [];
+    const pageTables = [];
     const renderPage = (pageData) =>
       pageData.getTextContent({
         normalizeWhitespace: true
       }).then((textContent) => {
-        let lastY = null;
-        let text = '';
-
-        for (const item of textContent.items) {
-          if (!item.str) continue;
-          if (lastY === item.transform[5] || lastY === null) {
-            text += item.str;
-          } else {
-            text += `\n${item.str}`;
-          }
-          lastY = item.transform[5];
-        }
-
-        const pageNumber = pageData.pageNumber;
-        if (Number.isInteger(pageNumber) && pageNumber > 0) {
-          pageTexts[pageNumber - 1] = text;
-        } else {
-          pageTexts.push(text);
-        }
+        // Reading order from item positions (two-column layouts, footnotes...)
+        const { text, layout } = layoutAnalyzer.buildPageText(textContent.items, pageData.view);
+
+        const index = Number.isInteger(pageData.pageNumber) && pageData.pageNumber > 0 ?
+          pageData.pageNumber - 1 :
+          pageTexts.length;
+        pageTexts[index] = text;
+        pageLayouts[index] = layout;
+        // Captioned tables rebuilt into rows/columns from the same items
+        pageTables[index] = tableExtractor.extractTables(textContent.items, pageData.view, index + 1);
         return text;
       });
 
@@ -56,6 +74,11 @@ export async function extractTextFromPDF(pdfPath, onLog) {
 
     log(`✓ PDF cargado: ${pdfData.numpages} páginas detectadas`, 'green');
 
+    const outline = await readOutline(dataBuffer);
+    if (outline.length > 0) {
+      log(`📑 Índice del PDF: ${outline.length} marcador(es)`, 'gray');
+    }
+
     let pages = [];
     let hasAllPages = pageTexts.length === pdfData.numpages;
     if (hasAllPages) {
@@ -72,9 +95,21 @@ export async function extractTextFromPDF(pdfPath, onLog) {
         const trimmed = text.trim();
         return {
           pageNumber: index + 1,
-          text: trimmed.length > 0 ? trimmed : '[Página sin texto extraíble]'
+          text: trimmed.length > 0 ? trimmed : '[Página sin texto extraíble]',
+          layout: pageLayouts[index],
+          tables: pageTables[index] || []
         };
       });
+
+      const multiColumn = pages.filter(page => page.layout && page.layout.columns > 1).length;
+      if (multiColumn > 0) {
+        log(`📰 Maquetación a dos columnas en ${multiColumn} página(s): texto reordenado por columnas`, 'gray');
+      }
+
+      const tableCount = pages.reduce((count, page) => count + page.tables.length, 0);
+      if (tableCount > 0) {
+        log(`📊 ${tableCount} tabla(s) reconstruida(s) en filas y columnas`, 'gray');
+      }
     } else {
       log('⚠ Extracción por página incompleta; usando segmentación de respaldo.', 'orange');
       pages = splitIntoPages(pdfData.text, pdfData.numpages);
@@ -85,6 +120,7 @@ export async function extractTextFromPDF(pdfPath, onLog) {
       text: pdfData.text,
       metadata: pdfData.metadata,
       pages,
+      outline,
       rawData: dataBuffer
     };
   } catch (error) {
@@ -93,6 +129,60 @@ export async function extractTextFromPDF(pdfPath, onLog) {
   }
 }
 
+/**
+ * Lee el índice (marcadores) del PDF
+ * pdf-parse no lo expone, así que se abre el documento con su misma build de pdf.js.
+ * Un índice ausente o ilegible no es un error: se devuelve [] y se usan heurísticas.
+ *
+ * @param {Buffer} dataBuffer - Contenido del PDF
+ * @returns {Promise<Array>} - [{ title, pageNumber, level }] en orden del índice
+ */
+export async function readOutline(dataBuffer) {
+  let doc = null;
+  try {
+    const PDFJS = require(PDFJS_BUILD);
+    PDFJS.disableWorker = true;
+    doc = await PDFJS.getDocument(new Uint8Array(dataBuffer));
+
+    const items = await doc.getOutline();
+    if (!items || items.length === 0) return [];
+
+    const resolvePage = async (dest) => {
+      try {
+        const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+        if (!Array.isArray(explicit) || !explicit[0]) return null;
+        // The target is a page reference, or a page index in some writers
+        const pageIndex = Number.isInteger(explicit[0]) ?
+          explicit[0] :
+          await doc.getPageIndex(explicit[0]);
+        return pageIndex + 1;
+      } catch (error) {
+        return null;
+      }
+    };
+
+    const outline = [];
+    const walk = async (nodes, level) => {
+      for (const node of nodes) {
+        const title = String(node.title || '').replace(/\s+/g, ' ').trim();
+        if (title) {
+          outline.push({ title, pageNumber: await resolvePage(node.dest), level });
+        }
+        if (node.items && node.items.length > 0) {
+          await walk(node.items, level + 1);
+        }
+      }
+    };
+    await walk(items, 0);
+
+    return outline;
+  } catch (error) {
+    return [];
+  } finally {
+    if (doc) doc.destroy();
+  }
+}
+
 /**
  * Divide el texto en páginas individuales basadas en el número REAL de páginas del PDF
  * @param {string} fullText - Texto completo del PDF
@@ -149,17 +239,23 @@ const IMRYD_PATTERNS = {
 
 /**
  * Detecta la estructura del documento buscando patrones IMRyD y Part/Chapter/Section
+ * Con índice del PDF, las secciones se toman de sus marcadores (source 'outline');
+ * las que falten se buscan en el texto de cada página (source 'heuristic').
+ *
  * @param {Array} pages - Array de páginas con texto
  * @param {Function} onLog - Callback para logs
- * @returns {Object} - Estructura detectada { parts, chapters, imryd }
+ * @param {Object} [options] - { outline } marcadores de readOutline
+ * @returns {Object} - Estructura detectada { parts, chapters, sections, imryd, outline, source }
  */
-export function detectStructure(pages, onLog) {
+export function detectStructure(pages, onLog, options = {}) {
   const log = (message, color = 'white') => {
     if (onLog) onLog(message, color);
   };
 
   log('🔍 Analizando estructura del documento...', 'cyan');
 
+  const outline = (options.outline || []).filter(entry => entry && entry.title && entry.pageNumber);
+
   const structure = {
     parts: [],
     chapters: [],
@@ -172,7 +268,9 @@ export function detectStructure(pages, onLog) {
       discussion: null,
       references: null
     },
-    isIMRyDFormat: false
+    isIMRyDFormat: false,
+    outline,
+    source: 'heuristic'
   };
 
   const partPattern = /^\s*(?:Part|Parte|PART)\s+([IVX0-9]+(?:\.[0-9]+)?)[\s:.-]*(.*)$/im;
@@ -181,60 +279,121 @@ export function detectStructure(pages, onLog) {
   let currentPart = null;
   let currentChapter = null;
 
+  const addPart = (match, startPage, source, confidence) => {
+    currentPart = {
+      id: `part-${match[1]}`,
+      number: match[1],
+      title: match[2].trim() || `Part ${match[1]}`,
+      startPage,
+      chapters: [],
+      source,
+      confidence
+    };
+    structure.parts.push(currentPart);
+    log(`  📁 Detectado: ${currentPart.title}`, 'magenta');
+  };
+
+  const addChapter = (match, startPage, source, confidence) => {
+    currentChapter = {
+      id: `chapter-${match[1]}`,
+      number: match[1],
+      title: match[2].trim() || `Chapter ${match[1]}`,
+      startPage,
+      sections: [],
+      source,
+      confidence
+    };
+    currentPart.chapters.push(currentChapter);
+    structure.chapters.push(currentChapter);
+    log(`    📂 Detectado: ${currentChapter.title}`, 'blue');
+  };
+
+  const addSection = (sectionName, title, startPage, source, confidence) => {
+    structure.imryd[sectionName] = {
+      startPage,
+      title,
+      detected: true,
+      source,
+      confidence
+    };
+    const origin = source === 'outline' ? 'índice del PDF' : 'texto';
+    log(`  🔬 Sección IMRyD: ${sectionName.toUpperCase()} (página ${startPage}, ${origin})`, 'cyan');
+  };
+
+  // Outline first: the author's own bookmarks
+  for (const entry of outline) {
+    const partMatch = entry.title.match(partPattern);
+    const chapterMatch = entry.title.match(chapterPattern);
+
+    if (partMatch) {
+      addPart(partMatch, entry.pageNumber, 'outline', OUTLINE_CONFIDENCE);
+    }
+
+    if (chapterMatch && currentPart) {
+      addChapter(chapterMatch, entry.pageNumber, 'outline', OUTLINE_CONFIDENCE);
+    }
+
+    for (const [sectionName, pattern] of Object.entries(IMRYD_PATTERNS)) {
+      if (pattern.test(entry.title) && !structure.imryd[sectionName]) {
+        addSection(sectionName, entry.title, entry.pageNumber, 'outline', OUTLINE_CONFIDENCE);
+      }
+    }
+  }
+
+  // Parts/chapters from the outline are not mixed with guessed ones
+  const hasOutlineParts = structure.parts.length > 0;
+
   // Analyze all pages
   for (const page of pages) {
     const lines = page.text.split('\n');
 
-    // Check first 20 lines for section headers
-    const headerLines = lines.slice(0, 20);
-
-    for (const line of headerLines) {
+    for (const [lineIndex, line] of lines.entries()) {
       const trimmedLine = line.trim();
       if (!trimmedLine) continue;
 
-      // Check for Part/Chapter structure
-      const partMatch = trimmedLine.match(partPattern);
-      const chapterMatch = trimmedLine.match(chapterPattern);
-
-      if (partMatch) {
-        currentPart = {
-          id: `part-${partMatch[1]}`,
-          number: partMatch[1],
-          title: partMatch[2].trim() || `Part ${partMatch[1]}`,
-          startPage: page.pageNumber,
-          chapters: []
-        };
-        structure.parts.push(currentPart);
-        log(`  📁 Detectado: ${currentPart.title}`, 'magenta');
-      }
+      // Part/Chapter headings open a page: check the first 20 lines only
+      if (!hasOutlineParts && lineIndex < 20) {
+        const partMatch = trimmedLine.match(partPattern);
+        const chapterMatch = trimmedLine.match(chapterPattern);
 
-      if (chapterMatch && currentPart) {
-        currentChapter = {
-          id: `chapter-${chapterMatch[1]}`,
-          number: chapterMatch[1],
-          title: chapterMatch[2].trim() || `Chapter ${chapterMatch[1]}`,
-          startPage: page.pageNumber,
-          sections: []
-        };
-        currentPart.chapters.push(currentChapter);
-        structure.chapters.push(currentChapter);
-        log(`    📂 Detectado: ${currentChapter.title}`, 'blue');
+        if (partMatch) {
+          addPart(partMatch, page.pageNumber, 'heuristic', HEURISTIC_CONFIDENCE);
+        }
+
+        if (chapterMatch && currentPart) {
+          addChapter(chapterMatch, page.pageNumber, 'heuristic', HEURISTIC_CONFIDENCE);
+        }
       }
 
       // Check for IMRyD sections
       for (const [sectionName, pattern] of Object.entries(IMRYD_PATTERNS)) {
         if (pattern.test(trimmedLine) && !structure.imryd[sectionName]) {
-          structure.imryd[sectionName] = {
-            startPage: page.pageNumber,
-            title: trimmedLine,
-            detected: true
-          };
-          log(`  🔬 Sección IMRyD: ${sectionName.toUpperCase()} (página ${page.pageNumber})`, 'cyan');
+          addSection(sectionName, trimmedLine, page.pageNumber, 'heuristic', HEURISTIC_CONFIDENCE);
         }
       }
     }
   }
 
+  // Subsections nested under their IMRyD section (and their chapter)
+  structure.sections = detectSubsections(pages, outline, structure);
+  for (const [sectionName, section] of Object.entries(structure.imryd)) {
+    if (section) {
+      section.subsections = nestSubsections(structure.sections.filter(sub => sub.imrydKey === sectionName));
+    }
+  }
+  structure.chapters.forEach((chapter, index) => {
+    const nextStart = structure.chapters[index + 1]?.startPage || Infinity;
+    chapter.sections = structure.sections.filter(sub => sub.startPage >= chapter.startPage && sub.startPage < nextStart);
+  });
+  if (structure.sections.length > 0) {
+    const styleLabels = { outline: 'del índice', numbered: 'numeradas', styled: 'con estilo propio', caps: 'en mayúsculas' };
+    const counts = Object.entries(styleLabels)
+      .map(([style, label]) => [structure.sections.filter(sub => sub.style === style).length, label])
+      .filter(([count]) => count > 0)
+      .map(([count, label]) => `${count} ${label}`);
+    log(`  📑 Subsecciones: ${structure.sections.length} (${counts.join(', ')})`, 'cyan');
+  }
+
   // Determine if document follows IMRyD format
   const imrydSections = ['introduction', 'methods', 'results', 'discussion'];
   const detectedImrydCount = imrydSections.filter(s => structure.imryd[s]).length;
@@ -251,6 +410,15 @@ export function detectStructure(pages, onLog) {
     });
   }
 
+  // Overall source: outline, heuristic, or mixed when both contributed
+  const sources = new Set([
+    ...Object.values(structure.imryd).filter(Boolean).map(section => section.source),
+    ...structure.parts.map(part => part.source).filter(Boolean)
+  ]);
+  if (sources.has('outline')) {
+    structure.source = sources.has('heuristic') ? 'mixed' : 'outline';
+  }
+
   // Summary log
   if (structure.isIMRyDFormat) {
     log(`✓ Formato IMRyD detectado (${detectedImrydCount}/4 secciones)`, 'green');
@@ -258,11 +426,303 @@ export function detectStructure(pages, onLog) {
     log(`⚠ Formato IMRyD estándar no detectado (${detectedImrydCount}/4 secciones)`, 'orange');
   }
 
+  if (outline.length > 0) {
+    const origin = { outline: 'índice del PDF', mixed: 'índice del PDF y texto', heuristic: 'texto (el índice no contiene secciones reconocibles)' };
+    log(`📑 Estructura tomada de: ${origin[structure.source]}`, 'gray');
+  }
+
   log(`✓ Análisis de estructura: ${structure.parts.length} partes, ${structure.chapters.length} capítulos`, 'green');
 
   return structure;
 }
 
+// "2.1 Study population", "3 Statistical analysis": short, capitalised, no digits
+// or closing punctuation in the title (numbered references and table rows)
+const NUMBERED_HEADING_PATTERN = /^((?:[1-9]\d?)(?:\.\d{1,2}){0,3})\.?\s+([A-ZÁÉÍÓÚÑ][^\d]{2,80})$/;
+const MAX_HEADING_WORDS = 10;
+// Sections with less body text than this are not worth an analysis of their own
+const MIN_SECTION_CHARS = 100;
+// Longer sections are split at page boundaries (~6000 tokens)
+const MAX_SECTION_CHARS = 24000;
+
+/**
+ * Reconoce un encabezado de sección en una línea
+ * @param {string} line - Línea de texto (sin espacios extremos)
+ * @returns {Object|null} - { key, number, title, level } key: sección IMRyD o null
+ */
+export function parseSectionHeading(line) {
+  if (!line || line.length > 100) return null;
+
+  for (const [key, pattern] of Object.entries(IMRYD_PATTERNS)) {
+    if (pattern.test(line)) {
+      const number = line.match(/^(\d+)/);
+      return { key, number: number ? number[1] : null, title: line, level: 1 };
+    }
+  }
+
+  const match = line.match(NUMBERED_HEADING_PATTERN);
+  if (!match) return null;
+
+  const title = match[2].trim();
+  if (/[.,;:]$/.test(title) || title.split(/\s+/).length > MAX_HEADING_WORDS) return null;
+
+  return { key: null, number: match[1], title: line, level: match[1].split('.').length };
+}
+
+/**
+ * Divide el documento en secciones (alternativa a la segmentación por páginas)
+ * Corta el texto completo en cada encabezado IMRyD o numerado ("2.1 Study
+ * population"), de modo que una sección repartida entre páginas se analiza
+ * entera y una página con el final de Resultados y el inicio de Discusión
+ * se reparte entre ambas. Tras el encabezado de Referencias no se buscan
+ * más encabezados (las referencias numeradas no son subsecciones).
+ *
+ * @param {Array} pages - Páginas { pageNumber, text, tables }
+ * @returns {Array} - [{ id, title, number, level, imrydKey, startPage, endPage, text, lowContent, tables }]
+ */
+export function splitIntoSections(pages) {
+  const sections = [];
+  let current = null;
+  let imrydKey = null;
+
+  const open = (heading, pageNumber) => {
+    if (heading.key) imrydKey = heading.key;
+    current = {
+      id: `section-${sections.length + 1}`,
+      title: heading.title,
+      number: heading.number,
+      level: heading.level,
+      // Subsections inherit the IMRyD section they belong to
+      imrydKey: heading.key || (heading.level > 1 ? imrydKey : null),
+      startPage: pageNumber,
+      endPage: pageNumber,
+      // Body lines start after the heading line (none for "Preliminares")
+      bodyStart: heading.synthetic ? 0 : 1,
+      lines: [],
+      tables: []
+    };
+    sections.push(current);
+  };
+
+  for (const page of pages) {
+    const text = page.text || '';
+    // Placeholder pages ("[Página sin texto extraíble]") have no content to place
+    if (text.trim().startsWith('[Página')) continue;
+
+    for (const line of text.split('\n')) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+
+      const heading = imrydKey === 'references' ? null : parseSectionHeading(trimmed);
+      if (heading) {
+        open(heading, page.pageNumber);
+      } else if (!current) {
+        open({ key: null, number: null, title: 'Preliminares', level: 1, synthetic: true }, page.pageNumber);
+      }
+
+      current.lines.push({ pageNumber: page.pageNumber, text: trimmed });
+      current.endPage = page.pageNumber;
+
+      // A table goes with the section where its caption appears
+      const caption = tableExtractor.parseTableCaption(trimmed);
+      const table = caption && (page.tables || []).find(candidate =>
+        candidate.number === caption.number && !current.tables.includes(candidate)
+      );
+      if (table) current.tables.push(table);
+    }
+  }
+
+  // Oversized sections are split into parts at page boundaries
+  const result = [];
+  for (const section of sections) {
+    const parts = [[]];
+    let size = 0;
+    for (const line of section.lines) {
+      const lastPart = parts[parts.length - 1];
+      const previousPage = lastPart.length > 0 ? lastPart[lastPart.length - 1].pageNumber : null;
+      if (size > MAX_SECTION_CHARS && previousPage !== null && line.pageNumber !== previousPage) {
+        parts.push([]);
+        size = 0;
+      }
+      parts[parts.length - 1].push(line);
+      size += line.text.length + 1;
+    }
+
+    parts.forEach((lines, index) => {
+      const partPages = new Set(lines.map(line => line.pageNumber));
+      result.push({
+        id: parts.length > 1 ? `${section.id}-${index + 1}` : section.id,
+        title: parts.length > 1 ? `${section.title} (parte ${index + 1} de ${parts.length})` : section.title,
+        number: section.number,
+        level: section.level,
+        imrydKey: section.imrydKey,
+        startPage: lines[0].pageNumber,
+        endPage: lines[lines.length - 1].pageNumber,
+        text: lines.map(line => line.text).join('\n'),
+        // Only a heading (e.g. "2 Methods" right before "2.1 ...") or a few words
+        lowContent: lines
+          .slice(index === 0 ? section.bodyStart : 0)
+          .reduce((count, line) => count + line.text.length, 0) < MIN_SECTION_CHARS,
+        tables: section.tables.filter(table => partPages.has(table.pageNumber))
+      });
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Reconoce el encabezado de una subsección
+ * Numerado ("2.3 Statistical analysis"), línea corta con estilo propio
+ * (negrita u otra fuente, layout.styledLines) o en MAYÚSCULAS. Los
+ * encabezados IMRyD no son subsecciones.
+ *
+ * @param {string} line - Línea de texto (sin espacios extremos)
+ * @param {Set<string>} [styledLines] - Líneas con estilo propio de la página
+ * @returns {Object|null} - { number, title, level, style }
+ */
+export function parseSubsectionHeading(line, styledLines = new Set()) {
+  const numbered = parseSectionHeading(line);
+  if (numbered) {
+    if (numbered.key) return null;
+    return { number: numbered.number, title: line, level: Math.max(2, numbered.level), style: 'numbered' };
+  }
+
+  // Unnumbered headings: no digits, no closing punctuation, a few words
+  if (/\d/.test(line) || /[.,;:]$/.test(line) || line.split(/\s+/).length > MAX_SUBSECTION_WORDS) {
+    return null;
+  }
+  const letters = line.replace(/[^A-Za-zÁÉÍÓÚÑÜáéíóúñü]/g, '');
+  if (letters.length < 4) return null;
+
+  if (styledLines.has(line) && /^[A-ZÁÉÍÓÚÑ]/.test(line)) {
+    return { number: null, title: line, level: 2, style: 'styled' };
+  }
+  // Single words in capitals are usually acronyms unless they are long
+  if (letters === letters.toUpperCase() && (line.includes(' ') || letters.length >= 6)) {
+    return { number: null, title: line, level: 2, style: 'caps' };
+  }
+  return null;
+}
+
+/**
+ * Sección IMRyD de un título, si lo es
+ * @param {string} title
+ * @returns {string|null}
+ */
+function matchIMRyDKey(title) {
+  return Object.keys(IMRYD_PATTERNS).find(key => IMRYD_PATTERNS[key].test(title)) || null;
+}
+
+/**
+ * Detecta las subsecciones del documento
+ * Con índice del PDF, son los marcadores que cuelgan de una sección IMRyD.
+ * Si no, se buscan en todas las líneas de cada página (no solo al principio)
+ * dentro de una sección IMRyD o de un capítulo; las referencias no tienen
+ * subsecciones y los recuadros y notas al pie no se recorren.
+ *
+ * @param {Array} pages - Páginas { pageNumber, text, layout }
+ * @param {Array} outline - Marcadores del PDF con página
+ * @param {Object} structure - { imryd, chapters } ya detectados
+ * @returns {Array} - [{ id, title, number, level, style, imrydKey, parentId, startPage, source, confidence }]
+ */
+function detectSubsections(pages, outline, structure) {
+  const found = [];
+
+  let parent = null;
+  for (const entry of outline) {
+    const key = matchIMRyDKey(entry.title);
+    if (key) {
+      parent = { key, level: entry.level };
+    } else if (parent && entry.level > parent.level && parent.key !== 'references') {
+      const number = entry.title.match(/^(\d+(?:\.\d+)*)\.?\s/);
+      found.push({
+        title: entry.title,
+        number: number ? number[1] : null,
+        level: entry.level - parent.level + 1,
+        style: 'outline',
+        imrydKey: parent.key,
+        startPage: entry.pageNumber,
+        source: 'outline'
+      });
+    } else if (parent && entry.level <= parent.level) {
+      parent = null;
+    }
+  }
+
+  if (found.length === 0) {
+    let imrydKey = null;
+    for (const page of pages) {
+      // Sections taken from the outline may have no heading line in the text
+      for (const [key, section] of Object.entries(structure.imryd)) {
+        if (section && section.source === 'outline' && section.startPage === page.pageNumber) imrydKey = key;
+      }
+      const inChapter = structure.chapters.some(chapter => chapter.startPage <= page.pageNumber);
+      const styledLines = new Set((page.layout && page.layout.styledLines) || []);
+
+      for (const line of page.text.split('\n')) {
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+        // Boxes and footnotes are appended after the page body
+        if (trimmed === '[Recuadro]' || trimmed === '[Notas al pie]') break;
+
+        const key = matchIMRyDKey(trimmed);
+        if (key) {
+          imrydKey = key;
+          continue;
+        }
+        if (imrydKey === 'references' || (!imrydKey && !inChapter)) continue;
+
+        const heading = parseSubsectionHeading(trimmed, styledLines);
+        if (heading) {
+          found.push({ ...heading, imrydKey, startPage: page.pageNumber, source: 'heuristic' });
+        }
+      }
+    }
+  }
+
+  // Parent: the closest previous subsection of a lower level in the same section
+  const stack = [];
+  let currentKey;
+  return found.map((subsection, index) => {
+    if (subsection.imrydKey !== currentKey) {
+      stack.length = 0;
+      currentKey = subsection.imrydKey;
+    }
+    while (stack.length > 0 && stack[stack.length - 1].level >= subsection.level) {
+      stack.pop();
+    }
+    const entry = {
+      id: `subsection-${index + 1}`,
+      ...subsection,
+      parentId: stack.length > 0 ? stack[stack.length - 1].id : null,
+      confidence: SUBSECTION_CONFIDENCE[subsection.style]
+    };
+    stack.push(entry);
+    return entry;
+  });
+}
+
+/**
+ * Anida una lista plana de subsecciones por parentId
+ * @param {Array} subsections - Subsecciones de una sección IMRyD, en orden
+ * @returns {Array} - [{ id, title, startPage, subsections }]
+ */
+function nestSubsections(subsections) {
+  const nodes = new Map(subsections.map(sub => [sub.id, {
+    id: sub.id,
+    title: sub.title,
+    startPage: sub.startPage,
+    subsections: []
+  }]));
+  const roots = [];
+  for (const sub of subsections) {
+    const parentNode = sub.parentId && nodes.get(sub.parentId);
+    (parentNode ? parentNode.subsections : roots).push(nodes.get(sub.id));
+  }
+  return roots;
+}
+
 /**
  * Removes common headers/footers from page text
  * @param {string} text - Page text
@@ -301,7 +761,11 @@ export function cleanPageText(text, pageNumber) {
 
 export default {
   extractTextFromPDF,
+  readOutline,
   splitIntoPages,
+  splitIntoSections,
+  parseSectionHeading,
+  parseSubsectionHeading,
   detectStructure,
   cleanPageText
 };
\ No newline at end of file
@@ -7,6 +7,16 @@
  * - Generar estructura de bases de conocimiento
  */
 
+// Orden y nombres de las secciones IMRyD
+const IMRYD_SECTION_LABELS = {
+  abstract: 'Resumen',
+  introduction: 'Introducción',
+  methods: 'Métodos',
+  results: 'Resultados',
+  discussion: 'Discusión',
+  references: 'Referencias'
+};
+
 /**
  * Formatea metadatos para mostrar en UI
  * @param {Object} metadata - Metadatos del PDF
@@ -33,6 +43,185 @@ function formatMetadata(metadata) {
   return md;
 }
 
+/**
+ * Contenido Markdown de una entrada del índice de figuras y tablas
+ * @param {Object} entry - { type, number, caption, pageNumber, tableId }
+ * @param {Array} tables - Tablas reconstruidas (result.tables)
+ * @returns {string}
+ */
+function formatFigureIndexNode(entry, tables) {
+  const label = entry.type === 'figure' ? 'Figura' : 'Tabla';
+  const title = entry.caption ? `${label} ${entry.number}. ${entry.caption}` : `${label} ${entry.number}`;
+  let md = `# ${title}\n\n_Ver el análisis de la [página ${entry.pageNumber}](#page-${entry.pageNumber})._\n`;
+
+  const table = entry.tableId && tables.find(current => current.id === entry.tableId);
+  if (table) {
+    md += `\n_Reconstruida a partir del PDF:_\n\n${table.markdown}\n`;
+  }
+  return md;
+}
+
+/**
+ * Contenido del nodo de una referencia bibliográfica
+ * @param {Object} reference - Cita de referenceDetector.parseBibliography
+ * @returns {string} - Markdown
+ */
+function formatReferenceNode(reference) {
+  const prefix = reference.number ? `[${reference.number}] ` : '';
+  let md = `# ${prefix}${reference.title || 'Referencia'}\n\n`;
+
+  const fields = [];
+  if (reference.authors.length > 0) {
+    fields.push(`**Autores:** ${reference.authors.join(', ')}${reference.etAl ? ', et al.' : ''}`);
+  }
+  if (reference.journal) fields.push(`**Revista:** ${reference.journal}`);
+  if (reference.year) fields.push(`**Año:** ${reference.year}`);
+  if (reference.volume) {
+    fields.push(`**Volumen:** ${reference.volume}${reference.issue ? ` (${reference.issue})` : ''}`);
+  }
+  if (reference.pages) fields.push(`**Páginas:** ${reference.pages}`);
+  if (reference.doi) fields.push(`**DOI:** [${reference.doi}](https://doi.org/${reference.doi})`);
+  if (reference.pmid) fields.push(`**PMID:** [${reference.pmid}](https://pubmed.ncbi.nlm.nih.gov/${reference.pmid}/)`);
+  md += fields.map(field => `- ${field}`).join('\n');
+
+  md += `\n\n> ${reference.raw}\n\n_Ver la [página ${reference.pageNumber}](#page-${reference.pageNumber})._\n`;
+  return md;
+}
+
+/**
+ * Nombre corto de una referencia en el árbol ("[12] Shaw JE et al. (2010)")
+ * @param {Object} reference - Cita de referenceDetector.parseBibliography
+ * @returns {string}
+ */
+function formatReferenceName(reference) {
+  const prefix = reference.number ? `[${reference.number}] ` : '';
+  const firstAuthor = reference.authors[0] || reference.title || 'Referencia';
+  const others = reference.etAl || reference.authors.length > 1 ? ' et al.' : '';
+  const year = reference.year ? ` (${reference.year})` : '';
+  return `📖 ${prefix}${firstAuthor.length > 60 ? `${firstAuthor.slice(0, 57)}...` : firstAuthor}${others}${year}`;
+}
+
+/**
+ * Nodos del árbol para la segmentación por secciones
+ * Cada subsección ("2.1 ...") cuelga de la sección anterior de menor nivel.
+ * Los nodos guardan su intervalo de páginas para resolver enlaces (p. X).
+ *
+ * @param {Array} sections - Secciones analizadas (result.pages en modo 'section')
+ * @returns {Array} - Nodos de tipo 'section'
+ */
+function buildSectionNodes(sections) {
+  const roots = [];
+  const stack = [];
+
+  sections.forEach(section => {
+    const span = section.startPage === section.endPage ?
+      `p. ${section.startPage}` :
+      `págs. ${section.startPage}-${section.endPage}`;
+    const node = {
+      id: section.sectionId,
+      name: `📑 ${section.title} (${span})`,
+      type: 'section',
+      startPage: section.startPage,
+      endPage: section.endPage,
+      content: section.analysis,
+      children: []
+    };
+
+    while (stack.length > 0 && stack[stack.length - 1].level >= section.level) {
+      stack.pop();
+    }
+    if (stack.length > 0) {
+      stack[stack.length - 1].node.children.push(node);
+    } else {
+      roots.push(node);
+    }
+    stack.push({ level: section.level, node });
+  });
+
+  return roots;
+}
+
+/**
+ * Carpetas de secciones IMRyD y subsecciones para las páginas de una parte o
+ * capítulo. Cada página cuelga del primer encabezado que empieza en ella o,
+ * si no hay ninguno, del último encabezado abierto; las páginas anteriores al
+ * primer encabezado quedan en la raíz.
+ *
+ * @param {Array} pageNodes - Nodos de página en orden
+ * @param {Object} structure - Estructura detectada (imryd, sections)
+ * @param {Object} range - { startPage, endPage } (endPage excluida)
+ * @returns {Array} - Nodos de página y carpetas de tipo 'section'
+ */
+function nestPagesUnderHeadings(pageNodes, structure, range) {
+  const inRange = page => page >= range.startPage && page < range.endPage;
+  const subsections = (structure.sections || []).filter(sub => inRange(sub.startPage));
+  const toHeading = sub => ({
+    id: sub.id,
+    title: sub.title,
+    name: `📑 ${sub.title}`,
+    level: sub.level,
+    startPage: sub.startPage
+  });
+
+  // Document order: chapter subsections outside IMRyD, then each IMRyD section and its subsections
+  const headings = subsections.filter(sub => !sub.imrydKey).map(toHeading);
+  Object.keys(IMRYD_SECTION_LABELS)
+    .filter(key => structure.imryd?.[key]?.startPage)
+    .sort((a, b) => structure.imryd[a].startPage - structure.imryd[b].startPage)
+    .forEach(key => {
+      const startPage = structure.imryd[key].startPage;
+      if (inRange(startPage)) {
+        headings.push({
+          id: `imryd-${key}`,
+          title: IMRYD_SECTION_LABELS[key],
+          name: `🔬 ${IMRYD_SECTION_LABELS[key]}`,
+          level: 1,
+          startPage
+        });
+      }
+      headings.push(...subsections.filter(sub => sub.imrydKey === key).map(toHeading));
+    });
+
+  const folders = headings.map(heading => ({ heading, pages: [], subfolders: [] }));
+
+  const roots = [];
+  let next = 0;
+  let active = null;
+  pageNodes.forEach(pageNode => {
+    let firstOnPage = null;
+    while (next < folders.length && folders[next].heading.startPage <= pageNode.pageNumber) {
+      if (!firstOnPage && folders[next].heading.startPage === pageNode.pageNumber) {
+        firstOnPage = folders[next];
+      }
+      active = folders[next];
+      next++;
+    }
+    const target = firstOnPage || active;
+    (target ? target.pages : roots).push(pageNode);
+  });
+
+  const stack = [];
+  const rootFolders = [];
+  folders.forEach(folder => {
+    while (stack.length > 0 && stack[stack.length - 1].heading.level >= folder.heading.level) {
+      stack.pop();
+    }
+    (stack.length > 0 ? stack[stack.length - 1].subfolders : rootFolders).push(folder);
+    stack.push(folder);
+  });
+
+  const toNode = folder => ({
+    id: folder.heading.id,
+    name: folder.heading.name,
+    type: 'section',
+    startPage: folder.heading.startPage,
+    content: `**${folder.heading.title}**\n\nComienza en la página ${folder.heading.startPage} (p. ${folder.heading.startPage}).`,
+    children: [...folder.pages, ...folder.subfolders.map(toNode)]
+  });
+
+  return [...roots, ...rootFolders.map(toNode)];
+}
+
 /**
  * Agrupa los análisis de páginas según la estructura detectada
  * @param {Array} analyzedPages - Array de páginas analizadas
@@ -80,7 +269,7 @@ export function groupAnalysisByStructure(analyzedPages, structure) {
         id: chapter.id,
         title: chapter.title,
         number: chapter.number,
-        sections: [],
+        sections: chapter.sections || [],
         pages: []
       };
 
@@ -118,6 +307,69 @@ export function groupAnalysisByStructure(analyzedPages, structure) {
   return grouped;
 }
 
+/**
+ * Calcula los rangos de páginas de cada sección IMRyD detectada
+ * Una sección va desde su página de inicio hasta la página anterior a la
+ * siguiente sección. Las secciones que empiezan en la misma página se
+ * combinan; las páginas previas a la primera sección forman "Preliminares".
+ *
+ * @param {Object} structure - Estructura detectada (structure.imryd)
+ * @param {number} totalPages - Número total de páginas
+ * @returns {Array} - [{ keys, label, startPage, endPage }] ordenados por página
+ */
+export function getIMRyDSectionRanges(structure, totalPages) {
+  const imryd = (structure && structure.imryd) || {};
+  const starts = Object.keys(IMRYD_SECTION_LABELS)
+    .filter(key => imryd[key] && imryd[key].startPage)
+    .map(key => ({
+      key,
+      startPage: imryd[key].startPage
+    }))
+    .sort((a, b) => a.startPage - b.startPage);
+
+  if (starts.length === 0 || totalPages < 1) {
+    return [{
+      keys: ['document'],
+      label: 'Documento completo',
+      startPage: 1,
+      endPage: Math.max(totalPages, 1)
+    }];
+  }
+
+  const ranges = [];
+
+  if (starts[0].startPage > 1) {
+    ranges.push({
+      keys: ['front'],
+      label: 'Preliminares',
+      startPage: 1,
+      endPage: starts[0].startPage - 1
+    });
+  }
+
+  for (const start of starts) {
+    const previous = ranges[ranges.length - 1];
+    if (previous && previous.startPage === start.startPage) {
+      previous.keys.push(start.key);
+      previous.label += ` / ${IMRYD_SECTION_LABELS[start.key]}`;
+      continue;
+    }
+
+    if (previous) {
+      previous.endPage = start.startPage - 1;
+    }
+
+    ranges.push({
+      keys: [start.key],
+      label: IMRYD_SECTION_LABELS[start.key],
+      startPage: start.startPage,
+      endPage: totalPages
+    });
+  }
+
+  return ranges;
+}
+
 /**
  * Construye el árbol de archivos para el visualizador del frontend
  * @param {Object} result - Resultado del procesamiento
@@ -126,6 +378,16 @@ export function groupAnalysisByStructure(analyzedPages, structure) {
 export function buildFileTree(result) {
   const tree = [];
 
+  // Pregunta clínica PICO(T/S), lo primero que se consulta en la docencia MBE
+  if (result.pico) {
+    tree.push({
+      id: 'pico',
+      name: '🎯 PICO',
+      type: 'pico',
+      content: result.pico.markdown
+    });
+  }
+
   // Nodo raíz: Resumen General
   tree.push({
     id: 'summary',
@@ -142,8 +404,94 @@ export function buildFileTree(result) {
     content: formatMetadata(result.metadata)
   });
 
+  // Evaluación crítica del reporte (CONSORT, STROBE, PRISMA según el tipo de estudio)
+  if (result.appraisal) {
+    tree.push({
+      id: 'appraisal',
+      name: `🧐 Evaluación crítica (${result.appraisal.name})`,
+      type: 'appraisal',
+      content: result.appraisal.markdown
+    });
+  }
+
+  // Riesgo de sesgo (RoB 2, ROBINS-I, Newcastle-Ottawa según el diseño)
+  if (result.riskOfBias) {
+    tree.push({
+      id: 'risk-of-bias',
+      name: `⚖️ Riesgo de sesgo (${result.riskOfBias.name})`,
+      type: 'risk_of_bias',
+      content: result.riskOfBias.markdown
+    });
+  }
+
+  // Resumen de hallazgos GRADE (tabla por desenlace primario)
+  if (result.grade) {
+    tree.push({
+      id: 'grade',
+      name: `📈 Resumen de hallazgos GRADE (${result.grade.outcomes.length})`,
+      type: 'grade',
+      content: result.grade.markdown
+    });
+  }
+
+  // Índice de figuras y tablas (cada nodo enlaza al análisis de su página)
+  if (result.figureIndex?.length > 0) {
+    tree.push({
+      id: 'figures-tables',
+      name: `🖼️ Figuras y Tablas (${result.figureIndex.length})`,
+      type: 'folder',
+      children: result.figureIndex.map(entry => ({
+        id: entry.id,
+        name: entry.type === 'figure' ?
+          `🖼️ Figura ${entry.number} (p. ${entry.pageNumber})` :
+          `📊 Tabla ${entry.number} (p. ${entry.pageNumber})`,
+        type: entry.type,
+        pageId: `page-${entry.pageNumber}`,
+        content: formatFigureIndexNode(entry, result.tables || [])
+      }))
+    });
+  }
+
+  // Bibliografía de las páginas de referencias (cada cita enlaza a su página)
+  if (result.references?.length > 0) {
+    tree.push({
+      id: 'references',
+      name: `📚 Referencias (${result.references.length})`,
+      type: 'folder',
+      children: result.references.map((reference, index) => ({
+        id: `reference-${index + 1}`,
+        name: formatReferenceName(reference),
+        type: 'reference',
+        pageId: `page-${reference.pageNumber}`,
+        content: formatReferenceNode(reference)
+      }))
+    });
+  }
+
+  // Segmentación por secciones: el árbol sigue los encabezados del documento
+  if (result.segmentation === 'section') {
+    tree.push(...buildSectionNodes(result.pages || []));
+    return tree;
+  }
+
+  // Con subsecciones detectadas, las páginas se agrupan en carpetas de sección
+  const toPageNode = page => ({
+    id: `page-${page.pageNumber}`,
+    name: `📄 Page ${page.pageNumber}`,
+    type: 'page',
+    pageNumber: page.pageNumber,
+    content: page.analysis
+  });
+  const nestPages = (pages, range) => {
+    const pageNodes = pages.map(toPageNode);
+    return result.structure.sections?.length > 0 ?
+      nestPagesUnderHeadings(pageNodes, result.structure, range) :
+      pageNodes;
+  };
+
   // Crear estructura Parts/Chapters
-  result.structure.parts.forEach((part, partIndex) => {
+  const parts = result.structure.parts;
+  parts.forEach((part, partIndex) => {
     const partNode = {
       id: part.id,
       name: `📁 Part ${part.number}: ${part.title}`,
@@ -167,14 +515,10 @@ export function buildFileTree(result) {
 
         if (chapterData && chapterData.pages.length > 0) {
           // Crear nodo por cada página del capítulo
-          chapterData.pages.forEach((page) => {
-            chapterNode.children.push({
-              id: `page-${page.pageNumber}`,
-              name: `📄 Page ${page.pageNumber}`,
-              type: 'page',
-              content: page.analysis
-            });
-          });
+          chapterNode.children.push(...nestPages(chapterData.pages, {
+            startPage: chapter.startPage,
+            endPage: part.chapters[chIndex + 1]?.startPage || Infinity
+          }));
         }
 
         partNode.children.push(chapterNode);
@@ -183,14 +527,10 @@ export function buildFileTree(result) {
       // La parte no tiene capítulos, mostrar páginas directamente
       const partData = result.groupedContent?.parts?.[partIndex];
       if (partData && partData.pages.length > 0) {
-        partData.pages.forEach((page) => {
-          partNode.children.push({
-            id: `page-${page.pageNumber}`,
-            name: `📄 Page ${page.pageNumber}`,
-            type: 'page',
-            content: page.analysis
-          });
-        });
+        partNode.children.push(...nestPages(partData.pages, {
+          startPage: part.startPage,
+          endPage: parts[partIndex + 1]?.startPage || Infinity
+        }));
       }
     }
 
@@ -223,5 +563,6 @@ export function buildFileTree(result) {
 
 export default {
   groupAnalysisByStructure,
+  getIMRyDSectionRanges,
   buildFileTree
 };
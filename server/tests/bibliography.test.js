@@ -0,0 +1,156 @@
+/**
+ * Bibliography Parser Tests
+ *
+ * Tests for the structured citations parsed from reference pages and the
+ * "Referencias" folder of the file tree
+ */
+
+import assert from 'node:assert/strict';
+import {
+  parseReferenceEntry,
+  parseBibliography
+} from '../utils/referenceDetector.js';
+import {
+  buildFileTree
+} from '../services/structureService.js';
+
+const CONCLUSION_PAGE = `Conclusions
+Drug X reduced cardiovascular death in patients with heart failure in this randomized trial. The results support its use in clinical practice for patients.
+References
+1. McMurray JJV, Solomon SD, Inzucchi SE, et al. Dapagliflozin in patients with heart failure and reduced ejection fraction. N Engl J Med. 2019;381(21):1995-2008. doi: 10.1056/NEJMoa1911303. PMID: 31535829
+2. Shaw JE, Sicree RA, Zimmet PZ. Global estimates of the prevalence of diabetes for 2010 and 2030. Diabetes Res Clin Pract. 2010; 87(1):4–14.
+3. Packer M, Anker SD, Butler J, et al. Cardiovascular and renal outcomes with empagliflozin in heart
+failure. N Engl J Med. 2020 Oct;383:1413-`;
+
+const REFERENCES_PAGE = `24. https://doi.org/10.1056/NEJMoa2022190
+4. World Health Organization. Global report on diabetes. Geneva: WHO; 2016.
+5. Anker SD, Butler J, Filippatos G, et al. Empagliflozin in heart failure with a preserved ejection fraction. N Engl J Med. 2021;385(16):1451-61. doi: 10.1056/NEJMoa2107038
+6. Solomon SD, McMurray JJV, Claggett B, et al. Dapagliflozin in heart failure with mildly reduced or preserved ejection fraction. N Engl J Med. 2022;387(12):1089-98.
+7. Heidenreich PA, Bozkurt B, Aguilar D, et al. 2022 AHA/ACC/HFSA guideline for the management of heart failure. Circulation. 2022;145(18):e895-e1032. PMID: 35363499`;
+
+// Tests
+function testParseReferenceEntry() {
+  const reference = parseReferenceEntry(
+    'McMurray JJV, Solomon SD, Inzucchi SE, et al. Dapagliflozin in patients with heart failure and reduced ejection fraction. N Engl J Med. 2019;381(21):1995-2008. doi: 10.1056/NEJMoa1911303. PMID: 31535829',
+    1,
+    7
+  );
+
+  assert.deepEqual(reference.authors, ['McMurray JJV', 'Solomon SD', 'Inzucchi SE']);
+  assert.equal(reference.etAl, true);
+  assert.equal(reference.title, 'Dapagliflozin in patients with heart failure and reduced ejection fraction');
+  assert.equal(reference.journal, 'N Engl J Med');
+  assert.equal(reference.year, 2019);
+  assert.equal(reference.volume, '381');
+  assert.equal(reference.issue, '21');
+  assert.equal(reference.pages, '1995-2008');
+  assert.equal(reference.doi, '10.1056/NEJMoa1911303', 'The trailing full stop is not part of the DOI');
+  assert.equal(reference.pmid, '31535829');
+
+  const book = parseReferenceEntry('World Health Organization. Global report on diabetes. Geneva: WHO; 2016.', null, 3);
+  assert.deepEqual(book.authors, ['World Health Organization']);
+  assert.equal(book.journal, 'Geneva: WHO', 'The year is not part of the publisher');
+  assert.equal(book.year, 2016);
+  assert.equal(book.volume, null);
+
+  console.log('✓ testParseReferenceEntry');
+}
+
+function testParseBibliography() {
+  const references = parseBibliography([
+    { pageNumber: 6, text: 'Methods\nPatients were randomised 1:1 to drug X or placebo.' },
+    { pageNumber: 7, text: CONCLUSION_PAGE },
+    { pageNumber: 8, text: REFERENCES_PAGE }
+  ]);
+
+  assert.deepEqual(references.map(reference => reference.number), [1, 2, 3, 4, 5, 6, 7],
+    'Only the text after the References header of a mixed page is parsed');
+  assert.deepEqual(references.map(reference => reference.pageNumber), [7, 7, 7, 8, 8, 8, 8]);
+
+  const continued = references[2];
+  assert.equal(continued.title, 'Cardiovascular and renal outcomes with empagliflozin in heart failure');
+  assert.equal(continued.pages, '1413-24', 'An entry that continues on the next page is joined');
+  assert.equal(continued.doi, '10.1056/NEJMoa2022190', '"24." does not follow 3, so it is not a new entry');
+
+  assert.equal(references[1].pages, '4–14');
+  assert.equal(references[6].title, '2022 AHA/ACC/HFSA guideline for the management of heart failure');
+  assert.equal(references[6].pages, 'e895-e1032');
+
+  // Author-year lists without numbers
+  const unnumbered = parseBibliography([{
+    pageNumber: 2,
+    text: `References
+Shaw JE, Sicree RA, Zimmet PZ. Global estimates of the prevalence of diabetes for 2010 and 2030. Diabetes Res Clin
+Pract. 2010;87(1):4-14.
+Packer M, Anker SD, Butler J. Cardiovascular and renal outcomes with empagliflozin in heart failure. N Engl J Med.
+2020;383(15):1413-24. doi: 10.1056/NEJMoa2022190
+Zannad F, Ferreira JP, Pocock SJ. SGLT2 inhibitors in patients with heart failure. Lancet. 2020;396(10254):819-29.`
+  }]);
+  assert.deepEqual(unnumbered.map(reference => reference.authors[0]), ['Shaw JE', 'Packer M', 'Zannad F']);
+  assert.ok(unnumbered.every(reference => reference.number === null));
+  assert.equal(unnumbered[0].journal, 'Diabetes Res Clin Pract');
+
+  // Entries whose first author starts with a lowercase particle or a digit
+  const particles = parseBibliography([{
+    pageNumber: 9,
+    text: `References
+1. Shaw JE, Sicree RA, Zimmet PZ. Global estimates of the prevalence of diabetes. Diabetes Res Clin Pract. 2010;87(1):4-14.
+2. van der Berg J, Smit A. Heart failure in the Netherlands. Neth Heart J. 2018;26(3):120-7.
+3. de la Cruz M, García P. Insuficiencia cardiaca en España. Rev Esp Cardiol. 2019;72(1):10-8.
+5. Packer M, Anker SD. Cardiovascular and renal outcomes with empagliflozin. N Engl J Med. 2020;383:1413-24.
+6. 2022 AHA/ACC/HFSA guideline for the management of heart failure. Circulation. 2022;145(18):e895-e1032.`
+  }]);
+  assert.deepEqual(particles.map(reference => reference.number), [1, 2, 3, 5, 6],
+    'Lowercase particles, digits and a missing entry do not merge the list');
+  assert.deepEqual(particles[1].authors, ['van der Berg J', 'Smit A']);
+  assert.equal(particles[2].year, 2019);
+  assert.ok(!particles[0].raw.includes('van der Berg'), 'Later entries are not appended to the first one');
+
+  assert.deepEqual(parseBibliography([{ pageNumber: 1, text: 'Introduction\nHeart failure affects millions of patients worldwide.' }]), []);
+
+  console.log('✓ testParseBibliography');
+}
+
+function testReferencesFolder() {
+  const references = parseBibliography([{ pageNumber: 7, text: CONCLUSION_PAGE }]);
+  const tree = buildFileTree({ summary: '', references, structure: { parts: [], sections: [] }, groupedContent: { parts: [], orphanPages: [] } });
+  const folder = tree.find(node => node.id === 'references');
+
+  assert.equal(folder.name, '📚 Referencias (3)');
+  assert.equal(folder.type, 'folder');
+  assert.equal(folder.children[0].name, '📖 [1] McMurray JJV et al. (2019)');
+  assert.equal(folder.children[0].type, 'reference');
+  assert.equal(folder.children[0].pageId, 'page-7');
+
+  const content = folder.children[0].content;
+  assert.ok(content.startsWith('# [1] Dapagliflozin in patients with heart failure'));
+  assert.ok(content.includes('- **Autores:** McMurray JJV, Solomon SD, Inzucchi SE, et al.'));
+  assert.ok(content.includes('- **Volumen:** 381 (21)'));
+  assert.ok(content.includes('- **DOI:** [10.1056/NEJMoa1911303](https://doi.org/10.1056/NEJMoa1911303)'));
+  assert.ok(content.includes('- **PMID:** [31535829](https://pubmed.ncbi.nlm.nih.gov/31535829/)'));
+  assert.ok(content.includes('_Ver la [página 7](#page-7)._'));
+
+  const empty = buildFileTree({ summary: '', references: [], structure: { parts: [], sections: [] }, groupedContent: { parts: [], orphanPages: [] } });
+  assert.equal(empty.find(node => node.id === 'references'), undefined);
+
+  console.log('✓ testReferencesFolder');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Bibliography Parser Tests ===\n');
+
+  testParseReferenceEntry();
+  testParseBibliography();
+  testReferencesFolder();
+
+  console.log('\n✓ All Bibliography Parser tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Bibliography Parser tests failed:');
+  console.error(error);
+  process.exit(1);
+}
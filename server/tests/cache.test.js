@@ -11,6 +11,7 @@ import {
   cachePDFText,
   getCachedSummary,
   cacheSummary,
+  buildSummaryCacheKey,
   clearAllCaches,
   getCacheStats
 } from '../services/cacheService.js';
@@ -199,6 +200,85 @@ function testGlobalCacheStats() {
   console.log('✓ testGlobalCacheStats');
 }
 
+function testSummaryCacheKeyIncludesModelConfig() {
+  clearAllCaches();
+
+  const v1Key = buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1'
+  });
+  const v2Key = buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v2'
+  });
+  const otherModelKey = buildSummaryCacheKey('hash1', {
+    model: 'model-b',
+    promptVersion: 'v1'
+  });
+  const otherProviderKey = buildSummaryCacheKey('hash1', {
+    provider: 'ollama',
+    model: 'model-a',
+    promptVersion: 'v1'
+  });
+  const sectionKey = buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    segmentation: 'section'
+  });
+
+  cacheSummary(v1Key, {
+    summary: 'cached'
+  });
+
+  assert.notEqual(v1Key, v2Key, 'Prompt version should change the key');
+  assert.notEqual(v1Key, otherModelKey, 'Model should change the key');
+  assert.notEqual(v1Key, otherProviderKey, 'Provider should change the key');
+  assert.notEqual(v1Key, sectionKey, 'Section segmentation should change the key');
+  assert.equal(v1Key, buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    segmentation: 'page'
+  }), 'Page segmentation keeps the existing key');
+  assert.notEqual(v1Key, buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    studyType: 'guideline'
+  }), 'A forced study type should change the key');
+  assert.equal(v1Key, buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    studyType: 'auto'
+  }), 'Auto-classified summaries keep the existing key');
+  assert.notEqual(v1Key, buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    studyTypeCheck: false
+  }), 'Disabling the AI study type check should change the key');
+  assert.notEqual(v1Key, buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    appraisal: false
+  }), 'Disabling the critical appraisal should change the key');
+  assert.notEqual(v1Key, buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    pico: false
+  }), 'Disabling PICO should change the key');
+  assert.notEqual(v1Key, buildSummaryCacheKey('hash1', {
+    model: 'model-a',
+    promptVersion: 'v1',
+    riskOfBias: false
+  }), 'Disabling the risk of bias should change the key');
+  assert.deepEqual(getCachedSummary(v1Key), {
+    summary: 'cached'
+  }, 'Should hit with same config');
+  assert.equal(getCachedSummary(v2Key), undefined, 'Should miss after prompt version change');
+  assert.equal(getCachedSummary(otherModelKey), undefined, 'Should miss after model change');
+  assert.equal(getCachedSummary(otherProviderKey), undefined, 'Should miss after provider change');
+
+  console.log('✓ testSummaryCacheKeyIncludesModelConfig');
+}
+
 // Run all tests
 async function run() {
   console.log('\n=== Cache Service Tests ===\n');
@@ -214,6 +294,7 @@ async function run() {
   testPDFTextCache();
   testSummaryCache();
   testGlobalCacheStats();
+  testSummaryCacheKeyIncludesModelConfig();
 
   console.log('\n✓ All Cache Service tests passed!\n');
 }
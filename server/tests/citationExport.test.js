@@ -0,0 +1,290 @@
+/**
+ * Citation Export Tests
+ *
+ * Tests for the article citation (PDF metadata + v2 metadata block), its
+ * BibTeX, RIS and CSL-JSON exports with the parsed references, and the
+ * GET /api/jobs/:jobId/citations and POST /api/citations routes
+ */
+
+import assert from 'node:assert/strict';
+import {
+  buildArticleCitation,
+  parseAuthorName,
+  exportAsBibTeX,
+  exportAsRIS,
+  exportAsCSLJSON
+} from '../services/exportService.js';
+import {
+  exportJobCitations,
+  exportResultCitations
+} from '../controllers/jobController.js';
+import {
+  createJob,
+  completeJob,
+  clearJobs
+} from '../services/jobQueue.js';
+import {
+  NOT_SPECIFIED
+} from '../utils/prompts.js';
+
+const RESULT = {
+  title: 'dapa-hf',
+  metadata: { Title: 'Untitled', Author: 'Publisher', CreationDate: 'D:20191121093000Z' },
+  imryd: {
+    metadata: {
+      titulo: 'Dapagliflozin & heart failure: the {DAPA-HF} trial',
+      autores: ['John J. V. McMurray', 'Solomon SD', 'DAPA-HF Trial Committees and Investigators'],
+      fecha_publicacion: '21 de noviembre de 2019',
+      revista: 'N Engl J Med',
+      doi: 'https://doi.org/10.1056/NEJMoa1911303.'
+    }
+  },
+  references: [
+    {
+      number: 1,
+      authors: ['Packer M', 'Anker SD'],
+      etAl: true,
+      title: 'Cardiovascular and renal outcomes with empagliflozin in heart failure',
+      journal: 'N Engl J Med',
+      year: 2020,
+      volume: '383',
+      issue: '15',
+      pages: '1413-24',
+      doi: '10.1056/NEJMoa2022190',
+      pmid: '32865377',
+      pageNumber: 9
+    },
+    {
+      number: 2,
+      authors: ['World Health Organization'],
+      etAl: false,
+      title: 'Global report on diabetes',
+      journal: null,
+      year: 2016,
+      volume: null,
+      issue: null,
+      pages: null,
+      doi: null,
+      pmid: null,
+      pageNumber: 9
+    }
+  ]
+};
+
+/**
+ * Minimal Express response that records what the handler sent
+ * @returns {Object}
+ */
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+// Tests
+function testArticleCitation() {
+  const citation = buildArticleCitation(RESULT);
+
+  assert.equal(citation.title, 'Dapagliflozin & heart failure: the {DAPA-HF} trial', 'The v2 title wins over the PDF Title');
+  assert.deepEqual(citation.authors, [
+    { family: 'McMurray', given: 'John J. V.' },
+    { family: 'Solomon', given: 'S. D.' },
+    { literal: 'DAPA-HF Trial Committees and Investigators' }
+  ]);
+  assert.equal(citation.journal, 'N Engl J Med');
+  assert.deepEqual(citation.date, [2019, 11], 'Spanish month names are read');
+  assert.equal(citation.doi, '10.1056/NEJMoa1911303', 'The resolver URL and final full stop are dropped');
+
+  // Without the v2 block the PDF properties are used
+  const fromPDF = buildArticleCitation({
+    title: 'fallback',
+    metadata: { Title: 'A trial', Author: 'Jane Roe; Shaw, John', CreationDate: 'D:20200305' },
+    imryd: { metadata: { titulo: 'A trial', autores: NOT_SPECIFIED, doi: NOT_SPECIFIED } }
+  });
+  assert.deepEqual(fromPDF.authors, [{ family: 'Roe', given: 'Jane' }, { family: 'Shaw', given: 'John' }]);
+  assert.deepEqual(fromPDF.date, [2020, 3, 5]);
+  assert.equal(fromPDF.doi, null);
+  assert.equal(buildArticleCitation({ title: 'only-name' }).title, 'only-name');
+
+  assert.deepEqual(parseAuthorName('Shaw, J. E.'), { family: 'Shaw', given: 'J. E.' });
+  assert.deepEqual(parseAuthorName('Plato'), { literal: 'Plato' });
+
+  console.log('✓ testArticleCitation');
+}
+
+function testBibTeX() {
+  const file = exportAsBibTeX(RESULT);
+
+  assert.match(file.filename, /^dapa-hf_\d{4}-\d{2}-\d{2}\.bib$/);
+  assert.equal(file.mimeType, 'application/x-bibtex');
+  assert.ok(file.content.startsWith('@article{mcmurray2019dapagliflozin,\n'));
+  assert.ok(file.content.includes('  author = {McMurray, John J. V. and Solomon, S. D. and {DAPA-HF Trial Committees and Investigators}},'));
+  assert.ok(file.content.includes('  title = {Dapagliflozin \\& heart failure: the \\{DAPA-HF\\} trial},'), 'Special characters are escaped');
+  assert.ok(file.content.includes('  pages = {1413--1424},'), 'Abbreviated page ranges are expanded');
+  assert.ok(file.content.includes('  pmid = {32865377}'));
+  assert.ok(file.content.includes('@misc{worldhealthorganization2016global,\n  author = {{World Health Organization}},'),
+    'References without a journal are misc entries with a corporate author');
+
+  console.log('✓ testBibTeX');
+}
+
+function testRIS() {
+  const file = exportAsRIS(RESULT);
+  const records = file.content.trim().split('\r\n\r\n');
+
+  assert.equal(file.mimeType, 'application/x-research-info-systems');
+  assert.equal(records.length, 3);
+  assert.equal(records[0].split('\r\n')[0], 'TY  - JOUR');
+  assert.ok(records[0].includes('AU  - McMurray, John J. V.\r\nAU  - Solomon, S. D.\r\n'));
+  assert.ok(records[0].includes('DA  - 2019/11\r\n'));
+  assert.ok(records[0].includes('DO  - 10.1056/NEJMoa1911303'));
+  assert.ok(records[1].includes('SP  - 1413\r\nEP  - 1424\r\n'));
+  assert.ok(records[1].includes('AN  - PMID: 32865377'));
+  assert.ok(!records[1].includes('DA  -'), 'A year alone has no DA tag');
+  assert.ok(records[2].startsWith('TY  - GEN'));
+  assert.ok(records.every(record => record.endsWith('ER  -')));
+
+  console.log('✓ testRIS');
+}
+
+function testCSLJSON() {
+  const file = exportAsCSLJSON(RESULT);
+  const items = JSON.parse(file.content);
+
+  assert.match(file.filename, /\.csl\.json$/);
+  assert.equal(items.length, 3);
+  assert.equal(items[0].id, 'mcmurray2019dapagliflozin');
+  assert.equal(items[0].type, 'article-journal');
+  assert.equal(items[0]['container-title'], 'N Engl J Med');
+  assert.deepEqual(items[0].issued, { 'date-parts': [[2019, 11]] });
+  assert.equal(items[0].DOI, '10.1056/NEJMoa1911303');
+  assert.equal(items[1].page, '1413-1424');
+  assert.equal(items[1].PMID, '32865377');
+  assert.deepEqual(items[2], {
+    id: 'worldhealthorganization2016global',
+    type: 'document',
+    title: 'Global report on diabetes',
+    author: [{ literal: 'World Health Organization' }],
+    issued: { 'date-parts': [[2016]] }
+  }, 'Missing fields are left out');
+
+  console.log('✓ testCSLJSON');
+}
+
+function testCitationsRoute() {
+  clearJobs();
+  const jobId = createJob('pdf', {});
+  completeJob(jobId, RESULT);
+
+  const ris = mockResponse();
+  exportJobCitations({ params: { jobId }, query: { format: 'ris' } }, ris);
+  assert.equal(ris.statusCode, 200);
+  assert.equal(ris.headers['Content-Type'], 'application/x-research-info-systems; charset=utf-8');
+  assert.match(ris.headers['Content-Disposition'], /^attachment; filename="dapa-hf_.*\.ris"$/);
+  assert.ok(ris.body.startsWith('TY  - JOUR'));
+
+  const bibtex = mockResponse();
+  exportJobCitations({ params: { jobId }, query: {} }, bibtex);
+  assert.ok(bibtex.body.startsWith('@article{'), 'BibTeX is the default format');
+
+  const invalid = mockResponse();
+  exportJobCitations({ params: { jobId }, query: { format: 'endnote' } }, invalid);
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(invalid.body.formats, ['bibtex', 'ris', 'csl-json']);
+
+  const missing = mockResponse();
+  exportJobCitations({ params: { jobId: 'nope' }, query: {} }, missing);
+  assert.equal(missing.statusCode, 404);
+
+  const pending = mockResponse();
+  exportJobCitations({ params: { jobId: createJob('pdf', {}) }, query: {} }, pending);
+  assert.equal(pending.statusCode, 409);
+
+  clearJobs();
+  console.log('✓ testCitationsRoute');
+}
+
+function testResultCitationsRoute() {
+  clearJobs();
+  const jobId = createJob('pdf', {});
+  completeJob(jobId, RESULT);
+
+  // The client sends only the fields the citations use
+  const body = {
+    title: RESULT.title,
+    metadata: RESULT.metadata,
+    imryd: { metadata: RESULT.imryd.metadata },
+    references: RESULT.references
+  };
+  for (const format of ['bibtex', 'ris', 'csl-json']) {
+    const fromJob = mockResponse();
+    exportJobCitations({ params: { jobId }, query: { format } }, fromJob);
+    const fromBody = mockResponse();
+    exportResultCitations({ query: { format }, body }, fromBody);
+    assert.equal(fromBody.statusCode, 200);
+    assert.equal(fromBody.body, fromJob.body, `${format}: same file as the job route`);
+    assert.equal(fromBody.headers['Content-Type'], fromJob.headers['Content-Type']);
+  }
+  clearJobs();
+
+  const invalid = mockResponse();
+  exportResultCitations({ query: { format: 'endnote' }, body }, invalid);
+  assert.equal(invalid.statusCode, 400);
+
+  // Malformed bodies export what they can instead of failing
+  const malformed = mockResponse();
+  exportResultCitations({
+    query: { format: 'csl-json' },
+    body: { title: 42, metadata: 'x', imryd: [], references: [null, 'ref', { authors: 'Packer M', title: { text: 'x' }, year: '2020' }] }
+  }, malformed);
+  assert.equal(malformed.statusCode, 200);
+  const items = JSON.parse(malformed.body);
+  assert.equal(items.length, 2, 'Only object references are kept');
+  assert.equal(items[0].title, '42');
+  assert.deepEqual(items[1].author, []);
+
+  const empty = mockResponse();
+  exportResultCitations({ query: {}, body: undefined }, empty);
+  assert.ok(empty.body.startsWith('@misc{'), 'An empty body still yields the article entry');
+
+  console.log('✓ testResultCitationsRoute');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Citation Export Tests ===\n');
+
+  testArticleCitation();
+  testBibTeX();
+  testRIS();
+  testCSLJSON();
+  testCitationsRoute();
+  testResultCitationsRoute();
+
+  console.log('\n✓ All Citation Export tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Citation Export tests failed:');
+  console.error(error);
+  process.exit(1);
+}
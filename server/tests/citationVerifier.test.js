@@ -0,0 +1,129 @@
+/**
+ * Citation Verifier Tests
+ *
+ * Tests for page-reference extraction, claim verification against page texts
+ * and literal quote matching
+ */
+
+import assert from 'node:assert/strict';
+import {
+  extractPageReferences,
+  extractClaimValues,
+  quoteOccursIn,
+  findUnreferencedItems,
+  verifySummaryCitations
+} from '../utils/citationVerifier.js';
+
+const PAGES = [
+  {
+    pageNumber: 1,
+    text: 'Introduction\nHeart failure affects 1,250 patients per year in our region.'
+  },
+  {
+    pageNumber: 3,
+    text: 'Results\nMortality was 12,5 % in the treatment group vs 18% with placebo (p=0.03; HR 0.71, 95% CI 0.55-0.92).'
+  }
+];
+
+// Tests
+function testExtractsPageReferences() {
+  assert.deepEqual(extractPageReferences('Dato (p. 4)'), [4]);
+  assert.deepEqual(extractPageReferences('Dato (p.4) y otro (pp. 6-8)'), [4, 6, 7, 8]);
+  assert.deepEqual(extractPageReferences('Varios (p. 3, 5)'), [3, 5]);
+  assert.deepEqual(extractPageReferences('Sin referencias, p. ej. nada'), []);
+
+  console.log('✓ testExtractsPageReferences');
+}
+
+function testExtractsClaimValues() {
+  const values = extractClaimValues('Mortalidad 12,5% vs 18% (p = 0.03) en 1,250 pacientes de 2 grupos (p. 3)');
+
+  assert.deepEqual(values, ['12.5%', '18%', '0.03', '1250'], 'Should normalize values and skip page refs/single digits');
+
+  console.log('✓ testExtractsClaimValues');
+}
+
+function testVerifiesClaimsAgainstCitedPages() {
+  const summary = [
+    '## Resultados',
+    '- La mortalidad fue 12.5% frente a 18% (p=0.03) (p. 3)',
+    '- HR 0.71 (IC 95% 0.55-0.92) (p. 3)',
+    '- Se incluyeron 1,250 pacientes (p. 3)',
+    '- Dato de una página inexistente 40% (p. 9)',
+    'Párrafo sin referencias con 77%'
+  ].join('\n');
+
+  const report = verifySummaryCitations(summary, PAGES);
+
+  assert.equal(report.stats.total, 4, 'Only lines with page references are claims');
+  assert.equal(report.stats.verified, 2);
+  assert.equal(report.claims[0].verified, true, 'Values present on the cited page should verify');
+  assert.deepEqual(report.claims[2].missingValues, ['1250'], 'Values from another page should not verify');
+  assert.deepEqual(report.claims[3].invalidPages, [9], 'Pages outside the document should be flagged');
+
+  console.log('✓ testVerifiesClaimsAgainstCitedPages');
+}
+
+function testQuoteOccursIn() {
+  const pageTexts = new Map([
+    [2, 'Patients were random-\nized in a 1:1 ratio using   sealed envelopes.'],
+    [4, 'Follow-up lasted 12 months.']
+  ]);
+
+  assert.equal(quoteOccursIn('"Patients were randomized in a 1:1 ratio…"', [2], pageTexts), true,
+    'Quotes ignore quotation marks, case, line-break hyphens and spacing');
+  assert.equal(quoteOccursIn('follow-up lasted 12 months', [2, 4], pageTexts), true);
+  assert.equal(quoteOccursIn('follow-up lasted 12 months', [2], pageTexts), false, 'Only the cited pages count');
+  assert.equal(quoteOccursIn('sealed envelopes', [7], pageTexts), false, 'Unknown pages never match');
+  assert.equal(quoteOccursIn('', [2], pageTexts), false);
+
+  console.log('✓ testQuoteOccursIn');
+}
+
+function testReportsUnreferencedKeyPointsAndLimitations() {
+  const imryd = {
+    discusion: {
+      interpretacion: 'El tratamiento reduce la mortalidad (p. 3)',
+      limitaciones: ['Seguimiento corto (p. 3)', 'Muestra de un solo centro']
+    },
+    puntos_clave: ['Mortalidad 12,5% vs 18% (p. 3)', 'Reduce la mortalidad', '']
+  };
+
+  assert.deepEqual(findUnreferencedItems(imryd), [
+    { label: 'Punto clave', index: 2, text: 'Reduce la mortalidad' },
+    { label: 'Limitación', index: 2, text: 'Muestra de un solo centro' }
+  ]);
+  assert.deepEqual(findUnreferencedItems({
+    discusion: { limitaciones: 'No especificado en el documento' },
+    puntos_clave: []
+  }), [], 'Fields without a list have nothing to report');
+  assert.deepEqual(findUnreferencedItems(null), []);
+
+  const report = verifySummaryCitations('- Reduce la mortalidad', PAGES, { imryd });
+  assert.equal(report.stats.total, 0, 'Unreferenced items are not claims');
+  assert.equal(report.stats.unreferenced, 2);
+  assert.equal(verifySummaryCitations('', PAGES).stats.unreferenced, 0, 'Without IMRyD nothing is reported');
+
+  console.log('✓ testReportsUnreferencedKeyPointsAndLimitations');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Citation Verifier Tests ===\n');
+
+  testExtractsPageReferences();
+  testExtractsClaimValues();
+  testVerifiesClaimsAgainstCitedPages();
+  testQuoteOccursIn();
+  testReportsUnreferencedKeyPointsAndLimitations();
+
+  console.log('\n✓ All Citation Verifier tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Citation Verifier tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,85 @@
+/**
+ * Concurrency Utility Tests
+ *
+ * Tests for the bounded-concurrency pool used in page analysis
+ */
+
+import assert from 'node:assert/strict';
+import {
+  mapWithConcurrency
+} from '../utils/concurrency.js';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Tests
+async function testPreservesInputOrder() {
+  // Later items finish first
+  const results = await mapWithConcurrency([30, 20, 10, 0], 4, async (ms, index) => {
+    await delay(ms);
+    return index;
+  });
+
+  assert.deepEqual(results, [0, 1, 2, 3], 'Results should follow input order, not completion order');
+
+  console.log('✓ testPreservesInputOrder');
+}
+
+async function testRespectsLimit() {
+  let running = 0;
+  let maxRunning = 0;
+
+  await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(5);
+    running--;
+  });
+
+  assert.equal(maxRunning, 3, 'Should never exceed the concurrency limit');
+
+  console.log('✓ testRespectsLimit');
+}
+
+async function testStopsSchedulingWhenCancelled() {
+  const started = [];
+  let cancelled = false;
+
+  const results = await mapWithConcurrency([1, 2, 3, 4, 5, 6], 2, async (item) => {
+    started.push(item);
+    if (item === 2) cancelled = true;
+    await delay(5);
+    return item;
+  }, {
+    isCancelled: () => cancelled
+  });
+
+  assert.deepEqual(started, [1, 2], 'Should not start new items after cancellation');
+  assert.equal(results[5], undefined, 'Unstarted items should have no result');
+
+  console.log('✓ testStopsSchedulingWhenCancelled');
+}
+
+async function testEmptyInput() {
+  const results = await mapWithConcurrency([], 3, async () => 'never');
+  assert.deepEqual(results, []);
+
+  console.log('✓ testEmptyInput');
+}
+
+// Run all tests
+async function run() {
+  console.log('\n=== Concurrency Utility Tests ===\n');
+
+  await testPreservesInputOrder();
+  await testRespectsLimit();
+  await testStopsSchedulingWhenCancelled();
+  await testEmptyInput();
+
+  console.log('\n✓ All Concurrency Utility tests passed!\n');
+}
+
+run().catch((error) => {
+  console.error('\n✗ Concurrency Utility tests failed:');
+  console.error(error);
+  process.exit(1);
+});
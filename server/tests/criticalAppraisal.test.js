@@ -0,0 +1,157 @@
+/**
+ * Critical Appraisal Tests
+ *
+ * Tests for the reporting checklists (CONSORT, STROBE, PRISMA), the merge of
+ * the AI evaluation with the text search and the "Evaluación crítica" node
+ */
+
+import assert from 'node:assert/strict';
+import {
+  CHECKLISTS,
+  getChecklistForStudyType,
+  findChecklistEvidence,
+  buildAppraisal,
+  buildAppraisalMarkdown
+} from '../utils/criticalAppraisal.js';
+import {
+  buildFileTree
+} from '../services/structureService.js';
+
+const RCT_PAGES = [
+  { pageNumber: 1, text: 'A randomized, double-blind trial of drug X.\nIntroduction\nHeart failure remains common.' },
+  { pageNumber: 2, text: 'Methods\nPatients were eligible if they were older than 18 years.\nThe randomization sequence was computer-generated in blocks of four.' },
+  { pageNumber: 3, text: 'Results\nThe hazard ratio was 0.74 (95% CI, 0.65 to 0.85).\nAdverse events were similar in both groups.' }
+];
+
+// Tests
+function testChecklistForStudyType() {
+  assert.equal(getChecklistForStudyType('rct').key, 'consort');
+  assert.equal(getChecklistForStudyType('systematic_review').key, 'prisma');
+  assert.equal(getChecklistForStudyType('other').key, 'strobe');
+  assert.equal(getChecklistForStudyType('case_report'), null);
+  assert.equal(getChecklistForStudyType('guideline'), null);
+  assert.equal(getChecklistForStudyType('narrative_review'), null);
+
+  for (const [key, checklist] of Object.entries(CHECKLISTS)) {
+    const ids = checklist.items.map(item => item.id);
+    assert.equal(new Set(ids).size, ids.length, `${key}: item ids must be unique`);
+    checklist.items.forEach(item => assert.ok(item.pattern instanceof RegExp, `${key} ${item.id}: pattern`));
+  }
+  assert.equal(CHECKLISTS.strobe.items.length, 22);
+  assert.equal(CHECKLISTS.prisma.items.length, 27);
+
+  console.log('✓ testChecklistForStudyType');
+}
+
+function testFindChecklistEvidence() {
+  const items = findChecklistEvidence(getChecklistForStudyType('rct'), RCT_PAGES);
+  const byId = new Map(items.map(item => [item.id, item]));
+
+  // A keyword hit is only possible evidence, not a confirmed report
+  assert.equal(byId.get('9').status, 'unclear');
+  assert.deepEqual(byId.get('9').pages, [2]);
+  assert.ok(byId.get('9').evidence.includes('computer-generated'));
+  assert.ok(byId.get('9').note);
+  assert.deepEqual(byId.get('18').pages, [3]);
+  assert.ok(items.every(item => item.status === 'unclear'));
+  // A missing pattern does not prove the item is missing
+  assert.equal(byId.get('24').status, 'unclear');
+  assert.deepEqual(byId.get('24').pages, []);
+  assert.ok(items.every(item => item.source === 'heuristic'));
+
+  console.log('✓ testFindChecklistEvidence');
+}
+
+function testBuildAppraisal() {
+  const checklist = getChecklistForStudyType('rct');
+  const appraisal = buildAppraisal(checklist, [
+    { id: '9', estado: 'reportado', evidencia: '"The randomization sequence was computer-generated"', paginas: [2] },
+    { id: 10, estado: 'reportado', evidencia: 'Sealed envelopes were used', paginas: [2] },
+    { id: '12', estado: 'reportado', evidencia: 'double-blind', paginas: [9] },
+    { id: '18', estado: 'no_reportado', evidencia: '', paginas: [] },
+    { id: '24', estado: 'no_reportado', evidencia: '', paginas: [] },
+    { id: '25', estado: 'desconocido' }
+  ], RCT_PAGES);
+  const byId = new Map(appraisal.items.map(item => [item.id, item]));
+
+  assert.equal(appraisal.checklist, 'consort');
+  assert.equal(appraisal.items.length, checklist.items.length);
+
+  assert.equal(byId.get('9').status, 'reported');
+  assert.equal(byId.get('9').source, 'llm');
+  assert.equal(byId.get('9').evidenceVerified, true, 'Quotes are matched ignoring quotation marks and case');
+
+  assert.equal(byId.get('10').status, 'reported', 'Numeric ids from the model are accepted');
+  assert.equal(byId.get('10').evidenceVerified, false, 'A quote that is not on the page is flagged');
+
+  assert.equal(byId.get('12').status, 'unclear', 'Reported without a valid page is downgraded');
+  assert.deepEqual(byId.get('12').pages, []);
+
+  assert.equal(byId.get('18').status, 'unclear', 'The text contradicts "not reported"');
+  assert.deepEqual(byId.get('18').pages, [3]);
+  assert.ok(byId.get('18').note);
+
+  assert.equal(byId.get('24').status, 'not_reported');
+  assert.equal(byId.get('25').source, 'heuristic', 'Unknown answers fall back to the text search');
+
+  assert.equal(appraisal.stats.total, 25);
+  assert.equal(appraisal.stats.notReported, 1);
+  assert.equal(appraisal.stats.evaluatedByLLM, 5);
+  assert.equal(appraisal.stats.reported + appraisal.stats.notReported + appraisal.stats.unclear, 25);
+  assert.equal(appraisal.stats.adherence, Math.round((appraisal.stats.reported / 25) * 100) / 100);
+
+  // Without the AI the appraisal relies on the text search alone
+  const heuristicOnly = buildAppraisal(checklist, null, RCT_PAGES);
+  assert.equal(heuristicOnly.stats.evaluatedByLLM, 0);
+  assert.equal(heuristicOnly.stats.notReported, 0);
+  assert.equal(heuristicOnly.stats.reported, 0, 'Keyword hits are never counted as reported');
+  assert.ok(heuristicOnly.items.every(item => item.evidenceVerified === false));
+
+  console.log('✓ testBuildAppraisal');
+}
+
+function testAppraisalMarkdownAndTree() {
+  const appraisal = buildAppraisal(getChecklistForStudyType('rct'), [
+    { id: '9', estado: 'reportado', evidencia: 'sequence was computer-generated | blocks', paginas: [2] }
+  ], RCT_PAGES);
+  appraisal.markdown = buildAppraisalMarkdown(appraisal);
+
+  assert.ok(appraisal.markdown.startsWith('# 🧐 Evaluación crítica: CONSORT 2010'));
+  assert.ok(appraisal.markdown.includes('## Métodos'));
+  assert.ok(appraisal.markdown.includes('| Ítem | Requisito | Estado | Evidencia |'));
+  assert.ok(appraisal.markdown.includes('(p. 2)'), 'Evidence links to its page');
+  assert.ok(appraisal.markdown.includes('computer-generated \\| blocks'), 'Pipes are escaped inside cells');
+  assert.ok(appraisal.markdown.includes('⚠️ cita no encontrada en la página'));
+  assert.ok(appraisal.markdown.includes('ítems evaluados solo por búsqueda en el texto'));
+
+  const structure = { parts: [], sections: [] };
+  const tree = buildFileTree({ summary: '', structure, appraisal, groupedContent: { parts: [], orphanPages: [] } });
+  assert.deepEqual(tree.slice(0, 3).map(node => node.id), ['summary', 'metadata', 'appraisal']);
+  assert.equal(tree[2].name, '🧐 Evaluación crítica (CONSORT 2010)');
+  assert.equal(tree[2].content, appraisal.markdown);
+
+  const withoutAppraisal = buildFileTree({ summary: '', structure, appraisal: null, groupedContent: { parts: [], orphanPages: [] } });
+  assert.ok(!withoutAppraisal.some(node => node.id === 'appraisal'));
+
+  console.log('✓ testAppraisalMarkdownAndTree');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Critical Appraisal Tests ===\n');
+
+  testChecklistForStudyType();
+  testFindChecklistEvidence();
+  testBuildAppraisal();
+  testAppraisalMarkdownAndTree();
+
+  console.log('\n✓ All Critical Appraisal tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Critical Appraisal tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,175 @@
+/**
+ * GRADE Assessment Tests
+ *
+ * Tests for the effect and confidence-interval parsing, the certainty rating
+ * of each primary outcome and the "Resumen de hallazgos GRADE" tree node
+ */
+
+import assert from 'node:assert/strict';
+import {
+  parseEffect,
+  parseConfidenceInterval,
+  buildGradeSummary,
+  buildGradeMarkdown
+} from '../utils/gradeAssessment.js';
+import {
+  buildFileTree
+} from '../services/structureService.js';
+import {
+  NOT_SPECIFIED
+} from '../utils/prompts.js';
+
+const RCT = { type: 'rct', label: 'Ensayo clínico aleatorizado' };
+const OBSERVATIONAL = { type: 'other', label: 'Estudio original' };
+
+const IMRYD = {
+  metodos: {
+    tamano_muestra: '1.250 pacientes',
+    outcomes_primarios: ['Muerte cardiovascular a 12 meses', 'Hospitalización por insuficiencia cardiaca']
+  },
+  resultados: {
+    participantes_analizados: NOT_SPECIFIED,
+    hallazgos_principales: [
+      {
+        descripcion: 'Reducción de la muerte cardiovascular',
+        valor: 'HR 0.74',
+        intervalo_confianza: '0.65-0.85',
+        valor_p: 'p < 0.001',
+        pagina_referencia: 3
+      },
+      {
+        descripcion: 'Hospitalización por insuficiencia cardiaca sin diferencias',
+        valor: 'RR 0,92 (IC 95%: 0,80 a 1,06)',
+        intervalo_confianza: NOT_SPECIFIED,
+        valor_p: NOT_SPECIFIED,
+        pagina_referencia: 4
+      }
+    ]
+  }
+};
+
+// Tests
+function testParsing() {
+  assert.deepEqual(parseEffect('HR 0.74'), { measure: 'ratio', estimate: 0.74 });
+  assert.deepEqual(parseEffect('odds ratio = 2,5'), { measure: 'ratio', estimate: 2.5 });
+  assert.deepEqual(parseEffect('MD -2.1 mmHg'), { measure: 'difference', estimate: -2.1 });
+  assert.deepEqual(parseEffect('32% vs 41%'), { measure: null, estimate: 32 });
+
+  assert.deepEqual(parseConfidenceInterval('0.65-0.85'), { lower: 0.65, upper: 0.85 });
+  assert.deepEqual(parseConfidenceInterval('95% CI 0.65 to 0.85'), { lower: 0.65, upper: 0.85 }, 'The 95% level is not a bound');
+  assert.deepEqual(parseConfidenceInterval('-3.4 - -0.8'), { lower: -3.4, upper: -0.8 });
+  assert.deepEqual(parseConfidenceInterval('RR 0,92 (IC 95%: 0,80 a 1,06)', true), { lower: 0.8, upper: 1.06 });
+  assert.equal(parseConfidenceInterval('HR 0.74, p = 0.01', true), null, 'Values need a labelled interval');
+
+  console.log('✓ testParsing');
+}
+
+function testGradeRCT() {
+  const grade = buildGradeSummary(IMRYD, RCT, null);
+
+  assert.equal(grade.startingCertainty, 'high');
+  assert.equal(grade.fromPrimaryOutcomes, true);
+  assert.equal(grade.outcomes.length, 2);
+
+  const [death, hospitalisation] = grade.outcomes;
+  assert.equal(death.finding, 'Reducción de la muerte cardiovascular');
+  assert.equal(death.participants, 1250, 'Thousands separators are read from tamano_muestra');
+  assert.equal(death.page, 3);
+  assert.equal(death.crossesNull, false);
+  assert.equal(death.certainty, 'high');
+  assert.deepEqual(death.downgrades, []);
+  assert.deepEqual(death.notAssessed, ['risk_of_bias', 'indirectness', 'publication_bias']);
+
+  assert.deepEqual(hospitalisation.ci, { text: null, lower: 0.8, upper: 1.06 }, 'The interval is taken from the value');
+  assert.equal(hospitalisation.crossesNull, true);
+  assert.equal(hospitalisation.certainty, 'moderate');
+  assert.equal(hospitalisation.downgrades[0].domain, 'imprecision');
+
+  // Study-level risk of bias lowers every outcome
+  const biased = buildGradeSummary(IMRYD, RCT, { name: 'RoB 2', overall: 'high', overallLabel: 'Alto' });
+  assert.deepEqual(biased.outcomes.map(row => row.certainty), ['moderate', 'low']);
+  assert.equal(biased.outcomes[0].downgrades[0].reason, 'RoB 2: riesgo global alto');
+  assert.deepEqual(biased.stats, { outcomes: 2, graded: 2, downgraded: 2 });
+
+  console.log('✓ testGradeRCT');
+}
+
+function testGradeObservationalAndReviews() {
+  const cohort = {
+    metodos: { tamano_muestra: '5000', outcomes_primarios: [NOT_SPECIFIED] },
+    resultados: {
+      hallazgos_principales: [
+        { descripcion: 'Cáncer de pulmón en fumadores', valor: 'RR 10.8', intervalo_confianza: '7.2-16.1', pagina_referencia: 5 }
+      ]
+    }
+  };
+  const observational = buildGradeSummary(cohort, OBSERVATIONAL, { name: 'Newcastle-Ottawa', overall: 'good', overallLabel: 'Buena' });
+  assert.equal(observational.startingCertainty, 'low');
+  assert.equal(observational.fromPrimaryOutcomes, false, 'Without primary outcomes the findings are graded');
+  assert.equal(observational.outcomes[0].upgrades[0].levels, 2, 'A very large effect rates up two levels');
+  assert.equal(observational.outcomes[0].certainty, 'high');
+
+  const review = buildGradeSummary({
+    metodos: { outcomes_primarios: ['Mortalidad'] },
+    resultados: {
+      participantes_analizados: '320 pacientes de 6 ensayos',
+      hallazgos_principales: [
+        { descripcion: 'Mortalidad por cualquier causa (I² = 68%)', valor: 'RR 0.81', intervalo_confianza: '0.70-0.93' }
+      ]
+    }
+  }, { type: 'systematic_review', label: 'Revisión sistemática' });
+  const [mortality] = review.outcomes;
+  assert.deepEqual(mortality.downgrades.map(entry => entry.domain), ['inconsistency', 'imprecision']);
+  assert.equal(mortality.downgrades[1].reason, 'muestra pequeña (320 < 400)');
+  assert.equal(mortality.certainty, 'low');
+
+  assert.equal(buildGradeSummary(null, RCT), null, 'Without the structured IMRyD there is nothing to grade');
+  assert.equal(buildGradeSummary(IMRYD, { type: 'guideline', label: 'Guía' }), null);
+  assert.equal(buildGradeSummary({ metodos: {}, resultados: { hallazgos_principales: [] } }, RCT), null);
+
+  console.log('✓ testGradeObservationalAndReviews');
+}
+
+function testGradeMarkdownAndTree() {
+  const grade = buildGradeSummary({
+    ...IMRYD,
+    metodos: { ...IMRYD.metodos, outcomes_primarios: [...IMRYD.metodos.outcomes_primarios, 'Calidad de vida'] }
+  }, RCT, null);
+  grade.markdown = buildGradeMarkdown(grade);
+
+  assert.equal(grade.outcomes[2].certainty, null, 'Outcomes without a matching finding are not graded');
+  assert.ok(grade.markdown.startsWith('# 📈 Resumen de hallazgos (GRADE)'));
+  assert.ok(grade.markdown.includes('> Certeza inicial: **Alta** (ensayo clínico aleatorizado).'));
+  assert.ok(grade.markdown.includes('| Muerte cardiovascular a 12 meses | HR 0.74 (IC 0.65-0.85), p < 0.001 (p. 3) | 1250 | ⊕⊕⊕⊕ Alta | Sin motivos para bajar la certeza |'));
+  assert.ok(grade.markdown.includes('| ⊕⊕⊕◯ Moderada | ↓ Imprecisión: el IC incluye 1 (sin efecto) |'));
+  assert.ok(grade.markdown.includes('| Calidad de vida | Sin resultado en el resumen | — | No evaluable | — |'));
+  assert.ok(grade.markdown.includes('*No evaluado: riesgo de sesgo, evidencia indirecta, sesgo de publicación.*'));
+
+  const tree = buildFileTree({ summary: '', grade, structure: { parts: [], sections: [] }, groupedContent: { parts: [], orphanPages: [] } });
+  const node = tree.find(entry => entry.id === 'grade');
+  assert.equal(node.name, '📈 Resumen de hallazgos GRADE (3)');
+  assert.equal(node.type, 'grade');
+  assert.equal(node.content, grade.markdown);
+
+  console.log('✓ testGradeMarkdownAndTree');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== GRADE Assessment Tests ===\n');
+
+  testParsing();
+  testGradeRCT();
+  testGradeObservationalAndReviews();
+  testGradeMarkdownAndTree();
+
+  console.log('\n✓ All GRADE Assessment tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ GRADE Assessment tests failed:');
+  console.error(error);
+  process.exit(1);
+}
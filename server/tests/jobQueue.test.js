@@ -0,0 +1,160 @@
+/**
+ * Job Queue Tests
+ *
+ * Tests for job lifecycle, event log replay and live subscriptions
+ */
+
+import assert from 'node:assert/strict';
+import {
+  createJob,
+  getJob,
+  completeJob,
+  failJob,
+  cancelJob,
+  isJobCancelled,
+  isJobFinished,
+  appendJobEvent,
+  getJobEvents,
+  subscribeToJob,
+  getJobSummary,
+  clearJobs,
+  JOB_STATUS
+} from '../services/jobQueue.js';
+
+// Tests
+function testCreateJobStartsPending() {
+  clearJobs();
+
+  const jobId = createJob('pdf_process', {
+    fileName: 'test.pdf'
+  });
+  const job = getJob(jobId);
+
+  assert.equal(job.status, JOB_STATUS.PENDING, 'New job should be pending');
+  assert.deepEqual(job.events, [], 'New job should have an empty event log');
+  assert.equal(isJobFinished(job), false, 'Pending job is not finished');
+
+  console.log('✓ testCreateJobStartsPending');
+}
+
+function testEventsGetSequentialIds() {
+  clearJobs();
+
+  const jobId = createJob('pdf_process', {});
+  const first = appendJobEvent(jobId, {
+    type: 'log',
+    text: 'uno'
+  });
+  const second = appendJobEvent(jobId, {
+    type: 'progress',
+    percent: 10
+  });
+
+  assert.equal(first.id, 1, 'First event id should be 1');
+  assert.equal(second.id, 2, 'Second event id should be 2');
+
+  console.log('✓ testEventsGetSequentialIds');
+}
+
+function testReplayFromLastEventId() {
+  clearJobs();
+
+  const jobId = createJob('pdf_process', {});
+  appendJobEvent(jobId, { type: 'log', text: 'a' });
+  appendJobEvent(jobId, { type: 'log', text: 'b' });
+  appendJobEvent(jobId, { type: 'log', text: 'c' });
+
+  assert.equal(getJobEvents(jobId).length, 3, 'Should replay all events from the start');
+
+  const resumed = getJobEvents(jobId, 2);
+  assert.equal(resumed.length, 1, 'Should only replay events after the given id');
+  assert.equal(resumed[0].data.text, 'c', 'Should resume with the next event');
+
+  assert.deepEqual(getJobEvents('missing-job'), [], 'Unknown job has no events');
+
+  console.log('✓ testReplayFromLastEventId');
+}
+
+function testSubscribersReceiveNewEvents() {
+  clearJobs();
+
+  const jobId = createJob('pdf_process', {});
+  const received = [];
+  const unsubscribe = subscribeToJob(jobId, (entry) => received.push(entry));
+
+  appendJobEvent(jobId, { type: 'log', text: 'live' });
+  unsubscribe();
+  appendJobEvent(jobId, { type: 'log', text: 'after unsubscribe' });
+
+  assert.equal(received.length, 1, 'Should receive events only while subscribed');
+  assert.equal(received[0].data.text, 'live');
+
+  console.log('✓ testSubscribersReceiveNewEvents');
+}
+
+function testFinishedStates() {
+  clearJobs();
+
+  const completedId = createJob('pdf_process', {});
+  completeJob(completedId, { title: 'ok' });
+  assert.equal(isJobFinished(getJob(completedId)), true, 'Completed job is finished');
+
+  const failedId = createJob('pdf_process', {});
+  failJob(failedId, 'boom');
+  assert.equal(isJobFinished(getJob(failedId)), true, 'Failed job is finished');
+  assert.equal(getJob(failedId).error, 'boom');
+
+  console.log('✓ testFinishedStates');
+}
+
+function testCancelJob() {
+  clearJobs();
+
+  const jobId = createJob('pdf_process', {});
+  assert.equal(isJobCancelled(jobId), false, 'New job is not cancelled');
+
+  cancelJob(jobId);
+  assert.equal(isJobCancelled(jobId), true, 'Cancellation is visible to the pipeline');
+  assert.equal(isJobFinished(getJob(jobId)), false, 'The job finishes when the pipeline stops');
+  assert.equal(isJobCancelled('missing-job'), false);
+
+  console.log('✓ testCancelJob');
+}
+
+function testJobSummaryOmitsEventLog() {
+  clearJobs();
+
+  const jobId = createJob('pdf_process', {});
+  appendJobEvent(jobId, { type: 'log', text: 'a' });
+
+  const summary = getJobSummary(jobId);
+
+  assert.equal(summary.events, undefined, 'Summary should not include the event log');
+  assert.equal(summary.eventCount, 1, 'Summary should report the event count');
+  assert.equal(getJobSummary('missing-job'), null);
+
+  console.log('✓ testJobSummaryOmitsEventLog');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Job Queue Tests ===\n');
+
+  testCreateJobStartsPending();
+  testEventsGetSequentialIds();
+  testReplayFromLastEventId();
+  testSubscribersReceiveNewEvents();
+  testFinishedStates();
+  testCancelJob();
+  testJobSummaryOmitsEventLog();
+
+  console.log('\n✓ All Job Queue tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Job Queue tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,170 @@
+/**
+ * Layout Analyzer Tests
+ *
+ * Tests for the reading order of pdf.js text items: two-column pages,
+ * full-width titles, side boxes, footnotes and tables that are not columns
+ */
+
+import assert from 'node:assert/strict';
+import {
+  normalizeTextItems,
+  groupIntoLines,
+  buildPageText
+} from '../utils/layoutAnalyzer.js';
+
+const VIEW = [0, 0, 612, 842];
+
+// pdf.js text item at (x, y) with the given font size
+function item(str, x, y, fontSize = 9) {
+  return {
+    str,
+    transform: [fontSize, 0, 0, fontSize, x, y],
+    width: str.length * fontSize * 0.5,
+    height: fontSize
+  };
+}
+
+// Same item with the pdf.js font id
+function fontItem(str, x, y, fontName, fontSize = 9) {
+  return { ...item(str, x, y, fontSize), fontName };
+}
+
+// Two columns whose lines share the same Y (interleaved in the stream)
+function buildTwoColumnItems() {
+  const items = [item('A randomized trial of drug X in heart failure', 120, 790, 16)];
+  for (let i = 1; i <= 8; i++) {
+    const y = 740 - i * 12;
+    items.push(item(`Left column line ${i} about heart failure.`, 50, y));
+    items.push(item(`Right column line ${i} about mortality.`, 320, y));
+  }
+  return items;
+}
+
+// Tests
+function testNormalizesAndGroupsLines() {
+  const items = normalizeTextItems([
+    item('Mortality', 50, 700),
+    item('was', 92, 700.4),
+    item('12%', 109, 700),
+    { str: '', transform: [9, 0, 0, 9, 0, 0] },
+    { str: 'no transform' }
+  ]);
+
+  assert.equal(items.length, 3, 'Empty items and items without transform are dropped');
+  assert.deepEqual(groupIntoLines(items).map(line => line.text), ['Mortality was 12%']);
+
+  console.log('✓ testNormalizesAndGroupsLines');
+}
+
+function testReadsColumnsInOrder() {
+  const { text, layout } = buildPageText(buildTwoColumnItems(), VIEW);
+  const lines = text.split('\n');
+
+  assert.equal(layout.columns, 2);
+  assert.equal(layout.fullWidthLines, 1, 'The title crosses the gutter');
+  assert.equal(lines[0], 'A randomized trial of drug X in heart failure');
+  assert.deepEqual(
+    lines.slice(1, 9),
+    Array.from({ length: 8 }, (_, i) => `Left column line ${i + 1} about heart failure.`),
+    'The whole left column is read before the right one'
+  );
+  assert.equal(lines[9], 'Right column line 1 about mortality.');
+
+  console.log('✓ testReadsColumnsInOrder');
+}
+
+function testSingleColumnAndTables() {
+  const items = [];
+  for (let i = 0; i < 8; i++) {
+    items.push(item(`Patients were randomized to treatment or placebo in this trial ${i}.`, 50, 780 - i * 14, 11));
+  }
+  // A table: short cells separated by wide gaps must not become columns
+  for (let i = 0; i < 4; i++) {
+    const y = 600 - i * 14;
+    items.push(item(`Group ${i}`, 50, y, 11));
+    items.push(item(`${40 + i}`, 330, y, 11));
+    items.push(item(`${(0.01 * (i + 1)).toFixed(2)}`, 450, y, 11));
+  }
+
+  const { text, layout } = buildPageText(items, VIEW);
+
+  assert.equal(layout.columns, 1);
+  assert.equal(layout.gutterX, null);
+  assert.ok(text.startsWith('Patients were randomized to treatment or placebo in this trial 0.'));
+  assert.ok(text.indexOf('Group 0') < text.indexOf('Group 1'), 'Table rows keep their order');
+  assert.deepEqual(buildPageText([], VIEW), {
+    text: '',
+    layout: { columns: 1, gutterX: null, bodyFontSize: 0, fullWidthLines: 0, boxes: 0, footnotes: 0, styledLines: [] }
+  });
+
+  console.log('✓ testSingleColumnAndTables');
+}
+
+function testSeparatesBoxesAndFootnotes() {
+  const items = buildTwoColumnItems();
+  // Side box in small print inside the right column
+  items.push(item('Key points: drug X lowered mortality in this group.', 320, 600, 7));
+  items.push(item('Key points: adverse events were similar overall.', 320, 592, 7));
+  items.push(item('Right column continues after the box here.', 320, 580));
+  // Footnote at the bottom of the page and a page number
+  items.push(item('1 Corresponding author: department of cardiology.', 50, 60, 6));
+  items.push(item('3', 300, 30));
+
+  const { text, layout } = buildPageText(items, VIEW);
+
+  assert.equal(layout.boxes, 1);
+  assert.equal(layout.footnotes, 1);
+  assert.ok(
+    text.indexOf('Right column continues after the box here.') < text.indexOf('[Recuadro]'),
+    'The box is moved after the column text'
+  );
+  assert.ok(text.includes('[Recuadro]\nKey points: drug X lowered mortality in this group.\nKey points: adverse events were similar overall.'));
+  assert.ok(text.endsWith('[Notas al pie]\n1 Corresponding author: department of cardiology.'));
+  assert.ok(text.includes('\n3\n'), 'The page number stays in the body text');
+
+  console.log('✓ testSeparatesBoxesAndFootnotes');
+}
+
+function testFindsStyledLines() {
+  const body = 'Patients were enrolled in twelve centres across the country.';
+  const items = [
+    fontItem('A randomized trial of drug X', 50, 790, 'g_d0_f3', 16),
+    fontItem('Statistical analysis', 50, 760, 'g_d0_f2'),
+    fontItem(body, 50, 748, 'g_d0_f1'),
+    fontItem(body, 50, 736, 'g_d0_f1'),
+    fontItem('Drug X', 50, 724, 'g_d0_f2'),
+    fontItem(' lowered mortality in the treated group.', 80, 724, 'g_d0_f1'),
+    fontItem(body, 50, 712, 'g_d0_f1'),
+    fontItem('1 Small print in another font.', 50, 60, 'g_d0_f4', 6)
+  ];
+
+  const { layout } = buildPageText(items, VIEW);
+
+  assert.deepEqual(layout.styledLines, [
+    'A randomized trial of drug X',
+    'Statistical analysis'
+  ], 'Larger text and whole lines in another font; not mixed-font prose or small print');
+
+  console.log('✓ testFindsStyledLines');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Layout Analyzer Tests ===\n');
+
+  testNormalizesAndGroupsLines();
+  testReadsColumnsInOrder();
+  testSingleColumnAndTables();
+  testSeparatesBoxesAndFootnotes();
+  testFindsStyledLines();
+
+  console.log('\n✓ All Layout Analyzer tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Layout Analyzer tests failed:');
+  console.error(error);
+  process.exit(1);
+}
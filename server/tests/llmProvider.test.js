@@ -0,0 +1,111 @@
+/**
+ * LLM Provider Registry Tests
+ *
+ * Tests for provider resolution (request > env) and the common interface
+ */
+
+import assert from 'node:assert/strict';
+import llmProvider from '../services/llmProvider.js';
+
+function withEnv(vars, fn) {
+  const previous = {};
+  for (const key of Object.keys(vars)) {
+    previous[key] = process.env[key];
+    if (vars[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = vars[key];
+    }
+  }
+
+  try {
+    fn();
+  } finally {
+    for (const key of Object.keys(previous)) {
+      if (previous[key] === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = previous[key];
+      }
+    }
+  }
+}
+
+// Tests
+function testRegisteredProviders() {
+  assert.deepEqual(llmProvider.listProviders(), ['chutes', 'openai', 'ollama']);
+
+  for (const name of llmProvider.listProviders()) {
+    const provider = llmProvider.getProvider(name);
+    assert.equal(provider.name, name);
+    assert.equal(typeof provider.chat, 'function', `${name} should implement chat`);
+    assert.equal(typeof provider.healthCheck, 'function', `${name} should implement healthCheck`);
+    assert.equal(typeof provider.isConfigured, 'function', `${name} should implement isConfigured`);
+  }
+
+  console.log('✓ testRegisteredProviders');
+}
+
+function testDefaultProviderFromEnv() {
+  withEnv({ LLM_PROVIDER: undefined, USE_OLLAMA: undefined }, () => {
+    assert.equal(llmProvider.getDefaultProviderName(), 'chutes', 'Chutes is the default');
+  });
+
+  withEnv({ LLM_PROVIDER: undefined, USE_OLLAMA: 'true' }, () => {
+    assert.equal(llmProvider.getDefaultProviderName(), 'ollama', 'USE_OLLAMA still selects Ollama');
+  });
+
+  withEnv({ LLM_PROVIDER: 'OpenAI', USE_OLLAMA: 'true' }, () => {
+    assert.equal(llmProvider.getDefaultProviderName(), 'openai', 'LLM_PROVIDER wins over USE_OLLAMA');
+  });
+
+  console.log('✓ testDefaultProviderFromEnv');
+}
+
+function testRequestedProviderOverridesEnv() {
+  withEnv({ LLM_PROVIDER: 'chutes' }, () => {
+    assert.equal(llmProvider.resolveProviderName('ollama'), 'ollama');
+    assert.equal(llmProvider.resolveProviderName(''), 'chutes', 'Empty request falls back to env');
+  });
+
+  assert.throws(
+    () => llmProvider.resolveProviderName('gpt-magic'),
+    /Proveedor de IA desconocido/,
+    'Unknown providers should be rejected'
+  );
+
+  console.log('✓ testRequestedProviderOverridesEnv');
+}
+
+async function testUnconfiguredProviderHealth() {
+  const provider = llmProvider.getProvider('openai');
+  let pendingHealth;
+
+  withEnv({ OPENAI_API_KEY: undefined }, () => {
+    assert.equal(provider.isConfigured(), false);
+    pendingHealth = provider.healthCheck();
+  });
+
+  const health = await pendingHealth;
+  assert.equal(health.status, 'not_configured', 'Health should not call an unconfigured API');
+
+  console.log('✓ testUnconfiguredProviderHealth');
+}
+
+// Run all tests
+async function run() {
+  console.log('\n=== LLM Provider Tests ===\n');
+
+  testRegisteredProviders();
+  testDefaultProviderFromEnv();
+  testRequestedProviderOverridesEnv();
+  await testUnconfiguredProviderHealth();
+
+  console.log('\n✓ All LLM Provider tests passed!\n');
+}
+
+run().catch((error) => {
+  console.error('\n✗ LLM Provider tests failed:');
+  console.error(error);
+  process.exit(1);
+});
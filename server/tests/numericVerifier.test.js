@@ -0,0 +1,127 @@
+/**
+ * Numeric Verifier Tests
+ *
+ * Tests for number extraction (with unit/kind/context) and verification
+ * of summary values against the document pages
+ */
+
+import assert from 'node:assert/strict';
+import {
+  extractNumbers,
+  extractIMRyDNumbers,
+  verifyNumbers,
+  buildNumericWarningsSection
+} from '../utils/numericVerifier.js';
+
+const PAGES = [
+  {
+    pageNumber: 2,
+    text: 'Methods\nWe enrolled 1,250 patients who received 40 mg daily.'
+  },
+  {
+    pageNumber: 3,
+    text: 'Results\nMortality was 12,5 % vs 18% (P < .001; HR 0.71, 95% CI 0.55-0.92).'
+  }
+];
+
+// Tests
+function testExtractsNumbersWithKindAndUnit() {
+  const numbers = extractNumbers('Se incluyeron 1,250 pacientes con 40 mg/día; HR 0.71 (p < 0.001) (p. 3)');
+  const byValue = Object.fromEntries(numbers.map(number => [number.value, number]));
+
+  assert.equal(byValue['1250'].kind, 'sample_size');
+  assert.equal(byValue['1250'].unit, 'pacientes');
+  assert.equal(byValue['40'].kind, 'dose');
+  assert.equal(byValue['0.71'].kind, 'ratio');
+  assert.equal(byValue['0.001'].kind, 'p_value');
+  assert.ok(!byValue['3'], 'Page references should be ignored');
+  assert.ok(byValue['0.71'].context.includes('HR 0.71'), 'Context should surround the value');
+
+  console.log('✓ testExtractsNumbersWithKindAndUnit');
+}
+
+function testIgnoresHeadingsAndIdentifiers() {
+  const numbers = extractNumbers([
+    '### Hallazgo 12',
+    '- **DOI:** 10.1056/NEJMoa2034577',
+    '*Confianza de extracción: 85%*',
+    'Dos grupos de 3 pacientes'
+  ].join('\n'));
+
+  assert.deepEqual(numbers, [], 'Headings, DOIs, confidence and single digits are not data');
+
+  console.log('✓ testIgnoresHeadingsAndIdentifiers');
+}
+
+function testExtractsIMRyDFields() {
+  const numbers = extractIMRyDNumbers({
+    metodos: { tamano_muestra: '1250' },
+    resultados: {
+      hallazgos_principales: [
+        { descripcion: 'Mortalidad', valor: '12.5%', valor_p: '0.001', intervalo_confianza: '0.55-0.92' }
+      ]
+    }
+  });
+
+  const fields = numbers.map(number => `${number.field}=${number.value}:${number.kind}`);
+  assert.deepEqual(fields, [
+    'resultados.hallazgos_principales[0].valor=12.5%:percent',
+    'resultados.hallazgos_principales[0].valor_p=0.001:p_value',
+    'resultados.hallazgos_principales[0].intervalo_confianza=0.55:ci',
+    'resultados.hallazgos_principales[0].intervalo_confianza=0.92:ci',
+    'metodos.tamano_muestra=1250:sample_size'
+  ]);
+
+  console.log('✓ testExtractsIMRyDFields');
+}
+
+function testFlagsValuesMissingFromPages() {
+  const summary = [
+    '## Resultados',
+    '- Mortalidad 12.5% frente a 18% (p < 0.001) (p. 3)',
+    '- HR 0.71 (IC 95% 0.55-0.92) (p. 3)',
+    '- Dosis de 80 mg en 1,250 pacientes (p. 2)'
+  ].join('\n');
+  const imryd = {
+    resultados: { hallazgos_principales: [{ valor_p: '0.04' }] }
+  };
+
+  const report = verifyNumbers(summary, PAGES, { imryd });
+  const unverified = report.unverified.map(number => number.value);
+
+  assert.deepEqual(unverified, ['0.04', '80'], 'Invented p-value and dose should be flagged');
+  assert.equal(report.stats.total, report.numbers.length);
+  assert.equal(report.stats.unverified, 2);
+  assert.deepEqual(
+    report.numbers.find(number => number.value === '0.001').foundOnPages,
+    [3],
+    '".001" in the source should match "0.001"'
+  );
+
+  const section = buildNumericWarningsSection(report);
+  assert.ok(section.includes('## ⚠️ Advertencias'), 'Should render an advertencias section');
+  assert.ok(section.includes('dosis "80 mg"'));
+  assert.equal(buildNumericWarningsSection(verifyNumbers('HR 0.71', PAGES)), '', 'No section when all values verify');
+
+  console.log('✓ testFlagsValuesMissingFromPages');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Numeric Verifier Tests ===\n');
+
+  testExtractsNumbersWithKindAndUnit();
+  testIgnoresHeadingsAndIdentifiers();
+  testExtractsIMRyDFields();
+  testFlagsValuesMissingFromPages();
+
+  console.log('\n✓ All Numeric Verifier tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Numeric Verifier tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,90 @@
+/**
+ * OCR Service Tests
+ *
+ * Tests for OCR page selection, tesseract TSV parsing and the
+ * fallback when OCR is disabled (no external tools required)
+ */
+
+import assert from 'node:assert/strict';
+
+// Disable the external tools before the service reads its configuration
+process.env.OCR_ENABLED = 'false';
+
+const TSV = [
+  'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+  '1\t1\t0\t0\t0\t0\t0\t0\t2480\t3508\t-1\t',
+  '4\t1\t1\t1\t1\t0\t100\t100\t800\t40\t-1\t',
+  '5\t1\t1\t1\t1\t1\t100\t100\t200\t40\t96.5\tMortality',
+  '5\t1\t1\t1\t1\t2\t320\t100\t80\t40\t91\twas',
+  '5\t1\t1\t1\t2\t1\t100\t150\t120\t40\t88.5\t12%',
+  '5\t1\t1\t1\t2\t2\t240\t150\t40\t40\t-1\t ',
+  '5\t1\t2\t1\t1\t1\t100\t300\t200\t40\t60\t(p=0.03)'
+].join('\n');
+
+// Tests
+function testSelectsPagesForOCR(ocrService) {
+  const { needsOCR } = ocrService;
+
+  assert.equal(needsOCR({ text: '[Página sin texto extraíble]' }), true, 'Placeholder pages need OCR');
+  assert.equal(needsOCR({ text: '' }), true, 'Empty pages need OCR');
+  assert.equal(needsOCR({ text: 'Fig. 1' }), true, 'Pages below the density threshold need OCR');
+  assert.equal(needsOCR({ text: 'x'.repeat(500) }), false, 'Dense pages do not need OCR');
+  assert.equal(needsOCR({ text: '', ocr: { confidence: 0.9 } }), false, 'Already OCR\'d pages are skipped');
+  assert.equal(needsOCR({ text: 'Fig. 1', ocrChecked: true }), false, 'Pages OCR could not improve are skipped');
+  assert.equal(needsOCR({ text: 'Fig. 1' }, 3), false, 'Threshold is configurable');
+
+  console.log('✓ testSelectsPagesForOCR');
+}
+
+function testParsesTesseractTSV(ocrService) {
+  const result = ocrService.parseTesseractTSV(TSV);
+
+  assert.equal(result.text, 'Mortality was\n12%\n(p=0.03)', 'Words are grouped by block/paragraph/line');
+  assert.equal(result.words, 4, 'Rows without text or confidence are ignored');
+  assert.equal(result.confidence, 0.84, 'Mean word confidence on a 0-1 scale');
+  assert.deepEqual(ocrService.parseTesseractTSV(''), { text: '', confidence: 0, words: 0 });
+
+  console.log('✓ testParsesTesseractTSV');
+}
+
+async function testSkipsOCRWhenUnavailable(ocrService) {
+  const logs = [];
+  const pages = [
+    { pageNumber: 1, text: 'x'.repeat(500) },
+    { pageNumber: 2, text: '[Página sin texto extraíble]' }
+  ];
+
+  const result = await ocrService.applyOCR('/nonexistent.pdf', pages, {
+    onLog: (message) => logs.push(message)
+  });
+
+  assert.equal(result.available, false);
+  assert.deepEqual(result.ocrPages, []);
+  assert.deepEqual(result.checkedPages, []);
+  assert.equal(result.pages, pages, 'Pages are returned unchanged');
+  assert.ok(logs.some(message => message.includes('OCR no está disponible')), 'The missing OCR is reported');
+
+  const noCandidates = await ocrService.applyOCR('/nonexistent.pdf', [pages[0]]);
+  assert.equal(noCandidates.available, true, 'Dense documents never touch the OCR tools');
+
+  console.log('✓ testSkipsOCRWhenUnavailable');
+}
+
+// Run all tests
+async function run() {
+  console.log('\n=== OCR Service Tests ===\n');
+
+  const { default: ocrService } = await import('../services/ocrService.js');
+
+  testSelectsPagesForOCR(ocrService);
+  testParsesTesseractTSV(ocrService);
+  await testSkipsOCRWhenUnavailable(ocrService);
+
+  console.log('\n✓ All OCR Service tests passed!\n');
+}
+
+run().catch((error) => {
+  console.error('\n✗ OCR Service tests failed:');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,188 @@
+/**
+ * PDF Enhancer Tests
+ *
+ * Tests for the repetition-driven header/footer removal, figure/table
+ * caption extraction and the document's figure/table index
+ */
+
+import assert from 'node:assert/strict';
+import {
+  normalizeRepeatedLine,
+  removeRepeatedLines,
+  extractFigureCaptions,
+  extractTableCaptions,
+  buildFigureIndex
+} from '../utils/pdfEnhancer.js';
+
+// Page with a running head, an author line, body text and a page footer
+function buildPage(pageNumber, body) {
+  return {
+    pageNumber,
+    text: [
+      pageNumber % 2 === 0 ? 'N Engl J Med 2023;389:1234-45' : 'Drug X in Heart Failure',
+      `Downloaded from nejm.org on May ${pageNumber}, 2024. For personal use only.`,
+      ...body,
+      `Page ${pageNumber} of 6`
+    ].join('\n')
+  };
+}
+
+// Tests
+function testNormalizesRepeatedLines() {
+  assert.equal(normalizeRepeatedLine('Page 3 of 12'), normalizeRepeatedLine('page 4 of 12'));
+  assert.equal(normalizeRepeatedLine('  — 7 —  '), '#');
+  assert.equal(normalizeRepeatedLine('N Engl J Med 2023;389:1234-45'), 'n engl j med # # # #');
+  assert.equal(normalizeRepeatedLine('***'), '');
+  assert.equal(normalizeRepeatedLine('12 (10) 20 (17) 0.42'), '', 'Numeric table rows are not footers');
+
+  console.log('✓ testNormalizesRepeatedLines');
+}
+
+function testRemovesRepeatedHeadersAndFooters() {
+  const pages = [
+    buildPage(1, ['Introduction', 'Heart failure is common.', 'Drug X lowers pressure.']),
+    buildPage(2, ['Methods', 'Patients were randomized.', 'Drug X in Heart Failure trial design was blinded.']),
+    buildPage(3, ['Results', 'Mortality was 12%.', 'Drug X was well tolerated.']),
+    buildPage(4, ['Discussion', 'Drug X reduced mortality.', 'Limitations apply.']),
+    buildPage(5, ['Supplement', 'Extended data tables.']),
+    buildPage(6, ['Conclusion', 'Drug X works.', '[Notas al pie]', 'Page 6 of 6']),
+    { pageNumber: 7, text: '[Página sin texto extraíble]' }
+  ];
+
+  const result = removeRepeatedLines(pages);
+
+  assert.equal(
+    result.pages[0].text,
+    'Drug X in Heart Failure\nIntroduction\nHeart failure is common.\nDrug X lowers pressure.',
+    'A verbatim running head is kept where it first appears'
+  );
+  assert.equal(
+    result.pages[1].text,
+    'N Engl J Med 2023;389:1234-45\nMethods\nPatients were randomized.\nDrug X in Heart Failure trial design was blinded.',
+    'Body lines that merely contain the running head are kept'
+  );
+  assert.equal(result.pages[2].text, 'Results\nMortality was 12%.\nDrug X was well tolerated.');
+  assert.equal(result.pages[6], pages[6], 'Pages without text are untouched');
+  assert.equal(result.pages[5].text, 'Conclusion\nDrug X works.', 'Footers inside an emptied footnote block are removed too');
+  assert.deepEqual(
+    result.repeatedLines.map(line => [line.text, line.pages]),
+    [
+      ['Downloaded from nejm.org on May 1, 2024. For personal use only.', 6],
+      ['Page 1 of 6', 6],
+      ['Drug X in Heart Failure', 3],
+      ['N Engl J Med 2023;389:1234-45', 3]
+    ],
+    'Alternating running heads repeat on fewer pages but still qualify'
+  );
+  assert.equal(result.removedLines, 17);
+  assert.equal(
+    result.charsSaved,
+    pages.reduce((sum, page, i) => sum + page.text.length - result.pages[i].text.length, 0)
+  );
+
+  console.log('✓ testRemovesRepeatedHeadersAndFooters');
+}
+
+function testKeepsChapterHeadingsAndNumericRows() {
+  const chapter = (pageNumber, heading, body) => ({
+    pageNumber,
+    text: [heading, ...body, '12 (10) 20 (17)', String(pageNumber)].join('\n')
+  });
+  const pages = [
+    chapter(1, 'Chapter 1 Introduction', ['Heart failure is common.']),
+    chapter(2, 'Chapter 1 Introduction', ['Its burden is rising.']),
+    chapter(3, 'Chapter 2 Methods', ['Patients were randomized.']),
+    chapter(4, 'Chapter 2 Methods', ['Outcomes were adjudicated.']),
+    chapter(5, 'Chapter 2 Methods', ['Analyses were prespecified.'])
+  ];
+
+  const result = removeRepeatedLines(pages);
+
+  assert.equal(result.pages[0].text, 'Chapter 1 Introduction\nHeart failure is common.\n12 (10) 20 (17)',
+    'The chapter heading stays on its first page; table rows are not footers');
+  assert.equal(result.pages[2].text, 'Chapter 2 Methods\nPatients were randomized.\n12 (10) 20 (17)');
+  assert.equal(result.pages[3].text, 'Outcomes were adjudicated.\n12 (10) 20 (17)', 'Later running heads and page numbers are removed');
+
+  console.log('✓ testKeepsChapterHeadingsAndNumericRows');
+}
+
+function testKeepsShortDocumentsUntouched() {
+  const pages = [buildPage(1, ['Body one']), buildPage(2, ['Body two'])];
+  const result = removeRepeatedLines(pages);
+
+  assert.equal(result.pages, pages, 'Too few pages to learn what repeats');
+  assert.equal(result.removedLines, 0);
+  assert.equal(result.charsSaved, 0);
+
+  console.log('✓ testKeepsShortDocumentsUntouched');
+}
+
+function testExtractsCaptionLines() {
+  const text = [
+    'Mortality was lower with drug X (Figure 3. see below).',
+    'Figure 2. Kaplan-Meier curves for the primary outcome',
+    'Figure 4 shows the subgroups.',
+    'Fig. 5 Flow diagram of the trial',
+    'Figura 1: Diagrama de flujo',
+    'Table 1 Baseline characteristics',
+    'Tabla 2. Resultados principales',
+    'Table 3 summarizes adverse events.'
+  ].join('\n');
+
+  assert.deepEqual(
+    extractFigureCaptions(text).map(caption => [caption.number, caption.caption]),
+    [['2', 'Kaplan-Meier curves for the primary outcome'], ['5', 'Flow diagram of the trial'], ['1', 'Diagrama de flujo']],
+    'Only captions at the start of a line, and only up to the end of that line'
+  );
+  assert.deepEqual(
+    extractTableCaptions(text).map(caption => [caption.number, caption.caption]),
+    [['1', 'Baseline characteristics'], ['2', 'Resultados principales']]
+  );
+
+  console.log('✓ testExtractsCaptionLines');
+}
+
+function testBuildsFigureIndex() {
+  const pages = [
+    { pageNumber: 1, text: '[Página sin texto extraíble]' },
+    { pageNumber: 2, text: 'Figure 2. Forest plot\nTable 1. Baseline' },
+    { pageNumber: 3, text: 'Figure 1. Flow diagram\nFigure 2. Forest plot (continued)' }
+  ];
+  const tables = [{ id: 'table-4-1', number: '1', caption: 'Baseline characteristics of the patients', pageNumber: 4 }];
+
+  const index = buildFigureIndex(pages, tables);
+
+  assert.deepEqual(index.map(entry => [entry.id, entry.pageNumber]), [
+    ['figure-1', 3],
+    ['figure-2', 2],
+    ['table-1', 4]
+  ], 'Figures first, each number once, first page where it appears');
+  assert.equal(index[2].tableId, 'table-4-1', 'Reconstructed tables are linked to their rows');
+  assert.equal(index[2].caption, 'Baseline characteristics of the patients');
+  assert.equal(index[0].tableId, null);
+  assert.deepEqual(buildFigureIndex([]), []);
+
+  console.log('✓ testBuildsFigureIndex');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== PDF Enhancer Tests ===\n');
+
+  testNormalizesRepeatedLines();
+  testRemovesRepeatedHeadersAndFooters();
+  testKeepsChapterHeadingsAndNumericRows();
+  testKeepsShortDocumentsUntouched();
+  testExtractsCaptionLines();
+  testBuildsFigureIndex();
+
+  console.log('\n✓ All PDF Enhancer tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ PDF Enhancer tests failed:');
+  console.error(error);
+  process.exit(1);
+}
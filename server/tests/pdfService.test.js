@@ -1,5 +1,11 @@
 import assert from 'node:assert/strict';
-import { detectStructure, splitIntoPages } from '../services/pdfService.js';
+import {
+  detectStructure,
+  splitIntoPages,
+  splitIntoSections,
+  parseSectionHeading,
+  parseSubsectionHeading
+} from '../services/pdfService.js';
 
 const noopLog = () => {};
 
@@ -36,10 +42,173 @@ function testDetectStructureBasic() {
   assert.equal(structure.parts[0].chapters[0].title, 'Metodos');
 }
 
+function testDetectStructureFromOutline() {
+  const pages = [
+    { pageNumber: 1, text: 'Title\nIntroduction\nText' },
+    { pageNumber: 2, text: 'More text' },
+    { pageNumber: 3, text: 'Results\nText' }
+  ];
+  const outline = [
+    { title: 'Introduction', pageNumber: 1, level: 0 },
+    { title: 'Methods', pageNumber: 2, level: 0 },
+    { title: 'Study population', pageNumber: 2, level: 1 },
+    { title: 'Broken link', pageNumber: null, level: 0 }
+  ];
+
+  const structure = detectStructure(pages, noopLog, { outline });
+
+  assert.equal(structure.imryd.methods.startPage, 2, 'Headings without a text match come from the outline');
+  assert.equal(structure.imryd.methods.source, 'outline');
+  assert.equal(structure.imryd.methods.confidence, 0.95);
+  assert.equal(structure.imryd.introduction.source, 'outline', 'The outline wins over the same heading in the text');
+  assert.equal(structure.imryd.results.source, 'heuristic', 'Sections missing from the outline fall back to heuristics');
+  assert.equal(structure.imryd.results.confidence, 0.6);
+  assert.equal(structure.outline.length, 3, 'Entries without a target page are dropped');
+  assert.equal(structure.source, 'mixed');
+  assert.equal(structure.isIMRyDFormat, true);
+}
+
+function testDetectStructureWithoutOutline() {
+  const pages = [
+    { pageNumber: 1, text: 'Introduction\nText' },
+    { pageNumber: 2, text: 'Methods\nText' }
+  ];
+
+  const structure = detectStructure(pages, noopLog, {
+    outline: [{ title: 'Cover', pageNumber: 1, level: 0 }]
+  });
+
+  assert.equal(structure.source, 'heuristic', 'An outline without recognizable sections does not count');
+  assert.equal(structure.imryd.introduction.source, 'heuristic');
+  assert.equal(detectStructure(pages, noopLog).source, 'heuristic');
+}
+
+function testParseSectionHeading() {
+  assert.deepEqual(parseSectionHeading('2.1 Study population'), { key: null, number: '2.1', title: '2.1 Study population', level: 2 });
+  assert.equal(parseSectionHeading('2 Methods').key, 'methods');
+  assert.equal(parseSectionHeading('Results').level, 1);
+  assert.equal(parseSectionHeading('1. Smith J, Jones A. A randomized trial.'), null, 'Numbered references are not headings');
+  assert.equal(parseSectionHeading('12 Age 64.2 65.1'), null, 'Table rows are not headings');
+  assert.equal(parseSectionHeading('3 patients were excluded'), null);
+}
+
+function testParseSubsectionHeading() {
+  const styled = new Set(['Statistical analysis', 'A randomized trial of drug X.']);
+  assert.equal(parseSubsectionHeading('2.3 Statistical analysis').style, 'numbered');
+  assert.equal(parseSubsectionHeading('2.3.1 Sample size').level, 3);
+  assert.equal(parseSubsectionHeading('2 Methods'), null, 'IMRyD headings are sections, not subsections');
+  assert.equal(parseSubsectionHeading('Statistical analysis', styled).style, 'styled');
+  assert.equal(parseSubsectionHeading('Statistical analysis'), null, 'Plain short lines are body text');
+  assert.equal(parseSubsectionHeading('A randomized trial of drug X.', styled), null);
+  assert.equal(parseSubsectionHeading('STUDY DESIGN').style, 'caps');
+  assert.equal(parseSubsectionHeading('NEJM'), null, 'Short acronyms are not headings');
+  assert.equal(parseSubsectionHeading('HR 0.82 (95% CI)'), null);
+}
+
+function testDetectSubsections() {
+  const pages = [
+    { pageNumber: 1, text: 'STUDY PROTOCOL\nIntroduction\nBackground text.' },
+    {
+      pageNumber: 2,
+      text: 'Methods\nText.\n2.1 Study population\nAdults.\n2.1.1 Inclusion criteria\nAge.\n[Recuadro]\nKEY POINTS',
+      layout: { styledLines: [] }
+    },
+    { pageNumber: 3, text: 'Statistical analysis\nCox models.\nRESULTS\nMortality fell.', layout: { styledLines: ['Statistical analysis'] } },
+    { pageNumber: 4, text: 'References\nCOCHRANE LIBRARY\n1 Smith J Trial of drug' }
+  ];
+
+  const structure = detectStructure(pages, noopLog);
+
+  assert.deepEqual(structure.sections.map(sub => [sub.title, sub.style, sub.level, sub.imrydKey, sub.startPage]), [
+    ['2.1 Study population', 'numbered', 2, 'methods', 2],
+    ['2.1.1 Inclusion criteria', 'numbered', 3, 'methods', 2],
+    ['Statistical analysis', 'styled', 2, 'methods', 3]
+  ], 'Headings before the first section, in boxes or after References are ignored');
+  assert.equal(structure.sections[1].parentId, structure.sections[0].id);
+  assert.equal(structure.sections[2].parentId, null);
+  assert.deepEqual(structure.sections.map(sub => sub.confidence), [0.8, 0.8, 0.6]);
+  assert.equal(structure.imryd.results.startPage, 3, 'IMRyD headings are found anywhere on the page');
+
+  const tree = structure.imryd.methods.subsections;
+  assert.deepEqual(tree.map(node => node.title), ['2.1 Study population', 'Statistical analysis']);
+  assert.deepEqual(tree[0].subsections.map(node => node.title), ['2.1.1 Inclusion criteria']);
+  assert.deepEqual(structure.imryd.introduction.subsections, []);
+}
+
+function testDetectSubsectionsFromOutline() {
+  const pages = [
+    { pageNumber: 1, text: 'Introduction\nText' },
+    { pageNumber: 2, text: 'Methods\n2.1 Study population\nText' }
+  ];
+  const outline = [
+    { title: 'Introduction', pageNumber: 1, level: 0 },
+    { title: 'Methods', pageNumber: 2, level: 0 },
+    { title: 'Participants', pageNumber: 2, level: 1 },
+    { title: 'Outcomes', pageNumber: 2, level: 2 },
+    { title: 'Appendix', pageNumber: 2, level: 0 },
+    { title: 'Tables', pageNumber: 2, level: 1 }
+  ];
+
+  const structure = detectStructure(pages, noopLog, { outline });
+
+  assert.deepEqual(structure.sections.map(sub => [sub.title, sub.level, sub.source, sub.confidence]), [
+    ['Participants', 2, 'outline', 0.95],
+    ['Outcomes', 3, 'outline', 0.95]
+  ], 'Outline subsections replace the text heuristics');
+  assert.equal(structure.sections[1].parentId, structure.sections[0].id);
+}
+
+function testChapterSubsections() {
+  const pages = [
+    { pageNumber: 1, text: 'Part I Cardiology\nChapter 1 Heart failure\n1.1 Epidemiology\nText' },
+    { pageNumber: 2, text: 'Chapter 2 Arrhythmias\n2.1 Atrial fibrillation\nText' }
+  ];
+
+  const structure = detectStructure(pages, noopLog);
+
+  assert.deepEqual(structure.chapters.map(chapter => chapter.sections.map(sub => sub.title)), [
+    ['1.1 Epidemiology'],
+    ['2.1 Atrial fibrillation']
+  ]);
+}
+
+function testSplitIntoSections() {
+  const body = 'Adults aged 18 years or older were enrolled in twelve centres across the country during the study period.';
+  const pages = [
+    { pageNumber: 1, text: 'A trial of drug X\nIntroduction\nBackground of the trial.' },
+    { pageNumber: 2, text: `2 Methods\n2.1 Study population\n${body}\nTable 1. Baseline\nAge 64 65`, tables: [{ number: '1', pageNumber: 2 }] },
+    { pageNumber: 3, text: `${body}\nResults\nMortality fell.\nReferences\n1 Smith J Trial of drug\n2 Doe A Other trial` },
+    { pageNumber: 4, text: '[Página sin texto extraíble]' }
+  ];
+
+  const sections = splitIntoSections(pages);
+
+  assert.deepEqual(sections.map(section => section.title), [
+    'Preliminares', 'Introduction', '2 Methods', '2.1 Study population', 'Results', 'References'
+  ], 'Numbered lines after References are not split');
+  const population = sections[3];
+  assert.deepEqual([population.startPage, population.endPage], [2, 3], 'A section spanning pages is one unit');
+  assert.equal(population.level, 2);
+  assert.equal(population.imrydKey, 'methods', 'Subsections inherit their IMRyD section');
+  assert.equal(population.tables.length, 1, 'Tables go with the section of their caption');
+  assert.equal(population.lowContent, false);
+  assert.equal(sections[2].lowContent, true, 'A heading followed by a subsection has no body of its own');
+  assert.equal(sections[0].text, 'A trial of drug X', 'Preliminares has no heading line');
+  assert.equal(sections[4].startPage, 3, 'A page shared by two sections is split between them');
+}
+
 function run() {
   testSplitIntoPagesBasic();
   testSplitIntoPagesEmpty();
   testDetectStructureBasic();
+  testDetectStructureFromOutline();
+  testDetectStructureWithoutOutline();
+  testParseSectionHeading();
+  testSplitIntoSections();
+  testParseSubsectionHeading();
+  testDetectSubsections();
+  testDetectSubsectionsFromOutline();
+  testChapterSubsections();
   console.log('pdfService tests passed');
 }
 
@@ -0,0 +1,144 @@
+/**
+ * PICO Extractor Tests
+ *
+ * Tests for the normalised PICO(T/S) object, its structured IMRyD fallback
+ * and the "PICO" node of the file tree
+ */
+
+import assert from 'node:assert/strict';
+import {
+  picoFromIMRyD,
+  buildPICO,
+  buildPICOMarkdown
+} from '../utils/picoExtractor.js';
+import {
+  buildFileTree
+} from '../services/structureService.js';
+import {
+  NOT_SPECIFIED
+} from '../utils/prompts.js';
+
+const PAGES = [
+  { pageNumber: 1, text: 'We enrolled 240 adults with chronic heart failure in 12 hospitals.' },
+  { pageNumber: 2, text: 'Patients received drug X 10 mg daily or matching placebo.\nThe primary outcome was death from cardiovascular causes at 12 months.' }
+];
+
+const IMRYD = {
+  metodos: {
+    diseno: 'Ensayo clínico aleatorizado',
+    poblacion: 'Adultos con insuficiencia cardiaca',
+    tamano_muestra: '240',
+    intervenciones: ['Fármaco X 10 mg'],
+    grupo_control: 'Placebo',
+    outcomes_primarios: ['Muerte cardiovascular'],
+    outcomes_secundarios: NOT_SPECIFIED,
+    seguimiento: NOT_SPECIFIED
+  }
+};
+
+// Tests
+function testPicoFromIMRyD() {
+  const draft = picoFromIMRyD(IMRYD);
+
+  assert.equal(draft.poblacion.descripcion, 'Adultos con insuficiencia cardiaca (n = 240)');
+  assert.equal(draft.intervencion.descripcion, 'Fármaco X 10 mg');
+  assert.equal(draft.comparador.descripcion, 'Placebo');
+  assert.deepEqual(draft.desenlaces.primarios, ['Muerte cardiovascular']);
+  assert.deepEqual(draft.desenlaces.secundarios, [], '"No especificado" is not an outcome');
+  assert.equal(draft.tiempo.descripcion, null);
+
+  const empty = picoFromIMRyD(null);
+  assert.equal(empty.poblacion.descripcion, null);
+
+  console.log('✓ testPicoFromIMRyD');
+}
+
+function testBuildPICO() {
+  const pico = buildPICO({
+    poblacion: { descripcion: 'Adultos con insuficiencia cardiaca crónica', evidencia: 'We enrolled 240 adults with chronic heart failure', paginas: [1] },
+    intervencion: { descripcion: 'Fármaco X 10 mg diarios', evidencia: '"Patients received drug X 10 mg daily"', paginas: ['2'] },
+    comparador: { descripcion: 'Placebo', evidencia: 'matching placebo given twice', paginas: [2] },
+    desenlaces: {
+      descripcion: '',
+      primarios: ['Muerte cardiovascular a 12 meses'],
+      secundarios: [NOT_SPECIFIED],
+      evidencia: 'The primary outcome was death from cardiovascular causes',
+      paginas: [2, 9]
+    },
+    tiempo: { descripcion: NOT_SPECIFIED, evidencia: '', paginas: [] },
+    pregunta: 'En adultos con insuficiencia cardiaca, ¿el fármaco X frente a placebo reduce la muerte cardiovascular?'
+  }, PAGES, IMRYD);
+
+  assert.equal(pico.population.source, 'llm');
+  assert.deepEqual(pico.population.pages, [1]);
+  assert.equal(pico.population.evidenceVerified, true);
+  assert.equal(pico.intervention.evidenceVerified, true, 'String page numbers and quotation marks are tolerated');
+  assert.equal(pico.comparator.evidenceVerified, false, 'A quote that is not on the page is flagged');
+
+  assert.equal(pico.outcomes.text, 'Muerte cardiovascular a 12 meses', 'Outcomes without description use the primary ones');
+  assert.deepEqual(pico.outcomes.pages, [2], 'Pages outside the document are dropped');
+  assert.deepEqual(pico.outcomes.secondary, []);
+
+  assert.equal(pico.time.text, null, 'Not found in the AI answer nor in the IMRyD');
+  assert.equal(pico.time.source, null);
+  assert.equal(pico.setting.text, 'Ensayo clínico aleatorizado', 'Missing elements come from the structured IMRyD');
+  assert.equal(pico.setting.source, 'imryd');
+  assert.deepEqual(pico.setting.pages, []);
+
+  assert.ok(pico.question.startsWith('En adultos'));
+  assert.deepEqual(pico.stats, { total: 6, found: 5, withEvidence: 4, verified: 3 });
+
+  // Without the AI only the structured IMRyD remains
+  const fallback = buildPICO(null, PAGES, IMRYD);
+  assert.equal(fallback.population.source, 'imryd');
+  assert.deepEqual(fallback.outcomes.primary, ['Muerte cardiovascular']);
+  assert.equal(fallback.question, null);
+  assert.equal(buildPICO(null, PAGES, null).stats.found, 0);
+
+  console.log('✓ testBuildPICO');
+}
+
+function testPICOMarkdownAndTree() {
+  const pico = buildPICO({
+    poblacion: { descripcion: 'Adultos | insuficiencia cardiaca', evidencia: 'We enrolled 240 adults', paginas: [1] },
+    comparador: { descripcion: 'Placebo', evidencia: 'not in the text', paginas: [2] },
+    desenlaces: { primarios: ['Muerte cardiovascular'], secundarios: ['Hospitalización'] },
+    pregunta: '¿El fármaco X reduce la mortalidad?'
+  }, PAGES, IMRYD);
+  pico.markdown = buildPICOMarkdown(pico);
+
+  assert.ok(pico.markdown.startsWith('# 🎯 PICO'));
+  assert.ok(pico.markdown.includes('> **Pregunta clínica:** ¿El fármaco X reduce la mortalidad?'));
+  assert.ok(pico.markdown.includes('| **P** · Población | Adultos \\| insuficiencia cardiaca | "We enrolled 240 adults" (p. 1) |'));
+  assert.ok(pico.markdown.includes('⚠️ cita no encontrada en la página'));
+  assert.ok(pico.markdown.includes('*Del resumen estructurado, sin página*'), 'IMRyD fallbacks are marked');
+  assert.ok(pico.markdown.includes(`| **T** · Tiempo de seguimiento | ${NOT_SPECIFIED} | — |`));
+  assert.ok(pico.markdown.includes('**Desenlaces secundarios:**\n- Hospitalización'));
+
+  const tree = buildFileTree({ summary: '', pico, structure: { parts: [], sections: [] }, groupedContent: { parts: [], orphanPages: [] } });
+  assert.equal(tree[0].id, 'pico', 'PICO is the first node of the tree');
+  assert.equal(tree[0].type, 'pico');
+  assert.equal(tree[0].content, pico.markdown);
+  assert.equal(tree[1].id, 'summary');
+
+  console.log('✓ testPICOMarkdownAndTree');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== PICO Extractor Tests ===\n');
+
+  testPicoFromIMRyD();
+  testBuildPICO();
+  testPICOMarkdownAndTree();
+
+  console.log('\n✓ All PICO Extractor tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ PICO Extractor tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,133 @@
+/**
+ * Retry Utility Tests
+ *
+ * Tests for transient error classification and backoff retries
+ */
+
+import assert from 'node:assert/strict';
+import {
+  isRetryableError,
+  getRetryDelay,
+  withRetry
+} from '../utils/retry.js';
+
+function httpError(status, headers) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  if (headers) error.headers = headers;
+  return error;
+}
+
+// Tests
+function testRetryableClassification() {
+  assert.equal(isRetryableError(httpError(429)), true, '429 should be retried');
+  assert.equal(isRetryableError(httpError(503)), true, '5xx should be retried');
+  assert.equal(isRetryableError(httpError(400)), false, '400 should not be retried');
+  assert.equal(isRetryableError(httpError(401)), false, 'Auth errors should not be retried');
+
+  const networkError = new TypeError('fetch failed');
+  assert.equal(isRetryableError(networkError), true, 'Network failures should be retried');
+
+  const resetError = new Error('socket hang up');
+  resetError.code = 'ECONNRESET';
+  assert.equal(isRetryableError(resetError), true, 'Connection resets should be retried');
+
+  const emptyContent = new Error('La API devolvió respuesta vacía');
+  emptyContent.retryable = true;
+  assert.equal(isRetryableError(emptyContent), true, 'Explicitly retryable errors should be retried');
+
+  assert.equal(isRetryableError(new Error('bad prompt')), false, 'Plain errors should not be retried');
+
+  console.log('✓ testRetryableClassification');
+}
+
+function testBackoffGrowsExponentially() {
+  const first = getRetryDelay(1, 100);
+  const third = getRetryDelay(3, 100);
+
+  assert.ok(first >= 100 && first < 130, `First delay should be ~base (got ${first})`);
+  assert.ok(third >= 400 && third < 430, `Third delay should be ~4x base (got ${third})`);
+  assert.equal(getRetryDelay(20, 1000), 30000, 'Delay should be capped');
+
+  console.log('✓ testBackoffGrowsExponentially');
+}
+
+function testRetryAfterHeaderWins() {
+  const delay = getRetryDelay(1, 100, httpError(429, {
+    'retry-after': '2'
+  }));
+
+  assert.equal(delay, 2000, 'Retry-After seconds should be honoured');
+
+  console.log('✓ testRetryAfterHeaderWins');
+}
+
+async function testWithRetryRecoversFromTransientErrors() {
+  const retries = [];
+  let calls = 0;
+
+  const { result, attempts } = await withRetry(async () => {
+    calls++;
+    if (calls < 3) throw httpError(503);
+    return 'ok';
+  }, {
+    retries: 3,
+    baseDelayMs: 1,
+    onRetry: (error, attempt) => retries.push(attempt)
+  });
+
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 3, 'Should report the successful attempt number');
+  assert.deepEqual(retries, [1, 2], 'Should notify each retry');
+
+  console.log('✓ testWithRetryRecoversFromTransientErrors');
+}
+
+async function testWithRetryGivesUp() {
+  let calls = 0;
+
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw httpError(429);
+    }, {
+      retries: 2,
+      baseDelayMs: 1
+    }),
+    (error) => error.status === 429 && error.attempts === 3
+  );
+  assert.equal(calls, 3, 'Should try once plus the configured retries');
+
+  calls = 0;
+  await assert.rejects(
+    withRetry(async () => {
+      calls++;
+      throw httpError(400);
+    }, {
+      retries: 2,
+      baseDelayMs: 1
+    })
+  );
+  assert.equal(calls, 1, 'Should not retry permanent errors');
+
+  console.log('✓ testWithRetryGivesUp');
+}
+
+// Run all tests
+async function run() {
+  console.log('\n=== Retry Utility Tests ===\n');
+
+  testRetryableClassification();
+  testBackoffGrowsExponentially();
+  testRetryAfterHeaderWins();
+  await testWithRetryRecoversFromTransientErrors();
+  await testWithRetryGivesUp();
+
+  console.log('\n✓ All Retry Utility tests passed!\n');
+}
+
+run().catch((error) => {
+  console.error('\n✗ Retry Utility tests failed:');
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,190 @@
+/**
+ * Risk of Bias Tests
+ *
+ * Tests for the tool selection, the domain and overall judgements of RoB 2,
+ * ROBINS-I and Newcastle-Ottawa, and the traffic-light node of the file tree
+ */
+
+import assert from 'node:assert/strict';
+import {
+  ROB_TOOLS,
+  selectRiskOfBiasTool,
+  overallJudgement,
+  buildRiskOfBias,
+  buildRiskOfBiasMarkdown
+} from '../utils/riskOfBias.js';
+import {
+  buildFileTree
+} from '../services/structureService.js';
+
+const PAGES = [
+  { pageNumber: 1, text: 'Patients were randomly assigned using a computer-generated sequence.' },
+  { pageNumber: 2, text: 'Allocation was concealed with sealed opaque envelopes.\nOutcome assessors were not blinded.' }
+];
+
+/**
+ * Answers every question of a tool with the same code
+ * @param {Object} tool - Tool of ROB_TOOLS
+ * @param {string} code - Answer code (S, PS, PN, N, SI)
+ * @returns {Array}
+ */
+function answerAll(tool, code) {
+  return tool.domains.flatMap(domain => domain.questions.map(question => ({ id: question.id, respuesta: code })));
+}
+
+// Tests
+function testSelectsTool() {
+  const text = body => [{ pageNumber: 1, text: body }];
+
+  assert.equal(selectRiskOfBiasTool('rct', PAGES).key, 'rob2');
+  assert.equal(selectRiskOfBiasTool('other', text('A non-randomized comparison of surgery versus stenting')).key, 'robins_i');
+  assert.equal(selectRiskOfBiasTool('other', text('A propensity score matched cohort')).key, 'robins_i',
+    'Treatment comparisons in cohorts are non-randomised intervention studies');
+  assert.equal(selectRiskOfBiasTool('other', text('Estudio de casos y controles anidado')).key, 'nos_case_control');
+  assert.equal(selectRiskOfBiasTool('other', text('A prospective cohort of 5000 nurses')).key, 'nos_cohort');
+  assert.equal(selectRiskOfBiasTool('other', text('Mice were exposed to the compound')), null);
+  assert.equal(selectRiskOfBiasTool('systematic_review', PAGES), null);
+  assert.equal(selectRiskOfBiasTool('case_report', PAGES), null);
+
+  console.log('✓ testSelectsTool');
+}
+
+function testOverallJudgement() {
+  const { rob2, robins_i: robinsI, nos_cohort: nos } = ROB_TOOLS;
+
+  assert.equal(overallJudgement(rob2, ['low', 'low', 'low', 'low', 'low']), 'low');
+  assert.equal(overallJudgement(rob2, ['low', 'some_concerns', 'low', 'low', 'low']), 'some_concerns');
+  assert.equal(overallJudgement(rob2, ['low', 'some_concerns', 'some_concerns', 'some_concerns', 'low']), 'high',
+    'Some concerns in several domains add up to high risk');
+  assert.equal(overallJudgement(rob2, ['low', 'high', 'low', 'low', 'low']), 'high');
+
+  assert.equal(overallJudgement(robinsI, ['low', 'moderate', 'serious', 'low', 'low', 'low', 'low']), 'serious');
+  assert.equal(overallJudgement(robinsI, ['low', 'moderate', 'no_information', 'low', 'low', 'low', 'low']), 'no_information');
+  assert.equal(overallJudgement(robinsI, ['critical', 'no_information', 'low', 'low', 'low', 'low', 'low']), 'critical');
+
+  assert.equal(overallJudgement(nos, ['good', 'good', 'good']), 'good');
+  assert.equal(overallJudgement(nos, ['fair', 'good', 'good']), 'fair');
+  assert.equal(overallJudgement(nos, ['good', 'poor', 'good']), 'poor');
+
+  console.log('✓ testOverallJudgement');
+}
+
+function testBuildRoB2() {
+  const tool = selectRiskOfBiasTool('rct', PAGES);
+  const assessment = buildRiskOfBias(tool, {
+    preguntas: [
+      ...answerAll(tool, 'PS').filter(answer => !['1.1', '1.2', '4.3'].includes(answer.id)),
+      { id: '1.1', respuesta: 's', evidencia: 'randomly assigned using a computer-generated sequence', paginas: [1] },
+      { id: '1.2', respuesta: 'S', evidencia: 'sealed envelopes kept centrally', paginas: [2, 7] },
+      { id: '4.3', respuesta: 'S', evidencia: 'Outcome assessors were not blinded', paginas: ['2'] }
+    ],
+    dominios: [
+      { id: 'D1', juicio: 'low', justificacion: 'Secuencia aleatoria y ocultación adecuadas' },
+      { id: 'D4', juicio: 'low', justificacion: 'Medición objetiva' },
+      { id: 'D5', juicio: 'bajo' }
+    ]
+  }, PAGES);
+  const byId = new Map(assessment.domains.map(domain => [domain.id, domain]));
+
+  assert.equal(assessment.tool, 'rob2');
+  assert.equal(assessment.domains.length, 5);
+
+  const randomisation = byId.get('D1');
+  assert.equal(randomisation.questions[0].answer, 'Y', 'Answer codes are case-insensitive');
+  assert.equal(randomisation.questions[0].evidenceVerified, true);
+  assert.deepEqual(randomisation.questions[1].pages, [2], 'Pages outside the document are dropped');
+  assert.equal(randomisation.questions[1].evidenceVerified, false);
+  assert.equal(randomisation.judgement, 'low', 'A valid AI judgement is kept');
+  assert.equal(randomisation.judgementSource, 'llm');
+  assert.equal(randomisation.note, 'Las respuestas sugieren "Algunas preocupaciones"',
+    '"Probably yes" for 1.3 (baseline imbalance) contradicts a low judgement');
+
+  assert.equal(byId.get('D4').judgement, 'low');
+  assert.ok(byId.get('D4').note.includes('Alto'), 'Unblinded assessors (4.3 = Sí) derive high risk');
+  assert.equal(byId.get('D5').judgementSource, 'derived', 'Unknown judgement keys fall back to the answers');
+  assert.equal(byId.get('D5').judgement, 'some_concerns');
+  assert.equal(byId.get('D5').label, 'Algunas preocupaciones');
+
+  assert.equal(assessment.overall, 'high', 'Some concerns in D2, D3 and D5 make the overall risk high');
+  assert.equal(assessment.overallLabel, 'Alto');
+  assert.deepEqual(assessment.stats, { questions: 16, answered: 16, withEvidence: 3, verified: 2 });
+
+  console.log('✓ testBuildRoB2');
+}
+
+function testBuildNOSAndROBINS() {
+  const nos = ROB_TOOLS.nos_cohort;
+  const nosTool = { key: 'nos_cohort', ...nos };
+  const stars = buildRiskOfBias(nosTool, {
+    preguntas: [
+      { id: 'S1', respuesta: 'S' }, { id: 'S2', respuesta: 'S' }, { id: 'S3', respuesta: 'PS' }, { id: 'S4', respuesta: 'N' },
+      { id: 'C1', respuesta: 'S' },
+      { id: 'O1', respuesta: 'S' }, { id: 'O2', respuesta: 'SI' }, { id: 'O3', respuesta: 'N' }
+    ],
+    dominios: [{ id: 'S', juicio: 'poor' }]
+  }, PAGES);
+
+  assert.deepEqual(stars.domains.map(domain => domain.stars), [3, 1, 1]);
+  assert.deepEqual(stars.domains.map(domain => domain.judgement), ['good', 'good', 'poor'],
+    'Newcastle-Ottawa judgements always come from the stars');
+  assert.equal(stars.overall, 'poor');
+
+  const robinsI = buildRiskOfBias({ key: 'robins_i', ...ROB_TOOLS.robins_i }, { preguntas: [] }, PAGES);
+  assert.ok(robinsI.domains.every(domain => domain.judgement === 'no_information'));
+  assert.equal(robinsI.overall, 'no_information');
+  assert.equal(robinsI.stats.answered, 0);
+
+  console.log('✓ testBuildNOSAndROBINS');
+}
+
+function testRiskOfBiasMarkdownAndTree() {
+  const tool = selectRiskOfBiasTool('rct', PAGES);
+  const assessment = buildRiskOfBias(tool, {
+    preguntas: [{ id: '1.1', respuesta: 'S', evidencia: 'not a quote | from the text', paginas: [1] }],
+    dominios: [{ id: 'D1', juicio: 'low', justificacion: 'Aleatorización | adecuada' }]
+  }, PAGES);
+  assessment.markdown = buildRiskOfBiasMarkdown(assessment);
+
+  assert.ok(assessment.markdown.startsWith('# ⚖️ Riesgo de sesgo: RoB 2'));
+  assert.ok(assessment.markdown.includes('| D1 | D2 | D3 | D4 | D5 | Global |\n|:-:|:-:|:-:|:-:|:-:|:-:|\n| 🟢 | 🟡 | 🟡 | 🟡 | 🟡 | 🔴 |'),
+    'Traffic-light row with one column per domain and the overall judgement');
+  assert.ok(assessment.markdown.includes('*🟢 Bajo • 🟡 Algunas preocupaciones • 🔴 Alto*'));
+  assert.ok(assessment.markdown.includes('| D1 · Proceso de aleatorización | 🟢 Bajo | Aleatorización \\| adecuada ⚠️ Las respuestas sugieren "Algunas preocupaciones" |'),
+    'The rationale shows when the answers disagree with the judgement');
+  assert.ok(assessment.markdown.includes('- **1.1** ¿La secuencia de asignación fue aleatoria? **Sí** — "not a quote | from the text" (p. 1) *(⚠️ cita no encontrada en la página)*'));
+  assert.ok(assessment.markdown.includes('- **5.3** ¿El resultado se seleccionó entre múltiples análisis de los datos? **Sin información**'));
+
+  const nosAssessment = buildRiskOfBias({ key: 'nos_cohort', ...ROB_TOOLS.nos_cohort }, {
+    preguntas: [{ id: 'S1', respuesta: 'S' }, { id: 'S2', respuesta: 'S' }]
+  }, PAGES);
+  assert.ok(buildRiskOfBiasMarkdown(nosAssessment).includes('| S · Selección | 🟡 Aceptable (★★☆☆) |'));
+
+  const tree = buildFileTree({ summary: '', riskOfBias: assessment, structure: { parts: [], sections: [] }, groupedContent: { parts: [], orphanPages: [] } });
+  const node = tree.find(entry => entry.id === 'risk-of-bias');
+  assert.equal(node.name, '⚖️ Riesgo de sesgo (RoB 2)');
+  assert.equal(node.type, 'risk_of_bias');
+  assert.equal(node.content, assessment.markdown);
+
+  console.log('✓ testRiskOfBiasMarkdownAndTree');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Risk of Bias Tests ===\n');
+
+  testSelectsTool();
+  testOverallJudgement();
+  testBuildRoB2();
+  testBuildNOSAndROBINS();
+  testRiskOfBiasMarkdownAndTree();
+
+  console.log('\n✓ All Risk of Bias tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Risk of Bias tests failed:');
+  console.error(error);
+  process.exit(1);
+}
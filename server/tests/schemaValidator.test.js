@@ -0,0 +1,159 @@
+/**
+ * Schema Validator Tests
+ *
+ * Tests for the JSON Schema validator (JSON-pointer paths, coercion)
+ * and the IMRyD response validation built on it
+ */
+
+import assert from 'node:assert/strict';
+import {
+  validateSchema,
+  formatSchemaError,
+  formatPointerForDisplay
+} from '../utils/schemaValidator.js';
+import {
+  validateIMRyDResponse
+} from '../utils/prompts.js';
+
+function buildValidIMRyD() {
+  return {
+    metadata: { titulo: 'Ensayo aleatorizado', autores: ['Pérez A', 'López B'] },
+    introduccion: { contexto: 'Contexto (p.1)', objetivo_principal: 'Objetivo (p.1)' },
+    metodos: { diseno: 'RCT (p.2)', tamano_muestra: '240 pacientes' },
+    resultados: {
+      hallazgos_principales: [
+        { descripcion: 'Mortalidad', valor: '12%', valor_p: '0.03', intervalo_confianza: null, pagina_referencia: 3 }
+      ]
+    },
+    discusion: { interpretacion: 'Interpretación (p.4)', limitaciones: ['Muestra pequeña (p.4)'] },
+    puntos_clave: ['Punto (p.3)'],
+    advertencias: ['⚠️ Este resumen es informativo y no constituye consejo médico.'],
+    calidad_extraccion: { score: 0.8 }
+  };
+}
+
+// Tests
+function testReportsJSONPointerPaths() {
+  const schema = {
+    type: 'object',
+    required: ['items', 'a/b'],
+    properties: {
+      items: {
+        type: 'array',
+        maxItems: 2,
+        items: { type: 'object', properties: { n: { type: 'number', minimum: 0, maximum: 1 } } }
+      }
+    }
+  };
+
+  const result = validateSchema(schema, { items: [{ n: 0.5 }, { n: 2 }, { n: 'x' }] });
+  const paths = result.errors.map(error => `${error.path} ${error.keyword}`);
+
+  assert.equal(result.valid, false);
+  assert.deepEqual(paths, [
+    '/a~1b required',
+    '/items maxItems',
+    '/items/1/n maximum',
+    '/items/2/n type'
+  ], 'Every violation should carry its escaped JSON pointer');
+  assert.equal(formatSchemaError({ path: '', message: 'x' }), '/: x');
+  assert.equal(formatPointerForDisplay('/items/1/n'), 'items[1].n');
+  assert.equal(formatPointerForDisplay('/a~1b'), 'a/b');
+
+  console.log('✓ testReportsJSONPointerPaths');
+}
+
+function testCoercesTolerableVariants() {
+  const schema = {
+    type: 'object',
+    properties: {
+      list: { type: 'array', items: { type: 'string' } },
+      text: { type: 'string' },
+      page: { type: 'number' }
+    }
+  };
+  const input = { list: 'uno', text: ['a', 'b'], page: '3' };
+
+  const strict = validateSchema(schema, input);
+  assert.equal(strict.valid, false, 'Without coercion variants are violations');
+
+  const coerced = validateSchema(schema, input, { coerce: true });
+  assert.equal(coerced.valid, true);
+  assert.deepEqual(coerced.value, { list: ['uno'], text: 'a; b', page: 3 });
+  assert.deepEqual(coerced.coercions.map(c => c.path), ['/list', '/text', '/page']);
+  assert.equal(input.list, 'uno', 'The original object must not be modified');
+
+  console.log('✓ testCoercesTolerableVariants');
+}
+
+function testValidIMRyDPasses() {
+  const result = validateIMRyDResponse(buildValidIMRyD());
+
+  assert.equal(result.valid, true, result.errors.join(', '));
+  assert.deepEqual(result.errors, []);
+
+  console.log('✓ testValidIMRyDPasses');
+}
+
+function testIMRyDViolations() {
+  const imryd = buildValidIMRyD();
+  delete imryd.metodos.diseno;
+  imryd.puntos_clave = ['1', '2', '3', '4', '5', '6'];
+  imryd.calidad_extraccion.score = 1.5;
+  imryd.advertencias = ['Generado por IA.'];
+
+  const result = validateIMRyDResponse(imryd);
+  const paths = result.violations.map(violation => violation.path);
+
+  assert.equal(result.valid, false);
+  assert.ok(paths.includes('/metodos/diseno'), 'Missing required field');
+  assert.ok(paths.includes('/puntos_clave'), 'maxItems of puntos_clave');
+  assert.ok(paths.includes('/calidad_extraccion/score'), 'score range');
+  assert.ok(paths.includes('/advertencias'), 'Missing disclaimer');
+  assert.ok(result.errors.includes('/metodos/diseno: campo obligatorio ausente'));
+
+  console.log('✓ testIMRyDViolations');
+}
+
+function testIMRyDCoercesLimitaciones() {
+  const imryd = buildValidIMRyD();
+  imryd.discusion.limitaciones = 'Estudio de un solo centro (p.4)';
+  imryd.resultados.hallazgos_principales[0].pagina_referencia = '3';
+
+  const result = validateIMRyDResponse(imryd);
+
+  assert.equal(result.valid, true, result.errors.join(', '));
+  assert.deepEqual(result.value.discusion.limitaciones, ['Estudio de un solo centro (p.4)']);
+  assert.equal(result.value.resultados.hallazgos_principales[0].pagina_referencia, 3);
+
+  const notSpecified = buildValidIMRyD();
+  notSpecified.discusion.limitaciones = 'No especificado en el documento';
+  assert.equal(
+    validateIMRyDResponse(notSpecified).value.discusion.limitaciones,
+    'No especificado en el documento',
+    'The not-specified marker is kept as a string'
+  );
+
+  console.log('✓ testIMRyDCoercesLimitaciones');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Schema Validator Tests ===\n');
+
+  testReportsJSONPointerPaths();
+  testCoercesTolerableVariants();
+  testValidIMRyDPasses();
+  testIMRyDViolations();
+  testIMRyDCoercesLimitaciones();
+
+  console.log('\n✓ All Schema Validator tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Schema Validator tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -10,6 +10,10 @@ import {
   SAMPLE_ANALYZED_PAGES,
   SAMPLE_STRUCTURE
 } from './fixtures/index.js';
+import {
+  getIMRyDSectionRanges,
+  buildFileTree
+} from '../services/structureService.js';
 
 // Mock the detectStructure function logic for testing
 function mockDetectIMRyD(text) {
@@ -114,6 +118,158 @@ function testAnalyzedPagesStructure() {
   console.log('✓ testAnalyzedPagesStructure');
 }
 
+function testIMRyDSectionRanges() {
+  const structure = {
+    imryd: {
+      abstract: null,
+      introduction: { startPage: 2 },
+      methods: { startPage: 4 },
+      results: { startPage: 7 },
+      discussion: { startPage: 7 },
+      references: { startPage: 10 }
+    }
+  };
+
+  const ranges = getIMRyDSectionRanges(structure, 11);
+
+  assert.deepEqual(ranges.map(r => r.label), [
+    'Preliminares',
+    'Introducción',
+    'Métodos',
+    'Resultados / Discusión',
+    'Referencias'
+  ], 'Sections starting on the same page should be merged');
+  assert.deepEqual(ranges.map(r => [r.startPage, r.endPage]), [
+    [1, 1],
+    [2, 3],
+    [4, 6],
+    [7, 9],
+    [10, 11]
+  ], 'Each section should end before the next one starts');
+
+  console.log('✓ testIMRyDSectionRanges');
+}
+
+function testIMRyDSectionRangesWithoutSections() {
+  const ranges = getIMRyDSectionRanges({ imryd: {} }, 5);
+
+  assert.equal(ranges.length, 1, 'Undetected structure should give a single range');
+  assert.deepEqual(ranges[0].keys, ['document']);
+  assert.equal(ranges[0].endPage, 5);
+
+  console.log('✓ testIMRyDSectionRangesWithoutSections');
+}
+
+function testFigureIndexFolder() {
+  const tree = buildFileTree({
+    summary: '# Resumen',
+    metadata: {},
+    structure: { parts: [] },
+    groupedContent: { parts: [], orphanPages: [] },
+    tables: [{ id: 'table-3-1', markdown: '| A | B |\n| --- | --- |\n| 1 | 2 |' }],
+    figureIndex: [
+      { id: 'figure-1', type: 'figure', number: '1', caption: 'Flow diagram', pageNumber: 2, tableId: null },
+      { id: 'table-1', type: 'table', number: '1', caption: 'Baseline', pageNumber: 3, tableId: 'table-3-1' }
+    ]
+  });
+
+  const folder = tree.find(node => node.id === 'figures-tables');
+  assert.ok(folder, 'The "Figuras y Tablas" folder should be in the tree');
+  assert.equal(folder.name, '🖼️ Figuras y Tablas (2)');
+  assert.deepEqual(folder.children.map(node => [node.type, node.name, node.pageId]), [
+    ['figure', '🖼️ Figura 1 (p. 2)', 'page-2'],
+    ['table', '📊 Tabla 1 (p. 3)', 'page-3']
+  ]);
+  assert.ok(folder.children[0].content.includes('[página 2](#page-2)'), 'Each node links to its page analysis');
+  assert.ok(folder.children[1].content.includes('| 1 | 2 |'), 'Reconstructed tables show their rows');
+
+  const withoutIndex = buildFileTree({ summary: '', structure: { parts: [] }, groupedContent: {} });
+  assert.equal(withoutIndex.some(node => node.id === 'figures-tables'), false);
+
+  console.log('✓ testFigureIndexFolder');
+}
+
+function testSectionTree() {
+  const section = (sectionId, title, level, startPage, endPage) => ({
+    sectionId, title, level, startPage, endPage, pageNumber: startPage, analysis: `Análisis de ${title}`
+  });
+  const tree = buildFileTree({
+    summary: '',
+    structure: { parts: [{ id: 'part-1', number: '1', title: 'Artículo Médico', chapters: [] }] },
+    segmentation: 'section',
+    groupedContent: null,
+    pages: [
+      section('section-1', '1 Introduction', 1, 1, 1),
+      section('section-2', '2 Methods', 1, 2, 2),
+      section('section-3', '2.1 Study population', 2, 2, 3),
+      section('section-4', '2.1.1 Inclusion criteria', 3, 3, 3),
+      section('section-5', '2.2 Statistical analysis', 2, 3, 3),
+      section('section-6', '3 Results', 1, 4, 5)
+    ]
+  });
+
+  const sections = tree.filter(node => node.type === 'section');
+  assert.deepEqual(sections.map(node => node.name), [
+    '📑 1 Introduction (p. 1)',
+    '📑 2 Methods (p. 2)',
+    '📑 3 Results (págs. 4-5)'
+  ], 'Top-level sections replace the Part/Page folders');
+  assert.equal(tree.some(node => node.id === 'part-1'), false);
+
+  const methods = sections[1];
+  assert.deepEqual(methods.children.map(node => node.id), ['section-3', 'section-5'], 'Subsections hang from their section');
+  assert.deepEqual(methods.children[0].children.map(node => node.id), ['section-4']);
+  assert.equal(methods.children[0].content, 'Análisis de 2.1 Study population');
+  assert.deepEqual([methods.children[0].startPage, methods.children[0].endPage], [2, 3]);
+
+  console.log('✓ testSectionTree');
+}
+
+function testSubsectionFolders() {
+  const page = pageNumber => ({ pageNumber, analysis: `Análisis de la página ${pageNumber}` });
+  const pages = [1, 2, 3, 4, 5].map(page);
+  const tree = buildFileTree({
+    summary: '',
+    structure: {
+      parts: [{ id: 'part-1', number: '1', title: 'Artículo Médico', startPage: 1, chapters: [] }],
+      imryd: {
+        introduction: { startPage: 2 },
+        methods: { startPage: 3 },
+        results: { startPage: 5 }
+      },
+      sections: [
+        { id: 'subsection-1', title: '2.1 Study population', level: 2, imrydKey: 'methods', parentId: null, startPage: 3 },
+        { id: 'subsection-2', title: '2.1.1 Inclusion criteria', level: 3, imrydKey: 'methods', parentId: 'subsection-1', startPage: 3 },
+        { id: 'subsection-3', title: 'Statistical analysis', level: 2, imrydKey: 'methods', parentId: null, startPage: 4 }
+      ]
+    },
+    groupedContent: { parts: [{ pages, chapters: [] }], orphanPages: [] }
+  });
+
+  const part = tree.find(node => node.id === 'part-1');
+  assert.deepEqual(part.children.map(node => node.id), ['page-1', 'imryd-introduction', 'imryd-methods', 'imryd-results'],
+    'Pages before the first section stay under the part');
+
+  const methods = part.children[2];
+  assert.equal(methods.name, '🔬 Métodos');
+  assert.equal(methods.type, 'section');
+  assert.deepEqual(methods.children.map(node => node.id), ['page-3', 'subsection-1', 'subsection-3'],
+    'A page goes under the first heading that starts on it');
+  assert.deepEqual(methods.children[1].children.map(node => node.id), ['subsection-2']);
+  assert.deepEqual(methods.children[2].children.map(node => node.id), ['page-4']);
+  assert.ok(methods.children[1].content.includes('(p. 3)'), 'Folders without pages link to their start page');
+
+  const withoutSubsections = buildFileTree({
+    summary: '',
+    structure: { parts: [{ id: 'part-1', number: '1', title: 'Artículo Médico', startPage: 1, chapters: [] }], sections: [] },
+    groupedContent: { parts: [{ pages, chapters: [] }], orphanPages: [] }
+  });
+  assert.deepEqual(withoutSubsections.find(node => node.id === 'part-1').children.map(node => node.id),
+    ['page-1', 'page-2', 'page-3', 'page-4', 'page-5']);
+
+  console.log('✓ testSubsectionFolders');
+}
+
 // Run all tests
 function run() {
   console.log('\n=== Structure Service Tests ===\n');
@@ -123,6 +279,11 @@ function run() {
   testStructureHasRequiredFields();
   testIMRyDFormatDetection();
   testAnalyzedPagesStructure();
+  testIMRyDSectionRanges();
+  testIMRyDSectionRangesWithoutSections();
+  testFigureIndexFolder();
+  testSectionTree();
+  testSubsectionFolders();
 
   console.log('\n✓ All Structure Service tests passed!\n');
 }
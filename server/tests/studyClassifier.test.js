@@ -0,0 +1,168 @@
+/**
+ * Study Classifier Tests
+ *
+ * Tests for the heuristic study type, its combination with the AI check and
+ * the study type templates (prompt and schema)
+ */
+
+import assert from 'node:assert/strict';
+import {
+  classifyStudyType,
+  resolveStudyType,
+  describeStudyType
+} from '../utils/studyClassifier.js';
+import {
+  getIMRyDSchema,
+  getExtractionPrompt,
+  getSummaryPrompt,
+  validateIMRyDResponse,
+  IMRYD_JSON_SCHEMA
+} from '../utils/prompts.js';
+
+const IMRYD_STRUCTURE = {
+  isIMRyDFormat: true,
+  imryd: { introduction: { startPage: 1 }, methods: { startPage: 2 }, results: { startPage: 3 } }
+};
+const NO_IMRYD_STRUCTURE = { isIMRyDFormat: false, imryd: {} };
+
+// Tests
+function testClassifiesRCT() {
+  const pages = [
+    { pageNumber: 1, text: 'Abstract\nPatients were randomly assigned to drug X or placebo. NCT01234567' },
+    { pageNumber: 2, text: 'Methods\nAllocation concealment used sealed envelopes.' },
+    { pageNumber: 3, text: 'Results\nThe institutional review board approved the protocol.' }
+  ];
+
+  const result = classifyStudyType(pages, IMRYD_STRUCTURE, { title: 'A Randomized Controlled Trial of Drug X' });
+
+  assert.equal(result.type, 'rct');
+  assert.equal(result.label, 'Ensayo clínico aleatorizado');
+  assert.ok(result.signals.includes('aleatorizado'));
+  assert.ok(result.confidence > 0.5, `Confidence ${result.confidence}`);
+
+  console.log('✓ testClassifiesRCT');
+}
+
+function testClassifiesSystematicReview() {
+  const pages = [
+    { pageNumber: 1, text: 'We searched MEDLINE and Embase following PRISMA. Only randomized trials were included.' },
+    { pageNumber: 2, text: 'Methods\nRandom-effects meta-analysis; heterogeneity I2 = 40%.' }
+  ];
+
+  const result = classifyStudyType(pages, IMRYD_STRUCTURE, {
+    title: 'Drug X for heart failure: a systematic review and meta-analysis'
+  });
+
+  assert.equal(result.type, 'systematic_review', 'Trials mentioned by a review do not make it a trial');
+
+  console.log('✓ testClassifiesSystematicReview');
+}
+
+function testClassifiesCaseReportAndGuideline() {
+  const caseReport = classifyStudyType([
+    { pageNumber: 1, text: 'Case presentation\nA 54-year-old man presented with chest pain.' }
+  ], NO_IMRYD_STRUCTURE, { title: 'Takotsubo after a snake bite: a case report' });
+  assert.equal(caseReport.type, 'case_report');
+
+  const guideline = classifyStudyType([
+    { pageNumber: 1, text: 'Recommendations\nWe recommend statins (strength of recommendation: strong; level of evidence: A). Class I' }
+  ], NO_IMRYD_STRUCTURE, { title: '2024 Guideline for the management of dyslipidaemia' });
+  assert.equal(guideline.type, 'guideline');
+
+  console.log('✓ testClassifiesCaseReportAndGuideline');
+}
+
+function testFallsBackToOther() {
+  const cohort = classifyStudyType([
+    { pageNumber: 1, text: 'We conducted a retrospective cohort study.' },
+    { pageNumber: 2, text: 'Methods\nData from 2010 to 2020.' }
+  ], IMRYD_STRUCTURE, { title: 'Mortality after hip fracture' });
+  assert.equal(cohort.type, 'other', 'Observational designs use the general template');
+
+  const empty = classifyStudyType([], null);
+  assert.equal(empty.type, 'other');
+  assert.equal(empty.confidence, 0);
+
+  console.log('✓ testFallsBackToOther');
+}
+
+function testResolveStudyType() {
+  const heuristic = { type: 'narrative_review', label: 'Revisión narrativa', confidence: 0.4 };
+
+  assert.equal(resolveStudyType(heuristic, null).source, 'heuristic');
+
+  const agreed = resolveStudyType(heuristic, { type: 'narrative_review', confidence: 0.9, reason: '' });
+  assert.deepEqual([agreed.source, agreed.confidence], ['consensus', 0.9]);
+
+  const overridden = resolveStudyType(heuristic, { type: 'guideline', confidence: 0.8, reason: 'Recomendaciones' });
+  assert.deepEqual([overridden.type, overridden.source], ['guideline', 'llm']);
+  assert.ok(describeStudyType(overridden).includes('la heurística sugería Revisión narrativa'));
+
+  const unsure = resolveStudyType(heuristic, { type: 'guideline', confidence: 0.3, reason: '' });
+  assert.equal(unsure.type, 'narrative_review', 'A less confident AI answer does not override');
+
+  const forced = resolveStudyType(heuristic, { type: 'guideline', confidence: 0.8 }, 'case_report');
+  assert.deepEqual([forced.type, forced.source, forced.confidence], ['case_report', 'user', 1]);
+
+  console.log('✓ testResolveStudyType');
+}
+
+function testStudyTypeTemplates() {
+  assert.equal(getIMRyDSchema('other'), IMRYD_JSON_SCHEMA, 'No template keeps the base schema');
+  assert.equal(getIMRyDSchema(undefined), IMRYD_JSON_SCHEMA);
+
+  const guidelineSchema = getIMRyDSchema('guideline');
+  assert.ok(guidelineSchema.required.includes('guia_clinica'));
+  assert.ok(guidelineSchema.required.includes('metodos'), 'The IMRyD fields stay required');
+  assert.ok(!IMRYD_JSON_SCHEMA.required.includes('guia_clinica'), 'The base schema is not modified');
+
+  assert.ok(getExtractionPrompt('case_report').includes('"cronologia"'));
+  assert.ok(getSummaryPrompt('Título', 'systematic_review').includes('PRISMA'));
+  assert.ok(!getSummaryPrompt('Título', 'other').includes('Secciones propias'));
+
+  const response = {
+    metadata: { titulo: 'Guía' },
+    introduccion: { contexto: 'c', objetivo_principal: 'o' },
+    metodos: { diseno: 'Guía de práctica clínica' },
+    resultados: { hallazgos_principales: [] },
+    discusion: { interpretacion: 'i' },
+    puntos_clave: [],
+    advertencias: ['Este resumen es informativo y no constituye consejo médico.'],
+    calidad_extraccion: { score: 0.8 }
+  };
+  assert.equal(validateIMRyDResponse(response).valid, true);
+  const missing = validateIMRyDResponse(response, 'guideline');
+  assert.equal(missing.valid, false);
+  assert.ok(missing.errors.includes('/guia_clinica: campo obligatorio ausente'));
+
+  const complete = validateIMRyDResponse({
+    ...response,
+    guia_clinica: { recomendaciones: [{ recomendacion: 'Usar estatinas', fuerza: 'Fuerte', pagina_referencia: '4' }] }
+  }, 'guideline');
+  assert.equal(complete.valid, true, complete.errors.join(', '));
+  assert.equal(complete.value.guia_clinica.recomendaciones[0].pagina_referencia, 4);
+
+  console.log('✓ testStudyTypeTemplates');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Study Classifier Tests ===\n');
+
+  testClassifiesRCT();
+  testClassifiesSystematicReview();
+  testClassifiesCaseReportAndGuideline();
+  testFallsBackToOther();
+  testResolveStudyType();
+  testStudyTypeTemplates();
+
+  console.log('\n✓ All Study Classifier tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Study Classifier tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -0,0 +1,164 @@
+/**
+ * Table Extractor Tests
+ *
+ * Tests for caption recognition and the reconstruction of captioned
+ * tables into rows/columns from positioned pdf.js text items
+ */
+
+import assert from 'node:assert/strict';
+import {
+  parseTableCaption,
+  tableToMarkdown,
+  extractTables,
+  formatTablesForPrompt
+} from '../utils/tableExtractor.js';
+
+const VIEW = [0, 0, 612, 842];
+
+// pdf.js text item at (x, y) with the given font size
+function item(str, x, y, fontSize = 9) {
+  return {
+    str,
+    transform: [fontSize, 0, 0, fontSize, x, y],
+    width: str.length * fontSize * 0.5,
+    height: fontSize
+  };
+}
+
+// Tests
+function testParsesCaptions() {
+  assert.deepEqual(parseTableCaption('Table 2. Baseline characteristics'), { number: '2', caption: 'Baseline characteristics' });
+  assert.deepEqual(parseTableCaption('Tabla 3: Resultados principales'), { number: '3', caption: 'Resultados principales' });
+  assert.deepEqual(parseTableCaption('TABLE 4 Outcomes at 30 days'), { number: '4', caption: 'Outcomes at 30 days' });
+  assert.deepEqual(parseTableCaption('Table 1'), { number: '1', caption: '' });
+  assert.equal(parseTableCaption('Table 1 shows the baseline data'), null, 'Prose mentions are not captions');
+  assert.equal(parseTableCaption('Mortality was lower'), null);
+
+  console.log('✓ testParsesCaptions');
+}
+
+function testRebuildsRowsAndColumns() {
+  const items = [
+    item('Table 2. Baseline characteristics of the patients', 50, 700),
+    item('Characteristic', 50, 684),
+    item('Drug X (n=120)', 250, 684),
+    item('Placebo (n=120)', 380, 684),
+    item('Age, years', 50, 670),
+    item('64.2', 270, 670),
+    item('65.1', 400, 670),
+    item('Male sex, n (%)', 50, 656),
+    item('70 (58)', 262, 656),
+    item('68 (57)', 392, 656),
+    item('Comorbidities', 50, 642),
+    item('Diabetes', 50, 628),
+    item('40 (33)', 262, 628),
+    item('38 (32)', 392, 628),
+    item('Patients in both groups were similar in baseline characteristics and comorbidities.', 50, 614)
+  ];
+
+  const [table, ...others] = extractTables(items, VIEW, 3);
+
+  assert.equal(others.length, 0);
+  assert.equal(table.id, 'table-3-1');
+  assert.equal(table.number, '2');
+  assert.equal(table.caption, 'Baseline characteristics of the patients');
+  assert.equal(table.title, 'Tabla 2. Baseline characteristics of the patients', 'The display title comes with the table');
+  assert.equal(table.pageNumber, 3);
+  assert.deepEqual(table.headers, ['Characteristic', 'Drug X (n=120)', 'Placebo (n=120)']);
+  assert.deepEqual(table.rows, [
+    ['Age, years', '64.2', '65.1'],
+    ['Male sex, n (%)', '70 (58)', '68 (57)'],
+    ['Comorbidities', '', ''],
+    ['Diabetes', '40 (33)', '38 (32)']
+  ], 'Group labels keep their row; the closing prose is not part of the table');
+  assert.ok(table.markdown.startsWith('| Characteristic | Drug X (n=120) | Placebo (n=120) |\n| --- | --- | --- |'));
+
+  console.log('✓ testRebuildsRowsAndColumns');
+}
+
+function testTableInsideOneColumn() {
+  const items = [];
+  const leftProse = 'Left column prose about the trial design.';
+  const rightProse = 'Right column prose that runs next to the table.';
+  for (let i = 0; i < 14; i++) {
+    items.push(item(rightProse, 320, 760 - i * 14));
+  }
+  for (let i = 0; i < 6; i++) {
+    items.push(item(leftProse, 50, 760 - i * 14));
+  }
+  items.push(
+    item('Table 3. Primary outcomes', 50, 676),
+    item('Outcome', 50, 662),
+    item('Drug X', 130, 662),
+    item('Placebo', 190, 662),
+    item('Death', 50, 648),
+    item('12 (10)', 130, 648),
+    item('20 (17)', 190, 648),
+    item('Stroke', 50, 634),
+    item('3 (2)', 130, 634),
+    item('5 (4)', 190, 634),
+    item(leftProse, 50, 620)
+  );
+
+  const tables = extractTables(items, VIEW, 5);
+
+  assert.equal(tables.length, 1);
+  assert.deepEqual(tables[0].headers, ['Outcome', 'Drug X', 'Placebo'], 'Text of the other column is ignored');
+  assert.deepEqual(tables[0].rows, [['Death', '12 (10)', '20 (17)'], ['Stroke', '3 (2)', '5 (4)']]);
+
+  console.log('✓ testTableInsideOneColumn');
+}
+
+function testIgnoresUncaptionedAndProse() {
+  const items = [
+    item('Table 1 shows the baseline characteristics of the enrolled patients.', 50, 700),
+    item('Group', 50, 684),
+    item('40', 250, 684),
+    item('Other', 50, 670),
+    item('38', 250, 670)
+  ];
+
+  assert.deepEqual(extractTables(items, VIEW, 1), []);
+  assert.deepEqual(extractTables([], VIEW, 1), []);
+
+  console.log('✓ testIgnoresUncaptionedAndProse');
+}
+
+function testMarkdownAndPrompt() {
+  const markdown = tableToMarkdown({ headers: ['A', 'B|C'], rows: [['1'], ['2', '3', '4']] });
+
+  assert.equal(markdown, [
+    '| A | B\\|C |  |',
+    '| --- | --- | --- |',
+    '| 1 |  |  |',
+    '| 2 | 3 | 4 |'
+  ].join('\n'), 'Pipes are escaped and rows padded to the widest row');
+
+  assert.equal(formatTablesForPrompt([]), '');
+  const prompt = formatTablesForPrompt([{ number: '2', caption: 'Outcomes', markdown }]);
+  assert.ok(prompt.includes('[Tablas reconstruidas de esta página'));
+  assert.ok(prompt.includes(`Tabla 2. Outcomes\n${markdown}`));
+
+  console.log('✓ testMarkdownAndPrompt');
+}
+
+// Run all tests
+function run() {
+  console.log('\n=== Table Extractor Tests ===\n');
+
+  testParsesCaptions();
+  testRebuildsRowsAndColumns();
+  testTableInsideOneColumn();
+  testIgnoresUncaptionedAndProse();
+  testMarkdownAndPrompt();
+
+  console.log('\n✓ All Table Extractor tests passed!\n');
+}
+
+try {
+  run();
+} catch (error) {
+  console.error('\n✗ Table Extractor tests failed:');
+  console.error(error);
+  process.exit(1);
+}
@@ -44,6 +44,38 @@
  * @property {number} startPage - Page where section starts
  * @property {string} title - Detected section title
  * @property {boolean} detected - Whether section was found
+ * @property {'outline'|'heuristic'} source - PDF outline (bookmarks) or text heuristics
+ * @property {number} confidence - Detection confidence (0-1)
+ * @property {SubsectionNode[]} [subsections] - Nested subsections of this section
+ */
+
+/**
+ * @typedef {Object} SubsectionStructure
+ * @property {string} id - Unique identifier (subsection-N)
+ * @property {string} title - Heading text as it appears in the document
+ * @property {string|null} number - Heading number ("2.1"), null if unnumbered
+ * @property {number} level - Depth (2 = directly under an IMRyD section or chapter)
+ * @property {'outline'|'numbered'|'styled'|'caps'} style - Signal that identified the heading
+ * @property {string|null} imrydKey - IMRyD section that contains it
+ * @property {string|null} parentId - Enclosing subsection, null if top-level
+ * @property {number} startPage - Page where the subsection starts
+ * @property {'outline'|'heuristic'} source - PDF outline (bookmarks) or text heuristics
+ * @property {number} confidence - Detection confidence (0-1)
+ */
+
+/**
+ * @typedef {Object} SubsectionNode
+ * @property {string} id - SubsectionStructure id
+ * @property {string} title - Heading text
+ * @property {number} startPage - Page where the subsection starts
+ * @property {SubsectionNode[]} subsections - Child subsections
+ */
+
+/**
+ * @typedef {Object} OutlineEntry
+ * @property {string} title - Bookmark title
+ * @property {number|null} pageNumber - Target page (1-based), null if unresolved
+ * @property {number} level - Nesting depth (0 = top level)
  */
 
 /**
@@ -63,6 +95,8 @@
  * @property {string} title - Part title
  * @property {number} startPage - Starting page
  * @property {ChapterStructure[]} chapters - Child chapters
+ * @property {'outline'|'heuristic'} [source] - Where the part was detected
+ * @property {number} [confidence] - Detection confidence (0-1)
  */
 
 /**
@@ -71,16 +105,20 @@
  * @property {string} number - Chapter number
  * @property {string} title - Chapter title
  * @property {number} startPage - Starting page
- * @property {Object[]} sections - Child sections
+ * @property {SubsectionStructure[]} sections - Subsections starting in this chapter
+ * @property {'outline'|'heuristic'} [source] - Where the chapter was detected
+ * @property {number} [confidence] - Detection confidence (0-1)
  */
 
 /**
  * @typedef {Object} DocumentStructure
  * @property {PartStructure[]} parts - Document parts
  * @property {ChapterStructure[]} chapters - All chapters
- * @property {Object[]} sections - All sections
+ * @property {SubsectionStructure[]} sections - All subsections, in document order
  * @property {IMRyDStructure} imryd - IMRyD section detection
  * @property {boolean} isIMRyDFormat - Whether document follows IMRyD format
+ * @property {OutlineEntry[]} outline - PDF outline entries with a target page
+ * @property {'outline'|'heuristic'|'mixed'} source - Where the structure came from
  */
 
 // ===========================================
@@ -170,6 +208,23 @@
  * @property {string} text - Original text preview
  */
 
+/**
+ * @typedef {Object} BibliographicReference
+ * @property {number|null} number - Number in the reference list (null if unnumbered)
+ * @property {string[]} authors - Authors as written ("Shaw JE")
+ * @property {boolean} etAl - Whether the list ends with "et al."
+ * @property {string|null} title - Article or book title
+ * @property {string|null} journal - Journal (or publisher for books)
+ * @property {number|null} year - Publication year
+ * @property {string|null} volume - Volume
+ * @property {string|null} issue - Issue
+ * @property {string|null} pages - Page range ("4-14", "e895-e1032")
+ * @property {string|null} doi - DOI without prefix ("10.1056/...")
+ * @property {string|null} pmid - PubMed identifier
+ * @property {number} pageNumber - Page where the entry starts
+ * @property {string} raw - Entry text as extracted
+ */
+
 /**
  * @typedef {Object} FileTreeNode
  * @property {string} id - Unique identifier
@@ -179,6 +234,136 @@
  * @property {FileTreeNode[]} [children] - Child nodes
  */
 
+/**
+ * @typedef {Object} StudyTypeClassification
+ * @property {'rct'|'systematic_review'|'case_report'|'guideline'|'narrative_review'|'other'} type - Study type (summary template)
+ * @property {string} label - Display name
+ * @property {number} confidence - Classification confidence (0-1)
+ * @property {'user'|'heuristic'|'consensus'|'llm'} source - How the type was decided
+ * @property {Object} heuristic - Text-signal estimate { type, label, confidence, scores, signals }
+ * @property {Object|null} llm - AI check { type, confidence, reason }, null if not run or failed
+ */
+
+/**
+ * @typedef {Object} AppraisalItem
+ * @property {string} id - Checklist item number
+ * @property {string} section - Checklist section (Métodos, Resultados...)
+ * @property {string} requirement - What the article should report
+ * @property {'reported'|'not_reported'|'unclear'} status - Reporting status
+ * @property {string} evidence - Quoted evidence from the article
+ * @property {number[]} pages - Pages where the evidence appears
+ * @property {'llm'|'heuristic'} source - AI evaluation or text search
+ * @property {boolean} evidenceVerified - Whether the AI quote occurs in the cited pages (always false for the text search)
+ * @property {string} [note] - Why the status was downgraded to unclear
+ */
+
+/**
+ * @typedef {Object} StudyAppraisal
+ * @property {'consort'|'strobe'|'prisma'} checklist - Checklist key
+ * @property {string} name - Checklist name (CONSORT 2010, STROBE, PRISMA 2020)
+ * @property {string} description - Studies the checklist applies to
+ * @property {AppraisalItem[]} items - Item-by-item evaluation
+ * @property {Object} stats - { total, reported, notReported, unclear, evaluatedByLLM, adherence }
+ * @property {string} markdown - "Evaluación crítica" node content
+ */
+
+/**
+ * @typedef {Object} PICOElement
+ * @property {string|null} text - Element description (null if not found)
+ * @property {string} evidence - Quoted evidence from the article
+ * @property {number[]} pages - Pages where the evidence appears
+ * @property {boolean} evidenceVerified - Whether the quote occurs in the cited pages
+ * @property {'llm'|'imryd'|null} source - AI extraction, structured IMRyD fallback or not found
+ */
+
+/**
+ * @typedef {Object} StudyPICO
+ * @property {PICOElement} population - P: patients or participants
+ * @property {PICOElement} intervention - I: intervention or exposure
+ * @property {PICOElement} comparator - C: control or alternative
+ * @property {PICOElement & {primary: string[], secondary: string[]}} outcomes - O: measured outcomes
+ * @property {PICOElement} time - T: follow-up
+ * @property {PICOElement} setting - S: study design and setting
+ * @property {string|null} question - Clinical question in one sentence
+ * @property {Object} stats - { total, found, withEvidence, verified }
+ * @property {string} markdown - "PICO" node content
+ */
+
+/**
+ * @typedef {Object} RiskOfBiasQuestion
+ * @property {string} id - Signalling question number (1.1, S1...)
+ * @property {string} text - Question
+ * @property {'Y'|'N'} favourable - Answer that means low risk (NOS: star awarded)
+ * @property {'Y'|'PY'|'PN'|'N'|'NI'} answer - Answer (NI: no information)
+ * @property {string} evidence - Supporting quote from the article
+ * @property {number[]} pages - Pages where the quote appears
+ * @property {boolean} evidenceVerified - Whether the quote occurs in the cited pages
+ */
+
+/**
+ * @typedef {Object} RiskOfBiasDomain
+ * @property {string} id - Domain id (D1, S, C...)
+ * @property {string} name - Domain name
+ * @property {RiskOfBiasQuestion[]} questions - Signalling questions
+ * @property {string} judgement - Domain judgement (key of JUDGEMENTS)
+ * @property {string} label - Judgement display name
+ * @property {'llm'|'derived'} judgementSource - AI judgement or derived from the answers
+ * @property {string} rationale - AI justification
+ * @property {string} [note] - Disagreement between the judgement and the answers
+ * @property {number} [stars] - Newcastle-Ottawa stars awarded
+ * @property {number} [maxStars] - Newcastle-Ottawa stars available
+ */
+
+/**
+ * @typedef {Object} RiskOfBiasAssessment
+ * @property {'rob2'|'robins_i'|'nos_cohort'|'nos_case_control'} tool - Tool key
+ * @property {string} name - Tool name
+ * @property {string} description - Designs the tool applies to
+ * @property {RiskOfBiasDomain[]} domains - Domain judgements
+ * @property {string} overall - Overall judgement computed with the tool's algorithm
+ * @property {string} overallLabel - Overall judgement display name
+ * @property {Object} stats - { questions, answered, withEvidence, verified }
+ * @property {string} markdown - "Riesgo de sesgo" node content (traffic-light table)
+ */
+
+/**
+ * @typedef {Object} GradeReason
+ * @property {'risk_of_bias'|'inconsistency'|'indirectness'|'imprecision'|'publication_bias'|'large_effect'} domain - GRADE domain
+ * @property {string} label - Domain display name
+ * @property {number} levels - Certainty levels lowered (downgrades) or raised (upgrades)
+ * @property {string} reason - Why the certainty changed
+ */
+
+/**
+ * @typedef {Object} GradeOutcome
+ * @property {string} outcome - Primary outcome (metodos.outcomes_primarios)
+ * @property {string|null} finding - Matched finding (resultados.hallazgos_principales)
+ * @property {string|null} [effect] - Effect estimate as reported
+ * @property {'ratio'|'difference'|null} [measure] - Effect measure family
+ * @property {number|null} [estimate] - Point estimate
+ * @property {Object|null} [ci] - Confidence interval { text, lower, upper }
+ * @property {boolean|null} [crossesNull] - Whether the interval includes no effect
+ * @property {string|null} [pValue] - P value as reported
+ * @property {number|null} [participants] - Participants analysed
+ * @property {number|null} [page] - Page of the finding
+ * @property {'high'|'moderate'|'low'|'very_low'|null} certainty - GRADE certainty (null without a finding)
+ * @property {string} certaintyLabel - Certainty display name
+ * @property {GradeReason[]} downgrades - Reasons for lowering the certainty
+ * @property {GradeReason[]} upgrades - Reasons for raising the certainty
+ * @property {string[]} notAssessed - GRADE domains that could not be judged
+ */
+
+/**
+ * @typedef {Object} GradeSummary
+ * @property {string} studyType - Study type the starting certainty comes from
+ * @property {'high'|'low'} startingCertainty - Certainty before downgrading
+ * @property {string} startingReason - Design that sets the starting certainty
+ * @property {GradeOutcome[]} outcomes - One row per primary outcome
+ * @property {boolean} fromPrimaryOutcomes - False when the rows are the main findings
+ * @property {Object} stats - { outcomes, graded, downgraded }
+ * @property {string} markdown - "Resumen de hallazgos GRADE" node content
+ */
+
 /**
  * @typedef {Object} ProcessingResult
  * @property {string} title - Document title
@@ -187,6 +372,12 @@
  * @property {DocumentStructure} structure - Document structure
  * @property {AnalyzedPage[]} pages - Analyzed pages
  * @property {string} summary - Generated summary (Markdown)
+ * @property {StudyTypeClassification} studyType - Study type that selected the summary template
+ * @property {StudyAppraisal|null} appraisal - Reporting checklist appraisal (null without a checklist)
+ * @property {StudyPICO|null} pico - PICO(T/S) elements with page evidence (null if none found)
+ * @property {RiskOfBiasAssessment|null} riskOfBias - Risk-of-bias assessment (null without a tool)
+ * @property {BibliographicReference[]} references - Citations parsed from the reference pages
+ * @property {GradeSummary|null} grade - GRADE summary of findings (null without IMRyD or findings)
  * @property {Object} groupedContent - Content grouped by structure
  * @property {PDFMetadata} [metadata] - PDF metadata
  * @property {string} processedAt - ISO timestamp
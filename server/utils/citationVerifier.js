@@ -0,0 +1,226 @@
+/**
+ * Citation Verifier - Verificación de Referencias de Página
+ *
+ * Comprueba que las afirmaciones del resumen estén respaldadas por las
+ * páginas que citan:
+ * - Extrae las referencias "(p. X)", "(p.X)", "(pp. X-Y)", "(p. X, Y)"
+ * - Extrae los valores citados (números, porcentajes, p-valores)
+ * - Verifica que cada valor aparezca en el texto de alguna página citada
+ * - Verifica citas literales (evidencia de la evaluación crítica y PICO)
+ */
+
+// "(p. 4)", "(p.4)", "(pp. 4-5)", "(p. 3, 7)", "(pág. 2)"
+const PAGE_REFERENCE_PATTERN = /\((?:pp?|p[áa]gs?)\.\s*(\d+(?:\s*[-–,y]\s*\d+)*)\)/gi;
+
+// Leading characters of a quote that must occur in the page (the model tends
+// to trim or paraphrase the end of long quotes)
+const QUOTE_MATCH_CHARS = 60;
+
+// Numbers worth checking: decimals, percentages and integers (with optional thousands separator)
+const VALUE_PATTERN = /(?<![\w.])\d{1,3}(?:[ ,]\d{3})+(?:[.,]\d+)?%?|(?<![\w.])\d+(?:[.,]\d+)?%?/g;
+
+/**
+ * Extrae los números de página de las referencias de un texto
+ * @param {string} text - Texto con referencias (p. X)
+ * @returns {number[]} - Páginas citadas (sin repetir, en orden)
+ */
+export function extractPageReferences(text) {
+  const pages = [];
+
+  for (const match of String(text || '').matchAll(PAGE_REFERENCE_PATTERN)) {
+    const parts = match[1].split(/\s*[,y]\s*/);
+    for (const part of parts) {
+      const range = part.split(/\s*[-–]\s*/).map(Number);
+      if (range.length === 2 && range[1] >= range[0] && range[1] - range[0] < 50) {
+        for (let page = range[0]; page <= range[1]; page++) pages.push(page);
+      } else {
+        pages.push(range[0]);
+      }
+    }
+  }
+
+  return [...new Set(pages)];
+}
+
+/**
+ * Normaliza un valor numérico para compararlo con el texto fuente
+ * (coma decimal → punto, sin separador de miles ni espacios)
+ * @param {string} value - Valor tal como aparece
+ * @returns {string}
+ */
+export function normalizeValue(value) {
+  let normalized = String(value).replace(/\s/g, '');
+  // 1,234 / 12,345.6 → thousands separator
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?%?$/.test(normalized)) {
+    normalized = normalized.replace(/,/g, '');
+  } else {
+    normalized = normalized.replace(',', '.');
+  }
+  return normalized;
+}
+
+/**
+ * Extrae los valores numéricos citados en una afirmación
+ * Ignora las propias referencias de página y números de un solo dígito
+ * sin decimales (enumeraciones, "2 grupos"...), que no aportan verificación.
+ *
+ * @param {string} text - Afirmación
+ * @returns {string[]} - Valores normalizados
+ */
+export function extractClaimValues(text) {
+  const withoutReferences = String(text || '').replace(PAGE_REFERENCE_PATTERN, ' ');
+  const values = [];
+
+  for (const match of withoutReferences.matchAll(VALUE_PATTERN)) {
+    const value = normalizeValue(match[0]);
+    if (/^\d%?$/.test(value)) continue;
+    values.push(value);
+  }
+
+  return [...new Set(values)];
+}
+
+/**
+ * Comprueba si un valor aparece en un texto fuente (tolerando coma decimal,
+ * separadores de miles y espacios antes de %)
+ * @param {string} value - Valor normalizado
+ * @param {string} sourceText - Texto de la página
+ * @returns {boolean}
+ */
+export function valueOccursIn(value, sourceText) {
+  const normalizedSource = String(sourceText || '')
+    .replace(/(\d)\s+%/g, '$1%')
+    .replace(/(\d),(\d{3})(?!\d)/g, '$1$2')
+    .replace(/(\d),(\d)/g, '$1.$2');
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![\\d.])${escaped}(?![\\d])`).test(normalizedSource);
+}
+
+/**
+ * Normaliza texto para buscar una cita literal (minúsculas, sin guiones de
+ * corte de línea ni espacios repetidos)
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeQuote(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/-\s*\n\s*/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Comprueba que una cita literal aparece en alguna de las páginas citadas
+ * Ignora las comillas y los puntos suspensivos de los extremos.
+ *
+ * @param {string} quote - Cita
+ * @param {number[]} pageNumbers - Páginas citadas
+ * @param {Map<number, string>} pageTexts - Texto completo por número de página
+ * @returns {boolean}
+ */
+export function quoteOccursIn(quote, pageNumbers, pageTexts) {
+  const needle = normalizeQuote(String(quote || '').trim().replace(/^["'“”«»]+|["'“”«».…]+$/g, ''))
+    .slice(0, QUOTE_MATCH_CHARS);
+  if (!needle) return false;
+  return pageNumbers.some(pageNumber => normalizeQuote(pageTexts.get(pageNumber)).includes(needle));
+}
+
+/**
+ * Verifica una afirmación contra las páginas que cita
+ * @param {string} claim - Texto de la afirmación con referencias (p. X)
+ * @param {Map<number, string>} pageTexts - Texto completo por número de página
+ * @returns {Object} - { claim, pages, invalidPages, values, missingValues, verified }
+ */
+export function verifyClaim(claim, pageTexts) {
+  const pages = extractPageReferences(claim);
+  const invalidPages = pages.filter(page => !pageTexts.has(page));
+  const citedText = pages
+    .filter(page => pageTexts.has(page))
+    .map(page => pageTexts.get(page))
+    .join('\n');
+  const values = extractClaimValues(claim);
+  const missingValues = values.filter(value => !valueOccursIn(value, citedText));
+
+  return {
+    claim: claim.trim(),
+    pages,
+    invalidPages,
+    values,
+    missingValues,
+    verified: invalidPages.length === 0 && missingValues.length === 0
+  };
+}
+
+// IMRyD v2 items that must cite their page inside the text (findings carry
+// pagina_referencia instead)
+const REFERENCED_ITEM_FIELDS = [
+  { label: 'Punto clave', get: imryd => imryd.puntos_clave },
+  { label: 'Limitación', get: imryd => imryd.discusion && imryd.discusion.limitaciones }
+];
+
+/**
+ * Busca puntos clave y limitaciones del JSON IMRyD sin referencia (p. X)
+ * Sin referencia no son afirmaciones verificables, así que se informan aparte.
+ *
+ * @param {Object|null} imryd - Resumen IMRyD estructurado (modo v2)
+ * @returns {Array} - [{ label, index, text }]
+ */
+export function findUnreferencedItems(imryd) {
+  if (!imryd || typeof imryd !== 'object') return [];
+
+  return REFERENCED_ITEM_FIELDS.flatMap(({ label, get }) => {
+    const items = get(imryd);
+    if (!Array.isArray(items)) return [];
+    return items
+      .map((text, index) => ({ label, index: index + 1, text: String(text || '').trim() }))
+      .filter(item => item.text && extractPageReferences(item.text).length === 0);
+  });
+}
+
+/**
+ * Verifica todas las afirmaciones con referencias de página de un resumen
+ * Cada línea (viñeta, párrafo o fila) que contiene una referencia es una afirmación.
+ * Con el JSON IMRyD también se informan los puntos clave y limitaciones sin referencia.
+ *
+ * @param {string} markdown - Resumen en Markdown
+ * @param {Array} pages - Páginas extraídas [{ pageNumber, text }]
+ * @param {Object} [options] - { imryd } objeto IMRyD v2, si existe
+ * @returns {Object} - { claims, unreferenced, stats: { total, verified, unverified, unreferenced } }
+ */
+export function verifySummaryCitations(markdown, pages, options = {}) {
+  const pageTexts = new Map(
+    (pages || []).map(page => [page.pageNumber, page.text || ''])
+  );
+
+  const claims = String(markdown || '')
+    .split('\n')
+    .filter(line => extractPageReferences(line).length > 0)
+    .map(line => verifyClaim(line.replace(/^\s*(?:[-*>]|\d+\.)\s*/, ''), pageTexts));
+
+  const verified = claims.filter(claim => claim.verified).length;
+  const unreferenced = findUnreferencedItems(options.imryd);
+
+  return {
+    claims,
+    unreferenced,
+    stats: {
+      total: claims.length,
+      verified,
+      unverified: claims.length - verified,
+      unreferenced: unreferenced.length
+    }
+  };
+}
+
+export default {
+  extractPageReferences,
+  extractClaimValues,
+  normalizeValue,
+  valueOccursIn,
+  normalizeQuote,
+  quoteOccursIn,
+  verifyClaim,
+  findUnreferencedItems,
+  verifySummaryCitations
+};
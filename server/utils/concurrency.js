@@ -0,0 +1,41 @@
+/**
+ * Concurrency Utilities - Pool de Tareas con Límite
+ *
+ * Ejecuta tareas asíncronas con un número máximo en paralelo,
+ * conservando el orden de los resultados.
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the input order. When `isCancelled` returns true no new
+ * items are started; calls already running are awaited.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls (>= 1)
+ * @param {Function} fn - async (item, index) => result
+ * @param {Object} [options] - { isCancelled }
+ * @returns {Promise<Array>} - Results in input order (unstarted items are left undefined)
+ */
+export async function mapWithConcurrency(items, limit, fn, options = {}) {
+  const {
+    isCancelled = () => false
+  } = options;
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length && !isCancelled()) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+export default {
+  mapWithConcurrency
+};
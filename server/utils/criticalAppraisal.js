@@ -0,0 +1,328 @@
+/**
+ * Critical Appraisal - Listas de Verificación del Reporte
+ *
+ * En el club de revistas la primera pregunta es "¿qué tan bueno es este
+ * estudio?". Según el tipo de estudio clasificado:
+ * - Elige la lista de verificación (CONSORT, STROBE o PRISMA)
+ * - Combina la evaluación ítem por ítem de la IA con búsquedas en el texto
+ *   (reportado / no reportado / incierto, con páginas de evidencia)
+ * - Comprueba que la evidencia citada aparece en esas páginas
+ * - Genera el nodo "Evaluación crítica" (Markdown) para el árbol y las exportaciones
+ *
+ * Las listas evalúan la calidad del reporte, no el riesgo de sesgo.
+ */
+
+import {
+  quoteOccursIn
+} from './citationVerifier.js';
+import {
+  escapeCell
+} from './tableExtractor.js';
+
+export const APPRAISAL_STATUS = {
+  reported: '✅ Reportado',
+  not_reported: '❌ No reportado',
+  unclear: '❓ Incierto'
+};
+
+// Answer values of the model → status
+const STATUS_ALIASES = {
+  reportado: 'reported',
+  no_reportado: 'not_reported',
+  incierto: 'unclear'
+};
+
+// Characters of evidence quoted in the table
+const EVIDENCE_CHARS = 160;
+
+/**
+ * Listas de verificación por tipo de estudio (ítems principales)
+ * Cada ítem lleva un patrón para buscar evidencia en el texto cuando la IA
+ * no lo evalúa.
+ */
+export const CHECKLISTS = {
+  consort: {
+    name: 'CONSORT 2010',
+    description: 'Lista de verificación para ensayos clínicos aleatorizados',
+    studyTypes: ['rct'],
+    items: [
+      { id: '1', section: 'Título y resumen', requirement: 'Identificado como ensayo aleatorizado en el título; resumen estructurado', pattern: /\brandomi[sz]ed\b|\baleatori[sz]ad/i },
+      { id: '2', section: 'Introducción', requirement: 'Antecedentes científicos y justificación', pattern: /\b(?:background|introduction|introducción|antecedentes)\b/i },
+      { id: '3', section: 'Introducción', requirement: 'Objetivos específicos o hipótesis', pattern: /\b(?:we aimed|the aim|objective|hypothes[ie]s|objetivo|hipótesis)\b/i },
+      { id: '4', section: 'Métodos', requirement: 'Diseño del ensayo (paralelo, factorial...) y razón de asignación; cambios tras el inicio', pattern: /\b(?:parallel[- ]group|crossover|factorial|allocation ratio|1:1|grupos paralelos)\b/i },
+      { id: '5', section: 'Métodos', requirement: 'Criterios de elegibilidad y lugares de recogida de datos', pattern: /\b(?:eligib(?:le|ility)|inclusion criteria|exclusion criteria|criterios de (?:inclusión|exclusión))\b/i },
+      { id: '6', section: 'Métodos', requirement: 'Intervenciones de cada grupo con detalle suficiente para replicarlas', pattern: /\b(?:received|were assigned to receive|intervention|dose|recibieron|intervención|dosis)\b/i },
+      { id: '7', section: 'Métodos', requirement: 'Desenlaces primarios y secundarios predefinidos, cómo y cuándo se midieron', pattern: /\b(?:primary (?:end ?point|outcome)|secondary (?:end ?point|outcome)|desenlace primario|variable principal)\b/i },
+      { id: '8', section: 'Métodos', requirement: 'Cálculo del tamaño muestral (e interrupción anticipada, si aplica)', pattern: /\b(?:sample size|power(?:ed)? (?:calculation|to detect)|tamaño muestral|potencia estadística)\b/i },
+      { id: '9', section: 'Métodos', requirement: 'Generación de la secuencia aleatoria (método y tipo, bloques, estratificación)', pattern: /\b(?:computer[- ]generated|random (?:number|sequence)|block(?:s| randomi[sz]ation)|stratified|secuencia aleatoria|bloques)\b/i },
+      { id: '10', section: 'Métodos', requirement: 'Ocultación de la asignación', pattern: /\b(?:allocation concealment|sealed (?:opaque )?envelopes|central(?:ized)? (?:randomi[sz]ation|web)|interactive (?:voice|web)|ocultación de la asignación|sobres cerrados)\b/i },
+      { id: '11', section: 'Métodos', requirement: 'Implementación: quién generó la secuencia, incluyó participantes y asignó', pattern: /\b(?:enrolled (?:the )?participants|assigned participants|generated the (?:allocation|random)|reclutó|asignó)\b/i },
+      { id: '12', section: 'Métodos', requirement: 'Cegamiento (quién estaba cegado y cómo)', pattern: /\b(?:double[- ]blind|single[- ]blind|blinded|masked|open[- ]label|doble ciego|simple ciego|cegad[oa]s?|abierto)\b/i },
+      { id: '13', section: 'Métodos', requirement: 'Métodos estadísticos para desenlaces primarios, secundarios y análisis adicionales', pattern: /\b(?:statistical analys[ie]s|intention[- ]to[- ]treat|per[- ]protocol|cox|logistic regression|análisis estadístico|intención de tratar)\b/i },
+      { id: '14', section: 'Resultados', requirement: 'Flujo de participantes (diagrama): aleatorizados, tratados y analizados por grupo', pattern: /\b(?:flow diagram|were randomly assigned|underwent randomi[sz]ation|lost to follow[- ]up|diagrama de flujo|pérdidas)\b/i },
+      { id: '15', section: 'Resultados', requirement: 'Fechas de reclutamiento y seguimiento; motivo de finalización', pattern: /\b(?:between (?:january|february|march|april|may|june|july|august|september|october|november|december)|from \d{4} (?:to|through) \d{4}|entre (?:enero|febrero|marzo|abril|mayo|junio|julio|agosto|septiembre|octubre|noviembre|diciembre))\b/i },
+      { id: '16', section: 'Resultados', requirement: 'Características basales demográficas y clínicas por grupo', pattern: /\b(?:baseline characteristics|características basales)\b/i },
+      { id: '17', section: 'Resultados', requirement: 'Número analizado por grupo y análisis por grupos originales', pattern: /\b(?:included in the (?:primary )?analysis|analy[sz]ed population|were analy[sz]ed|fueron analizados)\b/i },
+      { id: '18', section: 'Resultados', requirement: 'Resultado de cada desenlace con tamaño del efecto y su precisión (IC 95%)', pattern: /\b(?:95% ?CI|confidence interval|hazard ratio|odds ratio|relative risk|IC (?:del )?95 ?%)\b/i },
+      { id: '19', section: 'Resultados', requirement: 'Análisis adicionales (subgrupos, ajustados), predefinidos o exploratorios', pattern: /\b(?:subgroup|sensitivity analys[ie]s|post hoc|prespecified|subgrupos?|análisis de sensibilidad)\b/i },
+      { id: '20', section: 'Resultados', requirement: 'Daños o efectos adversos importantes de cada grupo', pattern: /\b(?:adverse events?|serious adverse|safety|eventos adversos|efectos adversos|seguridad)\b/i },
+      { id: '21', section: 'Discusión', requirement: 'Limitaciones: sesgos, imprecisión y multiplicidad de análisis', pattern: /\b(?:limitations?|limitaciones?)\b/i },
+      { id: '22', section: 'Discusión', requirement: 'Generalizabilidad (validez externa, aplicabilidad)', pattern: /\b(?:generali[sz]ab(?:le|ility)|external validity|applicab(?:le|ility)|generalizab|validez externa|aplicabilidad)\b/i },
+      { id: '23', section: 'Discusión', requirement: 'Interpretación coherente con los resultados, balance de beneficios y daños', pattern: /\b(?:in conclusion|our findings|these (?:results|findings) (?:suggest|indicate)|en conclusión|nuestros resultados)\b/i },
+      { id: '24', section: 'Otra información', requirement: 'Registro del ensayo (número y nombre del registro)', pattern: /\bNCT\d{8}\b|\bISRCTN\d+\b|\b(?:EudraCT|ClinicalTrials\.gov|trial registration)\b/i },
+      { id: '25', section: 'Otra información', requirement: 'Protocolo accesible y fuentes de financiación', pattern: /\b(?:protocol is available|funded by|funding|supported by|financiado|financiación)\b/i }
+    ]
+  },
+  strobe: {
+    name: 'STROBE',
+    description: 'Lista de verificación para estudios observacionales (cohortes, casos y controles, transversales)',
+    studyTypes: ['other'],
+    items: [
+      { id: '1', section: 'Título y resumen', requirement: 'Diseño indicado con un término habitual en el título o el resumen', pattern: /\b(?:cohort|case[- ]control|cross[- ]sectional|cohorte|casos y controles|transversal)\b/i },
+      { id: '2', section: 'Introducción', requirement: 'Antecedentes científicos y justificación', pattern: /\b(?:background|introduction|introducción|antecedentes)\b/i },
+      { id: '3', section: 'Introducción', requirement: 'Objetivos específicos e hipótesis predefinidas', pattern: /\b(?:we aimed|the aim|objective|hypothes[ie]s|objetivo|hipótesis)\b/i },
+      { id: '4', section: 'Métodos', requirement: 'Elementos clave del diseño', pattern: /\b(?:retrospective|prospective|population[- ]based|registry|retrospectivo|prospectivo|registro)\b/i },
+      { id: '5', section: 'Métodos', requirement: 'Ámbito, lugares y fechas de reclutamiento, exposición y seguimiento', pattern: /\b(?:between \d{4} and \d{4}|from \d{4} (?:to|through) \d{4}|entre \d{4} y \d{4}|hospitals?|centres?|centers?|centros?)\b/i },
+      { id: '6', section: 'Métodos', requirement: 'Participantes: criterios de elegibilidad, fuentes y métodos de selección', pattern: /\b(?:eligib(?:le|ility)|inclusion criteria|exclusion criteria|criterios de (?:inclusión|exclusión))\b/i },
+      { id: '7', section: 'Métodos', requirement: 'Definición de desenlaces, exposiciones, predictores y confusores', pattern: /\b(?:exposure|outcome was defined|confounders?|covariates?|exposición|confusores?|covariables?)\b/i },
+      { id: '8', section: 'Métodos', requirement: 'Fuentes de datos y métodos de medición de cada variable', pattern: /\b(?:data (?:were|was) (?:obtained|collected|extracted)|database|medical records|historias clínicas|base de datos)\b/i },
+      { id: '9', section: 'Métodos', requirement: 'Medidas adoptadas para afrontar fuentes de sesgo', pattern: /\b(?:bias|propensity score|matched|sesgos?|emparejad[oa]s?)\b/i },
+      { id: '10', section: 'Métodos', requirement: 'Cómo se determinó el tamaño del estudio', pattern: /\b(?:sample size|power calculation|tamaño (?:de la )?muestra)\b/i },
+      { id: '11', section: 'Métodos', requirement: 'Tratamiento de las variables cuantitativas en el análisis', pattern: /\b(?:categori[sz]ed|continuous variables?|quartiles?|tertiles?|cut-?off|variables continuas|categorizad)\b/i },
+      { id: '12', section: 'Métodos', requirement: 'Métodos estadísticos: confusión, subgrupos, datos faltantes, pérdidas', pattern: /\b(?:statistical analys[ie]s|multivariable|adjusted for|missing data|multiple imputation|análisis estadístico|ajustado por|datos faltantes)\b/i },
+      { id: '13', section: 'Resultados', requirement: 'Número de participantes en cada fase (diagrama de flujo recomendado)', pattern: /\b(?:flow (?:chart|diagram)|were included|were excluded|diagrama de flujo|fueron incluidos|fueron excluidos)\b/i },
+      { id: '14', section: 'Resultados', requirement: 'Características de los participantes y datos faltantes por variable', pattern: /\b(?:baseline characteristics|characteristics of the (?:study )?(?:population|participants)|características (?:basales|de los participantes))\b/i },
+      { id: '15', section: 'Resultados', requirement: 'Número de eventos de desenlace o medidas resumen', pattern: /\b(?:events? occurred|incidence|prevalence|incidencia|prevalencia|eventos)\b/i },
+      { id: '16', section: 'Resultados', requirement: 'Estimaciones sin ajustar y ajustadas por confusores, con su precisión (IC 95%)', pattern: /\b(?:adjusted (?:hazard|odds) ratio|aHR|aOR|95% ?CI|IC (?:del )?95 ?%)\b/i },
+      { id: '17', section: 'Resultados', requirement: 'Otros análisis (subgrupos, interacciones, sensibilidad)', pattern: /\b(?:subgroup|interaction|sensitivity analys[ie]s|subgrupos?|interacción|análisis de sensibilidad)\b/i },
+      { id: '18', section: 'Discusión', requirement: 'Resultados clave en relación con los objetivos', pattern: /\b(?:in this (?:study|cohort)|we found|our (?:study|findings)|en este estudio|encontramos)\b/i },
+      { id: '19', section: 'Discusión', requirement: 'Limitaciones: fuentes de sesgo o imprecisión, dirección y magnitud', pattern: /\b(?:limitations?|limitaciones?)\b/i },
+      { id: '20', section: 'Discusión', requirement: 'Interpretación prudente considerando objetivos, limitaciones y otros estudios', pattern: /\b(?:in conclusion|consistent with|previous studies|en conclusión|estudios previos)\b/i },
+      { id: '21', section: 'Discusión', requirement: 'Generalizabilidad (validez externa)', pattern: /\b(?:generali[sz]ab(?:le|ility)|external validity|generalizab|validez externa)\b/i },
+      { id: '22', section: 'Otra información', requirement: 'Fuentes de financiación y papel de los financiadores', pattern: /\b(?:funded by|funding|supported by|financiado|financiación)\b/i }
+    ]
+  },
+  prisma: {
+    name: 'PRISMA 2020',
+    description: 'Lista de verificación para revisiones sistemáticas y metaanálisis',
+    studyTypes: ['systematic_review'],
+    items: [
+      { id: '1', section: 'Título', requirement: 'Identificada como revisión sistemática en el título', pattern: /\bsystematic review\b|\brevisi[óo]n sistem[áa]tica\b/i },
+      { id: '2', section: 'Resumen', requirement: 'Resumen estructurado (PRISMA para resúmenes)', pattern: /\b(?:abstract|resumen)\b/i },
+      { id: '3', section: 'Introducción', requirement: 'Justificación en el contexto del conocimiento existente', pattern: /\b(?:background|introduction|rationale|introducción|justificación)\b/i },
+      { id: '4', section: 'Introducción', requirement: 'Objetivos o preguntas de la revisión', pattern: /\b(?:we aimed|the aim|objective|research question|PICO|objetivo|pregunta)\b/i },
+      { id: '5', section: 'Métodos', requirement: 'Criterios de elegibilidad y agrupación para la síntesis', pattern: /\b(?:eligib(?:le|ility) criteria|inclusion criteria|criterios de (?:elegibilidad|inclusión))\b/i },
+      { id: '6', section: 'Métodos', requirement: 'Fuentes de información y fecha de la última búsqueda', pattern: /\b(?:MEDLINE|PubMed|Embase|CENTRAL|Scopus|Web of Science|LILACS)\b/ },
+      { id: '7', section: 'Métodos', requirement: 'Estrategia de búsqueda completa de al menos una base de datos', pattern: /\b(?:search strategy|search terms|MeSH|estrategia de búsqueda|términos de búsqueda)\b/i },
+      { id: '8', section: 'Métodos', requirement: 'Proceso de selección de estudios (revisores independientes)', pattern: /\b(?:two (?:independent )?reviewers|independently screened|screened (?:titles|records)|dos revisores|de forma independiente)\b/i },
+      { id: '9', section: 'Métodos', requirement: 'Proceso de extracción de datos', pattern: /\b(?:data extraction|extracted data|standardi[sz]ed (?:form|sheet)|extracción de datos)\b/i },
+      { id: '10', section: 'Métodos', requirement: 'Desenlaces y otras variables buscadas', pattern: /\b(?:primary outcome|outcomes? of interest|desenlace principal|variables de resultado)\b/i },
+      { id: '11', section: 'Métodos', requirement: 'Evaluación del riesgo de sesgo de los estudios incluidos', pattern: /\b(?:risk of bias|RoB ?2|ROBINS|Newcastle[- ]Ottawa|QUADAS|riesgo de sesgo)\b/i },
+      { id: '12', section: 'Métodos', requirement: 'Medidas del efecto utilizadas', pattern: /\b(?:risk ratio|odds ratio|mean difference|hazard ratio|standardi[sz]ed mean|diferencia de medias)\b/i },
+      { id: '13', section: 'Métodos', requirement: 'Métodos de síntesis (modelo, heterogeneidad, análisis de sensibilidad)', pattern: /\b(?:random[- ]effects|fixed[- ]effect|DerSimonian|I\s?[²2]|heterogene(?:ity|idad)|efectos aleatorios)\b/i },
+      { id: '14', section: 'Métodos', requirement: 'Evaluación del sesgo de reporte (publicación)', pattern: /\b(?:publication bias|funnel plot|Egger|sesgo de publicación|gráfico de embudo)\b/i },
+      { id: '15', section: 'Métodos', requirement: 'Evaluación de la certeza de la evidencia', pattern: /\b(?:GRADE|certainty of (?:the )?evidence|quality of (?:the )?evidence|certeza de la evidencia|calidad de la evidencia)\b/i },
+      { id: '16', section: 'Resultados', requirement: 'Selección de estudios: resultados de la búsqueda y diagrama de flujo', pattern: /\b(?:flow diagram|records (?:were )?identified|full[- ]text articles|registros identificados|diagrama de flujo)\b/i },
+      { id: '17', section: 'Resultados', requirement: 'Características de los estudios incluidos', pattern: /\b(?:characteristics of (?:the )?included studies|included studies|estudios incluidos)\b/i },
+      { id: '18', section: 'Resultados', requirement: 'Riesgo de sesgo de cada estudio incluido', pattern: /\b(?:(?:low|high|unclear) risk of bias|some concerns|(?:bajo|alto) riesgo de sesgo)\b/i },
+      { id: '19', section: 'Resultados', requirement: 'Resultados de cada estudio (estadísticos y estimación con su precisión)', pattern: /\bforest plot\b|\bgráfico de bosque\b/i },
+      { id: '20', section: 'Resultados', requirement: 'Resultados de las síntesis (estimación agrupada, IC, heterogeneidad)', pattern: /\b(?:pooled|overall effect|95% ?CI|estimación (?:agrupada|combinada)|IC (?:del )?95 ?%)\b/i },
+      { id: '21', section: 'Resultados', requirement: 'Sesgos de reporte en cada síntesis', pattern: /\b(?:funnel plot|Egger'?s? test|publication bias|sesgo de publicación)\b/i },
+      { id: '22', section: 'Resultados', requirement: 'Certeza de la evidencia de cada desenlace', pattern: /\b(?:(?:high|moderate|low|very low)[- ]certainty|certeza (?:alta|moderada|baja|muy baja)|summary of findings)\b/i },
+      { id: '23', section: 'Discusión', requirement: 'Interpretación, limitaciones de la evidencia y del proceso, implicaciones', pattern: /\b(?:limitations?|implications?|limitaciones?|implicaciones?)\b/i },
+      { id: '24', section: 'Otra información', requirement: 'Registro y protocolo (p. ej. PROSPERO)', pattern: /\b(?:PROSPERO|CRD\d{6,}|registered|protocol|registrad[oa]|protocolo)\b/i },
+      { id: '25', section: 'Otra información', requirement: 'Fuentes de financiación', pattern: /\b(?:funded by|funding|supported by|financiado|financiación)\b/i },
+      { id: '26', section: 'Otra información', requirement: 'Conflictos de interés de los autores', pattern: /\b(?:competing interests?|conflicts? of interest|disclosures?|conflictos? de inter[ée]s)\b/i },
+      { id: '27', section: 'Otra información', requirement: 'Disponibilidad de datos, código y otros materiales', pattern: /\b(?:data (?:are|is) available|data availability|code (?:is )?available|disponibilidad de (?:los )?datos)\b/i }
+    ]
+  }
+};
+
+/**
+ * Lista de verificación aplicable a un tipo de estudio
+ * @param {string} studyType - Tipo de estudio (utils/studyClassifier.js)
+ * @returns {Object|null} - { key, name, description, items } o null si no hay lista
+ */
+export function getChecklistForStudyType(studyType) {
+  const entry = Object.entries(CHECKLISTS).find(([, checklist]) => checklist.studyTypes.includes(studyType));
+  return entry ? { key: entry[0], ...entry[1] } : null;
+}
+
+/**
+ * Fragmento del texto alrededor de una coincidencia
+ * @param {string} text
+ * @param {number} index - Posición de la coincidencia
+ * @returns {string}
+ */
+function snippetAround(text, index) {
+  // Whole words only: skip the partial word at each end of the window
+  let start = Math.max(0, index - 40);
+  if (start > 0) {
+    const gap = text.slice(start, index).search(/\s/);
+    start = gap === -1 ? index : start + gap + 1;
+  }
+  const window = text.slice(start, start + EVIDENCE_CHARS);
+  const end = start + EVIDENCE_CHARS < text.length ? window.search(/\s\S*$/) : -1;
+  return (end > 0 ? window.slice(0, end) : window).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Busca evidencia de cada ítem en el texto (sin IA)
+ * Una palabra clave no confirma que el ítem esté reportado, ni su ausencia
+ * que falte: todos quedan "incierto", y el texto encontrado se adjunta como
+ * posible evidencia.
+ *
+ * @param {Object} checklist - Lista de getChecklistForStudyType
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @returns {Array} - [{ id, status: 'unclear', evidence, pages, source: 'heuristic', note? }]
+ */
+export function findChecklistEvidence(checklist, pages) {
+  return checklist.items.map(item => {
+    for (const page of pages) {
+      const match = (page.text || '').match(item.pattern);
+      if (match) {
+        return {
+          id: item.id,
+          status: 'unclear',
+          evidence: snippetAround(page.text, match.index),
+          pages: [page.pageNumber],
+          source: 'heuristic',
+          note: 'Posible mención encontrada por búsqueda en el texto, sin confirmar'
+        };
+      }
+    }
+    return {
+      id: item.id,
+      status: 'unclear',
+      evidence: '',
+      pages: [],
+      source: 'heuristic'
+    };
+  });
+}
+
+/**
+ * Combina la evaluación de la IA con la evidencia encontrada en el texto
+ * - Ítems que la IA no evaluó → incierto, con la posible evidencia del texto
+ * - "Reportado" sin página válida → incierto
+ * - "No reportado" cuando el texto sí contiene el patrón → incierto
+ * - evidenceVerified indica si la cita de la IA aparece en las páginas
+ *   citadas (siempre false para la búsqueda en el texto)
+ *
+ * @param {Object} checklist - Lista de getChecklistForStudyType
+ * @param {Array|null} llmItems - [{ id, estado, evidencia, paginas }] o null si la IA falló
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @returns {Object} - { checklist, name, description, items, stats }
+ */
+export function buildAppraisal(checklist, llmItems, pages) {
+  const heuristic = new Map(findChecklistEvidence(checklist, pages).map(item => [item.id, item]));
+  const answers = new Map((llmItems || []).map(answer => [String(answer.id), answer]));
+  const pageTexts = new Map(pages.map(page => [page.pageNumber, page.text || '']));
+
+  const items = checklist.items.map(item => {
+    const found = heuristic.get(item.id);
+    const answer = answers.get(item.id);
+    const base = {
+      id: item.id,
+      section: item.section,
+      requirement: item.requirement
+    };
+
+    const status = answer && STATUS_ALIASES[answer.estado];
+    if (!status) {
+      return {
+        ...base,
+        ...found,
+        evidenceVerified: false
+      };
+    }
+
+    const citedPages = (Array.isArray(answer.paginas) ? answer.paginas : [answer.paginas])
+      .map(Number)
+      .filter(pageNumber => pageTexts.has(pageNumber));
+    const evidence = String(answer.evidencia || '').slice(0, EVIDENCE_CHARS);
+    const entry = {
+      ...base,
+      status,
+      evidence,
+      pages: citedPages,
+      source: 'llm',
+      evidenceVerified: citedPages.length > 0 && quoteOccursIn(evidence, citedPages, pageTexts)
+    };
+
+    if (status === 'reported' && citedPages.length === 0) {
+      entry.status = 'unclear';
+      entry.note = 'La IA lo da por reportado sin indicar una página válida';
+    } else if (status === 'not_reported' && found.evidence) {
+      entry.status = 'unclear';
+      entry.evidence = found.evidence;
+      entry.pages = found.pages;
+      entry.note = 'La IA no lo encontró, pero el texto contiene una posible mención';
+    }
+    return entry;
+  });
+
+  const count = status => items.filter(item => item.status === status).length;
+  const stats = {
+    total: items.length,
+    reported: count('reported'),
+    notReported: count('not_reported'),
+    unclear: count('unclear'),
+    evaluatedByLLM: items.filter(item => item.source === 'llm').length
+  };
+  stats.adherence = stats.total > 0 ? Math.round((stats.reported / stats.total) * 100) / 100 : 0;
+
+  return {
+    checklist: checklist.key,
+    name: checklist.name,
+    description: checklist.description,
+    items,
+    stats
+  };
+}
+
+/**
+ * Markdown de la evaluación crítica (nodo del árbol y exportaciones)
+ * La evidencia lleva su página como (p. X) para enlazarla en el visor.
+ *
+ * @param {Object} appraisal - Resultado de buildAppraisal
+ * @returns {string}
+ */
+export function buildAppraisalMarkdown(appraisal) {
+  const { stats } = appraisal;
+  let md = `# 🧐 Evaluación crítica: ${appraisal.name}\n\n`;
+  md += `> ${appraisal.description}. Evalúa la calidad del **reporte** del artículo, no el riesgo de sesgo.\n\n`;
+  md += `**Cumplimiento:** ${stats.reported} de ${stats.total} ítems reportados (${Math.round(stats.adherence * 100)}%)`;
+  md += ` • ${stats.notReported} no reportados • ${stats.unclear} inciertos\n\n`;
+  if (stats.evaluatedByLLM < stats.total) {
+    md += `*${stats.total - stats.evaluatedByLLM} ítems evaluados solo por búsqueda en el texto.*\n\n`;
+  }
+
+  const sections = [...new Set(appraisal.items.map(item => item.section))];
+  for (const section of sections) {
+    md += `## ${section}\n\n| Ítem | Requisito | Estado | Evidencia |\n|---|---|---|---|\n`;
+    appraisal.items
+      .filter(item => item.section === section)
+      .forEach(item => {
+        const pages = item.pages.length > 0 ? ` (p. ${item.pages.join(', ')})` : '';
+        const evidence = item.evidence ? `"${escapeCell(item.evidence)}"${pages}` : '—';
+        const warnings = [
+          item.status === 'reported' && !item.evidenceVerified ? '⚠️ cita no encontrada en la página' : '',
+          item.note || ''
+        ].filter(Boolean).join('; ');
+        md += `| ${item.id} | ${escapeCell(item.requirement)} | ${APPRAISAL_STATUS[item.status]} | ${evidence}${warnings ? ` *(${escapeCell(warnings)})*` : ''} |\n`;
+      });
+    md += '\n';
+  }
+
+  return md;
+}
+
+export default {
+  APPRAISAL_STATUS,
+  CHECKLISTS,
+  getChecklistForStudyType,
+  findChecklistEvidence,
+  buildAppraisal,
+  buildAppraisalMarkdown
+};
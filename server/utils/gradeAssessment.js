@@ -0,0 +1,341 @@
+/**
+ * GRADE Assessment - Resumen de Hallazgos y Certeza de la Evidencia
+ *
+ * Tabla al estilo "Summary of findings" a partir del resumen IMRyD
+ * estructurado (modo v2):
+ * - Un desenlace por cada metodos.outcomes_primarios, emparejado con su
+ *   hallazgo de resultados.hallazgos_principales (efecto, IC, página)
+ * - Certeza GRADE: parte del diseño (ensayos → alta, observacionales → baja)
+ *   y baja por riesgo de sesgo (utils/riskOfBias.js), inconsistencia e
+ *   imprecisión; sube por efecto grande en estudios observacionales
+ * - La evidencia indirecta y el sesgo de publicación no se pueden juzgar
+ *   desde el resumen: se marcan como no evaluados
+ */
+
+import {
+  NOT_SPECIFIED
+} from './prompts.js';
+import {
+  escapeCell
+} from './tableExtractor.js';
+
+export const CERTAINTY_LEVELS = {
+  4: { key: 'high', label: 'Alta', symbols: '⊕⊕⊕⊕' },
+  3: { key: 'moderate', label: 'Moderada', symbols: '⊕⊕⊕◯' },
+  2: { key: 'low', label: 'Baja', symbols: '⊕⊕◯◯' },
+  1: { key: 'very_low', label: 'Muy baja', symbols: '⊕◯◯◯' }
+};
+
+export const GRADE_DOMAINS = {
+  risk_of_bias: 'Riesgo de sesgo',
+  inconsistency: 'Inconsistencia',
+  indirectness: 'Evidencia indirecta',
+  imprecision: 'Imprecisión',
+  publication_bias: 'Sesgo de publicación',
+  large_effect: 'Efecto grande'
+};
+
+// Starting certainty by study type; types without an entry are not graded
+const STARTING_CERTAINTY = {
+  rct: { level: 4, reason: 'ensayo clínico aleatorizado' },
+  systematic_review: { level: 4, reason: 'revisión sistemática (se asume que incluye ensayos aleatorizados)' },
+  other: { level: 2, reason: 'estudio observacional' }
+};
+
+// Risk-of-bias judgements that lower the certainty (levels)
+const RISK_OF_BIAS_DOWNGRADE = {
+  high: 1,
+  serious: 1,
+  poor: 1,
+  critical: 2
+};
+
+// Rule-of-thumb optimal information size (total participants)
+const OPTIMAL_INFORMATION_SIZE = 400;
+// Heterogeneity (I²) from which a pooled estimate is inconsistent
+const INCONSISTENCY_I2 = 50;
+
+const NUMBER = '(-?\\d+(?:[.,]\\d+)?)';
+const RANGE_SEPARATOR = '\\s*(?:–|—|-|to|a|,\\s|;)\\s*';
+const RATIO_MEASURE = new RegExp(`\\b(a?HR|RR|a?OR|IRR|hazard ratio|odds ratio|risk ratio|riesgo relativo|raz[óo]n de (?:riesgos|momios|probabilidades|tasas))\\b[^\\d-]*${NUMBER}`, 'i');
+const DIFFERENCE_MEASURE = new RegExp(`\\b(S?MD|RD|ARR|RAR|mean difference|risk difference|diferencia(?: de medias| de riesgos)?|reducci[óo]n absoluta)\\b[^\\d-]*${NUMBER}`, 'i');
+const LABELLED_CI = new RegExp(`\\b(?:CI|IC)\\b\\s*(?:del\\s*)?(?:9[059]\\s*%)?\\s*[:,]?\\s*${NUMBER}${RANGE_SEPARATOR}${NUMBER}`, 'i');
+const BARE_RANGE = new RegExp(`${NUMBER}${RANGE_SEPARATOR}${NUMBER}`);
+const I_SQUARED = /\bI\s?[²2]\s*[=:]?\s*(\d+(?:[.,]\d+)?)\s*%/i;
+
+/**
+ * Número con coma o punto decimal
+ * @param {string} text
+ * @returns {number}
+ */
+function parseNumber(text) {
+  return parseFloat(String(text).replace(',', '.'));
+}
+
+/**
+ * Texto útil de un campo (null si está vacío o "No especificado")
+ * @param {*} value
+ * @returns {string|null}
+ */
+function cleanText(value) {
+  const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+  return text && text !== NOT_SPECIFIED ? text : null;
+}
+
+/**
+ * Medida y estimación puntual del efecto ("HR 0.74", "MD -2,1")
+ * @param {string} text - Valor del hallazgo
+ * @returns {Object} - { measure: 'ratio'|'difference'|null, estimate: number|null }
+ */
+export function parseEffect(text) {
+  const value = String(text || '');
+  const ratio = value.match(RATIO_MEASURE);
+  if (ratio) return { measure: 'ratio', estimate: parseNumber(ratio[2]) };
+  const difference = value.match(DIFFERENCE_MEASURE);
+  if (difference) return { measure: 'difference', estimate: parseNumber(difference[2]) };
+  const number = value.match(new RegExp(NUMBER));
+  return { measure: null, estimate: number ? parseNumber(number[1]) : null };
+}
+
+/**
+ * Límites de un intervalo de confianza ("0.65-0.85", "IC 95%: 0,65 a 0,85")
+ * @param {string} text - Intervalo, o valor con el intervalo dentro
+ * @param {boolean} [labelled] - Exigir la etiqueta IC/CI (texto del valor)
+ * @returns {Object|null} - { lower, upper }
+ */
+export function parseConfidenceInterval(text, labelled = false) {
+  const value = String(text || '');
+  const match = value.match(LABELLED_CI) ||
+    (labelled ? null : value.replace(/9[059]\s*%/g, '').match(BARE_RANGE));
+  if (!match) return null;
+  const bounds = [parseNumber(match[1]), parseNumber(match[2])].sort((a, b) => a - b);
+  return { lower: bounds[0], upper: bounds[1] };
+}
+
+/**
+ * Número de participantes de un texto ("1.250 pacientes", "n = 240")
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseParticipants(text) {
+  const match = String(text || '').match(/\d{1,3}(?:[.,\s]\d{3})+(?![.,]?\d)|\d+/);
+  return match ? parseInt(match[0].replace(/[.,\s]/g, ''), 10) : null;
+}
+
+/**
+ * Palabras significativas para emparejar desenlaces y hallazgos
+ * @param {string} text
+ * @returns {Set<string>}
+ */
+function keywords(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .match(/[a-z]{4,}/g) || [];
+  return new Set(words);
+}
+
+/**
+ * Hallazgo que mejor corresponde a un desenlace (más palabras en común)
+ * @param {string} outcome - Desenlace primario
+ * @param {Array} findings - resultados.hallazgos_principales
+ * @returns {Object|null}
+ */
+function matchFinding(outcome, findings) {
+  const outcomeWords = keywords(outcome);
+  let best = null;
+  let bestScore = 0;
+  for (const finding of findings) {
+    const findingWords = keywords(finding.descripcion);
+    const score = [...outcomeWords].filter(word => findingWords.has(word)).length;
+    if (score > bestScore) {
+      best = finding;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+/**
+ * Valoración GRADE de un desenlace
+ * @param {Object} row - Desenlace con efecto, IC y participantes
+ * @param {Object} context - { start, studyType, riskOfBias }
+ * @returns {Object} - { certainty, downgrades, upgrades, notAssessed }
+ */
+function gradeOutcome(row, { start, studyType, riskOfBias }) {
+  const downgrades = [];
+  const upgrades = [];
+  const notAssessed = ['indirectness', 'publication_bias'];
+  const add = (list, domain, levels, reason) => list.push({ domain, label: GRADE_DOMAINS[domain], levels, reason });
+
+  const biasLevels = riskOfBias ? RISK_OF_BIAS_DOWNGRADE[riskOfBias.overall] || 0 : 0;
+  if (!riskOfBias) {
+    notAssessed.unshift('risk_of_bias');
+  } else if (biasLevels > 0) {
+    add(downgrades, 'risk_of_bias', biasLevels, `${riskOfBias.name}: riesgo global ${riskOfBias.overallLabel.toLowerCase()}`);
+  }
+
+  if (studyType === 'systematic_review') {
+    const heterogeneity = `${row.finding || ''} ${row.effect || ''}`.match(I_SQUARED);
+    if (heterogeneity && parseNumber(heterogeneity[1]) >= INCONSISTENCY_I2) {
+      add(downgrades, 'inconsistency', 1, `heterogeneidad I² = ${heterogeneity[1]}%`);
+    }
+  }
+
+  const imprecision = [];
+  if (!row.ci) {
+    imprecision.push('sin intervalo de confianza');
+  } else if (row.crossesNull) {
+    imprecision.push(`el IC incluye ${row.measure === 'ratio' ? '1' : '0'} (sin efecto)`);
+  }
+  if (row.participants !== null && row.participants < OPTIMAL_INFORMATION_SIZE) {
+    imprecision.push(`muestra pequeña (${row.participants} < ${OPTIMAL_INFORMATION_SIZE})`);
+  }
+  if (imprecision.length > 0) {
+    add(downgrades, 'imprecision', imprecision.length, imprecision.join('; '));
+  }
+
+  // Observational evidence can be rated up for a large, precise effect
+  if (start.level === 2 && downgrades.length === 0 && row.measure === 'ratio' && row.ci && !row.crossesNull) {
+    const magnitude = row.estimate >= 1 ? row.estimate : 1 / row.estimate;
+    if (magnitude >= 2) {
+      add(upgrades, 'large_effect', magnitude >= 5 ? 2 : 1, `efecto ${magnitude >= 5 ? 'muy ' : ''}grande (${row.effect})`);
+    }
+  }
+
+  const total = (list) => list.reduce((sum, entry) => sum + entry.levels, 0);
+  const level = Math.min(4, Math.max(1, start.level - total(downgrades) + total(upgrades)));
+  return {
+    certainty: CERTAINTY_LEVELS[level].key,
+    certaintyLabel: CERTAINTY_LEVELS[level].label,
+    certaintyLevel: level,
+    downgrades,
+    upgrades,
+    notAssessed
+  };
+}
+
+/**
+ * Construye el resumen de hallazgos con la certeza GRADE de cada desenlace
+ * primario. Sin desenlaces primarios se usan los hallazgos principales.
+ *
+ * @param {Object|null} imryd - Resumen IMRyD estructurado (modo v2)
+ * @param {Object} studyType - Resultado de resolveStudyType
+ * @param {Object|null} [riskOfBias] - Resultado de buildRiskOfBias
+ * @returns {Object|null} - { studyType, startingCertainty, outcomes, stats } o null
+ *   si no hay IMRyD, el diseño no se gradúa o no hay hallazgos
+ */
+export function buildGradeSummary(imryd, studyType, riskOfBias = null) {
+  const start = STARTING_CERTAINTY[studyType.type];
+  if (!imryd || !start) return null;
+
+  const methods = imryd.metodos || {};
+  const results = imryd.resultados || {};
+  const findings = (Array.isArray(results.hallazgos_principales) ? results.hallazgos_principales : [])
+    .filter(finding => finding && cleanText(finding.descripcion));
+  if (findings.length === 0) return null;
+
+  const primary = (Array.isArray(methods.outcomes_primarios) ? methods.outcomes_primarios : [])
+    .map(cleanText)
+    .filter(Boolean);
+  const participants = parseParticipants(cleanText(results.participantes_analizados)) ??
+    parseParticipants(cleanText(methods.tamano_muestra));
+
+  const rows = (primary.length > 0 ? primary : findings.map(finding => finding.descripcion)).map(outcome => {
+    const finding = primary.length > 0 ? matchFinding(outcome, findings) : findings.find(entry => entry.descripcion === outcome);
+    if (!finding) {
+      return {
+        outcome,
+        finding: null,
+        certainty: null,
+        certaintyLabel: 'No evaluable',
+        downgrades: [],
+        upgrades: [],
+        notAssessed: []
+      };
+    }
+
+    const effect = cleanText(finding.valor);
+    const ciText = cleanText(finding.intervalo_confianza);
+    const ci = ciText ? parseConfidenceInterval(ciText) : parseConfidenceInterval(effect, true);
+    const { measure, estimate } = parseEffect(effect);
+    const nullValue = measure === 'ratio' ? 1 : 0;
+    const row = {
+      outcome,
+      finding: finding.descripcion,
+      effect,
+      measure,
+      estimate,
+      ci: ci ? { text: ciText, ...ci } : null,
+      crossesNull: ci && measure ? ci.lower <= nullValue && ci.upper >= nullValue : null,
+      pValue: cleanText(finding.valor_p),
+      participants,
+      page: Number.isInteger(finding.pagina_referencia) ? finding.pagina_referencia : null
+    };
+    return { ...row, ...gradeOutcome(row, { start, studyType: studyType.type, riskOfBias }) };
+  });
+
+  const graded = rows.filter(row => row.certainty);
+  return {
+    studyType: studyType.type,
+    startingCertainty: CERTAINTY_LEVELS[start.level].key,
+    startingReason: start.reason,
+    outcomes: rows,
+    fromPrimaryOutcomes: primary.length > 0,
+    stats: {
+      outcomes: rows.length,
+      graded: graded.length,
+      downgraded: graded.filter(row => row.downgrades.length > 0).length
+    }
+  };
+}
+
+/**
+ * Markdown del resumen de hallazgos (nodo del árbol y exportaciones)
+ * @param {Object} grade - Resultado de buildGradeSummary
+ * @returns {string}
+ */
+export function buildGradeMarkdown(grade) {
+  const start = Object.values(CERTAINTY_LEVELS).find(level => level.key === grade.startingCertainty);
+  let md = '# 📈 Resumen de hallazgos (GRADE)\n\n';
+  md += `> Certeza inicial: **${start.label}** (${grade.startingReason}). `;
+  md += 'Valoración automática a partir del resumen estructurado: la evidencia indirecta y el sesgo de publicación no se evalúan.\n\n';
+  if (!grade.fromPrimaryOutcomes) {
+    md += '*El artículo no especifica desenlaces primarios: se muestran los hallazgos principales.*\n\n';
+  }
+
+  md += '| Desenlace | Efecto (IC 95%) | Participantes | Certeza | Motivos |\n|---|---|---|---|---|\n';
+  grade.outcomes.forEach(row => {
+    if (!row.certainty) {
+      md += `| ${escapeCell(row.outcome)} | Sin resultado en el resumen | — | ${row.certaintyLabel} | — |\n`;
+      return;
+    }
+    const level = CERTAINTY_LEVELS[row.certaintyLevel];
+    const ci = row.ci && row.ci.text ? ` (IC ${row.ci.text})` : '';
+    const pValue = row.pValue ? `, ${row.pValue}` : '';
+    const page = row.page ? ` (p. ${row.page})` : '';
+    const reasons = [
+      ...row.downgrades.map(entry => `↓${entry.levels > 1 ? entry.levels : ''} ${entry.label}: ${entry.reason}`),
+      ...row.upgrades.map(entry => `↑${entry.levels > 1 ? entry.levels : ''} ${entry.label}: ${entry.reason}`)
+    ];
+    md += `| ${escapeCell(row.outcome)} | ${escapeCell(`${row.effect || '—'}${ci}${pValue}`)}${page} | ${row.participants ?? '—'} | ` +
+      `${level.symbols} ${level.label} | ${escapeCell(reasons.join('; ')) || 'Sin motivos para bajar la certeza'} |\n`;
+  });
+
+  const notAssessed = [...new Set(grade.outcomes.flatMap(row => row.notAssessed))];
+  if (notAssessed.length > 0) {
+    md += `\n*No evaluado: ${notAssessed.map(domain => GRADE_DOMAINS[domain].toLowerCase()).join(', ')}.*\n`;
+  }
+
+  return md;
+}
+
+export default {
+  CERTAINTY_LEVELS,
+  GRADE_DOMAINS,
+  parseEffect,
+  parseConfidenceInterval,
+  buildGradeSummary,
+  buildGradeMarkdown
+};
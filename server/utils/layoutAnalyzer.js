@@ -0,0 +1,369 @@
+/**
+ * Layout Analyzer - Orden de Lectura por Maquetación
+ *
+ * Reconstruye el texto de una página a partir de las posiciones (X/Y) de
+ * los fragmentos de pdf.js, en lugar de unirlos solo por coordenada Y
+ * (lo que intercala las columnas de un artículo a dos columnas):
+ * - Agrupa los fragmentos en líneas y detecta el medianil entre columnas
+ * - Las líneas que cruzan el medianil (título, autores, tablas anchas)
+ *   dividen la página en bandas; en cada banda se lee columna a columna
+ * - Separa recuadros (bloques con letra menor dentro del cuerpo) y notas
+ *   al pie (letra menor en la parte inferior) y los emite al final
+ * - Anota las líneas cortas con otra fuente o letra mayor que el cuerpo
+ *   (negritas, títulos de apartado) para la detección de subsecciones
+ *
+ * Coordenadas de pdf.js: origen abajo a la izquierda (Y crece hacia arriba).
+ */
+
+// A gutter must be at least this wide (fraction of page width)
+const MIN_GUTTER_RATIO = 0.02;
+// ...and lie in the central band of the page
+const GUTTER_SEARCH_RANGE = [0.3, 0.7];
+// Minimum lines on each side to call a page two-column
+const MIN_COLUMN_LINES = 3;
+// Column lines are long: table cells separated by a gap are not columns
+const MIN_COLUMN_WIDTH_RATIO = 0.25;
+// Lines smaller than this fraction of the body font are "small print"
+const SMALL_FONT_RATIO = 0.85;
+// Footnotes live in the bottom part of the page
+const FOOTNOTE_ZONE_RATIO = 0.25;
+// Consecutive small-print lines needed to call a block a side box
+const MIN_BOX_LINES = 2;
+// Lines at least this much larger than the body font are display text
+const LARGE_FONT_RATIO = 1.15;
+// Styled lines longer than this are emphasised prose, not headings
+const MAX_STYLED_LINE_CHARS = 80;
+
+/**
+ * Normaliza los fragmentos de texto de pdf.js
+ * @param {Array} items - textContent.items ({ str, transform, width, height, fontName })
+ * @returns {Array} - [{ str, x, y, width, fontSize, fontName }]
+ */
+export function normalizeTextItems(items) {
+  return (items || [])
+    .filter(item => item && typeof item.str === 'string' && item.str.length > 0 && Array.isArray(item.transform))
+    .map(item => {
+      const fontSize = Math.abs(item.transform[3]) || Math.abs(item.transform[0]) || item.height || 10;
+      return {
+        str: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width || item.str.length * fontSize * 0.5,
+        fontSize,
+        fontName: item.fontName || null
+      };
+    });
+}
+
+/**
+ * Agrupa fragmentos en líneas (misma Y dentro de una tolerancia), de arriba abajo
+ * Fragmentos de la misma altura separados por un hueco grande (p. ej. las dos
+ * columnas) quedan en líneas distintas.
+ *
+ * @param {Array} items - Fragmentos normalizados
+ * @returns {Array} - [{ text, x, xEnd, y, fontSize, fontName }] fontName es null
+ *   si la línea mezcla fuentes
+ */
+export function groupIntoLines(items) {
+  const sorted = [...items].sort((a, b) => (b.y - a.y) || (a.x - b.x));
+  const rows = [];
+
+  for (const item of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= Math.max(row.fontSize, item.fontSize) * 0.5) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  const lines = [];
+  for (const row of rows) {
+    row.items.sort((a, b) => a.x - b.x);
+
+    let current = null;
+    for (const item of row.items) {
+      const gap = current ? item.x - current.xEnd : 0;
+      // A gap wider than a word space means a new segment (another column)
+      if (!current || gap > item.fontSize * 1.2) {
+        current = {
+          text: item.str,
+          x: item.x,
+          xEnd: item.x + item.width,
+          y: row.y,
+          fontSize: item.fontSize,
+          fontName: item.fontName
+        };
+        lines.push(current);
+        continue;
+      }
+
+      // Whitespace-only items carry no style
+      if (item.str.trim() && item.fontName !== current.fontName) {
+        current.fontName = null;
+      }
+
+      const needsSpace = gap > item.fontSize * 0.15 && !/\s$/.test(current.text) && !/^\s/.test(item.str);
+      current.text += (needsSpace ? ' ' : '') + item.str;
+      current.xEnd = Math.max(current.xEnd, item.x + item.width);
+      current.fontSize = Math.max(current.fontSize, item.fontSize);
+    }
+  }
+
+  return lines.filter(line => line.text.trim().length > 0);
+}
+
+/**
+ * Tamaño de letra del cuerpo: el más frecuente ponderado por caracteres
+ * @param {Array} lines - Líneas
+ * @returns {number}
+ */
+function getBodyFontSize(lines) {
+  const weights = new Map();
+  for (const line of lines) {
+    const size = Math.round(line.fontSize * 2) / 2;
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  }
+
+  let bodySize = 0;
+  let bestWeight = -1;
+  for (const [size, weight] of weights) {
+    if (weight > bestWeight) {
+      bodySize = size;
+      bestWeight = weight;
+    }
+  }
+  return bodySize;
+}
+
+/**
+ * Fuente del cuerpo: la más frecuente ponderada por caracteres
+ * @param {Array} lines - Líneas
+ * @returns {string|null}
+ */
+function getBodyFontName(lines) {
+  const weights = new Map();
+  for (const line of lines) {
+    if (!line.fontName) continue;
+    weights.set(line.fontName, (weights.get(line.fontName) || 0) + line.text.length);
+  }
+
+  let bodyFont = null;
+  let bestWeight = -1;
+  for (const [fontName, weight] of weights) {
+    if (weight > bestWeight) {
+      bodyFont = fontName;
+      bestWeight = weight;
+    }
+  }
+  return bodyFont;
+}
+
+/**
+ * Líneas cortas con estilo propio: otra fuente que el cuerpo (negrita,
+ * cursiva) sin ser letra pequeña, o letra claramente mayor
+ * @param {Array} lines - Líneas del cuerpo
+ * @param {number} bodyFontSize - Tamaño de letra del cuerpo
+ * @returns {string[]} - Textos de las líneas, de arriba abajo
+ */
+function findStyledLines(lines, bodyFontSize) {
+  const bodyFont = getBodyFontName(lines);
+  return lines
+    .filter(line => {
+      const text = line.text.trim();
+      if (!text || text.length > MAX_STYLED_LINE_CHARS) return false;
+      const isLarger = line.fontSize >= bodyFontSize * LARGE_FONT_RATIO;
+      const isOtherFont = bodyFont !== null && line.fontName !== null && line.fontName !== bodyFont &&
+        line.fontSize >= bodyFontSize * SMALL_FONT_RATIO;
+      return isLarger || isOtherFont;
+    })
+    .map(line => line.text.trim());
+}
+
+/**
+ * Busca el medianil: la franja vertical central que ninguna línea cruza
+ * @param {Array} lines - Líneas
+ * @param {number} pageWidth - Ancho de la página
+ * @returns {number|null} - X del centro del medianil, o null si es una columna
+ */
+export function findGutter(lines, pageWidth) {
+  if (!pageWidth || lines.length < MIN_COLUMN_LINES * 2) return null;
+
+  const [from, to] = GUTTER_SEARCH_RANGE.map(ratio => ratio * pageWidth);
+  const minWidth = MIN_GUTTER_RATIO * pageWidth;
+  const step = Math.max(1, pageWidth / 200);
+
+  // Coverage of each X slot by lines (lines that cross it)
+  let best = null;
+  let runStart = null;
+  for (let x = from; x <= to + step; x += step) {
+    const crossing = x <= to && lines.filter(line => line.x < x && line.xEnd > x).length;
+    // A few crossings are allowed: full-width titles and wide tables
+    const isGap = x <= to && crossing <= Math.max(1, lines.length * 0.15);
+
+    if (isGap && runStart === null) runStart = x;
+    if (!isGap && runStart !== null) {
+      const width = x - runStart;
+      if (width >= minWidth && (!best || width > best.width)) {
+        best = { start: runStart, width };
+      }
+      runStart = null;
+    }
+  }
+
+  if (!best) return null;
+
+  const gutterX = best.start + best.width / 2;
+  const isColumn = (columnLines) => {
+    if (columnLines.length < MIN_COLUMN_LINES) return false;
+    const widths = columnLines.map(line => line.xEnd - line.x).sort((a, b) => a - b);
+    return widths[Math.floor(widths.length / 2)] >= pageWidth * MIN_COLUMN_WIDTH_RATIO;
+  };
+
+  const left = lines.filter(line => line.xEnd <= gutterX);
+  const right = lines.filter(line => line.x >= gutterX);
+  return isColumn(left) && isColumn(right) ? gutterX : null;
+}
+
+/**
+ * Une líneas en texto, de arriba abajo
+ * @param {Array} lines
+ * @returns {string}
+ */
+function joinLines(lines) {
+  return lines
+    .sort((a, b) => b.y - a.y)
+    .map(line => line.text.trim())
+    .join('\n');
+}
+
+/**
+ * Ordena una página en orden de lectura
+ *
+ * @param {Array} items - textContent.items de pdf.js
+ * @param {Array} [view] - pageData.view [x0, y0, x1, y1] (tamaño de página)
+ * @returns {Object} - { text, layout: { columns, gutterX, bodyFontSize,
+ *   fullWidthLines, boxes, footnotes, styledLines } }
+ */
+export function buildPageText(items, view) {
+  const normalized = normalizeTextItems(items);
+  const lines = groupIntoLines(normalized);
+
+  const pageWidth = view ? view[2] - view[0] : Math.max(0, ...lines.map(line => line.xEnd));
+  const pageBottom = view ? view[1] : Math.min(0, ...lines.map(line => line.y));
+  const pageHeight = view ? view[3] - view[1] : Math.max(0, ...lines.map(line => line.y)) - pageBottom;
+
+  const layout = {
+    columns: 1,
+    gutterX: null,
+    bodyFontSize: getBodyFontSize(lines),
+    fullWidthLines: 0,
+    boxes: 0,
+    footnotes: 0,
+    styledLines: []
+  };
+
+  if (lines.length === 0) {
+    return { text: '', layout };
+  }
+
+  // Small print at the bottom of the page → footnotes
+  const isSmall = line => line.fontSize < layout.bodyFontSize * SMALL_FONT_RATIO;
+  const footnoteLimit = pageBottom + pageHeight * FOOTNOTE_ZONE_RATIO;
+  const footnotes = [];
+  const body = [];
+
+  // Footnotes: the small-print lines below the last body line of the page
+  // (page numbers and other very short lines do not count as body)
+  const lowestBodyY = Math.min(...lines
+    .filter(line => !isSmall(line) && line.text.trim().length > 4)
+    .map(line => line.y));
+  for (const line of lines) {
+    if (isSmall(line) && line.y < footnoteLimit && line.y < lowestBodyY) {
+      footnotes.push(line);
+    } else {
+      body.push(line);
+    }
+  }
+
+  const gutterX = findGutter(body, pageWidth);
+  const crossesGutter = line => gutterX !== null && line.x < gutterX && line.xEnd > gutterX;
+
+  // Bands separated by full-width lines; within a band, left column then right
+  const ordered = [...body].sort((a, b) => b.y - a.y);
+  const bands = [];
+  let band = { columns: [[], []], fullWidth: null };
+  for (const line of ordered) {
+    if (gutterX === null) {
+      band.columns[0].push(line);
+    } else if (crossesGutter(line)) {
+      bands.push(band);
+      bands.push({ columns: [[], []], fullWidth: line });
+      band = { columns: [[], []], fullWidth: null };
+      layout.fullWidthLines++;
+    } else {
+      band.columns[line.xEnd <= gutterX ? 0 : 1].push(line);
+    }
+  }
+  bands.push(band);
+
+  // Side boxes: runs of small-print lines inside a column are moved after it
+  const boxes = [];
+  const readColumn = (columnLines) => {
+    const mainText = [];
+    let run = [];
+    const flush = () => {
+      if (run.length >= MIN_BOX_LINES) {
+        boxes.push(joinLines(run));
+      } else {
+        mainText.push(...run);
+      }
+      run = [];
+    };
+
+    for (const line of columnLines) {
+      if (isSmall(line)) {
+        run.push(line);
+      } else {
+        flush();
+        mainText.push(line);
+      }
+    }
+    flush();
+    return joinLines(mainText);
+  };
+
+  const blocks = [];
+  for (const current of bands) {
+    if (current.fullWidth) {
+      blocks.push(current.fullWidth.text.trim());
+      continue;
+    }
+    for (const column of current.columns) {
+      if (column.length > 0) blocks.push(readColumn(column));
+    }
+  }
+
+  boxes.forEach(box => blocks.push(`[Recuadro]\n${box}`));
+  if (footnotes.length > 0) {
+    blocks.push(`[Notas al pie]\n${joinLines(footnotes)}`);
+  }
+
+  layout.columns = gutterX === null ? 1 : 2;
+  layout.gutterX = gutterX === null ? null : Math.round(gutterX);
+  layout.boxes = boxes.length;
+  layout.footnotes = footnotes.length;
+  layout.styledLines = findStyledLines(ordered, layout.bodyFontSize);
+
+  return {
+    text: blocks.filter(Boolean).join('\n'),
+    layout
+  };
+}
+
+export default {
+  normalizeTextItems,
+  groupIntoLines,
+  findGutter,
+  buildPageText
+};
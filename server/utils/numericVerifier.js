@@ -0,0 +1,258 @@
+/**
+ * Numeric Verifier - Detección de Cifras Alucinadas
+ *
+ * Un p-valor, hazard ratio, dosis o tamaño muestral inventado en un resumen
+ * médico es peligroso. Tras generar el resumen:
+ * - Extrae cada número con su unidad y contexto (del Markdown y de los
+ *   campos JSON v2: valor, valor_p, intervalo_confianza, tamano_muestra)
+ * - Busca cada valor en el texto de las páginas del documento
+ * - Marca los que no aparecen en ninguna página
+ */
+
+import {
+  normalizeValue,
+  valueOccursIn
+} from './citationVerifier.js';
+
+// Same number shapes as the citation verifier, plus values like ".001"
+const NUMBER_PATTERN = /(?<![\w.])\d{1,3}(?:[ ,]\d{3})+(?:[.,]\d+)?|(?<![\w])(?:\d+)?[.,]?\d+/g;
+
+// "(p. 4)", "(pp. 6-8)"... are references, not data
+const PAGE_REFERENCE_PATTERN = /\((?:pp?|p[áa]gs?)\.\s*\d+(?:\s*[-–,y]\s*\d+)*\)/gi;
+
+// DOIs and URLs contain digits that are identifiers, not data
+const IDENTIFIER_PATTERN = /\b10\.\d{4,}\/\S+|https?:\/\/\S+/gi;
+
+// Lines produced by the summarizer itself (headings, extraction confidence)
+const IGNORED_LINE_PATTERNS = [
+  /^\s*#/,
+  /^\s*\*?\s*Confianza de extracción/i
+];
+
+const UNIT_PATTERN = /^\s*(%|mg\/kg|mg\/dl|mmol\/l|mmhg|mg|mcg|µg|μg|g|kg|ml|l|ui|años|meses|semanas|días|horas|pacientes|participantes|sujetos|personas|years|months|weeks|days|hours|patients|participants|subjects)(?![\wáéíóúñ])/i;
+
+// Kind of value, from what precedes it
+const KIND_RULES = [
+  { kind: 'p_value', pattern: /\bp(?:-valor)?\s*(?:[<>=≤≥]|valor|value)?\s*[:=<>≤≥]?\s*$/i },
+  { kind: 'ratio', pattern: /\b(?:a?HR|a?OR|RR|NNT|hazard ratio|odds ratio|riesgo relativo|razón de riesgos)\s*[:=]?\s*$/i },
+  { kind: 'ci', pattern: /(?:\bIC|\bCI|intervalo de confianza)[^\d]{0,12}(?:\d+(?:[.,]\d+)?\s*[-–]\s*)?$/i },
+  { kind: 'sample_size', pattern: /\b[nN]\s*=\s*$/ }
+];
+
+const SAMPLE_UNITS = /^(pacientes|participantes|sujetos|personas|patients|participants|subjects)$/i;
+const DOSE_UNITS = /^(mg\/kg|mg|mcg|µg|μg|g|kg|ml|l|ui)$/i;
+
+const CONTEXT_CHARS = 40;
+
+/**
+ * Clasifica un valor según su contexto y unidad
+ * @param {string} before - Texto que precede al valor
+ * @param {string} unit - Unidad detectada
+ * @returns {string} - p_value | ratio | ci | sample_size | percent | dose | number
+ */
+function classifyValue(before, unit) {
+  const rule = KIND_RULES.find(candidate => candidate.pattern.test(before));
+  if (rule) return rule.kind;
+  if (unit === '%') return 'percent';
+  if (SAMPLE_UNITS.test(unit)) return 'sample_size';
+  if (DOSE_UNITS.test(unit)) return 'dose';
+  return 'number';
+}
+
+/**
+ * Extrae los números de un texto con su unidad, tipo y contexto
+ * Ignora referencias de página, DOIs/URLs, encabezados y enteros de un dígito
+ * (enumeraciones, "2 grupos"...) salvo que sean p-valores o ratios.
+ *
+ * @param {string} text - Texto del resumen
+ * @returns {Array} - [{ raw, value, unit, kind, context }]
+ */
+export function extractNumbers(text) {
+  const numbers = [];
+
+  const lines = String(text || '')
+    .split('\n')
+    .filter(line => !IGNORED_LINE_PATTERNS.some(pattern => pattern.test(line)));
+
+  for (const line of lines) {
+    const cleaned = line
+      .replace(PAGE_REFERENCE_PATTERN, ' ')
+      .replace(IDENTIFIER_PATTERN, ' ');
+
+    for (const match of cleaned.matchAll(NUMBER_PATTERN)) {
+      const raw = match[0];
+      const start = match.index;
+      const end = start + raw.length;
+      const before = cleaned.slice(Math.max(0, start - CONTEXT_CHARS), start);
+      const unitMatch = cleaned.slice(end).match(UNIT_PATTERN);
+      const unit = unitMatch ? unitMatch[1] : '';
+      const kind = classifyValue(before, unit);
+
+      let value = normalizeValue(raw);
+      if (value.startsWith('.')) value = `0${value}`;
+      if (/^\d$/.test(value) && kind !== 'p_value' && kind !== 'ratio') continue;
+
+      numbers.push({
+        raw: raw.trim(),
+        value: unit === '%' ? `${value}%` : value,
+        unit,
+        kind,
+        context: cleaned.slice(Math.max(0, start - CONTEXT_CHARS), end + CONTEXT_CHARS)
+          .replace(/[*_`>]/g, '')
+          .replace(/\s+/g, ' ')
+          .replace(/^\s*[-+]\s+/, '')
+          .trim()
+      });
+    }
+  }
+
+  return numbers;
+}
+
+/**
+ * Extrae los números de los campos cuantitativos del JSON IMRyD (v2)
+ * @param {Object} imryd - Objeto IMRyD parseado
+ * @returns {Array} - [{ raw, value, unit, kind, context, field }]
+ */
+export function extractIMRyDNumbers(imryd) {
+  if (!imryd || typeof imryd !== 'object') return [];
+
+  const fields = [];
+  const findings = imryd.resultados && Array.isArray(imryd.resultados.hallazgos_principales) ?
+    imryd.resultados.hallazgos_principales :
+    [];
+
+  findings.forEach((finding, index) => {
+    if (!finding || typeof finding !== 'object') return;
+    ['valor', 'valor_p', 'intervalo_confianza'].forEach(key => {
+      if (finding[key]) {
+        fields.push({ field: `resultados.hallazgos_principales[${index}].${key}`, key, text: String(finding[key]) });
+      }
+    });
+  });
+
+  if (imryd.metodos && imryd.metodos.tamano_muestra) {
+    fields.push({ field: 'metodos.tamano_muestra', key: 'tamano_muestra', text: String(imryd.metodos.tamano_muestra) });
+  }
+
+  return fields.flatMap(({ field, key, text }) => extractNumbers(text).map(number => ({
+    ...number,
+    // The field name says what the value is when the text alone does not
+    kind: number.kind !== 'number' ? number.kind : {
+      valor_p: 'p_value',
+      intervalo_confianza: 'ci',
+      tamano_muestra: 'sample_size'
+    }[key] || 'number',
+    field
+  })));
+}
+
+/**
+ * Comprueba si un valor aparece en el texto fuente, aceptando las formas
+ * equivalentes habituales ("0.001" / ".001", "12%" / "12 %")
+ * @param {string} value - Valor normalizado
+ * @param {string} sourceText - Texto de la página
+ * @returns {boolean}
+ */
+function numberOccursIn(value, sourceText) {
+  const candidates = [value];
+  if (value.startsWith('0.')) candidates.push(value.slice(1));
+  // "12.0%" in the summary may be "12%" in the source and vice versa
+  if (/\.0+%?$/.test(value)) candidates.push(value.replace(/\.0+(%?)$/, '$1'));
+  return candidates.some(candidate => valueOccursIn(candidate, sourceText));
+}
+
+/**
+ * Verifica las cifras del resumen contra el texto de las páginas
+ *
+ * @param {string} summary - Resumen en Markdown
+ * @param {Array} pages - Páginas [{ pageNumber, text }] (texto completo)
+ * @param {Object} [options] - { imryd } objeto IMRyD v2, si existe
+ * @returns {Object} - { numbers, unverified, stats: { total, verified, unverified } }
+ */
+export function verifyNumbers(summary, pages, options = {}) {
+  const pageTexts = (pages || []).map(page => ({
+    pageNumber: page.pageNumber,
+    text: page.text || ''
+  }));
+
+  const seen = new Set();
+  const numbers = [
+    ...extractIMRyDNumbers(options.imryd),
+    ...extractNumbers(summary)
+  ]
+    // The same value rendered in several places is checked once
+    .filter(number => {
+      if (seen.has(number.value)) return false;
+      seen.add(number.value);
+      return true;
+    })
+    .map(number => {
+      const foundOnPages = pageTexts
+        .filter(page => numberOccursIn(number.value, page.text))
+        .map(page => page.pageNumber);
+      return {
+        ...number,
+        foundOnPages,
+        verified: foundOnPages.length > 0
+      };
+    });
+
+  const unverified = numbers.filter(number => !number.verified);
+
+  return {
+    numbers,
+    unverified,
+    stats: {
+      total: numbers.length,
+      verified: numbers.length - unverified.length,
+      unverified: unverified.length
+    }
+  };
+}
+
+const KIND_LABELS = {
+  p_value: 'p-valor',
+  ratio: 'ratio',
+  ci: 'intervalo de confianza',
+  sample_size: 'tamaño de muestra',
+  percent: 'porcentaje',
+  dose: 'dosis',
+  number: 'valor'
+};
+
+/**
+ * Describe un valor no verificado en una línea legible
+ * @param {Object} number - Entrada de verifyNumbers().unverified
+ * @returns {string}
+ */
+export function describeUnverifiedNumber(number) {
+  const unit = number.unit && number.unit !== '%' ? ` ${number.unit}` : '';
+  return `${KIND_LABELS[number.kind] || 'valor'} "${number.value}${unit}" no aparece en el documento («…${number.context}…»)`;
+}
+
+/**
+ * Sección Markdown de advertencias para los valores no verificados
+ * @param {Object} report - Resultado de verifyNumbers()
+ * @returns {string} - Sección Markdown ('' si todo está verificado)
+ */
+export function buildNumericWarningsSection(report) {
+  if (!report || report.unverified.length === 0) return '';
+
+  let md = '\n\n## ⚠️ Advertencias: cifras no verificadas\n\n';
+  md += '> Los siguientes valores del resumen no se encontraron en el texto del documento. ';
+  md += 'Pueden ser errores de la IA: compruébelos en el original antes de usarlos.\n>\n';
+  report.unverified.forEach(number => {
+    md += `> - ${describeUnverifiedNumber(number)}\n`;
+  });
+
+  return md;
+}
+
+export default {
+  extractNumbers,
+  extractIMRyDNumbers,
+  verifyNumbers,
+  describeUnverifiedNumber,
+  buildNumericWarningsSection
+};
@@ -4,8 +4,9 @@
  * Advanced PDF processing utilities for:
  * - Table detection
  * - Column detection
- * - Header/Footer removal
+ * - Header/Footer removal (per page, and learned from repetition across pages)
  * - Figure caption extraction
+ * - Figure/table index
  */
 
 /**
@@ -144,6 +145,172 @@ export function removeHeadersFooters(text, options = {}) {
   return lines.slice(startIndex, endIndex).join('\n');
 }
 
+// Lines at the top/bottom of each page where running heads and footers live
+const EDGE_LINES = 4;
+// A line must repeat on this fraction of the pages (odd/even running heads alternate)
+const MIN_REPEAT_RATIO = 0.4;
+const MIN_REPEAT_PAGES = 3;
+// Block markers added by layoutAnalyzer ("[Notas al pie]", "[Recuadro]")
+const BLOCK_MARKER_PATTERN = /^\[[^\]]+\]$/;
+// The only lines without letters that count as footers: "7", "- 7 -", "— 7 —"
+const BARE_PAGE_NUMBER_PATTERN = /^[\s\-–—]*\d{1,4}[\s\-–—]*$/;
+
+/**
+ * Normalize a line to compare it across pages
+ * Numbers become "#" so "Page 3 of 12" and "Page 4 of 12" match. Lines
+ * without letters only match when they are bare page numbers: table rows
+ * such as "12 (10) 20 (17)" would otherwise all share the key "# # # #".
+ * @param {string} line - Text line
+ * @returns {string} - Comparison key ('' if the line has no content)
+ */
+export function normalizeRepeatedLine(line) {
+  const text = String(line || '');
+  if (!/\p{L}/u.test(text) && !BARE_PAGE_NUMBER_PATTERN.test(text)) return '';
+
+  return text
+    .toLowerCase()
+    .replace(/\d+/g, '#')
+    .replace(/[^\p{L}#]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Indexes of the lines near the top and bottom of a page
+ * The blocks appended by layoutAnalyzer (footnotes, boxes) also have
+ * their own bottom edge: the lines just before each marker.
+ *
+ * @param {string[]} lines - Page lines
+ * @returns {Set<number>}
+ */
+function getEdgeLineIndexes(lines) {
+  const contentIndexes = lines
+    .map((line, index) => ({ line: line.trim(), index }))
+    .filter(({ line }) => line && !BLOCK_MARKER_PATTERN.test(line))
+    .map(({ index }) => index);
+
+  const edges = new Set([
+    ...contentIndexes.slice(0, EDGE_LINES),
+    ...contentIndexes.slice(-EDGE_LINES)
+  ]);
+
+  lines.forEach((line, index) => {
+    if (!BLOCK_MARKER_PATTERN.test(line.trim())) return;
+    contentIndexes
+      .filter(contentIndex => contentIndex < index)
+      .slice(-EDGE_LINES)
+      .forEach(contentIndex => edges.add(contentIndex));
+  });
+
+  return edges;
+}
+
+/**
+ * Remove block markers left without content ("[Notas al pie]" with no notes)
+ * @param {string[]} lines - Page lines
+ * @returns {string[]}
+ */
+function dropEmptyBlocks(lines) {
+  return lines.filter((line, index) => {
+    if (!BLOCK_MARKER_PATTERN.test(line.trim())) return true;
+    const next = lines.slice(index + 1).find(candidate => candidate.trim());
+    return next !== undefined && !BLOCK_MARKER_PATTERN.test(next.trim());
+  });
+}
+
+/**
+ * Remove running heads/footers learned from repetition across pages
+ * A line near the top or bottom of a page whose normalized form appears
+ * on enough pages (journal name, author list, "Downloaded from…" banners,
+ * "Page N of M") is removed from every page where it is at an edge.
+ * A line repeated verbatim is kept on the first page where it appears: a
+ * chapter running head ("Chapter 3 Methods") starts as that chapter's
+ * heading, which detectStructure and splitIntoSections still need.
+ *
+ * @param {Array} pages - Pages [{ pageNumber, text }]
+ * @param {Object} [options] - { minRatio, minPages }
+ * @returns {Object} - { pages, repeatedLines: [{ text, pages }], removedLines, charsSaved }
+ */
+export function removeRepeatedLines(pages, options = {}) {
+  const {
+    minRatio = MIN_REPEAT_RATIO,
+    minPages = MIN_REPEAT_PAGES
+  } = options;
+
+  const isTextPage = page => page.text && !String(page.text).startsWith('[Página');
+  const textPages = pages.filter(isTextPage);
+  const result = {
+    pages,
+    repeatedLines: [],
+    removedLines: 0,
+    charsSaved: 0
+  };
+
+  const threshold = Math.max(minPages, Math.ceil(textPages.length * minRatio));
+  if (textPages.length < minPages) return result;
+
+  // Pages where each edge line appears (counted once per page), and the
+  // distinct texts behind each key ("Page 3 of 6", "Page 4 of 6", ...)
+  const occurrences = new Map();
+  for (const page of textPages) {
+    const lines = page.text.split('\n');
+    const keys = new Map();
+    for (const index of getEdgeLineIndexes(lines)) {
+      const key = normalizeRepeatedLine(lines[index]);
+      if (key) keys.set(key, lines[index].trim());
+    }
+    for (const [key, text] of keys) {
+      if (!occurrences.has(key)) {
+        occurrences.set(key, { text: null, pages: 0, variants: new Set() });
+      }
+      occurrences.get(key).pages++;
+      occurrences.get(key).variants.add(text);
+    }
+  }
+
+  const repeated = new Map([...occurrences].filter(([, occurrence]) => occurrence.pages >= threshold));
+  if (repeated.size === 0) return result;
+
+  // Verbatim repeats already kept once
+  const keptOnce = new Set();
+
+  result.pages = pages.map(page => {
+    if (!isTextPage(page)) return page;
+
+    const lines = page.text.split('\n');
+    const edges = getEdgeLineIndexes(lines);
+    const removed = [];
+    const kept = dropEmptyBlocks(lines.filter((line, index) => {
+      const occurrence = edges.has(index) && repeated.get(normalizeRepeatedLine(line));
+      if (!occurrence) return true;
+
+      if (occurrence.variants.size === 1 && !keptOnce.has(occurrence)) {
+        keptOnce.add(occurrence);
+        return true;
+      }
+      removed.push({ occurrence, line });
+      return false;
+    }));
+
+    const text = kept.join('\n').trim();
+    // Never leave a page empty
+    if (removed.length === 0 || !text) return page;
+
+    for (const { occurrence, line } of removed) {
+      occurrence.text = occurrence.text || line.trim();
+    }
+    result.removedLines += removed.length;
+    result.charsSaved += page.text.length - text.length;
+    return { ...page, text };
+  });
+
+  result.repeatedLines = [...repeated.values()]
+    .filter(occurrence => occurrence.text)
+    .map(({ text, pages: count }) => ({ text, pages: count }))
+    .sort((a, b) => b.pages - a.pages);
+
+  return result;
+}
+
 /**
  * Check if line is likely a header
  * @param {string} line - Text line
@@ -190,6 +357,9 @@ function isLikelyFooter(line) {
   return footerPatterns.some(p => p.test(line));
 }
 
+// After "Figure 2": punctuation, or a title starting with a capital letter
+const CAPTION_SEPARATOR = '(?:\\s*[.:|—–-]\\s*|\\s+(?=[A-ZÁÉÍÓÚÑ(])|\\s*$)';
+
 /**
  * Extract figure captions
  * @param {string} text - Page text
@@ -198,10 +368,11 @@ function isLikelyFooter(line) {
 export function extractFigureCaptions(text) {
   const captions = [];
 
-  // Figure caption patterns
+  // Figure caption patterns: at the start of a line, caption up to the end of it
+  // (case-sensitive: "Figure 2 shows..." in the text is not a caption)
   const patterns = [
-    /(?:Figure|Fig\.?)\s*(\d+)[.:]\s*(.+?)(?=\n\n|\n(?:Figure|Fig|Table)|$)/gis,
-    /(?:Figura)\s*(\d+)[.:]\s*(.+?)(?=\n\n|\n(?:Figura|Tabla)|$)/gis
+    new RegExp(`^(?:Figure|FIGURE|Fig\\.)\\s*(\\d+)${CAPTION_SEPARATOR}(.*)$`, 'gm'),
+    new RegExp(`^(?:Figura|FIGURA)\\s*(\\d+)${CAPTION_SEPARATOR}(.*)$`, 'gm')
   ];
 
   for (const pattern of patterns) {
@@ -228,7 +399,7 @@ export function extractTableCaptions(text) {
   const captions = [];
 
   const patterns = [
-    /(?:Table|Tabla)\s*(\d+)[.:]\s*(.+?)(?=\n\n|\n(?:Table|Tabla|Figure|Fig)|$)/gis
+    new RegExp(`^(?:Table|TABLE|Tabla|TABLA)\\s*(\\d+)${CAPTION_SEPARATOR}(.*)$`, 'gm')
   ];
 
   for (const pattern of patterns) {
@@ -246,6 +417,49 @@ export function extractTableCaptions(text) {
   return captions;
 }
 
+/**
+ * Build the document's figure/table index
+ * Captions are taken from every page (first occurrence of each number);
+ * reconstructed tables (tableExtractor) provide their caption and rows.
+ *
+ * @param {Array} pages - Pages [{ pageNumber, text }]
+ * @param {Array} [tables] - Reconstructed tables [{ id, number, caption, pageNumber }]
+ * @returns {Object[]} - [{ id, type, number, caption, pageNumber, tableId }]
+ */
+export function buildFigureIndex(pages, tables = []) {
+  const entries = new Map();
+  const add = (type, number, caption, pageNumber, tableId = null) => {
+    const key = `${type}-${number}`;
+    if (entries.has(key)) return;
+    entries.set(key, {
+      id: key,
+      type,
+      number,
+      caption: caption.trim(),
+      pageNumber,
+      tableId
+    });
+  };
+
+  for (const table of tables) {
+    add('table', table.number, table.caption, table.pageNumber, table.id);
+  }
+
+  for (const page of pages) {
+    const text = String(page.text || '');
+    if (!text || text.startsWith('[Página')) continue;
+
+    for (const caption of [...extractFigureCaptions(text), ...extractTableCaptions(text)]) {
+      add(caption.type, caption.number, caption.caption, page.pageNumber);
+    }
+  }
+
+  // Figures first, then tables, each by number
+  return [...entries.values()].sort((a, b) => (
+    (a.type === b.type ? 0 : a.type === 'figure' ? -1 : 1) || Number(a.number) - Number(b.number)
+  ));
+}
+
 /**
  * Analyze page complexity
  * @param {string} text - Page text
@@ -296,7 +510,10 @@ export default {
   detectTables,
   detectColumns,
   removeHeadersFooters,
+  normalizeRepeatedLine,
+  removeRepeatedLines,
   extractFigureCaptions,
   extractTableCaptions,
+  buildFigureIndex,
   analyzeComplexity
 };
\ No newline at end of file
@@ -167,9 +167,9 @@ export function sanitizeTextForPrompt(text) {
     .replace(/```/g, '\'\'\'')
     // Remove system/assistant role markers
     .replace(/\b(system|assistant|user):\s*/gi, '')
-    // Remove instruction override attempts
-    .replace(/ignore\s+(previous|all)\s+instructions?/gi, '[filtered]')
-    .replace(/disregard\s+(previous|all)\s+(instructions?|context)/gi, '[filtered]')
+    // Remove instruction override attempts ("ignore [all] previous instructions")
+    .replace(/ignore\s+(all\s+)?(previous|all)\s+instructions?/gi, '[filtered]')
+    .replace(/disregard\s+(all\s+)?(previous|all)\s+(instructions?|context)/gi, '[filtered]')
     // Remove attempts to inject new instructions
     .replace(/\[INST\]/gi, '[FILTERED]')
     .replace(/<\|.*?\|>/g, '[FILTERED]');
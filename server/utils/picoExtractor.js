@@ -0,0 +1,197 @@
+/**
+ * PICO Extractor - Pregunta Clínica Estructurada
+ *
+ * Para la enseñanza de medicina basada en la evidencia siempre se necesitan
+ * Población, Intervención, Comparador y Desenlaces (más Tiempo y diseño/ámbito):
+ * - Normaliza la extracción PICO(T/S) de la IA en un objeto por elemento
+ *   con su cita y páginas de evidencia
+ * - Completa los elementos que faltan con el JSON IMRyD v2 (metodos.poblacion,
+ *   intervenciones, grupo_control, outcomes_*), sin página
+ * - Comprueba que cada cita aparece en las páginas indicadas
+ * - Genera el nodo "PICO" (Markdown) para el árbol y las exportaciones
+ */
+
+import {
+  quoteOccursIn
+} from './citationVerifier.js';
+import {
+  NOT_SPECIFIED
+} from './prompts.js';
+import {
+  escapeCell
+} from './tableExtractor.js';
+
+// Elements in display order; llmKey is the field of the PICO_PROMPT answer
+export const PICO_ELEMENTS = {
+  population: { letter: 'P', label: 'Población', llmKey: 'poblacion' },
+  intervention: { letter: 'I', label: 'Intervención / exposición', llmKey: 'intervencion' },
+  comparator: { letter: 'C', label: 'Comparador', llmKey: 'comparador' },
+  outcomes: { letter: 'O', label: 'Desenlaces', llmKey: 'desenlaces' },
+  time: { letter: 'T', label: 'Tiempo de seguimiento', llmKey: 'tiempo' },
+  setting: { letter: 'S', label: 'Diseño y ámbito', llmKey: 'diseno' }
+};
+
+// Characters kept from each quote
+const EVIDENCE_CHARS = 200;
+
+/**
+ * Texto útil de un campo (null si está vacío o "No especificado")
+ * @param {*} value - Texto o lista de textos
+ * @returns {string|null}
+ */
+function cleanText(value) {
+  const text = (Array.isArray(value) ? value.filter(item => item !== NOT_SPECIFIED).join('; ') : String(value ?? ''))
+    .replace(/\s+/g, ' ')
+    .trim();
+  return text && text !== NOT_SPECIFIED ? text : null;
+}
+
+/**
+ * Lista de textos útiles de un campo
+ * @param {*} value - Texto o lista de textos
+ * @returns {string[]}
+ */
+function cleanList(value) {
+  const items = Array.isArray(value) ? value : [value];
+  return items.map(cleanText).filter(Boolean);
+}
+
+/**
+ * Elementos PICO del resumen IMRyD estructurado (modo v2), sin evidencia
+ * @param {Object|null} imryd - Objeto IMRyD validado
+ * @returns {Object} - Respuesta con la forma de PICO_PROMPT (solo descripciones)
+ */
+export function picoFromIMRyD(imryd) {
+  const methods = (imryd && imryd.metodos) || {};
+  const sampleSize = cleanText(methods.tamano_muestra);
+  const population = cleanText(methods.poblacion);
+
+  return {
+    poblacion: {
+      descripcion: population && sampleSize ? `${population} (n = ${sampleSize})` : population
+    },
+    intervencion: { descripcion: cleanText(methods.intervenciones) },
+    comparador: { descripcion: cleanText(methods.grupo_control) },
+    desenlaces: {
+      primarios: cleanList(methods.outcomes_primarios),
+      secundarios: cleanList(methods.outcomes_secundarios)
+    },
+    tiempo: { descripcion: cleanText(methods.seguimiento) },
+    diseno: { descripcion: cleanText(methods.diseno) }
+  };
+}
+
+/**
+ * Construye el objeto PICO normalizado
+ * - Páginas fuera del documento se descartan
+ * - evidenceVerified indica si la cita aparece en las páginas citadas
+ * - Elementos que la IA no encontró → JSON IMRyD (source: 'imryd'), si lo hay
+ *
+ * @param {Object|null} llmPico - Respuesta de PICO_PROMPT o null si la IA falló
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @param {Object|null} [imryd] - Resumen IMRyD estructurado (modo v2)
+ * @returns {Object} - { population, intervention, comparator, outcomes, time, setting,
+ *   question, stats } donde cada elemento es { text, evidence, pages, evidenceVerified, source }
+ *   y outcomes añade { primary, secondary }
+ */
+export function buildPICO(llmPico, pages, imryd = null) {
+  const answer = llmPico && typeof llmPico === 'object' ? llmPico : {};
+  const fallback = picoFromIMRyD(imryd);
+  const pageTexts = new Map(pages.map(page => [page.pageNumber, page.text || '']));
+
+  const pico = {};
+  for (const [key, element] of Object.entries(PICO_ELEMENTS)) {
+    const fromLLM = answer[element.llmKey] || {};
+    const fromIMRyD = fallback[element.llmKey];
+    let entry;
+
+    const llmText = cleanText(fromLLM.descripcion) ||
+      (key === 'outcomes' ? cleanText(cleanList(fromLLM.primarios)) : null);
+    if (llmText) {
+      const citedPages = (Array.isArray(fromLLM.paginas) ? fromLLM.paginas : [fromLLM.paginas])
+        .map(Number)
+        .filter(pageNumber => pageTexts.has(pageNumber));
+      const evidence = String(fromLLM.evidencia || '').slice(0, EVIDENCE_CHARS);
+      entry = {
+        text: llmText,
+        evidence,
+        pages: citedPages,
+        evidenceVerified: citedPages.length > 0 && quoteOccursIn(evidence, citedPages, pageTexts),
+        source: 'llm'
+      };
+    } else {
+      const imrydText = cleanText(fromIMRyD.descripcion) ||
+        (key === 'outcomes' ? cleanText(fromIMRyD.primarios) : null);
+      entry = {
+        text: imrydText,
+        evidence: '',
+        pages: [],
+        evidenceVerified: false,
+        source: imrydText ? 'imryd' : null
+      };
+    }
+
+    if (key === 'outcomes') {
+      const source = entry.source === 'llm' ? fromLLM : fromIMRyD;
+      entry.primary = cleanList(source.primarios);
+      entry.secondary = cleanList(source.secundarios);
+    }
+    pico[key] = entry;
+  }
+
+  const elements = Object.keys(PICO_ELEMENTS).map(key => pico[key]);
+  return {
+    ...pico,
+    question: cleanText(answer.pregunta),
+    stats: {
+      total: elements.length,
+      found: elements.filter(entry => entry.text).length,
+      withEvidence: elements.filter(entry => entry.pages.length > 0).length,
+      verified: elements.filter(entry => entry.evidenceVerified).length
+    }
+  };
+}
+
+/**
+ * Markdown del nodo PICO (árbol y exportaciones)
+ * La evidencia lleva su página como (p. X) para enlazarla en el visor.
+ *
+ * @param {Object} pico - Resultado de buildPICO
+ * @returns {string}
+ */
+export function buildPICOMarkdown(pico) {
+  let md = '# 🎯 PICO\n\n';
+  if (pico.question) {
+    md += `> **Pregunta clínica:** ${pico.question}\n\n`;
+  }
+
+  md += '| Elemento | Descripción | Evidencia |\n|---|---|---|\n';
+  for (const [key, element] of Object.entries(PICO_ELEMENTS)) {
+    const entry = pico[key];
+    const pages = entry.pages.length > 0 ? ` (p. ${entry.pages.join(', ')})` : '';
+    let evidence = entry.evidence ? `"${escapeCell(entry.evidence)}"${pages}` : '—';
+    if (entry.pages.length > 0 && !entry.evidenceVerified) {
+      evidence += ' *(⚠️ cita no encontrada en la página)*';
+    } else if (entry.source === 'imryd') {
+      evidence = '*Del resumen estructurado, sin página*';
+    }
+    md += `| **${element.letter}** · ${element.label} | ${entry.text ? escapeCell(entry.text) : NOT_SPECIFIED} | ${evidence} |\n`;
+  }
+
+  const { primary, secondary } = pico.outcomes;
+  if (primary.length > 0) {
+    md += `\n**Desenlaces primarios:**\n${primary.map(outcome => `- ${outcome}`).join('\n')}\n`;
+  }
+  if (secondary.length > 0) {
+    md += `\n**Desenlaces secundarios:**\n${secondary.map(outcome => `- ${outcome}`).join('\n')}\n`;
+  }
+
+  return md;
+}
+
+export default {
+  PICO_ELEMENTS,
+  picoFromIMRyD,
+  buildPICO,
+  buildPICOMarkdown
+};
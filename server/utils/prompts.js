@@ -10,6 +10,11 @@
  * Ambos modos incluyen reglas anti-alucinación para prevenir invención de datos.
  */
 
+import {
+  validateSchema,
+  formatSchemaError
+} from './schemaValidator.js';
+
 // ============================================
 // PROMPTS MODO MARKDOWN (DEFAULT)
 // ============================================
@@ -82,6 +87,44 @@ Requisitos de formato:
 
 RESPONDE EN ESPAÑOL.`;
 
+/**
+ * SECTION_ANALYSIS_PROMPT
+ *
+ * Prompt para analizar una sección completa (segmentación por secciones).
+ * La sección abarca varias páginas: cada dato lleva la página de origen.
+ */
+export const SECTION_ANALYSIS_PROMPT = `Analiza esta sección de un artículo médico como especialista y experto en investigación clínico-científica.
+
+Recibirás el texto completo de UNA sección (p. ej. Métodos o Resultados), que puede abarcar varias páginas. El encabezado indica su título y el intervalo de páginas.
+
+## REGLAS CRÍTICAS ANTI-ALUCINACIÓN (OBLIGATORIAS)
+
+1. **SECCIONES DE REFERENCIAS**: Si la sección contiene PRINCIPALMENTE citas bibliográficas, DOIs o PMIDs, responde EXACTAMENTE con este texto y NADA MÁS:
+   "[Esta sección contiene referencias bibliográficas - sin contenido para resumir]"
+
+2. **PROHIBIDO INVENTAR**: Incluye SOLO lo que está en el texto de la sección. NO generes tamaños de muestra, estadísticas ni conclusiones que no aparezcan.
+
+3. **VERIFICACIÓN**: Todo dato numérico (n=, porcentajes, IC, OR/RR/HR, p-valores, dosis) debe aparecer LITERALMENTE en el texto.
+
+4. **PÁGINAS**: Indica entre paréntesis la página de origen de cada dato, p. ej. (p. 4), usando solo páginas del intervalo de la sección.
+
+---
+
+"OBJETIVO":
+- Extraer lo esencial de la sección según su función en el artículo:
+  - Introducción: contexto, justificación y objetivo o hipótesis.
+  - Métodos: diseño, población y criterios, intervención y comparador, desenlaces, análisis estadístico.
+  - Resultados: participantes, hallazgos principales y secundarios con sus cifras, efectos adversos.
+  - Discusión y conclusiones: interpretación, comparación con otros estudios, limitaciones, implicaciones clínicas.
+- Describe las tablas y figuras mencionadas con sus datos clave.
+- Usa lenguaje técnico pero accesible para residentes médicos.
+
+Requisitos de formato:
+- Viñetas en Markdown agrupadas por tema, sin introducciones ni conclusiones propias.
+- Omite texto repetido (encabezados, pies de página) e información editorial.
+
+RESPONDE EN ESPAÑOL.`;
+
 /**
  * SUMMARY_GENERATION_PROMPT
  *
@@ -110,6 +153,7 @@ Sigue estas directrices:
     -## Discusión: Interpreta los resultados y su relevancia clínica.
 
 Incluye citas textuales importantes del artículo para apoyar puntos clave.
+**Referencias de página obligatorias**: cada hallazgo, punto clave y limitación debe terminar con la página de origen en el formato (p. X) o (pp. X-Y), usando los números de página del material recibido. Los valores numéricos citados deben aparecer tal cual en esas páginas.
 Mantén la terminología médica precisa a lo largo del resumen.
 Extrae puntos de conocimiento detallados y aplicables que los residentes puedan aplicar.
 Proporciona contexto donde sea necesario para asegurar la comprensión.
@@ -118,6 +162,27 @@ Basándote en estas directrices, genera un resumen amigable para médicos sobre
 
 RESPONDE EN ESPAÑOL.`;
 
+/**
+ * SECTION_SUMMARY_PROMPT
+ *
+ * Prompt para el paso "map" del resumen jerárquico: condensa una sección
+ * IMRyD (o un fragmento de ella) a partir de los análisis de sus páginas.
+ * El resultado se combina después en el resumen final.
+ */
+export const SECTION_SUMMARY_PROMPT = `Eres un experto en síntesis de literatura médica. Recibirás los análisis (y fragmentos del texto original) de las páginas que forman UNA sección de un artículo médico: {section}.
+
+Condensa esta sección en un resumen intermedio que luego se combinará con las demás secciones.
+
+REGLAS OBLIGATORIAS:
+- Incluye SOLO información presente en el material recibido. NO inventes datos.
+- Conserva LITERALMENTE todos los datos cuantitativos: tamaños de muestra, porcentajes, IC, OR/RR/HR, p-valores, fechas y dosis.
+- Conserva objetivos, diseño, criterios, desenlaces, hallazgos, limitaciones y conclusiones que aparezcan.
+- Indica entre paréntesis la página de origen de cada dato, p. ej. (p. 4).
+- Omite referencias bibliográficas y texto repetido (encabezados, pies de página).
+- Usa viñetas en Markdown, sin introducciones ni conclusiones propias.
+
+RESPONDE EN ESPAÑOL.`;
+
 // ============================================
 // PROMPTS MODO JSON (USE_PROMPTS_V2=true)
 // ============================================
@@ -175,6 +240,42 @@ Responde en JSON:
 
 RESPONDE SOLO CON JSON VÁLIDO.`;
 
+/**
+ * SECTION_ANALYSIS_PROMPT_V2
+ *
+ * Prompt para analizar una sección completa con salida JSON estructurada.
+ */
+export const SECTION_ANALYSIS_PROMPT_V2 = `Analiza esta sección de un artículo médico. Extrae SOLO la información presente en el texto.
+
+Recibirás el texto completo de UNA sección, que puede abarcar varias páginas. El encabezado indica su título y el intervalo de páginas.
+
+## REGLAS CRÍTICAS ANTI-ALUCINACIÓN
+
+Si la sección contiene PRINCIPALMENTE referencias bibliográficas (citas numeradas, DOIs, PMIDs), responde con "es_relevante": false, "contenido_clave": ["Esta sección contiene únicamente referencias bibliográficas"] y el resto de arrays vacíos.
+
+REGLAS GENERALES:
+1. NO inventes datos que no estén en el texto
+2. Extrae números, estadísticas y datos clave EXACTAMENTE como aparecen
+3. Cada dato lleva la página de origen, dentro del intervalo de la sección
+4. Marca cualquier incertidumbre
+5. VERIFICA que cada dato numérico aparezca literalmente en el texto
+
+Responde en JSON:
+{
+  "seccion": "título de la sección",
+  "paginas": [NUMEROS],
+  "seccion_detectada": "Introducción|Métodos|Resultados|Discusión|Abstract|Referencias|Otro|Indeterminado",
+  "contenido_clave": ["array de puntos importantes, con (p. X)"],
+  "datos_numericos": [
+    {"valor": "X", "contexto": "descripción de qué representa", "pagina": NUMERO}
+  ],
+  "citas_textuales": ["frases importantes citadas literalmente"],
+  "es_relevante": true|false,
+  "notas": "cualquier observación sobre la calidad del texto"
+}
+
+RESPONDE SOLO CON JSON VÁLIDO.`;
+
 /**
  * IMRYD_EXTRACTION_PROMPT
  *
@@ -251,7 +352,7 @@ No uses bloques de código markdown (\`\`\`). Solo el JSON puro.
   "discusion": {
     "interpretacion": "string con citas (p.X) - interpretación de los autores",
     "comparacion_literatura": "string | No especificado en el documento",
-    "limitaciones": ["array de limitaciones mencionadas"] | "No especificado en el documento",
+    "limitaciones": ["array de limitaciones mencionadas, cada una con referencia (p.X)"] | "No especificado en el documento",
     "fortalezas": ["array"] | "No especificado en el documento",
     "implicaciones_clinicas": "string | No especificado en el documento",
     "investigacion_futura": "string | No especificado en el documento"
@@ -289,14 +390,364 @@ Si el texto está corrupto o es ilegible:
 
 RESPONDE SOLO CON JSON VÁLIDO.`;
 
+/**
+ * IMRYD_REPAIR_PROMPT
+ *
+ * Se envía cuando la respuesta a IMRYD_EXTRACTION_PROMPT no es JSON válido
+ * o no cumple el schema. {errors} se reemplaza por la lista de problemas.
+ */
+export const IMRYD_REPAIR_PROMPT = `Tu respuesta anterior no es válida. Problemas detectados:
+
+{errors}
+
+Corrige TODOS los problemas y devuelve de nuevo el objeto JSON COMPLETO con la estructura requerida.
+- Mantén la información extraída del documento; no inventes datos para rellenar campos.
+- Si un campo no aparece en el documento, usa "No especificado en el documento".
+- Incluye siempre el disclaimer médico en "advertencias".
+
+RESPONDE SOLO CON JSON VÁLIDO, sin texto ni bloques de código alrededor.`;
+
+/**
+ * STUDY_TYPE_PROMPT
+ *
+ * Comprobación del tipo de estudio con el modelo (título y primeras páginas).
+ * La respuesta se combina con la clasificación heurística.
+ */
+export const STUDY_TYPE_PROMPT = `Clasifica el tipo de documento médico a partir de su título y primeras páginas.
+
+Tipos posibles (usa la clave exacta):
+- rct: ensayo clínico aleatorizado
+- systematic_review: revisión sistemática o metaanálisis
+- case_report: reporte de caso o serie de casos breve
+- guideline: guía de práctica clínica, consenso o documento de recomendaciones
+- narrative_review: revisión narrativa o artículo de actualización
+- other: cualquier otro diseño (cohorte, casos y controles, transversal, experimental...)
+
+Responde ÚNICAMENTE con este JSON:
+{"tipo": "clave", "confianza": 0.0, "justificacion": "frase breve basada en el texto"}`;
+
+/**
+ * APPRAISAL_PROMPT
+ *
+ * Evaluación crítica ítem por ítem con la lista de verificación del tipo de
+ * estudio (CONSORT, STROBE, PRISMA). El mensaje de usuario lleva la lista y
+ * el texto por páginas.
+ */
+export const APPRAISAL_PROMPT = `Evalúa si el artículo REPORTA cada ítem de la lista de verificación indicada.
+
+Para cada ítem:
+- "reportado": el artículo lo describe; cita la frase literal y su página
+- "no_reportado": has buscado en todo el texto y no aparece
+- "incierto": se menciona de forma parcial o ambigua
+
+Reglas:
+- Evalúa la calidad del reporte, no la calidad del estudio
+- "evidencia" debe ser una cita LITERAL y breve del texto (máximo 25 palabras), no una paráfrasis
+- "paginas" son los números de "=== PÁGINA N ===" donde aparece la cita
+- No inventes información; ante la duda usa "incierto"
+
+Responde ÚNICAMENTE con este JSON, un elemento por ítem y con su id exacto:
+{"items": [{"id": "1", "estado": "reportado", "evidencia": "cita literal", "paginas": [1]}]}`;
+
+/**
+ * PICO_PROMPT
+ *
+ * Extracción PICO(T/S) con evidencia por elemento. El mensaje de usuario
+ * lleva el texto por páginas ("=== PÁGINA N ===").
+ */
+export const PICO_PROMPT = `Extrae la pregunta clínica del artículo en formato PICO(T/S).
+
+Elementos:
+- poblacion: pacientes o participantes estudiados (condición, características, ámbito, tamaño)
+- intervencion: intervención, exposición o prueba evaluada
+- comparador: grupo control o alternativa (placebo, tratamiento habitual...)
+- desenlaces: desenlaces medidos, separando primarios y secundarios
+- tiempo: duración del seguimiento o momento de la medición
+- diseno: diseño del estudio y ámbito (p. ej. "ensayo multicéntrico en 12 hospitales")
+
+Reglas:
+- "descripcion" es una frase breve con los datos del artículo, sin interpretar
+- "evidencia" es una cita LITERAL y breve del texto (máximo 25 palabras) que respalde la descripción
+- "paginas" son los números de "=== PÁGINA N ===" donde aparece la cita
+- Si un elemento no aparece o no aplica (p. ej. sin comparador), usa "No especificado en el documento" como descripción y deja la evidencia vacía
+- "pregunta" formula la pregunta clínica en una frase con los elementos encontrados
+
+Responde ÚNICAMENTE con este JSON:
+{
+  "poblacion": {"descripcion": "", "evidencia": "", "paginas": []},
+  "intervencion": {"descripcion": "", "evidencia": "", "paginas": []},
+  "comparador": {"descripcion": "", "evidencia": "", "paginas": []},
+  "desenlaces": {"descripcion": "", "primarios": [], "secundarios": [], "evidencia": "", "paginas": []},
+  "tiempo": {"descripcion": "", "evidencia": "", "paginas": []},
+  "diseno": {"descripcion": "", "evidencia": "", "paginas": []},
+  "pregunta": ""
+}`;
+
+/**
+ * RISK_OF_BIAS_PROMPT
+ *
+ * Riesgo de sesgo con la herramienta del diseño (RoB 2, ROBINS-I,
+ * Newcastle-Ottawa). El mensaje de usuario lleva los dominios con sus
+ * preguntas orientadoras, los juicios permitidos y el texto por páginas.
+ */
+export const RISK_OF_BIAS_PROMPT = `Valora el riesgo de sesgo del estudio con la herramienta indicada.
+
+Para cada pregunta orientadora responde con uno de estos códigos:
+- "S": sí
+- "PS": probablemente sí
+- "PN": probablemente no
+- "N": no
+- "SI": sin información en el artículo
+
+Reglas:
+- Basa cada respuesta SOLO en el texto del artículo; ante la falta de datos usa "SI"
+- "evidencia" es una cita LITERAL y breve del texto (máximo 25 palabras) que respalde la respuesta
+- "paginas" son los números de "=== PÁGINA N ===" donde aparece la cita
+- Para cada dominio da un "juicio" usando EXACTAMENTE una de las claves permitidas y una justificación breve
+- En la escala Newcastle-Ottawa, "S" significa que el ítem merece la estrella
+
+Responde ÚNICAMENTE con este JSON:
+{
+  "preguntas": [{"id": "1.1", "respuesta": "S", "evidencia": "cita literal", "paginas": [2]}],
+  "dominios": [{"id": "D1", "juicio": "clave permitida", "justificacion": "frase breve"}]
+}`;
+
 // ============================================
 // JSON SCHEMA Y VALIDACIÓN (para modo v2)
 // ============================================
 
+// Valor que el prompt exige para los campos no encontrados
+export const NOT_SPECIFIED = 'No especificado en el documento';
+
+// Lista de textos, o la marca de campo no encontrado (un texto libre se
+// convierte en lista de un elemento al validar con coerción)
+const STRING_LIST_OR_NOT_SPECIFIED = {
+  oneOf: [
+    { type: 'array', items: { type: 'string' } },
+    { type: 'string', const: NOT_SPECIFIED }
+  ]
+};
+
+/**
+ * STUDY_TYPE_TEMPLATES
+ *
+ * Secciones adicionales del resumen según el tipo de estudio clasificado
+ * (utils/studyClassifier.js). Cada plantilla aporta:
+ * - markdown: secciones a añadir en modo Markdown
+ * - jsonKey/json: campo adicional del JSON v2 y su descripción
+ * - schema: JSON Schema de ese campo (se exige junto al IMRyD base)
+ * El tipo 'other' usa la plantilla IMRyD general sin campos adicionales.
+ */
+const PAGE_REFERENCE = { type: 'number' };
+
+export const STUDY_TYPE_TEMPLATES = {
+  rct: {
+    markdown: `- ## 🎲 Diseño del ensayo: registro, aleatorización, ocultación de la asignación, cegamiento (quién estaba cegado) y análisis por intención de tratar o por protocolo.
+    - ## 👥 Flujo de participantes: evaluados, aleatorizados, perdidos en el seguimiento y analizados en cada brazo.`,
+    jsonKey: 'ensayo_clinico',
+    json: `"ensayo_clinico": {
+    "registro": "string - número de registro (NCT...) | No especificado en el documento",
+    "aleatorizacion": "string con cita (p.X) - método de aleatorización",
+    "ocultacion_asignacion": "string | No especificado en el documento",
+    "cegamiento": "string - quién estaba cegado | No especificado en el documento",
+    "analisis": "string - intención de tratar, por protocolo... | No especificado en el documento",
+    "flujo_participantes": {
+      "aleatorizados": "string con número exacto | No especificado en el documento",
+      "analizados": "string con número exacto | No especificado en el documento",
+      "perdidas": "string | No especificado en el documento"
+    }
+  }`,
+    schema: {
+      type: 'object',
+      required: ['aleatorizacion'],
+      properties: {
+        registro: { type: 'string' },
+        aleatorizacion: { type: 'string' },
+        ocultacion_asignacion: { type: 'string' },
+        cegamiento: { type: 'string' },
+        analisis: { type: 'string' },
+        flujo_participantes: {
+          type: 'object',
+          properties: {
+            aleatorizados: { type: 'string' },
+            analizados: { type: 'string' },
+            perdidas: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  systematic_review: {
+    markdown: `- ## 🔎 Búsqueda y selección (PRISMA): pregunta de la revisión, bases de datos y fecha de búsqueda, registros identificados, cribados, evaluados a texto completo e incluidos.
+    - ## 📐 Síntesis: número de estudios y participantes, modelo del metaanálisis, heterogeneidad (I²), riesgo de sesgo y certeza de la evidencia.`,
+    jsonKey: 'revision_sistematica',
+    json: `"revision_sistematica": {
+    "pregunta": "string con cita (p.X) - pregunta de la revisión",
+    "bases_datos": ["array de bases de datos consultadas"] | "No especificado en el documento",
+    "fecha_busqueda": "string | No especificado en el documento",
+    "flujo_prisma": {
+      "identificados": "string con número exacto | No especificado en el documento",
+      "cribados": "string | No especificado en el documento",
+      "texto_completo": "string | No especificado en el documento",
+      "incluidos": "string | No especificado en el documento"
+    },
+    "participantes_totales": "string | No especificado en el documento",
+    "modelo_sintesis": "string - efectos fijos/aleatorios, síntesis narrativa... | No especificado en el documento",
+    "heterogeneidad": "string - I² y su interpretación | No especificado en el documento",
+    "riesgo_sesgo": "string - herramienta y resultado | No especificado en el documento",
+    "certeza_evidencia": "string - GRADE u otro sistema | No especificado en el documento"
+  }`,
+    schema: {
+      type: 'object',
+      required: ['pregunta', 'flujo_prisma'],
+      properties: {
+        pregunta: { type: 'string' },
+        bases_datos: STRING_LIST_OR_NOT_SPECIFIED,
+        fecha_busqueda: { type: 'string' },
+        flujo_prisma: {
+          type: 'object',
+          properties: {
+            identificados: { type: 'string' },
+            cribados: { type: 'string' },
+            texto_completo: { type: 'string' },
+            incluidos: { type: 'string' }
+          }
+        },
+        participantes_totales: { type: 'string' },
+        modelo_sintesis: { type: 'string' },
+        heterogeneidad: { type: 'string' },
+        riesgo_sesgo: { type: 'string' },
+        certeza_evidencia: { type: 'string' }
+      }
+    }
+  },
+  case_report: {
+    markdown: `- ## 🧑‍⚕️ Presentación del caso: edad, sexo, antecedentes y motivo de consulta.
+    - ## 🕒 Cronología: tabla Markdown | Momento | Evento | Página (p. X) | con cada hito (síntomas, pruebas, diagnóstico, tratamiento, evolución) en orden temporal.
+    - ## 🎓 Lecciones clínicas: qué aporta el caso a la práctica.`,
+    jsonKey: 'caso_clinico',
+    json: `"caso_clinico": {
+    "paciente": "string con cita (p.X) - edad, sexo, antecedentes relevantes",
+    "motivo_consulta": "string | No especificado en el documento",
+    "cronologia": [
+      {
+        "momento": "string - fecha, día o intervalo tal como aparece",
+        "evento": "string - síntoma, prueba, diagnóstico, tratamiento o evolución",
+        "pagina_referencia": "number"
+      }
+    ],
+    "diagnostico_final": "string | No especificado en el documento",
+    "desenlace": "string | No especificado en el documento",
+    "lecciones": ["array de aprendizajes que destacan los autores"] | "No especificado en el documento"
+  }`,
+    schema: {
+      type: 'object',
+      required: ['paciente', 'cronologia'],
+      properties: {
+        paciente: { type: 'string' },
+        motivo_consulta: { type: 'string' },
+        cronologia: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['momento', 'evento'],
+            properties: {
+              momento: { type: 'string' },
+              evento: { type: 'string' },
+              pagina_referencia: PAGE_REFERENCE
+            }
+          }
+        },
+        diagnostico_final: { type: 'string' },
+        desenlace: { type: 'string' },
+        lecciones: STRING_LIST_OR_NOT_SPECIFIED
+      }
+    }
+  },
+  guideline: {
+    markdown: `- ## 🏛️ Alcance de la guía: organismo que la emite, población y ámbito, sistema de gradación de la evidencia.
+    - ## ✅ Recomendaciones: tabla Markdown | Recomendación | Fuerza | Nivel de evidencia | Página (p. X) | con cada recomendación tal como la formula la guía.`,
+    jsonKey: 'guia_clinica',
+    json: `"guia_clinica": {
+    "organismo": "string - sociedad o institución que la emite | No especificado en el documento",
+    "poblacion_objetivo": "string | No especificado en el documento",
+    "sistema_gradacion": "string - GRADE, clases ACC/AHA... | No especificado en el documento",
+    "recomendaciones": [
+      {
+        "recomendacion": "string - texto de la recomendación",
+        "fuerza": "string - fuerte/débil, clase I/IIa... | No especificado en el documento",
+        "nivel_evidencia": "string - alta/moderada/baja, A/B/C... | No especificado en el documento",
+        "pagina_referencia": "number"
+      }
+    ]
+  }`,
+    schema: {
+      type: 'object',
+      required: ['recomendaciones'],
+      properties: {
+        organismo: { type: 'string' },
+        poblacion_objetivo: { type: 'string' },
+        sistema_gradacion: { type: 'string' },
+        recomendaciones: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['recomendacion'],
+            properties: {
+              recomendacion: { type: 'string' },
+              fuerza: { type: 'string' },
+              nivel_evidencia: { type: 'string' },
+              pagina_referencia: PAGE_REFERENCE
+            }
+          }
+        }
+      }
+    }
+  },
+  narrative_review: {
+    markdown: `- ## 🗂️ Temas principales: cada tema que desarrolla la revisión con sus mensajes clave y página.
+    - ## ❓ Vacíos de conocimiento: preguntas abiertas que señalan los autores.`,
+    jsonKey: 'revision_narrativa',
+    json: `"revision_narrativa": {
+    "temas": [
+      {
+        "tema": "string",
+        "resumen": "string con cita (p.X)",
+        "pagina_referencia": "number"
+      }
+    ],
+    "vacios_conocimiento": ["array"] | "No especificado en el documento"
+  }`,
+    schema: {
+      type: 'object',
+      required: ['temas'],
+      properties: {
+        temas: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['tema', 'resumen'],
+            properties: {
+              tema: { type: 'string' },
+              resumen: { type: 'string' },
+              pagina_referencia: PAGE_REFERENCE
+            }
+          }
+        },
+        vacios_conocimiento: STRING_LIST_OR_NOT_SPECIFIED
+      }
+    }
+  },
+  other: null
+};
+
 /**
  * JSON Schema para validación de respuestas IMRyD
+ * Publicado en GET /api/schema/imryd
  */
 export const IMRYD_JSON_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Resumen IMRyD estructurado',
   type: "object",
   required: ["metadata", "introduccion", "metodos", "resultados", "discusion", "puntos_clave", "advertencias", "calidad_extraccion"],
   properties: {
@@ -305,12 +756,7 @@ export const IMRYD_JSON_SCHEMA = {
       required: ["titulo"],
       properties: {
         titulo: { type: "string", minLength: 1 },
-        autores: {
-          oneOf: [
-            { type: "array", items: { type: "string" } },
-            { type: "string", const: "No especificado en el documento" }
-          ]
-        },
+        autores: STRING_LIST_OR_NOT_SPECIFIED,
         fecha_publicacion: { type: "string" },
         revista: { type: "string" },
         doi: { type: "string" },
@@ -333,22 +779,12 @@ export const IMRYD_JSON_SCHEMA = {
         diseno: { type: "string" },
         poblacion: { type: "string" },
         tamano_muestra: { type: "string" },
-        criterios_inclusion: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
-        criterios_exclusion: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
-        intervenciones: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
+        criterios_inclusion: STRING_LIST_OR_NOT_SPECIFIED,
+        criterios_exclusion: STRING_LIST_OR_NOT_SPECIFIED,
+        intervenciones: STRING_LIST_OR_NOT_SPECIFIED,
         grupo_control: { type: "string" },
-        outcomes_primarios: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
-        outcomes_secundarios: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
+        outcomes_primarios: STRING_LIST_OR_NOT_SPECIFIED,
+        outcomes_secundarios: STRING_LIST_OR_NOT_SPECIFIED,
         seguimiento: { type: "string" },
         analisis_estadistico: { type: "string" }
       }
@@ -372,12 +808,8 @@ export const IMRYD_JSON_SCHEMA = {
             }
           }
         },
-        hallazgos_secundarios: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
-        efectos_adversos: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        }
+        hallazgos_secundarios: STRING_LIST_OR_NOT_SPECIFIED,
+        efectos_adversos: STRING_LIST_OR_NOT_SPECIFIED
       }
     },
     discusion: {
@@ -386,12 +818,8 @@ export const IMRYD_JSON_SCHEMA = {
       properties: {
         interpretacion: { type: "string" },
         comparacion_literatura: { type: "string" },
-        limitaciones: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
-        fortalezas: {
-          oneOf: [{ type: "array", items: { type: "string" } }, { type: "string" }]
-        },
+        limitaciones: STRING_LIST_OR_NOT_SPECIFIED,
+        fortalezas: STRING_LIST_OR_NOT_SPECIFIED,
         implicaciones_clinicas: { type: "string" },
         investigacion_futura: { type: "string" }
       }
@@ -419,19 +847,46 @@ export const IMRYD_JSON_SCHEMA = {
   }
 };
 
+/**
+ * Schema IMRyD para un tipo de estudio: el base más el campo obligatorio de
+ * su plantilla (sin plantilla, IMRYD_JSON_SCHEMA tal cual)
+ *
+ * @param {string} [studyType] - Tipo de STUDY_TYPE_TEMPLATES
+ * @returns {Object} - JSON Schema
+ */
+export function getIMRyDSchema(studyType) {
+  const template = STUDY_TYPE_TEMPLATES[studyType];
+  if (!template) return IMRYD_JSON_SCHEMA;
+
+  return {
+    ...IMRYD_JSON_SCHEMA,
+    title: `${IMRYD_JSON_SCHEMA.title} (${template.jsonKey})`,
+    required: [...IMRYD_JSON_SCHEMA.required, template.jsonKey],
+    properties: {
+      ...IMRYD_JSON_SCHEMA.properties,
+      [template.jsonKey]: template.schema
+    }
+  };
+}
+
 /**
  * Valida una respuesta JSON contra el schema IMRyD
+ * Usa el schema del tipo de estudio (con coerción de variantes tolerables) y
+ * añade las reglas que el schema no expresa (disclaimer obligatorio).
  *
  * @param {Object} response - Respuesta JSON parseada del LLM
- * @returns {Object} - { valid: boolean, errors: string[], isError?: boolean }
+ * @param {string} [studyType] - Tipo de estudio clasificado (plantilla del schema)
+ * @returns {Object} - { valid, errors: string[], violations: [{ path, keyword, message }],
+ *   coercions, value, isError? } donde `value` es la respuesta normalizada
  */
-export function validateIMRyDResponse(response) {
-  const errors = [];
-
-  if (!response || typeof response !== 'object') {
+export function validateIMRyDResponse(response, studyType) {
+  if (!response || typeof response !== 'object' || Array.isArray(response)) {
     return {
       valid: false,
-      errors: ['Response is not a valid object']
+      errors: ['/: la respuesta no es un objeto JSON'],
+      violations: [{ path: '', keyword: 'type', message: 'la respuesta no es un objeto JSON' }],
+      coercions: [],
+      value: response
     };
   }
 
@@ -440,42 +895,40 @@ export function validateIMRyDResponse(response) {
     return {
       valid: true,
       errors: [],
+      violations: [],
+      coercions: [],
+      value: response,
       isError: true
     };
   }
 
-  // Check required sections
-  const requiredSections = ['metadata', 'introduccion', 'metodos', 'resultados', 'discusion', 'puntos_clave', 'advertencias'];
-  for (const section of requiredSections) {
-    if (!response[section]) {
-      errors.push(`Missing required section: ${section}`);
-    }
-  }
-
-  // Check metadata
-  if (response.metadata && !response.metadata.titulo) {
-    errors.push('Missing required field: metadata.titulo');
-  }
+  const result = validateSchema(getIMRyDSchema(studyType), response, { coerce: true });
+  const violations = [...result.errors];
 
   // Check for mandatory disclaimer
-  if (response.advertencias && Array.isArray(response.advertencias)) {
-    const hasDisclaimer = response.advertencias.some(a =>
-      a.toLowerCase().includes('no constituye consejo médico') ||
-      a.toLowerCase().includes('informativo')
+  const advertencias = result.value.advertencias;
+  if (Array.isArray(advertencias) && advertencias.length > 0) {
+    const hasDisclaimer = advertencias.some(a =>
+      typeof a === 'string' && (
+        a.toLowerCase().includes('no constituye consejo médico') ||
+        a.toLowerCase().includes('informativo')
+      )
     );
     if (!hasDisclaimer) {
-      errors.push('Missing mandatory medical disclaimer in advertencias');
+      violations.push({
+        path: '/advertencias',
+        keyword: 'disclaimer',
+        message: 'falta el disclaimer médico obligatorio'
+      });
     }
   }
 
-  // Check puntos_clave limit
-  if (response.puntos_clave && response.puntos_clave.length > 5) {
-    errors.push('puntos_clave exceeds maximum of 5 items');
-  }
-
   return {
-    valid: errors.length === 0,
-    errors
+    valid: violations.length === 0,
+    errors: violations.map(formatSchemaError),
+    violations,
+    coercions: result.coercions,
+    value: result.value
   };
 }
 
@@ -489,8 +942,44 @@ export function validateIMRyDResponse(response) {
  * @param {string} title - Título del documento
  * @returns {string} - Prompt con título
  */
-export const getSummaryPrompt = (title) =>
-  SUMMARY_GENERATION_PROMPT.replace('{title}', title);
+export const getSummaryPrompt = (title, studyType) => {
+  const template = STUDY_TYPE_TEMPLATES[studyType];
+  const prompt = SUMMARY_GENERATION_PROMPT.replace('{title}', title);
+  if (!template) return prompt;
+
+  return prompt.replace(
+    'Incluye citas textuales importantes',
+    `6. **Secciones propias de este tipo de documento** (añádelas tras las secciones IMRyD; omite las secciones IMRyD que no apliquen):
+    ${template.markdown}
+
+Incluye citas textuales importantes`
+  );
+};
+
+/**
+ * Genera el prompt de extracción JSON (v2) para un tipo de estudio
+ * Añade la descripción del campo de su plantilla antes del manejo de errores.
+ *
+ * @param {string} [studyType] - Tipo de estudio clasificado
+ * @returns {string} - Prompt de extracción
+ */
+export const getExtractionPrompt = (studyType) => {
+  const template = STUDY_TYPE_TEMPLATES[studyType];
+  if (!template) return IMRYD_EXTRACTION_PROMPT;
+
+  return IMRYD_EXTRACTION_PROMPT.replace(
+    '## MANEJO DE ERRORES',
+    `## CAMPO ADICIONAL OBLIGATORIO PARA ESTE TIPO DE DOCUMENTO
+
+Añade al objeto JSON, junto a los campos anteriores:
+
+${template.json}
+
+Aplica las mismas reglas: solo datos del documento y "No especificado en el documento" para lo que no aparezca.
+
+## MANEJO DE ERRORES`
+  );
+};
 
 /**
  * Export default con todos los prompts y funciones
@@ -498,12 +987,26 @@ export const getSummaryPrompt = (title) =>
 export default {
   // Modo Markdown (default)
   PAGE_ANALYSIS_PROMPT,
+  SECTION_ANALYSIS_PROMPT,
   SUMMARY_GENERATION_PROMPT,
+  SECTION_SUMMARY_PROMPT,
   getSummaryPrompt,
 
+  // Plantillas por tipo de estudio
+  STUDY_TYPE_PROMPT,
+  STUDY_TYPE_TEMPLATES,
+  APPRAISAL_PROMPT,
+  PICO_PROMPT,
+  RISK_OF_BIAS_PROMPT,
+
   // Modo JSON (USE_PROMPTS_V2=true)
   PAGE_ANALYSIS_PROMPT_V2,
+  SECTION_ANALYSIS_PROMPT_V2,
   IMRYD_EXTRACTION_PROMPT,
+  IMRYD_REPAIR_PROMPT,
   IMRYD_JSON_SCHEMA,
+  getIMRyDSchema,
+  getExtractionPrompt,
+  NOT_SPECIFIED,
   validateIMRyDResponse
 };
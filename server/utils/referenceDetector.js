@@ -90,6 +90,13 @@ const REFERENCE_PATTERNS = {
 
   // Year followed by semicolon (common in journal citations like "2018; 14(2)")
   yearSemicolon: /(?:19|20)\d{2}\s*;/g,
+
+  // Start of a bibliography entry when parsing (e.g., "12. Shaw JE...", "[12] Shaw JE...",
+  // "3. van der Berg J..." or "7. 2022 AHA/ACC guideline...")
+  entryStart: /^\s*(?:\[(\d{1,3})\]|(\d{1,3})\.)\s+(?=\S)/,
+
+  // Start of an unnumbered (author-year) entry (e.g., "Shaw JE, Sicree RA..." or "Shaw, J. E.")
+  authorStart: /^[A-ZÁÉÍÓÚÑ][A-Za-zÀ-ÿ'’-]+,?\s+(?:[A-Z]\.?\s?){1,3}[,.]/,
 };
 
 /**
@@ -117,6 +124,10 @@ const THRESHOLDS = {
 
   // If header found, lower threshold for other patterns
   headerMultiplier: 0.5,
+
+  // Largest jump between consecutive entry numbers when parsing (tolerates an
+  // entry the extraction lost; bigger jumps are wrapped text like "18. doi...")
+  maxEntryNumberGap: 3,
 };
 
 /**
@@ -602,6 +613,147 @@ export function generateMixedContentResponse(pageNumber, analysis) {
     `omitiendo la sección de referencias bibliográficas.]`;
 }
 
+/**
+ * Journal details of a citation: journalCitation extended to capture year,
+ * volume, optional issue and page range (e.g., "2010; 87(1):4–14",
+ * "2019 Mar;380:1509-18")
+ */
+const CITATION_DETAILS = /((?:19|20)\d{2})[a-z]?(?:\s+[A-Z][a-z]{2}(?:\s+\d{1,2})?)?\s*;\s*(\d+)\s*(?:\(\s*([^)]+?)\s*\))?\s*:\s*([A-Za-z]?\d+(?:\s*[-–]\s*[A-Za-z]?\d+)?)/;
+
+/**
+ * First match of a REFERENCE_PATTERNS entry (without the global flag, so
+ * the match keeps its index)
+ *
+ * @param {RegExp} pattern - Pattern of REFERENCE_PATTERNS
+ * @param {string} text - Text to search
+ * @returns {Array|null} Match or null
+ */
+function firstMatch(pattern, text) {
+  return text.match(new RegExp(pattern.source, pattern.flags.replace('g', '')));
+}
+
+/**
+ * Parses one bibliography entry (Vancouver style: "Authors. Title. Journal.
+ * Year;Volume(Issue):Pages. doi:... PMID: ...")
+ *
+ * @param {string} raw - Entry text without its number
+ * @param {number|null} number - Entry number in the reference list
+ * @param {number} pageNumber - Page where the entry starts
+ * @returns {Object} Structured citation
+ */
+export function parseReferenceEntry(raw, number, pageNumber) {
+  const text = raw.replace(/\s+/g, ' ').trim();
+
+  const doiMatch = firstMatch(REFERENCE_PATTERNS.doi, text);
+  const doi = doiMatch ?
+    ((text.slice(doiMatch.index).match(/10\.\d{4,}\/\S+/) || [])[0] || '').replace(/[.,;]+$/, '') || null :
+    null;
+  const pmidMatch = firstMatch(REFERENCE_PATTERNS.pmid, text);
+  const details = text.match(CITATION_DETAILS);
+
+  // Authors, title and journal come before the first identifier
+  const cut = Math.min(
+    ...[details, doiMatch, pmidMatch, text.match(/https?:\/\//)]
+      .filter(Boolean)
+      .map(match => match.index),
+    text.length
+  );
+  const segments = text.slice(0, cut)
+    .split(/(?<=[.?!])\s+(?=[A-ZÁÉÍÓÚÑ0-9¿"“[])/)
+    .map(segment => segment.replace(/[.,;:\s]+$/, '').trim())
+    .filter(Boolean);
+
+  const authorList = segments.length > 1 ? segments[0] : '';
+  const names = authorList.split(/,\s*|;\s*|\s+(?:and|y|&)\s+/).map(name => name.trim()).filter(Boolean);
+  const etAl = names.some(name => /^et\s+al\.?$/i.test(name));
+  const year = details ? details[1] : (text.slice(cut).match(/\b(?:19|20)\d{2}\b/) || text.match(/\b(?:19|20)\d{2}\b/) || [])[0];
+
+  return {
+    number,
+    authors: names.filter(name => !/^et\s+al\.?$/i.test(name)),
+    etAl,
+    title: segments.length > 1 ? segments[1] : segments[0] || null,
+    journal: segments.length > 2 ? segments.slice(2).join('. ').replace(/[.,;:]?\s*(?:19|20)\d{2}$/, '') || null : null,
+    year: year ? parseInt(year, 10) : null,
+    volume: details ? details[2] : null,
+    issue: details && details[3] ? details[3] : null,
+    pages: details ? details[4].replace(/\s+/g, '') : null,
+    doi,
+    pmid: pmidMatch ? pmidMatch[0].replace(/\D/g, '') : null,
+    pageNumber,
+    raw: text
+  };
+}
+
+/**
+ * Parses the reference pages of a document into structured citations
+ * - PURE_REFERENCES pages are parsed whole; MIXED_CONTENT pages from their
+ *   References header on
+ * - Entries start at a number ("12." or "[12]") following the previous one;
+ *   unnumbered lists start an entry at each author line after a line that
+ *   closes an entry (full stop, or the digits of pages, DOI or PMID)
+ * - An entry that continues on the next page stays a single citation
+ *
+ * @param {Array} pages - Pages { pageNumber, text } (full text)
+ * @returns {Array} Citations { number, authors, etAl, title, journal, year,
+ *   volume, issue, pages, doi, pmid, pageNumber, raw }
+ */
+export function parseBibliography(pages) {
+  const lines = [];
+  let previousPage = null;
+
+  for (const page of pages) {
+    const analysis = analyzePageContent(page.text, page.pageNumber);
+    let text = null;
+    if (analysis.classification === PAGE_CLASSIFICATION.PURE_REFERENCES) {
+      text = analysis.originalText;
+    } else if (analysis.referenceSection) {
+      text = analysis.originalText.substring(analysis.referenceSection.position);
+    }
+    if (!text) continue;
+
+    // A gap between reference pages breaks any entry in progress
+    const continues = previousPage !== null && page.pageNumber === previousPage + 1;
+    text.split('\n').forEach((line, index) => {
+      const trimmed = line.trim();
+      if (trimmed && !REFERENCE_PATTERNS.headers.some(pattern => pattern.test(trimmed))) {
+        lines.push({ text: trimmed, pageNumber: page.pageNumber, breaks: index === 0 && !continues });
+      }
+    });
+    previousPage = page.pageNumber;
+  }
+
+  const numbered = lines.some(line => REFERENCE_PATTERNS.entryStart.test(line.text));
+  const entries = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line.breaks) current = null;
+
+    let start = null;
+    if (numbered) {
+      const match = line.text.match(REFERENCE_PATTERNS.entryStart);
+      const number = match ? parseInt(match[1] || match[2], 10) : null;
+      // Numbers that do not follow the previous entry are wrapped text ("18. doi...")
+      if (match && (!current || (number > current.number && number <= current.number + THRESHOLDS.maxEntryNumberGap))) {
+        start = { number, text: line.text.slice(match[0].length) };
+      }
+    } else if (REFERENCE_PATTERNS.authorStart.test(line.text) && (!current || /[.\d]$/.test(current.text))) {
+      start = { number: null, text: line.text };
+    }
+
+    if (start) {
+      current = { ...start, pageNumber: line.pageNumber };
+      entries.push(current);
+    } else if (current) {
+      // Hyphens and slashes at the end of a line are breaks inside a word, range or DOI
+      current.text += (/[-/]$/.test(current.text) ? '' : ' ') + line.text;
+    }
+  }
+
+  return entries.map(entry => parseReferenceEntry(entry.text, entry.number, entry.pageNumber));
+}
+
 export default {
   detectReferencePage,
   generateReferencePageResponse,
@@ -611,6 +763,8 @@ export default {
   findImportantSections,
   findReferencesSectionStart,
   extractContentBeforeReferences,
+  parseReferenceEntry,
+  parseBibliography,
   PAGE_CLASSIFICATION,
   REFERENCE_PATTERNS,
   THRESHOLDS,
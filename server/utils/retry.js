@@ -0,0 +1,115 @@
+/**
+ * Retry Utilities - Reintentos con Backoff Exponencial
+ *
+ * Clasifica errores de proveedores LLM como transitorios (429, 5xx,
+ * respuesta vacía, fallos de red) y reintenta con espera exponencial.
+ */
+
+import '../config/env.js';
+
+// Configuration
+export const DEFAULT_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES || '2', 10);
+const DEFAULT_BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_MS || '1000', 10);
+const MAX_DELAY_MS = 30000;
+
+// Error codes from Node's network stack that are worth retrying
+const NETWORK_ERROR_CODES = new Set([
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'UND_ERR_SOCKET',
+  'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+/**
+ * Determine if an error is transient and the call may succeed on retry
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean}
+ */
+export function isRetryableError(error) {
+  if (!error) return false;
+  if (error.retryable === true) return true;
+  if (error.retryable === false) return false;
+
+  const status = error.status || error.statusCode;
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (code && NETWORK_ERROR_CODES.has(code)) return true;
+
+  // OpenAI SDK connection errors and undici's "fetch failed"
+  return error.name === 'APIConnectionError' ||
+    error.name === 'APIConnectionTimeoutError' ||
+    (error.name === 'TypeError' && error.message === 'fetch failed');
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter, or the
+ * server's Retry-After header when present
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {number} baseDelayMs - Base delay
+ * @param {Error} [error] - Error of the failed attempt
+ * @returns {number} - Milliseconds to wait
+ */
+export function getRetryDelay(attempt, baseDelayMs = DEFAULT_BASE_DELAY_MS, error) {
+  const retryAfter = error && error.headers && (
+    typeof error.headers.get === 'function' ?
+      error.headers.get('retry-after') :
+      error.headers['retry-after']
+  );
+  const retryAfterSeconds = Number(retryAfter);
+  if (retryAfter && Number.isFinite(retryAfterSeconds)) {
+    return Math.min(retryAfterSeconds * 1000, MAX_DELAY_MS);
+  }
+
+  const exponential = baseDelayMs * Math.pow(2, attempt - 1);
+  const jitter = Math.random() * baseDelayMs * 0.25;
+  return Math.min(exponential + jitter, MAX_DELAY_MS);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run an async function, retrying transient failures
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} options - { retries, baseDelayMs, shouldRetry, onRetry }
+ * @returns {Promise<Object>} - { result, attempts }
+ * @throws {Error} - Last error, with `attempts` set
+ */
+export async function withRetry(fn, options = {}) {
+  const {
+    retries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    shouldRetry = isRetryableError,
+    onRetry
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const result = await fn(attempt);
+      return {
+        result,
+        attempts: attempt
+      };
+    } catch (error) {
+      if (attempt > retries || !shouldRetry(error)) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delayMs = getRetryDelay(attempt, baseDelayMs, error);
+      if (onRetry) onRetry(error, attempt, delayMs);
+      await sleep(delayMs);
+    }
+  }
+}
+
+export default {
+  isRetryableError,
+  getRetryDelay,
+  withRetry,
+  DEFAULT_MAX_RETRIES
+};
@@ -0,0 +1,525 @@
+/**
+ * Risk of Bias - Validez Interna del Estudio
+ *
+ * Los resúmenes no decían nada sobre la validez interna. Según el diseño:
+ * - Elige la herramienta (RoB 2 ensayos aleatorizados, ROBINS-I estudios no
+ *   aleatorizados de intervenciones, Newcastle-Ottawa cohortes y casos y controles)
+ * - Normaliza las respuestas de la IA a las preguntas orientadoras de cada
+ *   dominio, con cita y página, y comprueba las citas
+ * - Juicio por dominio (el de la IA, o derivado de las respuestas) y juicio
+ *   global con el algoritmo de la herramienta
+ * - Genera el nodo "Riesgo de sesgo" con la tabla semáforo (Markdown)
+ *
+ * A diferencia de la evaluación crítica (calidad del reporte), aquí se valora
+ * si el diseño y la ejecución pueden sesgar el resultado.
+ */
+
+import {
+  quoteOccursIn
+} from './citationVerifier.js';
+import {
+  escapeCell
+} from './tableExtractor.js';
+
+// Judgements of every tool: label and traffic-light colour
+export const JUDGEMENTS = {
+  low: { label: 'Bajo', emoji: '🟢' },
+  some_concerns: { label: 'Algunas preocupaciones', emoji: '🟡' },
+  high: { label: 'Alto', emoji: '🔴' },
+  moderate: { label: 'Moderado', emoji: '🟡' },
+  serious: { label: 'Serio', emoji: '🔴' },
+  critical: { label: 'Crítico', emoji: '⛔' },
+  no_information: { label: 'Sin información', emoji: '⚪' },
+  good: { label: 'Buena', emoji: '🟢' },
+  fair: { label: 'Aceptable', emoji: '🟡' },
+  poor: { label: 'Deficiente', emoji: '🔴' }
+};
+
+// Signalling question answers (RoB 2 / ROBINS-I wording)
+export const ANSWERS = {
+  Y: 'Sí',
+  PY: 'Probablemente sí',
+  PN: 'Probablemente no',
+  N: 'No',
+  NI: 'Sin información'
+};
+
+// Answer codes of the model → answer
+const ANSWER_ALIASES = {
+  S: 'Y',
+  PS: 'PY',
+  PN: 'PN',
+  N: 'N',
+  SI: 'NI'
+};
+
+// Characters kept from each quote
+const EVIDENCE_CHARS = 200;
+
+/**
+ * Herramientas de riesgo de sesgo
+ * Cada pregunta indica la respuesta favorable (bajo riesgo); en NOS la
+ * respuesta "Sí" otorga la estrella del ítem.
+ */
+export const ROB_TOOLS = {
+  rob2: {
+    name: 'RoB 2',
+    description: 'Herramienta Cochrane para ensayos aleatorizados (efecto de la asignación a la intervención)',
+    scoring: 'rob2',
+    judgements: ['low', 'some_concerns', 'high'],
+    domains: [
+      {
+        id: 'D1',
+        name: 'Proceso de aleatorización',
+        questions: [
+          { id: '1.1', text: '¿La secuencia de asignación fue aleatoria?', favourable: 'Y' },
+          { id: '1.2', text: '¿Se ocultó la secuencia hasta que los participantes fueron incluidos y asignados?', favourable: 'Y' },
+          { id: '1.3', text: '¿Las diferencias basales entre grupos sugieren un problema con la aleatorización?', favourable: 'N' }
+        ]
+      },
+      {
+        id: 'D2',
+        name: 'Desviaciones de las intervenciones previstas',
+        questions: [
+          { id: '2.1', text: '¿Los participantes conocían la intervención asignada durante el ensayo?', favourable: 'N' },
+          { id: '2.2', text: '¿Los cuidadores y el personal del estudio conocían la intervención asignada?', favourable: 'N' },
+          { id: '2.3', text: '¿Hubo desviaciones de la intervención prevista debidas al contexto del ensayo?', favourable: 'N' },
+          { id: '2.6', text: '¿Se usó un análisis apropiado para estimar el efecto de la asignación (p. ej. por intención de tratar)?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'D3',
+        name: 'Datos de desenlace faltantes',
+        questions: [
+          { id: '3.1', text: '¿Se dispone de datos del desenlace de todos o casi todos los participantes aleatorizados?', favourable: 'Y' },
+          { id: '3.2', text: '¿Hay evidencia de que el resultado no está sesgado por los datos faltantes?', favourable: 'Y' },
+          { id: '3.3', text: '¿La falta de datos del desenlace podría depender de su valor real?', favourable: 'N' }
+        ]
+      },
+      {
+        id: 'D4',
+        name: 'Medición del desenlace',
+        questions: [
+          { id: '4.1', text: '¿El método de medición del desenlace fue inapropiado?', favourable: 'N' },
+          { id: '4.2', text: '¿Pudo la medición del desenlace diferir entre los grupos?', favourable: 'N' },
+          { id: '4.3', text: '¿Los evaluadores del desenlace conocían la intervención recibida?', favourable: 'N' }
+        ]
+      },
+      {
+        id: 'D5',
+        name: 'Selección del resultado reportado',
+        questions: [
+          { id: '5.1', text: '¿Los datos se analizaron según un plan predefinido (protocolo o plan de análisis) antes de conocer los resultados?', favourable: 'Y' },
+          { id: '5.2', text: '¿El resultado se seleccionó entre múltiples mediciones del desenlace?', favourable: 'N' },
+          { id: '5.3', text: '¿El resultado se seleccionó entre múltiples análisis de los datos?', favourable: 'N' }
+        ]
+      }
+    ]
+  },
+  robins_i: {
+    name: 'ROBINS-I',
+    description: 'Riesgo de sesgo en estudios no aleatorizados de intervenciones',
+    scoring: 'robins_i',
+    judgements: ['low', 'moderate', 'serious', 'critical', 'no_information'],
+    domains: [
+      {
+        id: 'D1',
+        name: 'Confusión',
+        questions: [
+          { id: '1.1', text: '¿Hay posibilidad de confusión del efecto de la intervención?', favourable: 'N' },
+          { id: '1.4', text: '¿Se usó un método apropiado para controlar los confusores importantes?', favourable: 'Y' },
+          { id: '1.5', text: '¿Los confusores controlados se midieron de forma válida y fiable?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'D2',
+        name: 'Selección de los participantes',
+        questions: [
+          { id: '2.1', text: '¿La selección se basó en características observadas después del inicio de la intervención?', favourable: 'N' },
+          { id: '2.4', text: '¿Coinciden el inicio del seguimiento y el de la intervención en la mayoría de los participantes?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'D3',
+        name: 'Clasificación de las intervenciones',
+        questions: [
+          { id: '3.1', text: '¿Se definieron claramente los grupos de intervención?', favourable: 'Y' },
+          { id: '3.3', text: '¿Pudo la clasificación de la intervención verse afectada por el conocimiento del desenlace?', favourable: 'N' }
+        ]
+      },
+      {
+        id: 'D4',
+        name: 'Desviaciones de las intervenciones previstas',
+        questions: [
+          { id: '4.1', text: '¿Hubo desviaciones de la intervención prevista más allá de la práctica habitual?', favourable: 'N' },
+          { id: '4.2', text: '¿Esas desviaciones pudieron afectar al desenlace de forma desigual entre grupos?', favourable: 'N' }
+        ]
+      },
+      {
+        id: 'D5',
+        name: 'Datos faltantes',
+        questions: [
+          { id: '5.1', text: '¿Se dispone de datos del desenlace de todos o casi todos los participantes?', favourable: 'Y' },
+          { id: '5.4', text: '¿La proporción y los motivos de los datos faltantes son similares entre grupos?', favourable: 'Y' },
+          { id: '5.5', text: '¿Hay evidencia de que los resultados son robustos a los datos faltantes?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'D6',
+        name: 'Medición de los desenlaces',
+        questions: [
+          { id: '6.1', text: '¿Pudo la medición del desenlace verse influida por el conocimiento de la intervención recibida?', favourable: 'N' },
+          { id: '6.2', text: '¿Los evaluadores del desenlace conocían la intervención recibida?', favourable: 'N' },
+          { id: '6.3', text: '¿Los métodos de evaluación del desenlace fueron comparables entre grupos?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'D7',
+        name: 'Selección del resultado reportado',
+        questions: [
+          { id: '7.1', text: '¿El resultado se seleccionó entre múltiples mediciones del desenlace?', favourable: 'N' },
+          { id: '7.2', text: '¿El resultado se seleccionó entre múltiples análisis de los datos?', favourable: 'N' },
+          { id: '7.3', text: '¿El resultado se seleccionó entre distintos subgrupos?', favourable: 'N' }
+        ]
+      }
+    ]
+  },
+  nos_cohort: {
+    name: 'Newcastle-Ottawa (cohortes)',
+    description: 'Escala Newcastle-Ottawa para estudios de cohortes (estrellas por ítem)',
+    scoring: 'nos',
+    judgements: ['good', 'fair', 'poor'],
+    domains: [
+      {
+        id: 'S',
+        name: 'Selección',
+        maxStars: 4,
+        questions: [
+          { id: 'S1', text: '¿La cohorte expuesta es representativa de la población de interés?', favourable: 'Y' },
+          { id: 'S2', text: '¿La cohorte no expuesta procede de la misma población que la expuesta?', favourable: 'Y' },
+          { id: 'S3', text: '¿La exposición se determinó con un registro seguro o una entrevista estructurada?', favourable: 'Y' },
+          { id: 'S4', text: '¿Se demostró que el desenlace no estaba presente al inicio del estudio?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'C',
+        name: 'Comparabilidad',
+        maxStars: 2,
+        questions: [
+          { id: 'C1', text: '¿Las cohortes son comparables en el factor de confusión más importante (diseño o ajuste)?', favourable: 'Y' },
+          { id: 'C2', text: '¿Se controló algún factor de confusión adicional?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'O',
+        name: 'Desenlace',
+        maxStars: 3,
+        questions: [
+          { id: 'O1', text: '¿El desenlace se evaluó de forma independiente y ciega o mediante registros?', favourable: 'Y' },
+          { id: 'O2', text: '¿El seguimiento fue lo bastante largo para que ocurriera el desenlace?', favourable: 'Y' },
+          { id: 'O3', text: '¿El seguimiento fue completo o las pérdidas son pequeñas y poco probablemente sesgadas?', favourable: 'Y' }
+        ]
+      }
+    ]
+  },
+  nos_case_control: {
+    name: 'Newcastle-Ottawa (casos y controles)',
+    description: 'Escala Newcastle-Ottawa para estudios de casos y controles (estrellas por ítem)',
+    scoring: 'nos',
+    judgements: ['good', 'fair', 'poor'],
+    domains: [
+      {
+        id: 'S',
+        name: 'Selección',
+        maxStars: 4,
+        questions: [
+          { id: 'S1', text: '¿La definición de caso es adecuada (con validación independiente)?', favourable: 'Y' },
+          { id: 'S2', text: '¿Los casos son una serie consecutiva o claramente representativa?', favourable: 'Y' },
+          { id: 'S3', text: '¿Los controles proceden de la comunidad y no del hospital?', favourable: 'Y' },
+          { id: 'S4', text: '¿Se definieron los controles como sin antecedentes de la enfermedad?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'C',
+        name: 'Comparabilidad',
+        maxStars: 2,
+        questions: [
+          { id: 'C1', text: '¿Casos y controles son comparables en el factor de confusión más importante (diseño o ajuste)?', favourable: 'Y' },
+          { id: 'C2', text: '¿Se controló algún factor de confusión adicional?', favourable: 'Y' }
+        ]
+      },
+      {
+        id: 'E',
+        name: 'Exposición',
+        maxStars: 3,
+        questions: [
+          { id: 'E1', text: '¿La exposición se determinó con un registro seguro o una entrevista ciega al estado de caso o control?', favourable: 'Y' },
+          { id: 'E2', text: '¿Se usó el mismo método de determinación para casos y controles?', favourable: 'Y' },
+          { id: 'E3', text: '¿La tasa de no respuesta fue similar en ambos grupos?', favourable: 'Y' }
+        ]
+      }
+    ]
+  }
+};
+
+// Design signals that pick the tool for observational and experimental studies
+const NON_RANDOMISED_INTERVENTION = /\bnon-?randomi[sz]ed\b|\bquasi-?experimental\b|\bbefore[- ]and[- ]after\b|\bpropensity[- ]score\b|\btarget trial\b|\bno aleatori[sz]ad[oa]\b|\bcuasi-?experimental\b|\bantes y despu[ée]s\b/i;
+const CASE_CONTROL = /\bcase[- ]control\b|\bcasos y controles\b/i;
+const COHORT = /\bcohort\b|\bcohorte\b/i;
+
+/**
+ * Herramienta de riesgo de sesgo aplicable al estudio
+ * Los ensayos aleatorizados usan RoB 2. En el resto de diseños originales
+ * ('other') deciden las señales del texto: intervención no aleatorizada →
+ * ROBINS-I, casos y controles o cohortes → Newcastle-Ottawa. Revisiones,
+ * guías, reportes de caso y diseños sin señales no tienen herramienta.
+ *
+ * @param {string} studyType - Tipo de estudio (utils/studyClassifier.js)
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @returns {Object|null} - { key, ...herramienta } o null
+ */
+export function selectRiskOfBiasTool(studyType, pages) {
+  const pick = key => ({ key, ...ROB_TOOLS[key] });
+  if (studyType === 'rct') return pick('rob2');
+  if (studyType !== 'other') return null;
+
+  const text = pages.map(page => page.text || '').join('\n');
+  if (NON_RANDOMISED_INTERVENTION.test(text)) return pick('robins_i');
+  if (CASE_CONTROL.test(text)) return pick('nos_case_control');
+  if (COHORT.test(text)) return pick('nos_cohort');
+  return null;
+}
+
+/**
+ * Juicio de un dominio derivado de sus respuestas (RoB 2 / ROBINS-I)
+ * Todo favorable → bajo; alguna respuesta claramente desfavorable (Sí/No
+ * contrario) → alto; lo demás → intermedio. Sin ninguna respuesta
+ * informativa, ROBINS-I usa "sin información".
+ *
+ * @param {Object} tool - Herramienta de ROB_TOOLS
+ * @param {Array} questions - Preguntas del dominio con su respuesta { favourable, answer }
+ * @returns {string} - Clave de JUDGEMENTS
+ */
+function deriveDomainJudgement(tool, questions) {
+  const opposite = { Y: 'N', N: 'Y' };
+  const probable = { Y: 'PY', N: 'PN' };
+  const answered = questions.filter(question => question.answer !== 'NI');
+
+  const allFavourable = answered.length === questions.length && answered.every(question =>
+    question.answer === question.favourable || question.answer === probable[question.favourable]);
+  const anyUnfavourable = answered.some(question => question.answer === opposite[question.favourable]);
+
+  if (tool.scoring === 'robins_i') {
+    if (answered.length === 0) return 'no_information';
+    if (anyUnfavourable) return 'serious';
+    return allFavourable ? 'low' : 'moderate';
+  }
+  if (anyUnfavourable) return 'high';
+  return allFavourable ? 'low' : 'some_concerns';
+}
+
+/**
+ * Valoración de un dominio de Newcastle-Ottawa según sus estrellas
+ * (umbrales de la AHRQ: selección 3-4, comparabilidad 1-2, desenlace o
+ * exposición 2-3 para una calidad buena)
+ * @param {Object} domain - Dominio con maxStars
+ * @param {number} stars - Estrellas obtenidas
+ * @returns {string} - 'good' | 'fair' | 'poor'
+ */
+function nosDomainJudgement(domain, stars) {
+  if (domain.id === 'S') {
+    if (stars >= 3) return 'good';
+    return stars === 2 ? 'fair' : 'poor';
+  }
+  if (domain.id === 'C') return stars >= 1 ? 'good' : 'poor';
+  return stars >= 2 ? 'good' : 'poor';
+}
+
+/**
+ * Juicio global con el algoritmo de cada herramienta
+ * - RoB 2: alto si algún dominio es alto o hay algunas preocupaciones en
+ *   3 o más dominios; bajo si todos son bajos; si no, algunas preocupaciones
+ * - ROBINS-I: el peor dominio; "sin información" si falta información y
+ *   ningún dominio es serio o crítico
+ * - Newcastle-Ottawa: deficiente si algún dominio es deficiente, aceptable
+ *   si la selección es aceptable, buena en otro caso
+ *
+ * @param {Object} tool - Herramienta de ROB_TOOLS
+ * @param {string[]} judgements - Juicios de los dominios
+ * @returns {string} - Clave de JUDGEMENTS
+ */
+export function overallJudgement(tool, judgements) {
+  const count = judgement => judgements.filter(value => value === judgement).length;
+
+  if (tool.scoring === 'rob2') {
+    if (count('high') > 0 || count('some_concerns') >= 3) return 'high';
+    return count('some_concerns') > 0 ? 'some_concerns' : 'low';
+  }
+  if (tool.scoring === 'robins_i') {
+    const worst = ['critical', 'serious', 'moderate', 'low'].find(judgement => count(judgement) > 0) || 'no_information';
+    if ((worst === 'low' || worst === 'moderate') && count('no_information') > 0) return 'no_information';
+    return worst;
+  }
+  if (count('poor') > 0) return 'poor';
+  return count('fair') > 0 ? 'fair' : 'good';
+}
+
+/**
+ * Construye la valoración del riesgo de sesgo
+ * - Respuestas desconocidas o ausentes → "Sin información"
+ * - Páginas fuera del documento se descartan; evidenceVerified indica si la
+ *   cita aparece en las páginas citadas
+ * - Juicio del dominio: el de la IA si es válido para la herramienta, o el
+ *   derivado de las respuestas (Newcastle-Ottawa: siempre por estrellas);
+ *   si la IA contradice a sus propias respuestas se anota
+ *
+ * @param {Object} tool - Herramienta de selectRiskOfBiasTool
+ * @param {Object} llmAssessment - { preguntas: [{ id, respuesta, evidencia, paginas }],
+ *   dominios: [{ id, juicio, justificacion }] }
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @returns {Object} - { tool, name, description, domains, overall, overallLabel, stats }
+ */
+export function buildRiskOfBias(tool, llmAssessment, pages) {
+  const answers = new Map(((llmAssessment && llmAssessment.preguntas) || [])
+    .filter(answer => answer && answer.id !== undefined)
+    .map(answer => [String(answer.id), answer]));
+  const domainAnswers = new Map(((llmAssessment && llmAssessment.dominios) || [])
+    .filter(answer => answer && answer.id !== undefined)
+    .map(answer => [String(answer.id), answer]));
+  const pageTexts = new Map(pages.map(page => [page.pageNumber, page.text || '']));
+
+  const domains = tool.domains.map(domain => {
+    const questions = domain.questions.map(question => {
+      const answer = answers.get(question.id) || {};
+      const code = String(answer.respuesta || '').trim().toUpperCase();
+      const citedPages = (Array.isArray(answer.paginas) ? answer.paginas : [answer.paginas])
+        .map(Number)
+        .filter(pageNumber => pageTexts.has(pageNumber));
+      const evidence = String(answer.evidencia || '').slice(0, EVIDENCE_CHARS);
+      return {
+        id: question.id,
+        text: question.text,
+        favourable: question.favourable,
+        answer: ANSWER_ALIASES[code] || 'NI',
+        evidence,
+        pages: citedPages,
+        evidenceVerified: citedPages.length > 0 && quoteOccursIn(evidence, citedPages, pageTexts)
+      };
+    });
+
+    const proposed = domainAnswers.get(domain.id) || {};
+    const entry = {
+      id: domain.id,
+      name: domain.name,
+      questions,
+      rationale: typeof proposed.justificacion === 'string' ? proposed.justificacion : ''
+    };
+
+    if (tool.scoring === 'nos') {
+      entry.stars = questions.filter(question => question.answer === 'Y' || question.answer === 'PY').length;
+      entry.maxStars = domain.maxStars;
+      entry.judgement = nosDomainJudgement(domain, entry.stars);
+      entry.judgementSource = 'derived';
+      return entry;
+    }
+
+    const derived = deriveDomainJudgement(tool, questions);
+    if (tool.judgements.includes(proposed.juicio)) {
+      entry.judgement = proposed.juicio;
+      entry.judgementSource = 'llm';
+      if (proposed.juicio !== derived) {
+        entry.note = `Las respuestas sugieren "${JUDGEMENTS[derived].label}"`;
+      }
+    } else {
+      entry.judgement = derived;
+      entry.judgementSource = 'derived';
+    }
+    return entry;
+  });
+
+  domains.forEach(domain => {
+    domain.label = JUDGEMENTS[domain.judgement].label;
+  });
+  const overall = overallJudgement(tool, domains.map(domain => domain.judgement));
+  const questions = domains.flatMap(domain => domain.questions);
+  return {
+    tool: tool.key,
+    name: tool.name,
+    description: tool.description,
+    domains,
+    overall,
+    overallLabel: JUDGEMENTS[overall].label,
+    stats: {
+      questions: questions.length,
+      answered: questions.filter(question => question.answer !== 'NI').length,
+      withEvidence: questions.filter(question => question.pages.length > 0).length,
+      verified: questions.filter(question => question.evidenceVerified).length
+    }
+  };
+}
+
+/**
+ * Juicio con su color ("🟢 Bajo"); en Newcastle-Ottawa con las estrellas
+ * @param {string} judgement - Clave de JUDGEMENTS
+ * @param {Object} [domain] - Dominio con stars/maxStars
+ * @returns {string}
+ */
+function formatJudgement(judgement, domain = null) {
+  const { emoji, label } = JUDGEMENTS[judgement];
+  return domain && domain.maxStars ?
+    `${emoji} ${label} (${'★'.repeat(domain.stars)}${'☆'.repeat(domain.maxStars - domain.stars)})` :
+    `${emoji} ${label}`;
+}
+
+/**
+ * Markdown del riesgo de sesgo: tabla semáforo, juicios por dominio y
+ * preguntas orientadoras con su evidencia (p. X)
+ *
+ * @param {Object} assessment - Resultado de buildRiskOfBias
+ * @returns {string}
+ */
+export function buildRiskOfBiasMarkdown(assessment) {
+  const tool = ROB_TOOLS[assessment.tool];
+  let md = `# ⚖️ Riesgo de sesgo: ${assessment.name}\n\n`;
+  md += `> ${assessment.description}. Valoración automática de la validez interna: revísela antes de usarla en una decisión clínica.\n\n`;
+  md += `**Juicio global:** ${formatJudgement(assessment.overall)}\n\n`;
+
+  // Traffic-light table: one column per domain plus the overall judgement
+  md += `| ${assessment.domains.map(domain => domain.id).join(' | ')} | Global |\n`;
+  md += `|${assessment.domains.map(() => ':-:').join('|')}|:-:|\n`;
+  md += `| ${assessment.domains.map(domain => JUDGEMENTS[domain.judgement].emoji).join(' | ')} | ${JUDGEMENTS[assessment.overall].emoji} |\n\n`;
+  md += `*${tool.judgements.map(judgement => `${JUDGEMENTS[judgement].emoji} ${JUDGEMENTS[judgement].label}`).join(' • ')}*\n\n`;
+
+  md += '| Dominio | Juicio | Justificación |\n|---|---|---|\n';
+  assessment.domains.forEach(domain => {
+    const rationale = [domain.rationale, domain.note ? `⚠️ ${domain.note}` : ''].filter(Boolean).join(' ');
+    md += `| ${domain.id} · ${escapeCell(domain.name)} | ${formatJudgement(domain.judgement, domain)} | ${escapeCell(rationale) || '—'} |\n`;
+  });
+
+  for (const domain of assessment.domains) {
+    md += `\n## ${domain.id} · ${domain.name}\n\n`;
+    domain.questions.forEach(question => {
+      let line = `- **${question.id}** ${question.text} **${ANSWERS[question.answer]}**`;
+      if (question.evidence) {
+        const pages = question.pages.length > 0 ? ` (p. ${question.pages.join(', ')})` : '';
+        line += ` — "${question.evidence}"${pages}`;
+        if (question.pages.length > 0 && !question.evidenceVerified) {
+          line += ' *(⚠️ cita no encontrada en la página)*';
+        }
+      }
+      md += `${line}\n`;
+    });
+  }
+
+  return md;
+}
+
+export default {
+  JUDGEMENTS,
+  ANSWERS,
+  ROB_TOOLS,
+  selectRiskOfBiasTool,
+  overallJudgement,
+  buildRiskOfBias,
+  buildRiskOfBiasMarkdown
+};
@@ -0,0 +1,310 @@
+/**
+ * Schema Validator - Validación con JSON Schema
+ *
+ * Validador ligero para el subconjunto de JSON Schema que usan los schemas
+ * del proyecto (IMRYD_JSON_SCHEMA):
+ *   type, const, enum, required, properties, additionalProperties: false,
+ *   items, minItems, maxItems, minLength, maxLength, minimum, maximum,
+ *   oneOf, anyOf
+ *
+ * Cada violación se reporta con su ruta JSON Pointer (RFC 6901), p. ej.
+ * "/resultados/hallazgos_principales/0/pagina_referencia".
+ *
+ * Con `coerce: true` corrige variantes tolerables de la salida de un LLM
+ * en vez de rechazarlas (sin modificar el objeto original):
+ * - string donde se espera array → [string]
+ * - array de strings donde se espera string → unidos con "; "
+ * - número en texto donde se espera number → Number ("3" → 3)
+ * - número donde se espera string → String (240 → "240")
+ */
+
+/**
+ * Escapa un segmento de JSON Pointer ("~" → "~0", "/" → "~1")
+ * @param {string|number} segment - Clave o índice
+ * @returns {string}
+ */
+function escapePointerSegment(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Ruta JSON Pointer de un hijo
+ * @param {string} pointer - Ruta del padre ('' para la raíz)
+ * @param {string|number} segment - Clave o índice del hijo
+ * @returns {string}
+ */
+export function joinPointer(pointer, segment) {
+  return `${pointer}/${escapePointerSegment(segment)}`;
+}
+
+/**
+ * Tipo JSON de un valor
+ * @param {*} value
+ * @returns {string} - null | array | integer | number | string | boolean | object
+ */
+function getJSONType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Comprueba un valor contra un tipo de JSON Schema
+ * @param {*} value
+ * @param {string} type - Tipo del schema
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  const actual = getJSONType(value);
+  if (type === 'number') return (actual === 'number' || actual === 'integer') && Number.isFinite(value);
+  return actual === type;
+}
+
+/**
+ * Intenta convertir un valor a uno de los tipos esperados
+ * @param {*} value
+ * @param {string[]} types - Tipos aceptados por el schema
+ * @returns {Object|null} - { value } convertido, o null si no hay conversión tolerable
+ */
+function coerceToType(value, types) {
+  const actual = getJSONType(value);
+
+  for (const type of types) {
+    if (type === 'array' && actual === 'string') {
+      return { value: [value] };
+    }
+    if (type === 'string' && actual === 'array' && value.every(item => typeof item === 'string')) {
+      return { value: value.join('; ') };
+    }
+    if (type === 'string' && (actual === 'number' || actual === 'integer')) {
+      return { value: String(value) };
+    }
+    if ((type === 'number' || type === 'integer') && actual === 'string' && value.trim() !== '') {
+      const number = Number(value.trim().replace(',', '.'));
+      if (Number.isFinite(number) && (type === 'number' || Number.isInteger(number))) {
+        return { value: number };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Descripción breve de un schema para los mensajes de error
+ * @param {Object} schema
+ * @returns {string}
+ */
+function describeSchema(schema) {
+  if ('const' in schema) return JSON.stringify(schema.const);
+  if (schema.enum) return schema.enum.map(option => JSON.stringify(option)).join(' | ');
+  if (schema.type) return [].concat(schema.type).join(' | ');
+  return 'valor';
+}
+
+/**
+ * Valida un valor contra un (sub)schema
+ * @param {Object} schema - Schema
+ * @param {*} value - Valor a validar
+ * @param {string} pointer - Ruta JSON Pointer del valor
+ * @param {Object} context - { coerce, errors, coercions }
+ * @returns {*} - El valor, convertido si hubo coerción
+ */
+function validateNode(schema, value, pointer, context) {
+  const report = (keyword, message) => {
+    context.errors.push({
+      path: pointer,
+      keyword,
+      message
+    });
+  };
+
+  if (!schema || typeof schema !== 'object') return value;
+
+  // --- Composition ---
+  if (schema.oneOf || schema.anyOf) {
+    const keyword = schema.oneOf ? 'oneOf' : 'anyOf';
+    const branches = schema.oneOf || schema.anyOf;
+
+    const tryBranches = (coerce) => branches.map(branch => {
+      const branchContext = {
+        coerce,
+        errors: [],
+        coercions: []
+      };
+      const branchValue = validateNode(branch, value, pointer, branchContext);
+      return {
+        value: branchValue,
+        context: branchContext
+      };
+    }).filter(attempt => attempt.context.errors.length === 0);
+
+    let matches = tryBranches(false);
+    if (matches.length === 0 && context.coerce) {
+      matches = tryBranches(true).slice(0, 1);
+    }
+
+    if (matches.length === 0) {
+      report(keyword, `no coincide con ninguna opción permitida (${branches.map(describeSchema).join(' o ')})`);
+      return value;
+    }
+    if (keyword === 'oneOf' && matches.length > 1) {
+      report(keyword, 'coincide con más de una opción de oneOf');
+      return value;
+    }
+
+    value = matches[0].value;
+    context.coercions.push(...matches[0].context.coercions);
+  }
+
+  // --- Type (with optional coercion) ---
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      const coerced = context.coerce ? coerceToType(value, types) : null;
+      if (!coerced) {
+        report('type', `se esperaba ${types.join(' | ')} y se recibió ${getJSONType(value)}`);
+        return value;
+      }
+      context.coercions.push({
+        path: pointer,
+        from: getJSONType(value),
+        to: getJSONType(coerced.value)
+      });
+      value = coerced.value;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    report('const', `debe ser ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report('enum', `debe ser uno de: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  // --- Strings ---
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report('minLength', `debe tener al menos ${schema.minLength} caracteres`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      report('maxLength', `debe tener como máximo ${schema.maxLength} caracteres`);
+    }
+  }
+
+  // --- Numbers ---
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      report('minimum', `debe ser ≥ ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      report('maximum', `debe ser ≤ ${schema.maximum}`);
+    }
+  }
+
+  // --- Arrays ---
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report('minItems', `debe tener al menos ${schema.minItems} elementos`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      report('maxItems', `debe tener como máximo ${schema.maxItems} elementos (tiene ${value.length})`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => validateNode(schema.items, item, joinPointer(pointer, index), context));
+    }
+  }
+
+  // --- Objects ---
+  if (getJSONType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        context.errors.push({
+          path: joinPointer(pointer, key),
+          keyword: 'required',
+          message: 'campo obligatorio ausente'
+        });
+      }
+    }
+
+    const properties = schema.properties || {};
+    const validated = {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        validated[key] = validateNode(properties[key], propertyValue, joinPointer(pointer, key), context);
+      } else {
+        if (schema.additionalProperties === false) {
+          context.errors.push({
+            path: joinPointer(pointer, key),
+            keyword: 'additionalProperties',
+            message: 'campo no permitido'
+          });
+        }
+        validated[key] = propertyValue;
+      }
+    }
+    value = validated;
+  }
+
+  return value;
+}
+
+/**
+ * Valida un valor contra un JSON Schema
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {*} data - Valor a validar (no se modifica)
+ * @param {Object} [options] - { coerce } corregir variantes tolerables
+ * @returns {Object} - { valid, errors: [{ path, keyword, message }], coercions: [{ path, from, to }], value }
+ */
+export function validateSchema(schema, data, options = {}) {
+  const context = {
+    coerce: Boolean(options.coerce),
+    errors: [],
+    coercions: []
+  };
+
+  const value = validateNode(schema, data, '', context);
+
+  return {
+    valid: context.errors.length === 0,
+    errors: context.errors,
+    coercions: context.coercions,
+    value
+  };
+}
+
+/**
+ * Formatea una violación como texto ("/ruta: mensaje")
+ * @param {Object} error - { path, message }
+ * @returns {string}
+ */
+export function formatSchemaError(error) {
+  return `${error.path || '/'}: ${error.message}`;
+}
+
+/**
+ * Ruta legible de un JSON Pointer para logs
+ * ("/resultados/hallazgos_principales/0/valor" → "resultados.hallazgos_principales[0].valor")
+ * @param {string} pointer - Ruta JSON Pointer
+ * @returns {string}
+ */
+export function formatPointerForDisplay(pointer) {
+  if (!pointer) return '(raíz)';
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((display, segment) => (
+      /^\d+$/.test(segment) ? `${display}[${segment}]` : (display ? `${display}.${segment}` : segment)
+    ), '');
+}
+
+export default {
+  validateSchema,
+  formatSchemaError,
+  formatPointerForDisplay,
+  joinPointer
+};
@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events Helpers
+ *
+ * Shared by the direct processing stream (POST /api/process) and the
+ * resumable job streams (GET /api/jobs/:jobId/events).
+ */
+
+import '../config/env.js';
+
+const CLIENT_URL = process.env.CLIENT_URL || process.env.SITE_URL || 'http://localhost:5173';
+
+/**
+ * Open an SSE stream on an Express response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object} - { send, comment, isClosed, end }
+ */
+export function openEventStream(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('Access-Control-Allow-Origin', CLIENT_URL);
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  if (res.flushHeaders) res.flushHeaders();
+  res.write(':\n\n');
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+  });
+
+  const safeWrite = (payload) => {
+    if (closed || res.writableEnded) return;
+    res.write(payload);
+  };
+
+  return {
+    /**
+     * Send an event, optionally tagged with an id for Last-Event-ID resumption
+     * @param {Object} data - Event payload
+     * @param {number} [id] - Event id
+     */
+    send(data, id) {
+      const idLine = id !== undefined ? `id: ${id}\n` : '';
+      safeWrite(`${idLine}data: ${JSON.stringify(data)}\n\n`);
+    },
+
+    /**
+     * Send a comment line (keeps idle connections alive through proxies)
+     */
+    comment() {
+      safeWrite(':\n\n');
+    },
+
+    isClosed: () => closed,
+
+    end() {
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
+
+export default {
+  openEventStream
+};
@@ -0,0 +1,209 @@
+/**
+ * Study Classifier - Tipo de Estudio del Documento
+ *
+ * Un ensayo clínico, una revisión sistemática, un reporte de caso o una guía
+ * de práctica clínica no se resumen igual. Antes del resumen:
+ * - Puntúa señales del texto (título, primeras páginas y resto) y de la
+ *   estructura detectada (IMRyD) para cada tipo de estudio
+ * - Combina esa estimación con la comprobación del modelo (aiService)
+ * - El tipo resultante selecciona la plantilla del resumen (prompts.js)
+ */
+
+// Tipos de estudio con plantilla propia ('other': plantilla IMRyD general)
+export const STUDY_TYPES = {
+  rct: 'Ensayo clínico aleatorizado',
+  systematic_review: 'Revisión sistemática / metaanálisis',
+  case_report: 'Reporte de caso',
+  guideline: 'Guía de práctica clínica',
+  narrative_review: 'Revisión narrativa',
+  other: 'Otro diseño (observacional, experimental...)'
+};
+
+// Signals per type; each pattern counts once per region of the document
+const SIGNALS = {
+  rct: [
+    { label: 'aleatorizado', pattern: /\brandomi[sz]ed\b|\baleatori[sz]ad[oa]s?\b/i, weight: 2 },
+    { label: 'ensayo controlado', pattern: /\bcontrolled trial\b|\bensayo (?:clínico )?controlado\b/i, weight: 2 },
+    { label: 'placebo', pattern: /\bplacebo\b/i, weight: 1 },
+    { label: 'asignación', pattern: /\b(?:allocation concealment|randomly assigned|asignados? aleatoriamente)\b/i, weight: 1 },
+    { label: 'CONSORT', pattern: /\bCONSORT\b/, weight: 1 },
+    { label: 'registro del ensayo', pattern: /\bNCT\d{8}\b|\bISRCTN\d+\b/, weight: 1 }
+  ],
+  systematic_review: [
+    { label: 'revisión sistemática', pattern: /\bsystematic review\b|\brevisi[óo]n sistem[áa]tica\b/i, weight: 3 },
+    { label: 'metaanálisis', pattern: /\bmeta-?analy[sz](?:is|es)\b|\bmeta-?an[áa]lisis\b/i, weight: 3 },
+    { label: 'PRISMA', pattern: /\bPRISMA\b/, weight: 2 },
+    { label: 'bases de datos', pattern: /\b(?:MEDLINE|Embase|CENTRAL|Cochrane Library|Web of Science|Scopus)\b/, weight: 1 },
+    { label: 'heterogeneidad', pattern: /\bheterogene(?:ity|idad)\b|\bI\s?[²2]\s*=/i, weight: 1 },
+    { label: 'estimación agrupada', pattern: /\b(?:pooled|forest plot|random[- ]effects)\b/i, weight: 1 }
+  ],
+  case_report: [
+    { label: 'reporte de caso', pattern: /\bcase (?:report|presentation)\b|\b(?:reporte|presentaci[óo]n) de(?:l)? caso\b|\bcaso cl[íi]nico\b/i, weight: 3 },
+    { label: 'edad del paciente', pattern: /\b\d{1,3}-year-old\b|\b(?:de|con) \d{1,3} años de edad\b/i, weight: 2 },
+    { label: 'presentación', pattern: /\b(?:presented (?:to|with)|acudi[óo] (?:a|por)|consult[óo] por)\b/i, weight: 1 },
+    { label: 'descripción del caso', pattern: /\bwe (?:report|describe|present) (?:a|the|an) (?:case|patient)\b|\bpresentamos (?:el|un) caso\b/i, weight: 2 }
+  ],
+  guideline: [
+    { label: 'guía', pattern: /\b(?:practice )?guidelines?\b|\bgu[íi]as? de pr[áa]ctica\b/i, weight: 2 },
+    { label: 'recomendaciones', pattern: /\b(?:we recommend|we suggest|recommendations?)\b|\brecomendaci(?:[óo]n|ones)\b/i, weight: 1 },
+    { label: 'fuerza de la recomendación', pattern: /\bstrength of (?:the )?recommendation\b|\bfuerza de (?:la )?recomendaci[óo]n\b/i, weight: 2 },
+    { label: 'nivel de evidencia', pattern: /\b(?:level|quality|certainty) of evidence\b|\b(?:nivel|calidad|certeza) de (?:la )?evidencia\b/i, weight: 1 },
+    { label: 'clase de recomendación', pattern: /\bClass (?:I|IIa|IIb|III)\b|\bGRADE\b/, weight: 1 },
+    { label: 'panel de expertos', pattern: /\b(?:expert panel|task force|consensus statement|grupo de trabajo|documento de consenso)\b/i, weight: 1 }
+  ],
+  narrative_review: [
+    { label: 'revisión', pattern: /\breview\b|\brevisi[óo]n\b/i, weight: 1 },
+    { label: 'estado del arte', pattern: /\b(?:state of the art|overview|current (?:concepts|perspectives|evidence)|puesta al d[íi]a|actualizaci[óo]n)\b/i, weight: 2 },
+    { label: 'revisamos', pattern: /\b(?:in this review|we review|esta revisi[óo]n|revisamos)\b/i, weight: 2 }
+  ],
+  other: [
+    { label: 'cohorte', pattern: /\bcohort\b|\bcohorte\b/i, weight: 2 },
+    { label: 'casos y controles', pattern: /\bcase[- ]control\b|\bcasos y controles\b/i, weight: 2 },
+    { label: 'transversal', pattern: /\bcross[- ]sectional\b|\btransversal\b/i, weight: 2 },
+    { label: 'retrospectivo', pattern: /\bretrospective\b|\bretrospectiv[oa]\b/i, weight: 1 },
+    { label: 'observacional', pattern: /\bobservational\b|\bobservacional\b/i, weight: 1 }
+  ]
+};
+
+// Where a signal appears: the title says more than a passing mention
+const REGION_WEIGHTS = {
+  title: 3,
+  opening: 2,
+  body: 1
+};
+
+// Pages read as the "opening" (title page and abstract)
+const OPENING_PAGES = 2;
+
+// Below this score nothing stands out and the general template is used
+const MIN_TYPE_SCORE = 4;
+// Score from which the estimate is fully trusted (several strong signals)
+const CONFIDENT_SCORE = 10;
+
+/**
+ * Estima el tipo de estudio con señales del texto y de la estructura
+ *
+ * @param {Array} pages - Páginas { pageNumber, text }
+ * @param {Object} [structure] - Estructura detectada (imryd, isIMRyDFormat)
+ * @param {Object} [options] - { title } título del documento
+ * @returns {Object} - { type, label, confidence, scores, signals } donde signals
+ *   son las señales encontradas para el tipo elegido
+ */
+export function classifyStudyType(pages, structure = null, options = {}) {
+  const regions = {
+    title: String(options.title || ''),
+    opening: pages.slice(0, OPENING_PAGES).map(page => page.text || '').join('\n'),
+    body: pages.slice(OPENING_PAGES).map(page => page.text || '').join('\n')
+  };
+
+  const scores = {};
+  const found = {};
+  for (const [type, signals] of Object.entries(SIGNALS)) {
+    scores[type] = 0;
+    found[type] = [];
+    for (const signal of signals) {
+      const regionWeight = Math.max(0, ...Object.entries(regions)
+        .filter(([, text]) => signal.pattern.test(text))
+        .map(([region]) => REGION_WEIGHTS[region]));
+      if (regionWeight > 0) {
+        scores[type] += signal.weight * regionWeight;
+        found[type].push(signal.label);
+      }
+    }
+  }
+
+  // Original research has Methods/Results; reviews and guidelines rarely do
+  const imryd = (structure && structure.imryd) || {};
+  if (structure && structure.isIMRyDFormat && imryd.methods) {
+    scores.narrative_review = Math.max(0, scores.narrative_review - 4);
+    scores.guideline = Math.max(0, scores.guideline - 2);
+  } else if (structure) {
+    scores.narrative_review += 2;
+    found.narrative_review.push('sin secciones IMRyD');
+  }
+  // A systematic review mentions trials constantly; "review" alone is not narrative
+  if (scores.systematic_review >= MIN_TYPE_SCORE) {
+    scores.narrative_review = 0;
+  }
+
+  const ranked = Object.entries(scores)
+    .filter(([type]) => type !== 'other')
+    .sort((a, b) => b[1] - a[1]);
+  const [bestType, bestScore] = ranked[0];
+
+  // Observational designs and unclear documents share the general template
+  const type = bestScore >= MIN_TYPE_SCORE && bestScore > scores.other ? bestType : 'other';
+  const typeScore = scores[type];
+  const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+  // Share of the evidence, discounted when there is little of it
+  const confidence = total > 0 ?
+    Math.round((typeScore / total) * Math.min(1, typeScore / CONFIDENT_SCORE) * 100) / 100 :
+    0;
+
+  return {
+    type,
+    label: STUDY_TYPES[type],
+    confidence,
+    scores,
+    signals: found[type]
+  };
+}
+
+/**
+ * Combina la estimación heurística con la comprobación del modelo
+ * Si coinciden, la confianza es la mayor de las dos. Si no, gana el modelo
+ * salvo que la heurística sea más segura que él. Un tipo elegido por el
+ * usuario se respeta siempre.
+ *
+ * @param {Object} heuristic - Resultado de classifyStudyType
+ * @param {Object|null} llm - { type, confidence, reason } o null si no hubo comprobación
+ * @param {string} [requestedType] - 'auto' o un tipo de STUDY_TYPES
+ * @returns {Object} - { type, label, confidence, source, heuristic, llm }
+ *   source: 'user' | 'heuristic' | 'consensus' | 'llm'
+ */
+export function resolveStudyType(heuristic, llm, requestedType = 'auto') {
+  const build = (type, confidence, source) => ({
+    type,
+    label: STUDY_TYPES[type],
+    confidence,
+    source,
+    heuristic,
+    llm: llm || null
+  });
+
+  if (requestedType && requestedType !== 'auto') {
+    return build(requestedType, 1, 'user');
+  }
+  if (!llm || !STUDY_TYPES[llm.type]) {
+    return build(heuristic.type, heuristic.confidence, 'heuristic');
+  }
+  if (llm.type === heuristic.type) {
+    return build(heuristic.type, Math.max(heuristic.confidence, llm.confidence), 'consensus');
+  }
+  return llm.confidence >= heuristic.confidence ?
+    build(llm.type, llm.confidence, 'llm') :
+    build(heuristic.type, heuristic.confidence, 'heuristic');
+}
+
+/**
+ * Describe la clasificación para el log
+ * @param {Object} studyType - Resultado de resolveStudyType
+ * @returns {string}
+ */
+export function describeStudyType(studyType) {
+  const percent = `${Math.round(studyType.confidence * 100)}%`;
+  const sources = {
+    user: 'elegido por el usuario',
+    heuristic: 'heurística',
+    consensus: 'heurística e IA coinciden',
+    llm: `IA; la heurística sugería ${studyType.heuristic.label}`
+  };
+  return `${studyType.label} (${percent}, ${sources[studyType.source]})`;
+}
+
+export default {
+  STUDY_TYPES,
+  classifyStudyType,
+  resolveStudyType,
+  describeStudyType
+};
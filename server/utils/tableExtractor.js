@@ -0,0 +1,302 @@
+/**
+ * Table Extractor - Reconstrucción de Tablas
+ *
+ * pdfEnhancer.detectTables solo indica que "probablemente" hay una tabla.
+ * Las tablas de características basales y de resultados son donde están
+ * las cifras reales, así que aquí se reconstruyen en filas y columnas a
+ * partir de las posiciones (X/Y) de los fragmentos de pdf.js:
+ * - Localiza los títulos "Table N" / "Tabla N"
+ * - Toma las filas que siguen al título mientras tengan forma de tabla
+ *   (varias celdas, o etiquetas cortas de grupo)
+ * - Deduce las columnas alineando los intervalos X de las celdas
+ * - Genera una tabla Markdown para el LLM, el árbol y las exportaciones
+ */
+
+import { normalizeTextItems, groupIntoLines, findGutter } from './layoutAnalyzer.js';
+
+// "Table 2. Baseline characteristics", "Tabla 1: ...", "TABLE 3 Outcomes"
+// Not "Table 1 shows...": the title must follow punctuation or a capital letter
+// (case-sensitive for that reason, so "TABLE" is listed explicitly)
+const CAPTION_PATTERN = /^(?:Table|TABLE|Tabla|TABLA)\s+(\d+)(?:\s*[.:|—–-]\s*|\s+(?=[A-ZÁÉÍÓÚÑ(])|\s*$)(.*)$/;
+const FIGURE_CAPTION_PATTERN = /^(?:Figure|Fig\.|Figura)\s*\d+/i;
+// A vertical gap larger than this (× font size) ends the table
+const MAX_ROW_GAP = 2.5;
+// Single-cell rows narrower than this fraction of the table are group labels;
+// wider ones are prose and end the table
+const MAX_LABEL_RATIO = 0.45;
+// Caption lines that can wrap before the first row
+const MAX_CAPTION_LINES = 3;
+// Consecutive group labels allowed inside a table
+const MAX_LABEL_RUN = 2;
+// Minimum rows with several cells to accept a table
+const MIN_TABLE_ROWS = 2;
+// Lines at least this wide (fraction of page width) are column prose
+const MIN_PROSE_WIDTH_RATIO = 0.25;
+
+/**
+ * Agrupa segmentos de línea en filas (los segmentos de una fila comparten Y)
+ * @param {Array} lines - Salida de groupIntoLines
+ * @returns {Array} - [{ y, fontSize, cells }] de arriba abajo
+ */
+function groupIntoRows(lines) {
+  const rows = new Map();
+  for (const line of lines) {
+    if (!rows.has(line.y)) {
+      rows.set(line.y, { y: line.y, fontSize: line.fontSize, cells: [] });
+    }
+    const row = rows.get(line.y);
+    row.cells.push(line);
+    row.fontSize = Math.max(row.fontSize, line.fontSize);
+  }
+
+  return [...rows.values()]
+    .map(row => ({ ...row, cells: row.cells.sort((a, b) => a.x - b.x) }))
+    .sort((a, b) => b.y - a.y);
+}
+
+/**
+ * Reconoce el título de una tabla
+ * @param {string} text - Texto de la línea
+ * @returns {Object|null} - { number, caption }
+ */
+export function parseTableCaption(text) {
+  const match = String(text || '').trim().match(CAPTION_PATTERN);
+  if (!match) return null;
+  return {
+    number: match[1],
+    caption: match[2].trim()
+  };
+}
+
+/**
+ * Deduce los intervalos X de las columnas
+ * Las filas con el número de celdas más habitual marcan las columnas; las
+ * celdas alineadas (a izquierda, derecha o centro) solapan su intervalo.
+ *
+ * @param {Array} rows - Filas de la tabla
+ * @returns {Array} - [{ x, xEnd }] de izquierda a derecha
+ */
+function findColumns(rows) {
+  const counts = new Map();
+  for (const row of rows) {
+    counts.set(row.cells.length, (counts.get(row.cells.length) || 0) + 1);
+  }
+  const [anchorCount] = [...counts.entries()]
+    .filter(([count]) => count > 1)
+    .sort((a, b) => (b[1] - a[1]) || (b[0] - a[0]))[0] || [1];
+
+  const spans = rows
+    .filter(row => row.cells.length === anchorCount)
+    .flatMap(row => row.cells.map(cell => ({ x: cell.x, xEnd: cell.xEnd })))
+    .sort((a, b) => a.x - b.x);
+
+  const columns = [];
+  for (const span of spans) {
+    const column = columns.find(current => span.x <= current.xEnd && span.xEnd >= current.x);
+    if (column) {
+      column.x = Math.min(column.x, span.x);
+      column.xEnd = Math.max(column.xEnd, span.xEnd);
+    } else {
+      columns.push({ ...span });
+    }
+  }
+  return columns.sort((a, b) => a.x - b.x);
+}
+
+/**
+ * Columna de una celda: la de mayor solapamiento, o la más cercana
+ * @param {Object} cell - { x, xEnd }
+ * @param {Array} columns - Intervalos de columna
+ * @returns {number} - Índice de columna
+ */
+function findCellColumn(cell, columns) {
+  let best = 0;
+  let bestScore = -Infinity;
+  columns.forEach((column, index) => {
+    const overlap = Math.min(cell.xEnd, column.xEnd) - Math.max(cell.x, column.x);
+    const distance = Math.abs((cell.x + cell.xEnd) / 2 - (column.x + column.xEnd) / 2);
+    const score = overlap > 0 ? overlap : -distance;
+    if (score > bestScore) {
+      best = index;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+/**
+ * Escapa el contenido de una celda Markdown
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeCell(value) {
+  return String(value || '').replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Convierte una tabla en Markdown (GFM)
+ * @param {Object} table - { headers, rows }
+ * @returns {string}
+ */
+export function tableToMarkdown(table) {
+  const width = Math.max(table.headers.length, ...table.rows.map(row => row.length));
+  const pad = (cells) => Array.from({ length: width }, (_, i) => escapeCell(cells[i]));
+
+  return [
+    `| ${pad(table.headers).join(' | ')} |`,
+    `| ${Array(width).fill('---').join(' | ')} |`,
+    ...table.rows.map(row => `| ${pad(row).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Filas de la tabla que sigue a un título
+ * @param {Array} rows - Filas de la página (de arriba abajo)
+ * @param {number} start - Índice de la fila del título
+ * @param {Function} inRegion - Filtro de celdas (columna de la página)
+ * @returns {Object} - { captionLines, tableRows }
+ */
+function collectTableRows(rows, start, inRegion) {
+  const captionLines = [];
+  const tableRows = [];
+  let labelRun = 0;
+  let previousY = rows[start].y;
+
+  for (let i = start + 1; i < rows.length; i++) {
+    const cells = rows[i].cells.filter(inRegion);
+    if (cells.length === 0) continue;
+
+    const firstText = cells[0].text.trim();
+    if (parseTableCaption(firstText) || FIGURE_CAPTION_PATTERN.test(firstText)) break;
+    if (previousY - rows[i].y > rows[i].fontSize * MAX_ROW_GAP) break;
+    previousY = rows[i].y;
+
+    const row = { ...rows[i], cells };
+    if (tableRows.length === 0) {
+      // Wrapped caption lines come before the first row with several cells
+      if (cells.length === 1) {
+        if (captionLines.length >= MAX_CAPTION_LINES) break;
+        captionLines.push(firstText);
+        continue;
+      }
+      tableRows.push(row);
+      continue;
+    }
+
+    if (cells.length > 1) {
+      tableRows.push(row);
+      labelRun = 0;
+      continue;
+    }
+
+    // Single cell: a short group label ("Comorbidities") or the end of the table
+    const tableX = Math.min(...tableRows.map(current => current.cells[0].x));
+    const tableXEnd = Math.max(...tableRows.map(current => current.cells[current.cells.length - 1].xEnd));
+    const isLabel = cells[0].xEnd - cells[0].x <= (tableXEnd - tableX) * MAX_LABEL_RATIO;
+    if (!isLabel || ++labelRun > MAX_LABEL_RUN) break;
+    tableRows.push(row);
+  }
+
+  // Trailing labels belong to what follows the table
+  while (tableRows.length > 0 && tableRows[tableRows.length - 1].cells.length === 1) {
+    tableRows.pop();
+  }
+
+  return { captionLines, tableRows };
+}
+
+/**
+ * Reconstruye las tablas con título de una página
+ *
+ * @param {Array} items - textContent.items de pdf.js
+ * @param {Array} [view] - pageData.view [x0, y0, x1, y1]
+ * @param {number} pageNumber - Página (1-based)
+ * @returns {Array} - [{ id, number, caption, title, pageNumber, headers, rows, markdown }]
+ */
+export function extractTables(items, view, pageNumber) {
+  const lines = groupIntoLines(normalizeTextItems(items));
+  if (lines.length === 0) return [];
+
+  const pageWidth = view ? view[2] - view[0] : Math.max(...lines.map(line => line.xEnd));
+  // A table inside one column adds short cells that would make that column
+  // fail findGutter's median width test: look for the gutter in the prose
+  const gutterX = findGutter(
+    lines.filter(line => line.xEnd - line.x >= pageWidth * MIN_PROSE_WIDTH_RATIO),
+    pageWidth
+  );
+  const rows = groupIntoRows(lines);
+  const tables = [];
+
+  rows.forEach((row, index) => {
+    for (const captionCell of row.cells) {
+      const parsed = parseTableCaption(captionCell.text);
+      if (!parsed) continue;
+
+      // In a two-column page, a caption inside one column only takes that column
+      let inRegion = () => true;
+      if (gutterX !== null && captionCell.xEnd <= gutterX) {
+        inRegion = cell => cell.xEnd <= gutterX;
+      } else if (gutterX !== null && captionCell.x >= gutterX) {
+        inRegion = cell => cell.x >= gutterX;
+      }
+
+      const { captionLines, tableRows } = collectTableRows(rows, index, inRegion);
+      if (tableRows.filter(tableRow => tableRow.cells.length > 1).length < MIN_TABLE_ROWS) continue;
+
+      const columns = findColumns(tableRows);
+      const grid = tableRows.map(tableRow => {
+        const cells = Array(columns.length).fill('');
+        for (const cell of tableRow.cells) {
+          const column = findCellColumn(cell, columns);
+          cells[column] = cells[column] ? `${cells[column]} ${cell.text.trim()}` : cell.text.trim();
+        }
+        return cells;
+      });
+
+      const table = {
+        id: `table-${pageNumber}-${tables.length + 1}`,
+        number: parsed.number,
+        caption: [parsed.caption, ...captionLines].filter(Boolean).join(' '),
+        title: null,
+        pageNumber,
+        headers: grid[0],
+        rows: grid.slice(1)
+      };
+      table.title = formatTableTitle(table);
+      table.markdown = tableToMarkdown(table);
+      tables.push(table);
+    }
+  });
+
+  return tables;
+}
+
+/**
+ * Título legible de una tabla ("Tabla 2. Características basales")
+ * @param {Object} table - { number, caption }
+ * @returns {string}
+ */
+export function formatTableTitle(table) {
+  return table.caption ? `Tabla ${table.number}. ${table.caption}` : `Tabla ${table.number}`;
+}
+
+/**
+ * Bloque de tablas para el prompt de análisis de una página
+ * @param {Array} tables - Tablas de la página
+ * @returns {string} - Texto a añadir al de la página ('' si no hay tablas)
+ */
+export function formatTablesForPrompt(tables) {
+  if (!tables || tables.length === 0) return '';
+
+  const blocks = tables.map(table => `${formatTableTitle(table)}\n${table.markdown}`);
+  return `\n\n[Tablas reconstruidas de esta página (filas y columnas del PDF)]\n\n${blocks.join('\n\n')}`;
+}
+
+export default {
+  parseTableCaption,
+  escapeCell,
+  tableToMarkdown,
+  extractTables,
+  formatTableTitle,
+  formatTablesForPrompt
+};